@@ -7,6 +7,7 @@ import CustomerLogin from './components/CustomerLogin';
 import CustomerRegister from './components/CustomerRegister';
 import CustomerDashboard from './components/CustomerDashboard';
 import ProductDetail from './components/ProductDetail';
+import CategoryPage from './components/CategoryPage';
 import Cart from './components/Cart';
 import HomePage from './components/HomePage';
 import SellerLogin from './components/SellerLogin';
@@ -229,6 +230,7 @@ function AppContent({
             </ProtectedCustomerRoute>
           } />
           <Route path="/product/:productId" element={<ProductDetail isAuthenticated={isAuthenticated} />} />
+          <Route path="/category/:slug" element={<CategoryPage />} />
           <Route path="/cart" element={
             <ProtectedCustomerRoute>
               <Cart />
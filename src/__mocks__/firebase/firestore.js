@@ -0,0 +1,38 @@
+/* eslint-env jest */
+/**
+ * Manual mock of the Firestore SDK for unit tests. References are plain
+ * `{ id, path }` objects and field values are tagged objects, so written
+ * data can be compared directly; document reads and transactions are served
+ * by the in-memory store in src/testUtils/firestore.js.
+ */
+
+let nextId = 0;
+
+export const collection = (db, path) => ({ path });
+
+// doc(db, 'orders', 'o1') or doc(collectionRef) for a generated id
+export const doc = (parent, path, id) => {
+  if (path) return { id, path: `${path}/${id}` };
+  nextId += 1;
+  return { id: `generated-${nextId}`, path: `${parent.path}/generated-${nextId}` };
+};
+
+export const arrayUnion = (...values) => ({ arrayUnion: values });
+export const arrayRemove = (...values) => ({ arrayRemove: values });
+export const increment = (value) => ({ increment: value });
+export const serverTimestamp = () => 'serverTimestamp';
+
+export const query = (ref, ...constraints) => ({ ...ref, constraints });
+export const where = (field, op, value) => ({ where: [field, op, value] });
+export const orderBy = (field, direction = 'asc') => ({ orderBy: [field, direction] });
+export const limit = (count) => ({ limit: count });
+export const documentId = () => '__name__';
+
+export const getDoc = jest.fn();
+export const getDocs = jest.fn();
+export const setDoc = jest.fn();
+export const updateDoc = jest.fn();
+export const addDoc = jest.fn();
+export const deleteDoc = jest.fn();
+export const writeBatch = jest.fn();
+export const runTransaction = jest.fn();
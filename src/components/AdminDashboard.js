@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { 
   Container, 
   Typography, 
@@ -57,7 +57,8 @@ import {
   Link,
   Fab,
   ListItemSecondaryAction,
-  Menu
+  Menu,
+  Checkbox
 } from '@mui/material';
 import { 
   People as PeopleIcon,
@@ -67,6 +68,7 @@ import {
   Dashboard as DashboardIcon,
   Inventory as ProductsIcon,
   Warehouse as StorehouseIcon,
+  Category as CategoryIcon,
   LocalShipping as PackageIcon,
   Share as SpreadIcon,
   Group as AffiliateIcon,
@@ -109,14 +111,80 @@ import {
   ShoppingCartCheckout as ShoppingCartCheckoutIcon,
   DeleteSweep as DeleteSweepIcon,
   ShoppingCart as ShoppingCartIcon,
+  Print as PrintIcon,
 } from '@mui/icons-material';
 import { db, auth } from '../firebase';
 import { collection, query, where, getDocs, doc, updateDoc, deleteDoc, setDoc, addDoc, orderBy, onSnapshot, serverTimestamp, getDoc, arrayUnion, arrayRemove, increment, documentId } from 'firebase/firestore';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { Chat } from './ChatComponents';
 import StatusUpdateModal from './StatusUpdateModal';
 import WithdrawalRequestsManager from './WithdrawalRequestsManager';
+import RefundRequestsManager from './RefundRequestsManager';
+import WalletReconciliationReport from './WalletReconciliationReport';
+import MoneyMigrationPanel from './MoneyMigrationPanel';
+import DepositRequestsManager from './DepositRequestsManager';
+import OrderSlaSettings from './OrderSlaSettings';
+import ProfitMarginSettings from './ProfitMarginSettings';
+import WithdrawalPolicySettings from './WithdrawalPolicySettings';
+import EarningsReleaseSettings from './EarningsReleaseSettings';
+import OrderSearchBackfillPanel from './OrderSearchBackfillPanel';
+import SellerStatements from './SellerStatements';
+import BulkOrderActionsBar from './BulkOrderActionsBar';
+import OrderFilters from './OrderFilters';
+import ProductVariantsEditor from './ProductVariantsEditor';
+import VariantSelector from './VariantSelector';
+import LowStockAlerts from './LowStockAlerts';
+import ProductImportExport from './ProductImportExport';
+import CategoryManager from './CategoryManager';
+import CategorySelect from './CategorySelect';
+import {
+  parseOrderFilters,
+  applyOrderFiltersToParams,
+  hasActiveOrderFilters,
+  searchOrders
+} from '../utils/orderSearch';
 import { addDummyProducts } from '../utils/dummyProducts';
+import {
+  transitionOrderStatus,
+  canTransition,
+  getStatusUpdateOptions,
+  getOrderStatusColor,
+  getOrderStatusLabel
+} from '../utils/orderLifecycle';
+import {
+  ASSIGNMENT_STRATEGIES,
+  ASSIGNMENT_STRATEGY_LABELS,
+  autoAssignOrder,
+  autoAssignOrders
+} from '../utils/orderAssignment';
+import { ORDER_DOCUMENT_TYPES, printOrderDocument } from '../utils/orderDocuments';
+import { initializeOrderSlaWorker } from '../utils/orderSla';
+import {
+  DEFAULT_SELLER_TIER,
+  SELLER_TIERS,
+  getOrderProfit
+} from '../utils/profitMargins';
+import { useProfitMargins } from '../hooks/useProfitMargins';
+import { LEDGER_ACCOUNTS, recordSellerMovement } from '../utils/walletLedger';
+import { addMoney, moneyFields, readMoney, roundMoney, sumLineItems, withPriceCents } from '../utils/money';
+import {
+  getEarningsReleaseSettings,
+  getEarningsReleaseTime,
+  initializeEarningsReleaseWorker,
+  releaseOrderEarnings
+} from '../utils/earningsRelease';
+import {
+  addItemToCart,
+  buildCartItem,
+  findVariant,
+  getCartItemKey,
+  getPriceRange,
+  hasVariants,
+  summarizeVariants
+} from '../utils/productVariants';
+import { createStockedOrder } from '../utils/checkout';
+import { INVENTORY_ERRORS, getAvailableStock, isOutOfStock, isStockTracked } from '../utils/inventory';
+import { getCategories, getCategoryLabel, isProductInCategory } from '../utils/categories';
 
 const drawerWidth = 260;
 
@@ -568,6 +636,14 @@ const StyledTextField = styled(TextField)(({ theme }) => ({
 }));
 
 // Enhanced OrderDetailsModal for admin view
+const handlePrintOrderDocument = (order, type) => {
+  try {
+    printOrderDocument(order, type);
+  } catch (error) {
+    alert(error.message);
+  }
+};
+
 const OrderDetailsModal = ({ open, order, onClose, onUpdateStatus }) => {
   if (!order) return null;
 
@@ -617,14 +693,8 @@ const OrderDetailsModal = ({ open, order, onClose, onUpdateStatus }) => {
             Order Details - #{order.orderNumber || order.id.substring(0, 8)}
           </Typography>
           <Chip
-            label={order.status}
-            color={
-              order.status === 'completed' ? 'success' :
-              order.status === 'processing' ? 'info' :
-              order.status === 'assigned' ? 'primary' :
-              order.status === 'on-the-way' ? 'warning' :
-              order.status === 'cancelled' ? 'error' : 'default'
-            }
+            label={getOrderStatusLabel(order.status)}
+            color={getOrderStatusColor(order.status)}
             size="small"
           />
         </Box>
@@ -690,7 +760,7 @@ const OrderDetailsModal = ({ open, order, onClose, onUpdateStatus }) => {
                 </TableHead>
                 <TableBody>
                   {order.items.map((item) => (
-                    <TableRow key={item.id} hover>
+                    <TableRow key={getCartItemKey(item)} hover>
                       <TableCell>
                         <Box sx={{ display: 'flex', alignItems: 'center' }}>
                           <img
@@ -706,6 +776,11 @@ const OrderDetailsModal = ({ open, order, onClose, onUpdateStatus }) => {
                           />
                           <Box>
                             <Typography variant="body2" fontWeight="500">{item.name}</Typography>
+                            {item.variantLabel && (
+                              <Typography variant="caption" color="text.secondary" display="block">
+                                {item.variantLabel}{item.sku ? ` · SKU ${item.sku}` : ''}
+                              </Typography>
+                            )}
                             {item.seller && (
                               <Typography variant="caption" color="text.secondary">
                                 Seller: {item.seller.shopName || 'Unknown'}
@@ -738,6 +813,18 @@ const OrderDetailsModal = ({ open, order, onClose, onUpdateStatus }) => {
         </Grid>
       </DialogContent>
       <DialogActions>
+        <Button
+          startIcon={<PrintIcon />}
+          onClick={() => handlePrintOrderDocument(order, ORDER_DOCUMENT_TYPES.INVOICE)}
+        >
+          Invoice
+        </Button>
+        <Button
+          startIcon={<PrintIcon />}
+          onClick={() => handlePrintOrderDocument(order, ORDER_DOCUMENT_TYPES.PACKING_SLIP)}
+        >
+          Packing Slip
+        </Button>
         <Button onClick={onClose}>Close</Button>
       </DialogActions>
     </Dialog>
@@ -745,7 +832,7 @@ const OrderDetailsModal = ({ open, order, onClose, onUpdateStatus }) => {
 };
 
 // Add the ProductModal component before the AdminDashboard component
-const ProductModal = ({ open, onClose, product, onSave }) => {
+const ProductModal = ({ open, onClose, product, onSave, categories }) => {
   const [formData, setFormData] = useState({
     name: '',
     description: '',
@@ -753,7 +840,9 @@ const ProductModal = ({ open, onClose, product, onSave }) => {
     imageUrl: '',
     category: '',
     stock: '',
-    discount: ''
+    discount: '',
+    variantOptions: [],
+    variants: []
   });
 
   useEffect(() => {
@@ -765,7 +854,9 @@ const ProductModal = ({ open, onClose, product, onSave }) => {
         imageUrl: product.imageUrl || '',
         category: product.category || '',
         stock: product.stock ? String(product.stock) : '',
-        discount: product.discount ? String(product.discount) : ''
+        discount: product.discount ? String(product.discount) : '',
+        variantOptions: product.variantOptions || [],
+        variants: product.variants || []
       });
     } else {
       setFormData({
@@ -775,7 +866,9 @@ const ProductModal = ({ open, onClose, product, onSave }) => {
         imageUrl: '',
         category: '',
         stock: '',
-        discount: ''
+        discount: '',
+        variantOptions: [],
+        variants: []
       });
     }
   }, [product]);
@@ -791,18 +884,27 @@ const ProductModal = ({ open, onClose, product, onSave }) => {
   const handleSubmit = (e) => {
     e.preventDefault();
     
-    const processedData = {
+    const variants = formData.variants.map((variant) => withPriceCents({
+      ...variant,
+      price: roundMoney(parseFloat(variant.price) || 0),
+      stock: parseInt(variant.stock) || 0
+    }));
+    const processedData = withPriceCents({
       ...formData,
       price: parseFloat(formData.price) || 0,
       stock: parseInt(formData.stock) || 0,
-      discount: parseInt(formData.discount) || 0
-    };
+      discount: parseInt(formData.discount) || 0,
+      variantOptions: variants.length > 0 ? formData.variantOptions : [],
+      variants,
+      // Listings show the lowest variant price and the total variant stock
+      ...(variants.length > 0 ? summarizeVariants(variants) : {})
+    });
 
     onSave(processedData);
   };
 
   return (
-    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+    <Dialog open={open} onClose={onClose} maxWidth={formData.variants.length > 0 ? 'md' : 'sm'} fullWidth>
       <DialogTitle>{product ? 'Edit Product' : 'Add New Product'}</DialogTitle>
       <DialogContent>
         <Box component="form" onSubmit={handleSubmit} sx={{ mt: 2 }}>
@@ -834,25 +936,15 @@ const ProductModal = ({ open, onClose, product, onSave }) => {
             onChange={handleChange}
             margin="normal"
           />
-          <TextField
+          <CategorySelect
             required
             fullWidth
-            name="category"
             label="Category"
+            categories={categories}
             value={formData.category}
-            onChange={handleChange}
+            onChange={(value) => setFormData(prev => ({ ...prev, category: value }))}
             margin="normal"
-            select
-          >
-            <MenuItem value="electronics">Electronics</MenuItem>
-            <MenuItem value="clothing">Clothing</MenuItem>
-            <MenuItem value="books">Books</MenuItem>
-            <MenuItem value="home">Home & Garden</MenuItem>
-            <MenuItem value="toys">Toys & Games</MenuItem>
-            <MenuItem value="sports">Sports & Outdoors</MenuItem>
-            <MenuItem value="beauty">Beauty & Personal Care</MenuItem>
-            <MenuItem value="automotive">Automotive</MenuItem>
-          </TextField>
+          />
           <TextField
             required
             fullWidth
@@ -874,6 +966,8 @@ const ProductModal = ({ open, onClose, product, onSave }) => {
             onChange={handleChange}
             margin="normal"
             inputProps={{ min: 0 }}
+            disabled={formData.variants.length > 0}
+            helperText={formData.variants.length > 0 ? 'Stock is the total of the variants below' : ''}
           />
           <TextField
             fullWidth
@@ -885,6 +979,12 @@ const ProductModal = ({ open, onClose, product, onSave }) => {
             margin="normal"
             inputProps={{ min: 0, max: 100 }}
           />
+          <ProductVariantsEditor
+            variantOptions={formData.variantOptions}
+            variants={formData.variants}
+            defaults={{ price: formData.price, stock: formData.stock, imageUrl: formData.imageUrl }}
+            onChange={({ variantOptions, variants }) => setFormData(prev => ({ ...prev, variantOptions, variants }))}
+          />
         </Box>
       </DialogContent>
       <DialogActions>
@@ -899,6 +999,8 @@ const ProductModal = ({ open, onClose, product, onSave }) => {
 
 const AdminDashboard = () => {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const profitMargins = useProfitMargins();
   const theme = useTheme();
   
   // State declarations
@@ -924,6 +1026,8 @@ const AdminDashboard = () => {
   const [isSellerEditModalOpen, setIsSellerEditModalOpen] = useState(false);
   const [isViewingSellers, setIsViewingSellers] = useState(false);
   const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [productCategoryFilter, setProductCategoryFilter] = useState('');
   const [selectedProduct, setSelectedProduct] = useState(null);
   const [isEditProductModalOpen, setIsEditProductModalOpen] = useState(false);
   const [sellerWithProducts, setSellerWithProducts] = useState([]);
@@ -950,6 +1054,8 @@ const AdminDashboard = () => {
   // Cart state variables
   const [adminCart, setAdminCart] = useState([]);
   const [isCartOpen, setIsCartOpen] = useState(false);
+  // Product whose variant is being chosen before it goes in the cart
+  const [variantPicker, setVariantPicker] = useState(null);
   const [showScrollTop, setShowScrollTop] = useState(false);
   const [selectedOrderInTable, setSelectedOrderInTable] = useState(null);
   const [isOrderTableModalOpen, setIsOrderTableModalOpen] = useState(false);
@@ -957,6 +1063,9 @@ const AdminDashboard = () => {
   const [isAssignOrderModalOpen, setIsAssignOrderModalOpen] = useState(false);
   const [orderToAssign, setOrderToAssign] = useState(null);
   const [assignLoading, setAssignLoading] = useState(false);
+  const [assignmentStrategy, setAssignmentStrategy] = useState(ASSIGNMENT_STRATEGIES.ROUND_ROBIN);
+  const [autoAssigning, setAutoAssigning] = useState(false);
+  const [selectedOrderIds, setSelectedOrderIds] = useState([]);
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
   const [isStatusUpdateModalOpen, setIsStatusUpdateModalOpen] = useState(false);
@@ -1064,8 +1173,9 @@ const AdminDashboard = () => {
   
   // Add this with the other state variables
   const [sellerEmailSearch, setSellerEmailSearch] = useState('');
-  const [orderEmailSearch, setOrderEmailSearch] = useState('');
   const [filteredOrders, setFilteredOrders] = useState([]);
+  const [orderSearchLoading, setOrderSearchLoading] = useState(false);
+  const orderFilters = useMemo(() => parseOrderFilters(searchParams), [searchParams]);
   const [anchorEl, setAnchorEl] = useState(null);
   
   useEffect(() => {
@@ -1086,12 +1196,21 @@ const AdminDashboard = () => {
     // Fetch sellers and products for the Sellers Products section
     fetchSellers();
     fetchProducts();
+    fetchCategories();
     
     // Always fetch sellers with products on component mount
     fetchSellersWithProducts();
     
     // Fetch orders on mount
     fetchOrders();
+
+    // Both workers only run while an admin has this dashboard open (there is
+    // no backend scheduler), so overdue work is caught up on the next visit.
+    // Unassign, flag or cancel orders that miss their pick/ship deadlines
+    initializeOrderSlaWorker();
+
+    // Move completed orders' earnings to seller wallets once their hold period ends
+    initializeEarningsReleaseWorker();
   }, []);
 
   // Listen for new messages and update unread indicator
@@ -1195,7 +1314,7 @@ const AdminDashboard = () => {
       ordersSnapshot.forEach((doc) => {
         const orderData = doc.data();
         if (orderData.total) {
-          totalRevenue += parseFloat(orderData.total);
+          totalRevenue = addMoney(totalRevenue, orderData.total);
         }
       });
 
@@ -1249,6 +1368,26 @@ const AdminDashboard = () => {
     }
   };
 
+  // Opens a low-stock product in the storehouse editor
+  const handleRestockProduct = async (productId) => {
+    try {
+      const productDoc = await getDoc(doc(db, 'products', productId));
+      if (!productDoc.exists()) {
+        throw new Error('Product not found');
+      }
+      handleTabChange('storehouse');
+      setEditingProduct({ id: productDoc.id, ...productDoc.data() });
+      setProductModalOpen(true);
+    } catch (error) {
+      console.error('Error opening product:', error);
+      setSnackbar({
+        open: true,
+        message: 'Failed to open product: ' + error.message,
+        severity: 'error'
+      });
+    }
+  };
+
   const fetchCustomers = async () => {
     try {
       const customersSnapshot = await getDocs(collection(db, 'customers'));
@@ -1362,28 +1501,16 @@ const AdminDashboard = () => {
   };
 
   // Cart-related functions
-  const handleAddToCart = (product) => {
-    // Check if the product is already in the cart
-    const existingItem = adminCart.find(item => item.id === product.id);
-
-    if (existingItem) {
-      // Update quantity if product already exists in cart
-      const updatedCart = adminCart.map(item => 
-        item.id === product.id ? { ...item, quantity: item.quantity + 1 } : item
-      );
-      setAdminCart(updatedCart);
-    } else {
-      // Add new product to cart
-      const cartItem = {
-        id: product.id,
-        name: product.name,
-        price: product.price || 0,
-        imageUrl: product.imageUrl || process.env.PUBLIC_URL + '/images/product1.jpg',
-        quantity: 1,
-        seller: product.seller || null
-      };
-      setAdminCart([...adminCart, cartItem]);
+  const handleAddToCart = (product, variant = null) => {
+    // Products sold in variants need a size/color/material chosen first
+    if (hasVariants(product) && !variant) {
+      setVariantPicker({ product, selection: {} });
+      return;
     }
+
+    // Same product and variant already in the cart increases its quantity
+    setAdminCart(addItemToCart(adminCart, buildCartItem(product, variant, process.env.PUBLIC_URL + '/images/product1.jpg')));
+    setVariantPicker(null);
     
     // Open the cart sidebar
     setIsCartOpen(true);
@@ -1408,7 +1535,7 @@ const AdminDashboard = () => {
           name: 'Toy Car',
           description: 'A beautiful and durable toy car for children. Perfect for playtime and collecting. Features smooth rolling wheels and detailed design.',
           imageUrl: process.env.PUBLIC_URL + '/images/product1.jpg',
-          price: 20,
+          ...moneyFields({ price: 20 }),
           createdAt: serverTimestamp(),
           updatedAt: serverTimestamp()
         });
@@ -1422,6 +1549,14 @@ const AdminDashboard = () => {
     }
   };
 
+  const fetchCategories = async () => {
+    try {
+      setCategories(await getCategories());
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+    }
+  };
+
   const fetchProducts = async () => {
     try {
       const productsRef = collection(db, 'products');
@@ -1906,223 +2041,51 @@ const AdminDashboard = () => {
     try {
       setLoading(true);
       
-      // Get the order details
-      const orderRef = doc(db, 'orders', orderId);
-      const orderDoc = await getDoc(orderRef);
-      
-      if (!orderDoc.exists()) {
-        throw new Error('Order not found');
+      // Completed orders release their earnings to the seller's wallet after the
+      // hold period; the release time is written together with the completion
+      let releaseSettings = null;
+      let updates = {};
+      if (newStatus === 'completed') {
+        releaseSettings = await getEarningsReleaseSettings();
+        updates = {
+          completedAt: serverTimestamp(),
+          earningsReleaseAt: getEarningsReleaseTime(releaseSettings)
+        };
       }
-      
-      const orderData = orderDoc.data();
-      const now = new Date();
-      
-      // Log the original order data
-      console.log('ORIGINAL ORDER DATA:', JSON.stringify(orderData, null, 2));
-      
-      // Update the order status
-      await updateDoc(orderRef, {
-        status: newStatus,
-        statusHistory: arrayUnion({
-          status: newStatus,
-          timestamp: now.toISOString(),
-          updatedBy: 'admin',
-          note: `Status updated to ${newStatus} by admin`
-        })
+
+      // Validate the move against the order lifecycle and record it in statusHistory
+      const orderData = await transitionOrderStatus(orderId, newStatus, {
+        role: 'admin',
+        note: `Status updated to ${newStatus} by admin`,
+        updates
       });
       
-      // If the new status is 'completed', transfer the grand total amount to the seller's wallet
       if (newStatus === 'completed' && orderData.sellerId) {
         try {
-          // DEBUG: Log all the calculation fields that might be used
-          console.log('ORDER COMPLETION - Available fields for calculation:', {
-            pendingAdded: orderData.pendingAdded,
-            walletDeducted: orderData.walletDeducted,
-            additionalProfit: orderData.additionalProfit,
-            total: orderData.total,
-            totalAmount: orderData.totalAmount,
-            items: orderData.items ? orderData.items.length : 'none'
-          });
-          
-          // Get the seller's current data FIRST
-          const sellerRef = doc(db, 'sellers', orderData.sellerId);
-          const sellerDoc = await getDoc(sellerRef);
-          
-          if (!sellerDoc.exists()) {
-            throw new Error('Seller not found');
-          }
-          
-            const sellerData = sellerDoc.data();
-            const currentWalletBalance = Number(sellerData.walletBalance || 0);
-            const currentPendingAmount = Number(sellerData.pendingAmount || 0);
-            
-          console.log('SELLER DATA BEFORE UPDATE:', {
-            id: orderData.sellerId,
-            walletBalance: currentWalletBalance,
-            pendingAmount: currentPendingAmount
-          });
-          
-          // FORCE APPROACH: Calculate the base amount and 23% profit directly from the order items
-          let baseAmount = 0;
-          let profitAmount = 0;
-          let grandTotal = 0;
-          
-          // Method 1: Try to use pendingAdded from the order (most accurate)
-          if (orderData.pendingAdded && Number(orderData.pendingAdded) > 0) {
-            grandTotal = Number(orderData.pendingAdded);
-            
-            // If walletDeducted is available, we can use it to determine the base and profit split
-            if (orderData.walletDeducted && Number(orderData.walletDeducted) > 0) {
-              baseAmount = Number(orderData.walletDeducted);
-              profitAmount = grandTotal - baseAmount;
-            } else {
-              // If not, we'll estimate (base is 81.3% of total, profit is 18.7%)
-              baseAmount = Number((grandTotal / 1.23).toFixed(2));
-              profitAmount = Number((grandTotal - baseAmount).toFixed(2));
-            }
-            
-            console.log('METHOD 1 - Using pendingAdded from order:', {
-              pendingAdded: grandTotal,
-              baseAmount,
-              profitAmount
-            });
-          }
-          // Method 2: Try using walletDeducted + additionalProfit directly
-          else if (orderData.walletDeducted && orderData.additionalProfit) {
-            baseAmount = Number(orderData.walletDeducted);
-            profitAmount = Number(orderData.additionalProfit);
-            grandTotal = baseAmount + profitAmount;
-            
-            console.log('METHOD 2 - Using walletDeducted + additionalProfit:', {
-              baseAmount,
-              profitAmount,
-              grandTotal
-            });
-          }
-          // Method 3: Calculate from items
-          else if (orderData.items && Array.isArray(orderData.items) && orderData.items.length > 0) {
-            orderData.items.forEach(item => {
-              const itemPrice = Number(item.price || 0);
-              const itemQuantity = Number(item.quantity || 1);
-              baseAmount += itemPrice * itemQuantity;
+          if (Number(releaseSettings.holdHours) > 0) {
+            setSnackbar({
+              open: true,
+              message: `Order status updated to ${newStatus}. The seller's earnings will be released to their wallet on ${new Date(updates.earningsReleaseAt).toLocaleString()}.`,
+              severity: 'success'
             });
-            
-            // Calculate 23% profit
-            profitAmount = Number((baseAmount * 0.23).toFixed(2));
-            grandTotal = baseAmount + profitAmount;
-            
-            console.log('METHOD 3 - Calculated from items:', {
-              baseAmount,
-              profitAmount,
-              grandTotal
+          } else {
+            const released = await releaseOrderEarnings(orderId, {
+              processedBy: 'admin',
+              marginSettings: profitMargins
             });
-          }
-          // Method 4: Fall back to total/totalAmount if available
-          else if (orderData.total || orderData.totalAmount) {
-            const totalValue = Number(orderData.total || orderData.totalAmount || 0);
-            baseAmount = Number((totalValue / 1.23).toFixed(2));
-            profitAmount = Number((totalValue - baseAmount).toFixed(2));
-            grandTotal = baseAmount + profitAmount;
-            
-            console.log('METHOD 4 - Using total/totalAmount:', {
-              totalUsed: orderData.total ? 'total' : 'totalAmount',
-              totalValue,
-              baseAmount,
-              profitAmount,
-              grandTotal
+            setSnackbar({
+              open: true,
+              message: released
+                ? `Order status updated to ${newStatus}. Transferred $${released.baseAmount.toFixed(2)} + $${released.profitAmount.toFixed(2)} profit (total $${released.grandTotal.toFixed(2)}) from pending to wallet balance.`
+                : `Order status updated to ${newStatus}. The earnings were already released.`,
+              severity: 'success'
             });
           }
-          
-          // Final safety check - ensure we have positive values
-          baseAmount = Math.max(0, baseAmount);
-          profitAmount = Math.max(0, profitAmount);
-          grandTotal = baseAmount + profitAmount;
-          
-          console.log('FINAL CALCULATION RESULTS:', {
-            baseAmount,
-            profitAmount,
-            grandTotal
-          });
-          
-          // If we couldn't calculate a valid amount, log an error but don't throw
-          if (grandTotal <= 0) {
-            console.error('ERROR: Could not calculate a valid amount to transfer. Defaulting to 0.');
-          }
-          
-          // Now we'll update the seller's wallet - FORCE TRANSFER AMOUNT FROM PENDING TO WALLET
-          const newWalletBalance = currentWalletBalance + grandTotal;
-          const newPendingAmount = Math.max(0, currentPendingAmount - grandTotal);
-          
-          console.log('WALLET UPDATE CALCULATION:', {
-            previousWalletBalance: currentWalletBalance,
-            previousPendingAmount: currentPendingAmount,
-            transferAmount: grandTotal,
-            newWalletBalance,
-            newPendingAmount
-          });
-            
-            // Update seller's wallet and pending amounts
-            await updateDoc(sellerRef, {
-              walletBalance: newWalletBalance,
-              pendingAmount: newPendingAmount,
-              lastUpdated: serverTimestamp()
-            });
-            
-          // Verify the update was successful by getting the seller's data again
-          const updatedSellerDoc = await getDoc(sellerRef);
-          const updatedSellerData = updatedSellerDoc.data();
-          
-          console.log('SELLER DATA AFTER UPDATE:', {
-            id: orderData.sellerId,
-            walletBalance: updatedSellerData.walletBalance,
-            pendingAmount: updatedSellerData.pendingAmount,
-            expectedWalletBalance: newWalletBalance,
-            expectedPendingAmount: newPendingAmount
-          });
-          
-          // Add a transaction record for accounting
-            await addDoc(collection(db, 'transactions'), {
-              orderId: orderId,
-              sellerId: orderData.sellerId,
-            amount: grandTotal,
-            baseAmount: baseAmount,
-            profitAmount: profitAmount,
-              type: 'order_completed',
-              timestamp: serverTimestamp(),
-            description: `Order #${orderData.orderNumber || orderId.substring(0, 8)} completed. $${baseAmount.toFixed(2)} base + $${profitAmount.toFixed(2)} profit (total $${grandTotal.toFixed(2)}) transferred from pending to wallet.`,
-            walletBalanceBefore: currentWalletBalance,
-            walletBalanceAfter: newWalletBalance,
-            pendingAmountBefore: currentPendingAmount,
-            pendingAmountAfter: newPendingAmount,
-            processedBy: 'admin'
-            });
-            
-            // Update the order with transfer information
-            await updateDoc(orderRef, {
-            pendingTransferred: grandTotal,
-            baseAmountTransferred: baseAmount,
-            profitAmountTransferred: profitAmount,
-            transferredAt: serverTimestamp(),
-            walletBalanceBefore: currentWalletBalance,
-            walletBalanceAfter: newWalletBalance,
-            pendingAmountBefore: currentPendingAmount,
-            pendingAmountAfter: newPendingAmount
-          });
-          
-          console.log(`SUCCESS: Transferred $${grandTotal.toFixed(2)} total (base: $${baseAmount.toFixed(2)} + profit: $${profitAmount.toFixed(2)}) from pending to wallet for seller ${orderData.sellerId}`);
-          
-          // Set a special message for this operation
-      setSnackbar({
-        open: true,
-            message: `Order status updated to ${newStatus}. Transferred $${baseAmount.toFixed(2)} + $${profitAmount.toFixed(2)} profit (total $${grandTotal.toFixed(2)}) from pending to wallet balance.`,
-        severity: 'success'
-      });
         } catch (transferError) {
-          // If there was an error in the transfer process, log it but don't throw
-          console.error('ERROR during wallet transfer process:', transferError);
+          console.error('ERROR releasing earnings:', transferError);
           setSnackbar({
             open: true,
-            message: `Order status updated to ${newStatus}, but there was an error transferring funds: ${transferError.message}`,
+            message: `Order status updated to ${newStatus}, but the earnings could not be released yet: ${transferError.message}`,
             severity: 'warning'
           });
         }
@@ -2771,6 +2734,8 @@ const AdminDashboard = () => {
             </TableContainer>
           </SectionCard>
 
+          <LowStockAlerts onEditProduct={handleRestockProduct} />
+
           <SectionCard title="Recent Activity">
             <Typography color="textSecondary">
               No recent activity to display
@@ -2787,10 +2752,19 @@ const AdminDashboard = () => {
             Products Management
           </Typography>
           <SectionCard title="All Products">
-            <Box sx={{ mb: 2 }}>
+            <Box sx={{ mb: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
               <Typography variant="body2" color="text.secondary">
                 View all products below. To edit or delete products, please go to the Product Storehouse section.
               </Typography>
+              <CategorySelect
+                size="small"
+                label="Category"
+                categories={categories}
+                value={productCategoryFilter}
+                onChange={setProductCategoryFilter}
+                allLabel="All categories"
+                sx={{ minWidth: 220 }}
+              />
             </Box>
             <TableContainer>
               <Table>
@@ -2799,12 +2773,13 @@ const AdminDashboard = () => {
                     <TableCell>Product ID</TableCell>
                     <TableCell>Image</TableCell>
                     <TableCell>Product Name</TableCell>
+                    <TableCell>Category</TableCell>
                     <TableCell>Description</TableCell>
                     <TableCell>Price</TableCell>
                   </TableRow>
                 </TableHead>
                 <TableBody>
-                  {products.map((product) => (
+                  {products.filter((product) => isProductInCategory(product, categories, productCategoryFilter)).map((product) => (
                     <TableRow key={product.id}>
                       <TableCell>{product.id}</TableCell>
                       <TableCell>
@@ -2830,6 +2805,7 @@ const AdminDashboard = () => {
                         />
                       </TableCell>
                       <TableCell>{product.name}</TableCell>
+                      <TableCell>{getCategoryLabel(categories, product.category) || '—'}</TableCell>
                       <TableCell>{product.description}</TableCell>
                       <TableCell>${product.price || 20}</TableCell>
                     </TableRow>
@@ -2868,7 +2844,20 @@ const AdminDashboard = () => {
               </Button>
             </Box>
           </Box>
+          <LowStockAlerts onEditProduct={handleRestockProduct} />
+          <ProductImportExport products={products} onImported={fetchProducts} />
           <SectionCard title="Inventory">
+            <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+              <CategorySelect
+                size="small"
+                label="Category"
+                categories={categories}
+                value={productCategoryFilter}
+                onChange={setProductCategoryFilter}
+                allLabel="All categories"
+                sx={{ minWidth: 220 }}
+              />
+            </Box>
             <TableContainer>
               <Table>
                 <TableHead>
@@ -2876,13 +2865,15 @@ const AdminDashboard = () => {
                     <TableCell>Product ID</TableCell>
                     <TableCell>Image</TableCell>
                     <TableCell>Product Name</TableCell>
+                    <TableCell>Category</TableCell>
                     <TableCell>Description</TableCell>
                     <TableCell>Price</TableCell>
+                    <TableCell>Stock</TableCell>
                     <TableCell>Actions</TableCell>
                   </TableRow>
                 </TableHead>
                 <TableBody>
-                  {products.map((product) => (
+                  {products.filter((product) => isProductInCategory(product, categories, productCategoryFilter)).map((product) => (
                     <TableRow key={product.id}>
                       <TableCell>{product.id}</TableCell>
                       <TableCell>
@@ -2908,8 +2899,30 @@ const AdminDashboard = () => {
                         />
                       </TableCell>
                       <TableCell>{product.name}</TableCell>
+                      <TableCell>{getCategoryLabel(categories, product.category) || '—'}</TableCell>
                       <TableCell>{product.description}</TableCell>
-                      <TableCell>${product.price || 0}</TableCell>
+                      <TableCell>
+                        {hasVariants(product) ? (
+                          <>
+                            ${getPriceRange(product).min.toFixed(2)}
+                            {getPriceRange(product).max !== getPriceRange(product).min && ` – $${getPriceRange(product).max.toFixed(2)}`}
+                            <Typography variant="caption" color="textSecondary" display="block">
+                              {product.variants.length} variants
+                            </Typography>
+                          </>
+                        ) : (
+                          `$${product.price || 0}`
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {!isStockTracked(product) ? (
+                          <Typography variant="body2" color="textSecondary">Not tracked</Typography>
+                        ) : getAvailableStock(product) <= 0 ? (
+                          <Chip size="small" color="error" label="Out of stock" />
+                        ) : (
+                          getAvailableStock(product)
+                        )}
+                      </TableCell>
                       <TableCell>
                         <Button
                           variant="outlined"
@@ -2951,6 +2964,7 @@ const AdminDashboard = () => {
             }}
             product={editingProduct}
             onSave={handleProductEdit}
+            categories={categories}
           />
         </Box>
       );
@@ -3004,6 +3018,15 @@ const AdminDashboard = () => {
           <WithdrawalRequestsManager />
         </Box>
       );
+    } else if (activeTab === 'deposits') {
+      return (
+        <Box sx={{ width: '100%' }}>
+          <Typography variant="h4" gutterBottom>
+            Wallet Top-Up Requests
+          </Typography>
+          <DepositRequestsManager />
+        </Box>
+      );
     } else if (activeTab === 'conversations') {
       return (
         <Box sx={{ width: '100%' }}>
@@ -3027,6 +3050,11 @@ const AdminDashboard = () => {
               Shop settings will appear here
             </Typography>
           </SectionCard>
+          <OrderSlaSettings />
+          <ProfitMarginSettings />
+          <WithdrawalPolicySettings />
+          <EarningsReleaseSettings />
+          <OrderSearchBackfillPanel />
         </Box>
       );
     } else if (activeTab === 'refunds') {
@@ -3035,11 +3063,7 @@ const AdminDashboard = () => {
           <Typography variant="h4" gutterBottom>
             Received Refund Requests
           </Typography>
-          <SectionCard title="All Refund Requests">
-            <Typography color="textSecondary">
-              Refund request features will appear here
-            </Typography>
-          </SectionCard>
+          <RefundRequestsManager />
         </Box>
       );
     } else if (activeTab === 'sellersProducts') {
@@ -3050,6 +3074,34 @@ const AdminDashboard = () => {
       return renderSellerProfilesContent();
     } else if (activeTab === 'addMoney') {
       return <AddMoneyForm />;
+    } else if (activeTab === 'reconciliation') {
+      return (
+        <Box sx={{ width: '100%' }}>
+          <Typography variant="h4" gutterBottom>
+            Wallet Reconciliation
+          </Typography>
+          <WalletReconciliationReport />
+          <MoneyMigrationPanel />
+        </Box>
+      );
+    } else if (activeTab === 'categories') {
+      return (
+        <Box sx={{ width: '100%' }}>
+          <Typography variant="h4" gutterBottom>
+            Categories
+          </Typography>
+          <CategoryManager categories={categories} products={products} onChange={fetchCategories} />
+        </Box>
+      );
+    } else if (activeTab === 'statements') {
+      return (
+        <Box sx={{ width: '100%' }}>
+          <Typography variant="h4" gutterBottom>
+            Seller Statements
+          </Typography>
+          <SellerStatements />
+        </Box>
+      );
     } else if (activeTab === 'adminProfile') {
       return (
         <Box sx={{ p: 3 }}>
@@ -3497,7 +3549,7 @@ const AdminDashboard = () => {
       // If no seller is selected, don't show any products
       if (selectedSellerEmail === '') return false;
 
-      return true;
+      return isProductInCategory(product, categories, productCategoryFilter);
     });
 
     // Calculate pagination based on filtered products
@@ -3528,6 +3580,11 @@ const AdminDashboard = () => {
       setSellersProductsPage(0); // Reset to first page when selecting a new seller
     };
 
+    // Status changes the admin may apply to the order opened in the status menu
+    // (refund requests are only approved or rejected under Received Refund Requests)
+    const menuStatusOptions = ['on-the-way', 'completed', 'cancelled']
+      .filter((status) => getStatusUpdateOptions(selectedOrder?.status, 'admin').includes(status));
+
     // Add this function to handle opening the assign product modal
     const handleOpenAssignProductModal = (product) => {
       setProductToAssign(product);
@@ -3594,6 +3651,18 @@ const AdminDashboard = () => {
                 ) : null
               }}
             />
+            <CategorySelect
+              size="small"
+              label="Category"
+              categories={categories}
+              value={productCategoryFilter}
+              onChange={(value) => {
+                setProductCategoryFilter(value);
+                setSellersProductsPage(0);
+              }}
+              allLabel="All categories"
+              sx={{ minWidth: 220 }}
+            />
             <Button 
               startIcon={<RefreshIcon />} 
               onClick={handleForceRefresh}
@@ -3676,6 +3745,7 @@ const AdminDashboard = () => {
                               color="primary"
                               size="small"
                               onClick={() => handleAddToCart(product)}
+                              disabled={isOutOfStock(product)}
                               sx={{ fontSize: '0.7rem', py: 0.5, minWidth: '60px' }}
                             >
                               <AddShoppingCartIcon fontSize="small" sx={{ mr: 0.5, fontSize: '1rem' }} />
@@ -3810,16 +3880,11 @@ const AdminDashboard = () => {
                           <TableCell>{formatDate(order.createdAt)}</TableCell>
                           <TableCell>{order.sellerInfo?.email || 'Unknown Seller'}</TableCell>
                           <TableCell>${Number(order.totalAmount || 0).toFixed(2)}</TableCell>
-                          <TableCell>${Number(order.totalAmount*23/100 || 0).toFixed(2)}</TableCell>
+                          <TableCell>${getOrderProfit(order, profitMargins, sellers.find(s => s.id === order.sellerId)?.tier).toFixed(2)}</TableCell>
                           <TableCell>
                             <Chip 
-                              label={order.status} 
-                              color={
-                                order.status === 'completed' ? 'success' :
-                                order.status === 'processing' ? 'info' :
-                                order.status === 'on-the-way' ? 'warning' :
-                                order.status === 'cancelled' ? 'error' : 'default'
-                              }
+                              label={getOrderStatusLabel(order.status)} 
+                              color={getOrderStatusColor(order.status)}
                               size="small"
                             />
                           </TableCell>
@@ -3877,95 +3942,152 @@ const AdminDashboard = () => {
             'aria-labelledby': 'status-update-button',
           }}
         >
-          <MenuItem onClick={() => {
-            handleUpdateOrderStatus(selectedOrder?.id, 'on-the-way');
-            setAnchorEl(null);
-          }}>
-            <Chip 
-              label="On the way" 
-              color="warning"
-              size="small"
-              sx={{ minWidth: 80 }}
-            />
-          </MenuItem>
-          <MenuItem onClick={() => {
-            handleUpdateOrderStatus(selectedOrder?.id, 'completed');
-            setAnchorEl(null);
-          }}>
-            <Chip 
-              label="Completed" 
-              color="success"
-              size="small"
-              sx={{ minWidth: 80 }}
-            />
-          </MenuItem>
-          <MenuItem onClick={() => {
-            handleUpdateOrderStatus(selectedOrder?.id, 'cancelled');
-            setAnchorEl(null);
-          }}>
-            <Chip 
-              label="Cancelled" 
-              color="error"
-              size="small"
-              sx={{ minWidth: 80 }}
-            />
-          </MenuItem>
+          {menuStatusOptions.map((status) => (
+            <MenuItem
+              key={status}
+              onClick={() => {
+                handleUpdateOrderStatus(selectedOrder?.id, status);
+                setAnchorEl(null);
+              }}
+            >
+              <Chip 
+                label={getOrderStatusLabel(status)} 
+                color={getOrderStatusColor(status)}
+                size="small"
+                sx={{ minWidth: 80 }}
+              />
+            </MenuItem>
+          ))}
+          {menuStatusOptions.length === 0 && (
+            <MenuItem disabled>
+              <Typography variant="body2">No status changes allowed</Typography>
+            </MenuItem>
+          )}
         </Menu>
       </Box>
     );
   };
 
+  const toggleOrderSelection = (orderId) => {
+    setSelectedOrderIds(prev =>
+      prev.includes(orderId) ? prev.filter(id => id !== orderId) : [...prev, orderId]
+    );
+  };
+
   const renderOrdersContent = () => {
+    const pageOrders = filteredOrders.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage);
+    const allPageSelected = pageOrders.length > 0 && pageOrders.every(order => selectedOrderIds.includes(order.id));
+    const somePageSelected = pageOrders.some(order => selectedOrderIds.includes(order.id));
+
     return (
         <Box sx={{ p: 3, width: '100%', px: { xs: 0, sm: 3, md: 4 } }}>
         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, px: { xs: 0, sm: 3, md: 4 } }}>
           <Typography variant="h4" gutterBottom>
               Orders Management
           </Typography>
-          <Button
-            variant="outlined"
-            startIcon={<RefreshIcon />}
-            onClick={() => {
-              setLoading(true);
-              fetchOrders().finally(() => setLoading(false));
-            }}
-          >
-            Refresh Orders
-          </Button>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+            <FormControl size="small" sx={{ minWidth: 220 }}>
+              <InputLabel>Assignment Strategy</InputLabel>
+              <Select
+                value={assignmentStrategy}
+                onChange={(e) => setAssignmentStrategy(e.target.value)}
+                label="Assignment Strategy"
+              >
+                {Object.values(ASSIGNMENT_STRATEGIES).map((strategy) => (
+                  <MenuItem key={strategy} value={strategy}>
+                    {ASSIGNMENT_STRATEGY_LABELS[strategy]}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Button
+              variant="contained"
+              startIcon={autoAssigning ? <CircularProgress size={20} /> : <AssignmentIndIcon />}
+              onClick={handleAutoAssignPending}
+              disabled={autoAssigning}
+            >
+              Auto-assign Pending
+            </Button>
+            <Button
+              variant="outlined"
+              startIcon={<RefreshIcon />}
+              onClick={() => {
+                setLoading(true);
+                fetchOrders().finally(() => setLoading(false));
+              }}
+            >
+              Refresh Orders
+            </Button>
+          </Box>
         </Box>
         
-        <Box sx={{ mb: 2 }}>
-          <TextField
-            fullWidth
-            variant="outlined"
-            label="Search by customer email"
-            value={orderEmailSearch}
-            onChange={(e) => setOrderEmailSearch(e.target.value)}
-            InputProps={{
-              startAdornment: (
-                <SearchIcon sx={{ color: 'action.active', mr: 1 }} />
-              ),
-              endAdornment: orderEmailSearch ? (
-                <IconButton size="small" onClick={() => setOrderEmailSearch('')}>
-                  <CloseIcon />
-                </IconButton>
-              ) : null
+        <OrderFilters
+          filters={orderFilters}
+          onApply={(filters) => setSearchParams(applyOrderFiltersToParams(searchParams, filters))}
+          sellers={sellers}
+          showSellerFilter
+        />
+
+        {orderSearchLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+          <Checkbox
+            checked={allPageSelected}
+            indeterminate={somePageSelected && !allPageSelected}
+            onChange={() => {
+              const pageIds = pageOrders.map(order => order.id);
+              setSelectedOrderIds(prev => allPageSelected
+                ? prev.filter(id => !pageIds.includes(id))
+                : Array.from(new Set([...prev, ...pageIds])));
             }}
-            size="small"
           />
+          <Typography variant="body2" color="text.secondary">
+            Select all on this page
+          </Typography>
         </Box>
+
+        <BulkOrderActionsBar
+          selectedOrderIds={selectedOrderIds}
+          sellers={sellers}
+          onClearSelection={() => setSelectedOrderIds([])}
+          onCompleted={() => {
+            setSelectedOrderIds([]);
+            fetchOrders();
+          }}
+        />
         
         <Grid container spacing={2}>
-          {filteredOrders
-            .slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage)
+          {pageOrders
             .map((order) => (
               <Grid item xs={12} key={order.id}>
-                <Paper sx={{ p: 2, mb: 2 }}>
+                <Paper sx={{ p: 2, mb: 2, display: 'flex', alignItems: 'flex-start', gap: 1 }}>
+                  <Checkbox
+                    checked={selectedOrderIds.includes(order.id)}
+                    onChange={() => toggleOrderSelection(order.id)}
+                    sx={{ mt: -0.5 }}
+                  />
                   <Grid container spacing={1}>
                     {/* Order Information displayed vertically */}
                     <Grid item xs={12} sm={4} md={3} lg={2}>
                       <Typography variant="subtitle2" color="text.secondary">Order ID</Typography>
                       <Typography variant="body2">{order.orderNumber || order.id.substring(0, 8)}</Typography>
+                      {order.slaBreach && (
+                        <Tooltip title={`Deadline was ${new Date(order.slaBreach.deadline).toLocaleString()}`}>
+                          <Chip
+                            label={order.slaBreach.stage === 'pick' ? 'Pick overdue' : 'Ship overdue'}
+                            color="error"
+                            size="small"
+                            sx={{ mt: 0.5 }}
+                          />
+                        </Tooltip>
+                      )}
+                      {order.parentOrderId && (
+                        <Tooltip title={`Split from order ${order.parentOrderId.substring(0, 8)}`}>
+                          <Typography variant="caption" color="text.secondary">
+                            Package {order.subOrderIndex} of {order.subOrderCount}
+                          </Typography>
+                        </Tooltip>
+                      )}
                     </Grid>
                     
                     <Grid item xs={12} sm={4} md={3} lg={2}>
@@ -4017,14 +4139,8 @@ const AdminDashboard = () => {
                     <Grid item xs={12} sm={4} md={3} lg={2}>
                       <Typography variant="subtitle2" color="text.secondary">Status</Typography>
                       <Chip
-                        label={order.status}
-                        color={
-                          order.status === 'completed' ? 'success' :
-                          order.status === 'processing' ? 'info' :
-                          order.status === 'assigned' ? 'primary' :
-                          order.status === 'on-the-way' ? 'warning' :
-                          order.status === 'cancelled' ? 'error' : 'default'
-                        }
+                        label={getOrderStatusLabel(order.status)}
+                        color={getOrderStatusColor(order.status)}
                         size="small"
                       />
                     </Grid>
@@ -4032,7 +4148,7 @@ const AdminDashboard = () => {
                     <Grid item xs={12} sm={4} md={3} lg={2}>
                       <Typography variant="subtitle2" color="text.secondary">Assigned To</Typography>
                       {order.sellerId ? (
-                        <Tooltip title="View seller details">
+                        <Tooltip title={[...(order.statusHistory || [])].reverse().find(entry => entry.assignmentReason)?.assignmentReason || "View seller details"}>
                           <Chip 
                             label={sellers.find(s => s.id === order.sellerId)?.email || 'Unknown Seller'} 
                             size="small" 
@@ -4076,7 +4192,7 @@ const AdminDashboard = () => {
                           </IconButton>
                         </Tooltip>
 
-                        {order.status !== 'cancelled' && (
+                        {canTransition(order.status, 'assigned', 'admin') && (
                           <Tooltip title={order.sellerId ? "Reassign Order" : "Assign to Seller"}>
                             <IconButton 
                               size="small" 
@@ -4307,44 +4423,29 @@ const AdminDashboard = () => {
       
       setLoading(true);
       try {
-        const sellerDocRef = doc(db, 'sellers', selectedSeller);
-        const sellerDoc = await getDoc(sellerDocRef);
-        
-        if (!sellerDoc.exists()) {
-          alert('Seller not found.');
-          setLoading(false);
-          return;
-        }
-        
-        const sellerData = sellerDoc.data();
-        const currentBalance = sellerData.walletBalance || 0;
-        const currentRevenue = sellerData.totalRevenue || 0;
-        const amountToAdd = parseFloat(amount);
-        
-        // Calculate new values
-        const newBalance = currentBalance + amountToAdd;
-        const newRevenue = currentRevenue + amountToAdd;
-
-        // Update both wallet balance and revenue
-        await updateDoc(sellerDocRef, {
-          walletBalance: newBalance,
-          totalRevenue: newRevenue,
-          lastUpdated: serverTimestamp()
-        });
+        const amountToAdd = roundMoney(amount);
+        let newRevenue = 0;
 
-        // Add transaction record
-        await addDoc(collection(db, 'transactions'), {
-          sellerId: selectedSeller,
-          amount: amountToAdd,
-          type: 'admin_deposit',
-          affectsRevenue: true,
-          timestamp: serverTimestamp(),
-          previousBalance: currentBalance,
-          newBalance: newBalance,
-          previousRevenue: currentRevenue,
-          newRevenue: newRevenue,
-          note: 'Manual deposit by admin'
+        // Credit the wallet from platform funding and keep the seller's revenue in step
+        const deposit = await recordSellerMovement(selectedSeller, (sellerData) => {
+          const currentRevenue = readMoney(sellerData, 'totalRevenue');
+          newRevenue = addMoney(currentRevenue, amountToAdd);
+          return {
+            type: 'admin_deposit',
+            lines: [
+              { account: LEDGER_ACCOUNTS.WALLET, amount: amountToAdd },
+              { account: LEDGER_ACCOUNTS.FUNDING, amount: -amountToAdd }
+            ],
+            description: 'Manual deposit by admin',
+            processedBy: auth.currentUser?.email || 'admin',
+            sellerUpdates: moneyFields({ totalRevenue: newRevenue }),
+            transactionFields: {
+              affectsRevenue: true,
+              ...moneyFields({ previousRevenue: currentRevenue, newRevenue })
+            }
+          };
         });
+        const newBalance = deposit.walletBalanceAfter;
 
         // Refresh stats to update revenue display
         fetchStats();
@@ -4452,6 +4553,18 @@ const AdminDashboard = () => {
         <ListItem button onClick={() => setActiveTab('addMoney')}>
           <ListItemText primary="Add Money" />
         </ListItem>
+        <ListItem button onClick={() => setActiveTab('reconciliation')}>
+          <ListItemText primary="Wallet Reconciliation" />
+        </ListItem>
+        <ListItem button onClick={() => setActiveTab('deposits')}>
+          <ListItemText primary="Top-Up Requests" />
+        </ListItem>
+        <ListItem button onClick={() => setActiveTab('statements')}>
+          <ListItemText primary="Seller Statements" />
+        </ListItem>
+        <ListItem button onClick={() => setActiveTab('categories')}>
+          <ListItemText primary="Categories" />
+        </ListItem>
       </List>
     </Box>
   );
@@ -4506,21 +4619,16 @@ const AdminDashboard = () => {
       // Get the current timestamp
       const now = new Date();
       
-      // Update the order
-      const orderRef = doc(db, 'orders', orderToAssign.id);
-      
       if (isUnassigning) {
         // Unassign the order
-        await updateDoc(orderRef, {
-          sellerId: null,
-          assignedAt: null,
-          assignedBy: null,
-          status: 'pending',
-          statusHistory: arrayUnion({
-            status: 'unassigned',
-            timestamp: now.toISOString(),
-            note: 'Unassigned by admin'
-          })
+        await transitionOrderStatus(orderToAssign.id, 'pending', {
+          role: 'admin',
+          note: 'Unassigned by admin',
+          updates: {
+            sellerId: null,
+            assignedAt: null,
+            assignedBy: null
+          }
         });
 
         // Remove order from previous seller's orders list
@@ -4536,16 +4644,14 @@ const AdminDashboard = () => {
         }
       } else {
         // Assign the order to new seller
-        await updateDoc(orderRef, {
-          sellerId: selectedSellerId,
-          assignedAt: now,
-          assignedBy: 'admin',
-          status: 'assigned',
-          statusHistory: arrayUnion({
-            status: 'assigned',
-            timestamp: now.toISOString(),
-            note: `Manually ${orderToAssign.sellerId ? 're-assigned' : 'assigned'} to seller by admin`
-          })
+        await transitionOrderStatus(orderToAssign.id, 'assigned', {
+          role: 'admin',
+          note: `Manually ${orderToAssign.sellerId ? 're-assigned' : 'assigned'} to seller by admin`,
+          updates: {
+            sellerId: selectedSellerId,
+            assignedAt: now,
+            assignedBy: 'admin'
+          }
         });
 
         // If there was a previous seller, remove the order from their list
@@ -4583,12 +4689,78 @@ const AdminDashboard = () => {
       handleCloseAssignModal();
     } catch (error) {
       console.error('Error managing order assignment:', error);
-      alert('Failed to manage order assignment. Please try again.');
+      alert('Failed to manage order assignment: ' + error.message);
+    } finally {
+      setAssignLoading(false);
+    }
+  };
+
+  // Assign the selected order with the current strategy instead of picking a seller by hand
+  const handleAutoAssignOrder = async () => {
+    if (!orderToAssign) return;
+
+    setAssignLoading(true);
+    try {
+      const { sellerId, reason } = await autoAssignOrder(orderToAssign.id, assignmentStrategy);
+      const seller = availableSellers.find(s => s.id === sellerId);
+
+      await fetchOrders();
+
+      alert(`Order assigned to ${seller?.name || seller?.email || sellerId}.\n\n${reason}`);
+      handleCloseAssignModal();
+    } catch (error) {
+      console.error('Error auto-assigning order:', error);
+      alert('Failed to auto-assign order: ' + error.message);
     } finally {
       setAssignLoading(false);
     }
   };
 
+  // Run the assignment engine over every pending order without a seller
+  const handleAutoAssignPending = async () => {
+    const pendingOrderIds = orders
+      .filter(order => (order.status || 'pending') === 'pending' && !order.sellerId)
+      .map(order => order.id);
+
+    if (pendingOrderIds.length === 0) {
+      setSnackbar({
+        open: true,
+        message: 'There are no pending orders to assign',
+        severity: 'info'
+      });
+      return;
+    }
+
+    if (!window.confirm(`Auto-assign ${pendingOrderIds.length} pending order(s) using "${ASSIGNMENT_STRATEGY_LABELS[assignmentStrategy]}"?`)) {
+      return;
+    }
+
+    setAutoAssigning(true);
+    try {
+      const results = await autoAssignOrders(pendingOrderIds, assignmentStrategy);
+      const failed = results.filter(result => result.error);
+
+      await fetchOrders();
+
+      setSnackbar({
+        open: true,
+        message: failed.length === 0
+          ? `Assigned ${results.length} order(s)`
+          : `Assigned ${results.length - failed.length} of ${results.length} order(s). Not assigned: ${failed[0].error}`,
+        severity: failed.length === 0 ? 'success' : 'warning'
+      });
+    } catch (error) {
+      console.error('Error auto-assigning orders:', error);
+      setSnackbar({
+        open: true,
+        message: 'Failed to auto-assign orders: ' + error.message,
+        severity: 'error'
+      });
+    } finally {
+      setAutoAssigning(false);
+    }
+  };
+
   // Update the AssignOrderModal component
   const AssignOrderModal = ({ open, order, onClose, onAssign }) => {
     if (!order) return null;
@@ -4619,6 +4791,17 @@ const AdminDashboard = () => {
         </DialogContent>
         <DialogActions>
           <Button onClick={onClose}>Cancel</Button>
+          <Tooltip title={`Let the engine choose: ${ASSIGNMENT_STRATEGY_LABELS[assignmentStrategy]}`}>
+            <span>
+              <Button
+                onClick={handleAutoAssignOrder}
+                variant="outlined"
+                disabled={assignLoading}
+              >
+                Auto-assign
+              </Button>
+            </span>
+          </Tooltip>
           <Button
             onClick={handleAssignOrder}
             variant="contained"
@@ -4844,6 +5027,8 @@ const AdminDashboard = () => {
       const addressInput = form.querySelector('textarea[name="address"]');
       const passwordInput = form.querySelector('input[name="password"]');
       const countryInput = form.querySelector('input[name="country"]');
+      // MUI selects keep their value in a hidden input
+      const tierInput = form.querySelector('input[name="tier"]');
       
       console.log('Password input found:', passwordInput);
       console.log('Password value:', passwordInput?.value);
@@ -4855,6 +5040,7 @@ const AdminDashboard = () => {
         status: statusSelect?.value || selectedSeller.status,
         address: addressInput?.value || selectedSeller.address,
         country: countryInput?.value || selectedSeller.country,
+        tier: tierInput?.value || selectedSeller.tier || DEFAULT_SELLER_TIER,
         updatedAt: serverTimestamp()
       };
 
@@ -4934,24 +5120,41 @@ const AdminDashboard = () => {
   // Display seller details in the UI
   const [toogle, setToogle] = useState(false)
 
-  // Add this effect to filter orders by email
+  // Run the order search from the URL filters; without filters show the loaded orders
   useEffect(() => {
-    if (orders.length > 0) {
-      if (orderEmailSearch.trim() === '') {
-        setFilteredOrders(orders);
-      } else {
-        const filtered = orders.filter(order => 
-          order.customerEmail && 
-          order.customerEmail.toLowerCase().includes(orderEmailSearch.toLowerCase())
-        );
-        setFilteredOrders(filtered);
-      }
-      // Reset pagination to first page when filter changes
-      setPage(0);
-    } else {
-      setFilteredOrders([]);
+    // Reset pagination to first page when filter changes
+    setPage(0);
+
+    if (!hasActiveOrderFilters(orderFilters)) {
+      setFilteredOrders(orders);
+      return;
     }
-  }, [orders, orderEmailSearch]);
+
+    let cancelled = false;
+    setOrderSearchLoading(true);
+    searchOrders(orderFilters)
+      .then((results) => {
+        if (!cancelled) setFilteredOrders(results);
+      })
+      .catch((error) => {
+        console.error('Error searching orders:', error);
+        if (cancelled) return;
+        setSnackbar({
+          open: true,
+          message: error.code === 'failed-precondition'
+            ? 'This filter combination needs a Firestore index. Open the link in the console to create it.'
+            : 'Error searching orders: ' + error.message,
+          severity: 'error'
+        });
+      })
+      .finally(() => {
+        if (!cancelled) setOrderSearchLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [orders, orderFilters]);
 
   // State variables for product assignment
   const [isAssignProductModalOpen, setIsAssignProductModalOpen] = useState(false);
@@ -4992,8 +5195,8 @@ const AdminDashboard = () => {
   };
 
   // Additional cart related functions
-  const handleRemoveFromCart = (productId) => {
-    const updatedCart = adminCart.filter(item => item.id !== productId);
+  const handleRemoveFromCart = (itemKey) => {
+    const updatedCart = adminCart.filter(item => getCartItemKey(item) !== itemKey);
     setAdminCart(updatedCart);
     
     setSnackbar({
@@ -5003,11 +5206,11 @@ const AdminDashboard = () => {
     });
   };
 
-  const handleUpdateCartQuantity = (productId, newQuantity) => {
+  const handleUpdateCartQuantity = (itemKey, newQuantity) => {
     if (newQuantity < 1) return;
     
     const updatedCart = adminCart.map(item => 
-      item.id === productId ? { ...item, quantity: newQuantity } : item
+      getCartItemKey(item) === itemKey ? { ...item, quantity: newQuantity } : item
     );
     
     setAdminCart(updatedCart);
@@ -5031,7 +5234,7 @@ const AdminDashboard = () => {
   };
 
   const getTotalCartPrice = () => {
-    return adminCart.reduce((total, item) => total + (item.price * item.quantity), 0);
+    return sumLineItems(adminCart);
   };
 
   // Function to create orders from cart items and assign to sellers
@@ -5072,7 +5275,13 @@ const AdminDashboard = () => {
           name: item.name,
           price: item.price,
           quantity: item.quantity,
-          imageUrl: item.imageUrl
+          imageUrl: item.imageUrl,
+          ...(item.variantId ? {
+            variantId: item.variantId,
+            variantOptions: item.variantOptions,
+            variantLabel: item.variantLabel,
+            sku: item.sku
+          } : {})
         });
       });
       
@@ -5082,8 +5291,7 @@ const AdminDashboard = () => {
         const orderItems = sellerData.items;
         
         // Calculate total amount
-        const totalAmount = orderItems.reduce((total, item) => 
-          total + (item.price * item.quantity), 0);
+        const totalAmount = sumLineItems(orderItems);
         
         // Generate order number
         const orderNumber = `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
@@ -5101,8 +5309,11 @@ const AdminDashboard = () => {
             name: 'Admin Order',
             email: adminProfile.email || 'admin@example.com',
           },
-          items: orderItems,
-          totalAmount: totalAmount,
+          // The fields order search filters on, in the shape checkout writes them
+          customerName: 'Admin Order',
+          customerEmail: (adminProfile.email || 'admin@example.com').toLowerCase(),
+          items: orderItems.map(withPriceCents),
+          ...moneyFields({ subtotal: totalAmount, total: totalAmount, totalAmount }),
           status: 'pending',
           statusHistory: [
             {
@@ -5112,14 +5323,14 @@ const AdminDashboard = () => {
               note: 'Order created by admin'
             }
           ],
-          createdAt: serverTimestamp(),
+          createdAt: new Date().toISOString(),
           updatedAt: serverTimestamp(),
           source: 'admin',
           notes: 'Order created and assigned by admin'
         };
         
-        // Add to Firestore
-        const orderRef = await addDoc(collection(db, 'orders'), orderData);
+        // Add to Firestore, taking the items out of stock in the same transaction
+        const orderRef = await createStockedOrder(orderData);
         
         // Also update the seller's orders collection for quick access
         await updateDoc(doc(db, 'sellers', sellerId), {
@@ -5159,7 +5370,9 @@ const AdminDashboard = () => {
       console.error('Error creating orders:', error);
       setSnackbar({
         open: true,
-        message: 'Failed to create orders. Please try again.',
+        message: error.code === INVENTORY_ERRORS.OUT_OF_STOCK
+          ? `Failed to create orders: ${error.message}`
+          : 'Failed to create orders. Please try again.',
         severity: 'error'
       });
     } finally {
@@ -5330,6 +5543,23 @@ const AdminDashboard = () => {
                 <ListItemText primary="Product Storehouse" />
               </ListItemButton>
 
+              <ListItemButton 
+                selected={activeTab === 'categories'} 
+                onClick={() => handleTabChange('categories')}
+                sx={{ 
+                  '&.Mui-selected': { backgroundColor: '#edf3fd', color: '#3b82f6' },
+                  '&.Mui-selected:hover': { backgroundColor: '#e5effd' },
+                  borderRadius: '4px',
+                  mx: 1,
+                  mb: 0.5,
+                }}
+              >
+                <ListItemIcon>
+                  <CategoryIcon color={activeTab === 'categories' ? 'primary' : 'inherit'} />
+                </ListItemIcon>
+                <ListItemText primary="Categories" />
+              </ListItemButton>
+
               <ListItemButton 
                 selected={activeTab === 'orders'} 
                 onClick={() => handleTabChange('orders')}
@@ -5428,6 +5658,23 @@ const AdminDashboard = () => {
                 <ListItemText primary="Money Withdraw" />
               </ListItemButton>
 
+              <ListItemButton 
+                selected={activeTab === 'deposits'} 
+                onClick={() => handleTabChange('deposits')}
+                sx={{ 
+                  '&.Mui-selected': { backgroundColor: '#edf3fd', color: '#3b82f6' },
+                  '&.Mui-selected:hover': { backgroundColor: '#e5effd' },
+                  borderRadius: '4px',
+                  mx: 1,
+                  mb: 0.5,
+                }}
+              >
+                <ListItemIcon>
+                  <AccountBalanceWalletIcon color={activeTab === 'deposits' ? 'primary' : 'inherit'} />
+                </ListItemIcon>
+                <ListItemText primary="Top-Up Requests" />
+              </ListItemButton>
+
               <ListItemButton 
                 selected={activeTab === 'conversations'} 
                 onClick={() => handleTabChange('conversations')}
@@ -5515,7 +5762,7 @@ const AdminDashboard = () => {
                 <ListItemText primary="Shop Setting" />
               </ListItemButton> */}
 
-              {/* <ListItemButton 
+              <ListItemButton 
                 selected={activeTab === 'refunds'} 
                 onClick={() => handleTabChange('refunds')}
                 sx={{ 
@@ -5530,7 +5777,7 @@ const AdminDashboard = () => {
                   <RefundIcon color={activeTab === 'refunds' ? 'primary' : 'inherit'} />
                 </ListItemIcon>
                 <ListItemText primary="Received Refund Request" />
-              </ListItemButton> */}
+              </ListItemButton>
 {/* 
               <ListItemButton 
                 selected={activeTab === 'sellerProfiles'} 
@@ -5575,6 +5822,12 @@ const AdminDashboard = () => {
               <ListItem button onClick={() => setActiveTab('addMoney')}>
                 <ListItemText primary="Add Money" />
               </ListItem>
+              <ListItem button onClick={() => setActiveTab('reconciliation')}>
+                <ListItemText primary="Wallet Reconciliation" />
+              </ListItem>
+              <ListItem button onClick={() => setActiveTab('statements')}>
+                <ListItemText primary="Seller Statements" />
+              </ListItem>
             </List>
           </Box>
         </Drawer>
@@ -5618,6 +5871,7 @@ const AdminDashboard = () => {
         }}
         product={editingProduct}
         onSave={handleProductEdit}
+        categories={categories}
       />
 
       {/* Seller Details Modal */}
@@ -5983,6 +6237,20 @@ const AdminDashboard = () => {
                       <MenuItem value="Suspended">Suspended</MenuItem>
                     </Select>
                   </FormControl>
+                  <FormControl fullWidth margin="normal">
+                    <InputLabel>Tier</InputLabel>
+                    <Select
+                      name="tier"
+                      label="Tier"
+                      defaultValue={selectedSeller.tier || DEFAULT_SELLER_TIER}
+                    >
+                      {SELLER_TIERS.map((tier) => (
+                        <MenuItem key={tier} value={tier} sx={{ textTransform: 'capitalize' }}>
+                          {tier}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
                 </Grid>
                 <Grid item xs={12}>
                   <TextField
@@ -6012,6 +6280,38 @@ const AdminDashboard = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Variant choice for products sold in sizes, colors or materials */}
+      <Dialog open={Boolean(variantPicker)} onClose={() => setVariantPicker(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{variantPicker?.product.name}</DialogTitle>
+        <DialogContent>
+          {variantPicker && (
+            <>
+              <VariantSelector
+                product={variantPicker.product}
+                selection={variantPicker.selection}
+                onChange={(selection) => setVariantPicker(prev => ({ ...prev, selection }))}
+              />
+              {findVariant(variantPicker.product, variantPicker.selection) && (
+                <Typography variant="body2" color="text.secondary">
+                  ${Number(findVariant(variantPicker.product, variantPicker.selection).price || 0).toFixed(2)}
+                  {' · '}{findVariant(variantPicker.product, variantPicker.selection).stock} in stock
+                </Typography>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setVariantPicker(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            disabled={!variantPicker || !findVariant(variantPicker.product, variantPicker.selection)}
+            onClick={() => handleAddToCart(variantPicker.product, findVariant(variantPicker.product, variantPicker.selection))}
+          >
+            Add to Cart
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Cart Sidebar */}
       <Drawer
         anchor="right"
@@ -6056,9 +6356,9 @@ const AdminDashboard = () => {
             <List sx={{ mb: 2, maxHeight: 'calc(100vh - 250px)', overflowY: 'auto' }}>
               {adminCart.map((item) => (
                 <ListItem 
-                  key={item.id}
+                  key={getCartItemKey(item)}
                   secondaryAction={
-                    <IconButton edge="end" onClick={() => handleRemoveFromCart(item.id)} color="error">
+                    <IconButton edge="end" onClick={() => handleRemoveFromCart(getCartItemKey(item))} color="error">
                       <DeleteIcon />
                     </IconButton>
                   }
@@ -6088,6 +6388,11 @@ const AdminDashboard = () => {
                     />
                     <Box sx={{ flexGrow: 1 }}>
                       <Typography variant="subtitle2" noWrap>{item.name}</Typography>
+                      {item.variantLabel && (
+                        <Typography variant="body2" color="text.secondary" noWrap>
+                          {item.variantLabel}
+                        </Typography>
+                      )}
                       <Typography variant="body2" color="text.secondary" noWrap>
                         {item.seller ? `Seller: ${item.seller.shopName || item.seller.email || 'Unknown'}` : 'Unknown Seller'}
                       </Typography>
@@ -6097,7 +6402,7 @@ const AdminDashboard = () => {
                       <Box sx={{ display: 'flex', alignItems: 'center', mt: 1 }}>
                         <IconButton 
                           size="small" 
-                          onClick={() => handleUpdateCartQuantity(item.id, Math.max(1, item.quantity - 1))}
+                          onClick={() => handleUpdateCartQuantity(getCartItemKey(item), Math.max(1, item.quantity - 1))}
                         >
                           <RemoveIcon fontSize="small" />
                         </IconButton>
@@ -6106,7 +6411,7 @@ const AdminDashboard = () => {
                         </Typography>
                         <IconButton 
                           size="small" 
-                          onClick={() => handleUpdateCartQuantity(item.id, item.quantity + 1)}
+                          onClick={() => handleUpdateCartQuantity(getCartItemKey(item), item.quantity + 1)}
                         >
                           <AddIcon fontSize="small" />
                         </IconButton>
@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  CircularProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Chip,
+  Alert
+} from '@mui/material';
+import {
+  AssignmentInd as AssignmentIndIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Close as CloseIcon
+} from '@mui/icons-material';
+import { ORDER_STATUS, getAllowedTransitions, getOrderStatusLabel } from '../utils/orderLifecycle';
+import {
+  BULK_STATUS_EXCLUDED,
+  bulkAssignOrders,
+  bulkUpdateOrderStatus,
+  bulkDeleteOrders
+} from '../utils/bulkOrders';
+
+// Every status an admin can move some order to, minus the ones that need the single-order flow
+const BULK_STATUS_OPTIONS = Array.from(
+  new Set(Object.values(ORDER_STATUS).flatMap((status) => getAllowedTransitions(status, 'admin')))
+).filter((status) => !BULK_STATUS_EXCLUDED.includes(status));
+
+const BulkOrderActionsBar = ({ selectedOrderIds, sellers, onClearSelection, onCompleted }) => {
+  const [action, setAction] = useState(null);
+  const [sellerId, setSellerId] = useState('');
+  const [nextStatus, setNextStatus] = useState('');
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState('');
+
+  if (selectedOrderIds.length === 0 && !results) return null;
+
+  const openAction = (nextAction) => {
+    setAction(nextAction);
+    setSellerId('');
+    setNextStatus('');
+    setError('');
+  };
+
+  const handleRun = async () => {
+    setRunning(true);
+    setError('');
+    try {
+      let bulkResults;
+      if (action === 'assign') {
+        bulkResults = await bulkAssignOrders(selectedOrderIds, sellerId);
+      } else if (action === 'status') {
+        bulkResults = await bulkUpdateOrderStatus(selectedOrderIds, nextStatus);
+      } else {
+        bulkResults = await bulkDeleteOrders(selectedOrderIds);
+      }
+
+      setAction(null);
+      setResults(bulkResults);
+      onCompleted();
+    } catch (err) {
+      console.error('Bulk order operation failed:', err);
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const activeSellers = sellers.filter((seller) => (seller.status || '').toLowerCase() === 'active');
+  const succeeded = results ? results.filter((result) => result.success).length : 0;
+
+  return (
+    <>
+      {selectedOrderIds.length > 0 && (
+        <Paper
+          elevation={2}
+          sx={{ p: 1.5, mb: 2, display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}
+        >
+          <Typography variant="subtitle2" sx={{ mr: 1 }}>
+            {selectedOrderIds.length} selected
+          </Typography>
+          <Button size="small" variant="contained" startIcon={<AssignmentIndIcon />} onClick={() => openAction('assign')}>
+            Assign
+          </Button>
+          <Button size="small" variant="contained" color="info" startIcon={<EditIcon />} onClick={() => openAction('status')}>
+            Change Status
+          </Button>
+          <Button size="small" variant="contained" color="error" startIcon={<DeleteIcon />} onClick={() => openAction('delete')}>
+            Delete
+          </Button>
+          <Box sx={{ flexGrow: 1 }} />
+          <Button size="small" startIcon={<CloseIcon />} onClick={onClearSelection}>
+            Clear Selection
+          </Button>
+        </Paper>
+      )}
+
+      <Dialog open={!!action} onClose={() => !running && setAction(null)} fullWidth maxWidth="xs">
+        <DialogTitle>
+          {action === 'assign' && `Assign ${selectedOrderIds.length} order(s)`}
+          {action === 'status' && `Change status of ${selectedOrderIds.length} order(s)`}
+          {action === 'delete' && `Delete ${selectedOrderIds.length} order(s)`}
+        </DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {action === 'assign' && (
+            <FormControl fullWidth sx={{ mt: 1 }}>
+              <InputLabel>Seller</InputLabel>
+              <Select value={sellerId} onChange={(e) => setSellerId(e.target.value)} label="Seller">
+                {activeSellers.map((seller) => (
+                  <MenuItem key={seller.id} value={seller.id}>
+                    {seller.name || seller.shopName || 'Unnamed Seller'} ({seller.email || 'No email'})
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          {action === 'status' && (
+            <FormControl fullWidth sx={{ mt: 1 }}>
+              <InputLabel>New Status</InputLabel>
+              <Select value={nextStatus} onChange={(e) => setNextStatus(e.target.value)} label="New Status">
+                {BULK_STATUS_OPTIONS.map((status) => (
+                  <MenuItem key={status} value={status}>
+                    {getOrderStatusLabel(status)}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          {action === 'delete' && (
+            <Typography variant="body2">
+              Only pending or cancelled orders that never charged a seller's wallet will be deleted.
+              Stock still held by a deleted order is put back. This cannot be undone.
+            </Typography>
+          )}
+          {action !== 'delete' && (
+            <Typography variant="caption" color="textSecondary" component="p" sx={{ mt: 2 }}>
+              Orders whose current status does not allow this change are skipped and listed in the summary.
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAction(null)} disabled={running}>Cancel</Button>
+          <Button
+            variant="contained"
+            color={action === 'delete' ? 'error' : 'primary'}
+            onClick={handleRun}
+            disabled={running || (action === 'assign' && !sellerId) || (action === 'status' && !nextStatus)}
+          >
+            {running ? <CircularProgress size={24} /> : 'Apply'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!results} onClose={() => setResults(null)} fullWidth maxWidth="sm">
+        <DialogTitle>
+          Bulk Operation Summary
+        </DialogTitle>
+        <DialogContent dividers>
+          {results && (
+            <>
+              <Alert severity={succeeded === results.length ? 'success' : 'warning'} sx={{ mb: 2 }}>
+                {succeeded} of {results.length} order(s) updated successfully
+              </Alert>
+              <TableContainer sx={{ maxHeight: 400 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Order</TableCell>
+                      <TableCell>Result</TableCell>
+                      <TableCell>Details</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {results.map((result) => (
+                      <TableRow key={result.orderId}>
+                        <TableCell>#{result.label}</TableCell>
+                        <TableCell>
+                          <Chip
+                            label={result.success ? 'Success' : 'Failed'}
+                            color={result.success ? 'success' : 'error'}
+                            size="small"
+                          />
+                        </TableCell>
+                        <TableCell>{result.error || '-'}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setResults(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default BulkOrderActionsBar;
@@ -28,7 +28,11 @@ import {
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import { auth, db } from '../firebase';
-import { doc, getDoc, updateDoc, collection, addDoc } from 'firebase/firestore';
+import { doc, getDoc, updateDoc } from 'firebase/firestore';
+import { placeOrder } from '../utils/checkout';
+import { getLineTotal, sumLineItems } from '../utils/money';
+import { getCartItemKey } from '../utils/productVariants';
+import { INVENTORY_ERRORS } from '../utils/inventory';
 
 const Cart = () => {
   const navigate = useNavigate();
@@ -95,18 +99,18 @@ const Cart = () => {
     }
   };
 
-  const handleQuantityChange = async (productId, newQuantity) => {
+  const handleQuantityChange = async (itemKey, newQuantity) => {
     if (newQuantity < 1) return;
     
     const updatedCart = cart.map(item => 
-      item.id === productId ? { ...item, quantity: newQuantity } : item
+      getCartItemKey(item) === itemKey ? { ...item, quantity: newQuantity } : item
     );
     
     await updateCartInFirestore(updatedCart);
   };
 
-  const handleRemoveItem = async (productId) => {
-    const updatedCart = cart.filter(item => item.id !== productId);
+  const handleRemoveItem = async (itemKey) => {
+    const updatedCart = cart.filter(item => getCartItemKey(item) !== itemKey);
     await updateCartInFirestore(updatedCart);
     
     setSnackbar({
@@ -121,7 +125,7 @@ const Cart = () => {
   };
 
   const calculateSubtotal = () => {
-    return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
+    return sumLineItems(cart);
   };
 
   const calculateTotal = () => {
@@ -154,38 +158,25 @@ const Cart = () => {
       
       const customerData = customerDoc.data();
       
-      // Create a new order with shipping information
-      const order = {
-        customerId: auth.currentUser.uid,
-        customerName: customerData.name || 'Customer',
-        customerEmail: auth.currentUser.email,
-        customerPhone: shippingInfo.phone,
-        items: cart,
-        subtotal: calculateSubtotal(),
-        total: calculateTotal(),
-        status: 'pending',
-        createdAt: new Date().toISOString(),
-        shippingAddress: shippingInfo.address,
-        orderDate: shippingInfo.date,
-        paymentMethod: 'Not specified'
-      };
-      
-      // Add order to Firestore
-      const ordersRef = collection(db, 'orders');
-      await addDoc(ordersRef, order);
-      
-      // Clear the cart
-      const customerRef = doc(db, 'customers', auth.currentUser.uid);
-      await updateDoc(customerRef, {
-        cart: []
-      });
+      // Create the order (one sub-order per seller) and clear the cart in one batch
+      const { orderIds } = await placeOrder(
+        {
+          id: auth.currentUser.uid,
+          name: customerData.name,
+          email: auth.currentUser.email
+        },
+        cart,
+        shippingInfo
+      );
       
       setCart([]);
       setIsShippingModalOpen(false);
       
       setSnackbar({
         open: true,
-        message: 'Order placed successfully!',
+        message: orderIds.length > 1
+          ? `Order placed successfully! It will arrive in ${orderIds.length} packages from different sellers.`
+          : 'Order placed successfully!',
         severity: 'success'
       });
       
@@ -194,7 +185,9 @@ const Cart = () => {
       console.error('Error processing checkout:', error);
       setSnackbar({
         open: true,
-        message: 'Failed to process checkout. Please try again.',
+        message: error.code === INVENTORY_ERRORS.OUT_OF_STOCK
+          ? `${error.message}. Please update your cart.`
+          : 'Failed to process checkout. Please try again.',
         severity: 'error'
       });
     } finally {
@@ -247,7 +240,7 @@ const Cart = () => {
           <Grid item xs={12} md={8}>
             <Paper elevation={3} sx={{ p: 3 }}>
               {cart.map((item) => (
-                <Box key={item.id} sx={{ mb: 3, pb: 3, borderBottom: '1px solid #eee' }}>
+                <Box key={getCartItemKey(item)} sx={{ mb: 3, pb: 3, borderBottom: '1px solid #eee' }}>
                   <Grid container spacing={2} alignItems="center">
                     <Grid item xs={12} sm={2}>
                       <Box
@@ -280,6 +273,11 @@ const Cart = () => {
                       >
                         {item.name}
                       </Typography>
+                      {item.variantLabel && (
+                        <Typography variant="body2" color="text.secondary">
+                          {item.variantLabel}{item.sku ? ` · SKU ${item.sku}` : ''}
+                        </Typography>
+                      )}
                       {item.seller && (
                         <Typography variant="body2" color="text.secondary">
                           Seller: {item.seller.shopName || 'Unknown Shop'}
@@ -290,7 +288,7 @@ const Cart = () => {
                       <Box sx={{ display: 'flex', alignItems: 'center' }}>
                         <IconButton 
                           size="small" 
-                          onClick={() => handleQuantityChange(item.id, Math.max(1, item.quantity - 1))}
+                          onClick={() => handleQuantityChange(getCartItemKey(item), Math.max(1, item.quantity - 1))}
                         >
                           <RemoveIcon fontSize="small" />
                         </IconButton>
@@ -300,7 +298,7 @@ const Cart = () => {
                           onChange={(e) => {
                             const value = parseInt(e.target.value);
                             if (!isNaN(value) && value > 0) {
-                              handleQuantityChange(item.id, value);
+                              handleQuantityChange(getCartItemKey(item), value);
                             }
                           }}
                           inputProps={{ 
@@ -311,7 +309,7 @@ const Cart = () => {
                         />
                         <IconButton 
                           size="small" 
-                          onClick={() => handleQuantityChange(item.id, item.quantity + 1)}
+                          onClick={() => handleQuantityChange(getCartItemKey(item), item.quantity + 1)}
                         >
                           <AddIcon fontSize="small" />
                         </IconButton>
@@ -319,7 +317,7 @@ const Cart = () => {
                     </Grid>
                     <Grid item xs={6} sm={2}>
                       <Typography variant="subtitle1" fontWeight="bold">
-                        ${(item.price * item.quantity).toFixed(2)}
+                        ${getLineTotal(item).toFixed(2)}
                       </Typography>
                       <Typography variant="body2" color="text.secondary">
                         ${item.price} each
@@ -328,7 +326,7 @@ const Cart = () => {
                     <Grid item xs={6} sm={1}>
                       <IconButton 
                         color="error" 
-                        onClick={() => handleRemoveItem(item.id)}
+                        onClick={() => handleRemoveItem(getCartItemKey(item))}
                         aria-label="remove item"
                       >
                         <DeleteIcon />
@@ -0,0 +1,274 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Grid,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Typography,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer
+} from '@mui/material';
+import { Add as AddIcon } from '@mui/icons-material';
+import { auth } from '../firebase';
+import SectionCard from './SectionCard';
+import CategorySelect, { CategoryIcon } from './CategorySelect';
+import {
+  flattenCategoryTree,
+  getDescendantIds,
+  getChildCategories,
+  slugify,
+  saveCategory,
+  deleteCategory
+} from '../utils/categories';
+import { parseOptionValues } from '../utils/productVariants';
+
+const emptyForm = (parentId = '') => ({
+  id: '',
+  name: '',
+  parentId,
+  icon: '',
+  sortOrder: '',
+  aliases: ''
+});
+
+/**
+ * Admin editor for the category taxonomy: nested categories with icons and sort order
+ * @param {Object} props - { categories, products, onChange() } to reload the taxonomy after edits
+ */
+const CategoryManager = ({ categories, products = [], onChange }) => {
+  const [form, setForm] = useState(null);
+  const [isNew, setIsNew] = useState(false);
+  const [slugEdited, setSlugEdited] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const usingDefaults = categories.some((category) => category.isDefault);
+  const rows = flattenCategoryTree(categories);
+
+  const countProducts = (category) => {
+    const values = [category.id, ...(category.aliases || [])];
+    return products.filter((product) => values.includes(product.category)).length;
+  };
+
+  const openNew = (parentId = '') => {
+    const siblings = getChildCategories(categories, parentId || null);
+    setForm({ ...emptyForm(parentId), sortOrder: String(siblings.length + 1) });
+    setIsNew(true);
+    setSlugEdited(false);
+  };
+
+  const openEdit = (category) => {
+    setForm({
+      id: category.id,
+      name: category.name || '',
+      parentId: category.parentId || '',
+      icon: category.icon || '',
+      sortOrder: String(category.sortOrder ?? ''),
+      aliases: (category.aliases || []).join(', ')
+    });
+    setIsNew(false);
+  };
+
+  const handleFieldChange = (field, value) => {
+    setForm((prev) => {
+      const next = { ...prev, [field]: value };
+      // Suggest the slug from the name until it is typed by hand
+      if (field === 'name' && isNew && !slugEdited) {
+        next.id = slugify(value);
+      }
+      return next;
+    });
+    if (field === 'id') setSlugEdited(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await saveCategory(
+        { ...form, aliases: parseOptionValues(form.aliases) },
+        categories,
+        { isNew, adminEmail: auth.currentUser?.email }
+      );
+      setMessage({ severity: 'success', text: `Category "${form.name}" saved` });
+      setForm(null);
+      await onChange();
+    } catch (error) {
+      console.error('Error saving category:', error);
+      setMessage({ severity: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the category "${category.name}"?`)) {
+      return;
+    }
+    try {
+      await deleteCategory(category.id, categories, auth.currentUser?.email);
+      setMessage({ severity: 'success', text: `Category "${category.name}" deleted` });
+      await onChange();
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      setMessage({ severity: 'error', text: error.message });
+    }
+  };
+
+  return (
+    <SectionCard title="Categories">
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+      {usingDefaults && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          The built-in categories are in use. They are saved to the store the first time you edit them.
+        </Alert>
+      )}
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => openNew()}>
+          Add Category
+        </Button>
+      </Box>
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Category</TableCell>
+              <TableCell>Slug</TableCell>
+              <TableCell align="right">Sort order</TableCell>
+              <TableCell align="right">Products</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((category) => (
+              <TableRow key={category.id}>
+                <TableCell>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, pl: category.depth * 3 }}>
+                    <CategoryIcon category={category} />
+                    <Typography variant="body2" fontWeight={category.depth === 0 ? 'medium' : 'normal'}>
+                      {category.name}
+                    </Typography>
+                  </Box>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" color="textSecondary">
+                    /category/{category.id}
+                  </Typography>
+                </TableCell>
+                <TableCell align="right">{category.sortOrder ?? 0}</TableCell>
+                <TableCell align="right">{countProducts(category)}</TableCell>
+                <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                  <Button size="small" onClick={() => openNew(category.id)}>
+                    Add Subcategory
+                  </Button>
+                  <Button size="small" onClick={() => openEdit(category)}>
+                    Edit
+                  </Button>
+                  <Button size="small" color="error" onClick={() => handleDelete(category)}>
+                    Delete
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={Boolean(form)} onClose={() => setForm(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{isNew ? 'Add Category' : 'Edit Category'}</DialogTitle>
+        {form && (
+          <DialogContent>
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12} sm={7}>
+                <TextField
+                  fullWidth
+                  required
+                  label="Name"
+                  value={form.name}
+                  onChange={(e) => handleFieldChange('name', e.target.value)}
+                />
+              </Grid>
+              <Grid item xs={12} sm={5}>
+                <TextField
+                  fullWidth
+                  required
+                  label="Slug"
+                  value={form.id}
+                  onChange={(e) => handleFieldChange('id', e.target.value)}
+                  disabled={!isNew}
+                  helperText={isNew ? 'Used in the page address' : 'Products refer to the slug, so it cannot change'}
+                />
+              </Grid>
+              <Grid item xs={12} sm={7}>
+                <CategorySelect
+                  fullWidth
+                  label="Parent category"
+                  categories={categories}
+                  value={form.parentId}
+                  onChange={(value) => handleFieldChange('parentId', value)}
+                  allLabel="None (top level)"
+                  excludeIds={isNew ? [] : getDescendantIds(categories, form.id)}
+                />
+              </Grid>
+              <Grid item xs={12} sm={5}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="Sort order"
+                  value={form.sortOrder}
+                  onChange={(e) => handleFieldChange('sortOrder', e.target.value)}
+                  helperText="Lower numbers come first"
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                  <CategoryIcon category={form} size={40} />
+                  <TextField
+                    fullWidth
+                    label="Icon"
+                    value={form.icon}
+                    onChange={(e) => handleFieldChange('icon', e.target.value)}
+                    helperText="Image URL, a path such as /images/sports-outdoor.jpg, or an emoji"
+                  />
+                </Box>
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  label="Older category values"
+                  value={form.aliases}
+                  onChange={(e) => handleFieldChange('aliases', e.target.value)}
+                  helperText="Comma-separated values that products saved before the taxonomy use for this category"
+                />
+              </Grid>
+            </Grid>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setForm(null)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !form?.name || !form?.id}>
+            {saving ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </SectionCard>
+  );
+};
+
+export default CategoryManager;
@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Grid,
+  Paper,
+  Card,
+  CardActionArea,
+  CardMedia,
+  CardContent,
+  Chip,
+  Breadcrumbs,
+  Link,
+  Pagination,
+  TextField,
+  MenuItem,
+  CircularProgress
+} from '@mui/material';
+import { useParams, useNavigate, useSearchParams, Link as RouterLink } from 'react-router-dom';
+import { CategoryIcon } from './CategorySelect';
+import { getCategories, getCategoryPath, getChildCategories, getCategoryProducts } from '../utils/categories';
+import { getPriceRange, hasVariants } from '../utils/productVariants';
+import { isOutOfStock } from '../utils/inventory';
+import { formatMoney } from '../utils/money';
+
+const PAGE_SIZE = 12;
+
+const SORT_OPTIONS = {
+  name: { label: 'Name', compare: (a, b) => (a.name || '').localeCompare(b.name || '') },
+  priceAsc: { label: 'Price: low to high', compare: (a, b) => getPriceRange(a).min - getPriceRange(b).min },
+  priceDesc: { label: 'Price: high to low', compare: (a, b) => getPriceRange(b).min - getPriceRange(a).min }
+};
+
+const placeholderImage = process.env.PUBLIC_URL + '/images/product1.jpg';
+
+/**
+ * Products of a category and its subcategories, a page at a time.
+ * The page and sort order are kept in the query string.
+ */
+const CategoryPage = () => {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [categories, setCategories] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const sort = SORT_OPTIONS[searchParams.get('sort')] ? searchParams.get('sort') : 'name';
+  const category = categories.find((entry) => entry.id === slug) || null;
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    const load = async () => {
+      try {
+        const taxonomy = await getCategories();
+        const categoryProducts = taxonomy.some((entry) => entry.id === slug)
+          ? await getCategoryProducts(taxonomy, slug)
+          : [];
+        if (!cancelled) {
+          setCategories(taxonomy);
+          setProducts(categoryProducts.filter((product) => !product.hidden));
+        }
+      } catch (loadError) {
+        console.error('Error loading category:', loadError);
+        if (!cancelled) setError('Failed to load this category. Please try again.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [slug]);
+
+  const sortedProducts = useMemo(
+    () => [...products].sort(SORT_OPTIONS[sort].compare),
+    [products, sort]
+  );
+
+  const pageCount = Math.max(1, Math.ceil(sortedProducts.length / PAGE_SIZE));
+  const page = Math.min(Math.max(1, parseInt(searchParams.get('page'), 10) || 1), pageCount);
+  const pageProducts = sortedProducts.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === null || value === undefined || value === '') {
+        next.delete(key);
+      } else {
+        next.set(key, String(value));
+      }
+    });
+    setSearchParams(next);
+  };
+
+  const handlePageChange = (event, value) => {
+    updateParams({ page: value > 1 ? value : null });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  if (loading) {
+    return (
+      <Container maxWidth="lg" sx={{ mt: 4, display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  if (error || !category) {
+    return (
+      <Container maxWidth="lg" sx={{ mt: 4 }}>
+        <Paper elevation={3} sx={{ p: 3, textAlign: 'center' }}>
+          <Typography variant="h5" gutterBottom>
+            {error || 'Category not found'}
+          </Typography>
+          <Link component={RouterLink} to="/">
+            Back to the home page
+          </Link>
+        </Paper>
+      </Container>
+    );
+  }
+
+  const path = getCategoryPath(categories, category.id);
+  const subcategories = getChildCategories(categories, category.id);
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 6 }}>
+      <Breadcrumbs sx={{ mb: 2 }}>
+        <Link component={RouterLink} to="/" underline="hover" color="inherit">
+          Home
+        </Link>
+        {path.map((entry) =>
+          entry.id === category.id ? (
+            <Typography key={entry.id} color="text.primary">
+              {entry.name}
+            </Typography>
+          ) : (
+            <Link key={entry.id} component={RouterLink} to={`/category/${entry.id}`} underline="hover" color="inherit">
+              {entry.name}
+            </Link>
+          )
+        )}
+      </Breadcrumbs>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+        <CategoryIcon category={category} size={56} />
+        <Box>
+          <Typography variant="h4" component="h1">
+            {category.name}
+          </Typography>
+          <Typography variant="body2" color="textSecondary">
+            {products.length} product{products.length !== 1 ? 's' : ''}
+          </Typography>
+        </Box>
+      </Box>
+
+      {subcategories.length > 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 3 }}>
+          {subcategories.map((subcategory) => (
+            <Chip
+              key={subcategory.id}
+              label={subcategory.name}
+              avatar={<CategoryIcon category={subcategory} size={24} />}
+              onClick={() => navigate(`/category/${subcategory.id}`)}
+              variant="outlined"
+            />
+          ))}
+        </Box>
+      )}
+
+      {products.length === 0 ? (
+        <Paper elevation={1} sx={{ p: 4, textAlign: 'center' }}>
+          <Typography color="textSecondary">There are no products in this category yet.</Typography>
+        </Paper>
+      ) : (
+        <>
+          <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+            <TextField
+              select
+              size="small"
+              label="Sort by"
+              value={sort}
+              onChange={(e) => updateParams({ sort: e.target.value === 'name' ? null : e.target.value, page: null })}
+              sx={{ minWidth: 200 }}
+            >
+              {Object.entries(SORT_OPTIONS).map(([key, option]) => (
+                <MenuItem key={key} value={key}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Box>
+
+          <Grid container spacing={2}>
+            {pageProducts.map((product) => {
+              const range = getPriceRange(product);
+              const soldOut = isOutOfStock(product);
+              return (
+                <Grid item xs={6} sm={4} md={3} key={product.id}>
+                  <Card sx={{ height: '100%', opacity: soldOut ? 0.7 : 1 }}>
+                    <CardActionArea onClick={() => navigate(`/product/${product.id}`)} sx={{ height: '100%' }}>
+                      <CardMedia
+                        component="img"
+                        image={product.imageUrl || placeholderImage}
+                        alt={product.name}
+                        onError={(e) => {
+                          e.target.onerror = null;
+                          e.target.src = placeholderImage;
+                        }}
+                        sx={{ height: { xs: 140, sm: 180 }, objectFit: 'contain', bgcolor: '#f5f5f5' }}
+                        loading="lazy"
+                      />
+                      <CardContent>
+                        <Typography variant="subtitle1" noWrap title={product.name}>
+                          {product.name}
+                        </Typography>
+                        <Typography variant="h6" color="primary">
+                          {formatMoney(range.min)}
+                          {hasVariants(product) && range.max !== range.min && ` – ${formatMoney(range.max)}`}
+                        </Typography>
+                        {soldOut && <Chip size="small" color="error" label="Out of stock" sx={{ mt: 0.5 }} />}
+                      </CardContent>
+                    </CardActionArea>
+                  </Card>
+                </Grid>
+              );
+            })}
+          </Grid>
+
+          {pageCount > 1 && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+              <Pagination count={pageCount} page={page} onChange={handlePageChange} color="primary" />
+            </Box>
+          )}
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default CategoryPage;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { TextField, MenuItem, Avatar } from '@mui/material';
+import { flattenCategoryTree, findCategory, getCategoryIconSrc } from '../utils/categories';
+
+/**
+ * A category's icon: an image URL or path, or a short text such as an emoji
+ * @param {Object} props - { category, size }
+ */
+export const CategoryIcon = ({ category, size = 32, className }) => {
+  const icon = category?.icon || '';
+  const isImage = icon.startsWith('/') || /^https?:\/\//.test(icon);
+  return (
+    <Avatar
+      className={className}
+      src={isImage ? getCategoryIconSrc(icon) : undefined}
+      alt={category?.name}
+      sx={{ width: size, height: size, fontSize: size * 0.5, bgcolor: 'grey.200', color: 'text.primary' }}
+    >
+      {isImage ? null : icon || (category?.name || '?').charAt(0)}
+    </Avatar>
+  );
+};
+
+/**
+ * Category picker with subcategories indented under their parents
+ * @param {Object} props - { categories, value, onChange(value), allLabel to offer an
+ *   empty "all" option, excludeIds to leave out, and any TextField props }
+ */
+const CategorySelect = ({ categories = [], value = '', onChange, allLabel, excludeIds = [], ...props }) => {
+  const options = flattenCategoryTree(categories).filter((category) => !excludeIds.includes(category.id));
+  // Keep values from before the taxonomy selectable instead of showing a blank field
+  const unknownValue = value && !findCategory(categories, value) ? value : null;
+  const selected = findCategory(categories, value)?.id || value || '';
+
+  return (
+    <TextField select value={selected} onChange={(e) => onChange(e.target.value)} {...props}>
+      {allLabel !== undefined && <MenuItem value="">{allLabel}</MenuItem>}
+      {options.map((category) => (
+        <MenuItem key={category.id} value={category.id} sx={{ pl: 2 + category.depth * 2 }}>
+          {category.name}
+        </MenuItem>
+      ))}
+      {unknownValue && (
+        <MenuItem value={unknownValue} disabled>
+          {unknownValue} (not in taxonomy)
+        </MenuItem>
+      )}
+    </TextField>
+  );
+};
+
+export default CategorySelect;
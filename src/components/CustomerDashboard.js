@@ -48,7 +48,12 @@ import {
   alpha,
   useMediaQuery,
   Tooltip,
-  Zoom
+  Zoom,
+  Stepper,
+  Step,
+  StepLabel,
+  StepContent,
+  Link
 } from '@mui/material';
 import { 
   ShoppingCart as CartIcon,
@@ -83,6 +88,13 @@ import { auth, db } from '../firebase';
 import { doc, getDoc, collection, getDocs, query, where, updateDoc, arrayUnion, setDoc, orderBy, onSnapshot } from 'firebase/firestore';
 import { useNavigate } from 'react-router-dom';
 import { updateEmail, updatePassword, EmailAuthProvider, reauthenticateWithCredential } from 'firebase/auth';
+import { transitionOrderStatus, canTransition, getOrderStatusColor, getOrderStatusLabel } from '../utils/orderLifecycle';
+import { canRequestRefund, getRefundStatusColor, getRefundStatusLabel } from '../utils/refunds';
+import RefundRequestDialog from './RefundRequestDialog';
+import { getCarrierLabel, getTrackingUrl, getOrderTimeline, formatEstimatedDelivery } from '../utils/shipments';
+import { combineSubOrders } from '../utils/checkout';
+import { addItemToCart, buildCartItem, getCartItemKey, hasVariants } from '../utils/productVariants';
+import { isOutOfStock } from '../utils/inventory';
 
 // Define the drawer width
 const drawerWidth = 260;
@@ -151,29 +163,10 @@ const StyledProductCard = styled(Card)(({ theme }) => ({
 }));
 
 const StatusChip = styled(Chip)(({ theme, status }) => {
-  let color, bgColor;
-  
-  switch(status) {
-    case 'completed':
-      color = '#1b5e20';
-      bgColor = '#e8f5e9';
-      break;
-    case 'shipped':
-      color = '#0d47a1';
-      bgColor = '#e3f2fd';
-      break;
-    case 'processing':
-      color = '#e65100';
-      bgColor = '#fff3e0';
-      break;
-    case 'canceled':
-      color = '#b71c1c';
-      bgColor = '#ffebee';
-      break;
-    default:
-      color = '#424242';
-      bgColor = '#f5f5f5';
-  }
+  // Use the shared order lifecycle color so customers see the same status as sellers and admins
+  const paletteColor = theme.palette[getOrderStatusColor(status)];
+  const color = paletteColor ? paletteColor.dark : '#424242';
+  const bgColor = paletteColor ? alpha(paletteColor.main, 0.12) : '#f5f5f5';
   
   return {
     backgroundColor: bgColor,
@@ -412,8 +405,8 @@ const ProductCard = ({ product, onAddToCart }) => {
             <Chip 
               size="small" 
               icon={<StoreIcon fontSize="small" />} 
-              label={product.stock > 0 ? 'In Stock' : ''} 
-              color={product.stock > 0 ? 'success' : 'error'}
+              label={isOutOfStock(product) ? 'Out of stock' : 'In Stock'} 
+              color={isOutOfStock(product) ? 'error' : 'success'}
               variant="outlined"
             />
           </Box>
@@ -434,7 +427,7 @@ const ProductCard = ({ product, onAddToCart }) => {
           size="small" 
           startIcon={<ShoppingCartOutlined />}
           onClick={() => onAddToCart(product)}
-          disabled={product.stock <= 0}
+          disabled={isOutOfStock(product)}
           sx={{ borderRadius: 8 }}
         >
           Add to Cart
@@ -444,9 +437,103 @@ const ProductCard = ({ product, onAddToCart }) => {
   );
 };
 
+// Delivery timeline built from an order's statusHistory
+const OrderTimeline = ({ order }) => {
+  const timeline = getOrderTimeline(order);
+
+  return (
+    <Stepper orientation="vertical" activeStep={timeline.length - 1}>
+      {timeline.map((step, index) => (
+        <Step key={`${step.status}-${index}`} completed={index < timeline.length - 1} expanded>
+          <StepLabel
+            optional={
+              <Typography variant="caption" color="text.secondary">
+                {step.date ? step.date.toLocaleString() : 'N/A'}
+              </Typography>
+            }
+          >
+            {getOrderStatusLabel(step.status)}
+          </StepLabel>
+          <StepContent>
+            {step.note && (
+              <Typography variant="body2" color="text.secondary">
+                {step.note}
+              </Typography>
+            )}
+          </StepContent>
+        </Step>
+      ))}
+    </Stepper>
+  );
+};
+
+// One package of a combined order: each seller's sub-order ships and is refunded on its own
+const OrderPackage = ({ order, onCancelOrder, onRequestRefund }) => {
+  const trackingUrl = getTrackingUrl(order.shipment);
+
+  return (
+    <Paper elevation={1} sx={{ p: 2, mb: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1, gap: 1, flexWrap: 'wrap' }}>
+        <Typography variant="subtitle2">
+          Package {order.subOrderIndex} of {order.subOrderCount}
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Chip 
+            label={getOrderStatusLabel(order.status)} 
+            color={getOrderStatusColor(order.status)} 
+            size="small" 
+          />
+          {order.refundStatus && (
+            <Chip 
+              label={`Refund: ${getRefundStatusLabel(order.refundStatus)}`} 
+              color={getRefundStatusColor(order.refundStatus)} 
+              size="small" 
+              variant="outlined"
+            />
+          )}
+        </Box>
+      </Box>
+      <Typography variant="body2" color="text.secondary">
+        {order.items.map(item => `${item.name} (x${item.quantity})`).join(', ')}
+      </Typography>
+      {order.shipment && (
+        <Typography variant="body2" sx={{ mt: 1 }}>
+          {getCarrierLabel(order.shipment.carrier)}:{' '}
+          {trackingUrl ? (
+            <Link href={trackingUrl} target="_blank" rel="noopener noreferrer">
+              {order.shipment.trackingNumber}
+            </Link>
+          ) : (
+            order.shipment.trackingNumber
+          )}
+          {order.shipment.estimatedDelivery && 
+            ` - estimated ${formatEstimatedDelivery(order.shipment.estimatedDelivery)}`}
+        </Typography>
+      )}
+      <Box sx={{ mt: 1 }}>
+        <OrderTimeline order={order} />
+      </Box>
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+        {canRequestRefund(order) && (
+          <Button size="small" variant="outlined" color="warning" onClick={() => onRequestRefund(order)}>
+            Request Refund
+          </Button>
+        )}
+        {canTransition(order.status, 'cancelled', 'customer') && (
+          <Button size="small" variant="outlined" color="error" onClick={() => onCancelOrder(order)}>
+            Cancel Package
+          </Button>
+        )}
+      </Box>
+    </Paper>
+  );
+};
+
 // Define the OrderDetailsModal component
-const OrderDetailsModal = ({ open, order, onClose }) => {
+const OrderDetailsModal = ({ open, order, onClose, onCancelOrder, onRequestRefund }) => {
   if (!order) return null;
+
+  const trackingUrl = getTrackingUrl(order.shipment);
   
   // Helper function to format date safely
   const formatDate = (timestamp) => {
@@ -506,17 +593,22 @@ const OrderDetailsModal = ({ open, order, onClose }) => {
               <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
                 <Typography variant="body2">Status:</Typography>
                 <Chip 
-                  label={order.status || 'Processing'} 
-                  color={
-                    order.status === 'Delivered' 
-                      ? 'success' 
-                      : order.status === 'Shipped' 
-                      ? 'info' 
-                      : 'warning'
-                  } 
+                  label={getOrderStatusLabel(order.status)} 
+                  color={getOrderStatusColor(order.status)} 
                   size="small" 
                 />
               </Box>
+              {order.refundStatus && (
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+                  <Typography variant="body2">Refund:</Typography>
+                  <Chip 
+                    label={getRefundStatusLabel(order.refundStatus)} 
+                    color={getRefundStatusColor(order.refundStatus)} 
+                    size="small" 
+                    variant="outlined"
+                  />
+                </Box>
+              )}
             </Paper>
           </Grid>
           <Grid item xs={12} md={6}>
@@ -531,6 +623,59 @@ const OrderDetailsModal = ({ open, order, onClose }) => {
               </Typography>
             </Paper>
           </Grid>
+          {order.shipment && (
+            <Grid item xs={12} md={6}>
+              <Typography variant="subtitle1" gutterBottom>Shipment</Typography>
+              <Paper elevation={1} sx={{ p: 2 }}>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+                  <Typography variant="body2">Carrier:</Typography>
+                  <Typography variant="body2">{getCarrierLabel(order.shipment.carrier)}</Typography>
+                </Box>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+                  <Typography variant="body2">Tracking Number:</Typography>
+                  <Typography variant="body2">
+                    {trackingUrl ? (
+                      <Link href={trackingUrl} target="_blank" rel="noopener noreferrer">
+                        {order.shipment.trackingNumber}
+                      </Link>
+                    ) : (
+                      order.shipment.trackingNumber
+                    )}
+                  </Typography>
+                </Box>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <Typography variant="body2">Estimated Delivery:</Typography>
+                  <Typography variant="body2">
+                    {order.shipment.estimatedDelivery
+                      ? formatEstimatedDelivery(order.shipment.estimatedDelivery)
+                      : 'Not provided'}
+                  </Typography>
+                </Box>
+              </Paper>
+            </Grid>
+          )}
+          {order.isCombined ? (
+            <Grid item xs={12}>
+              <Typography variant="subtitle1" gutterBottom>
+                Packages ({order.subOrders.length})
+              </Typography>
+              {order.subOrders.map((subOrder) => (
+                <OrderPackage
+                  key={subOrder.id}
+                  order={subOrder}
+                  onCancelOrder={onCancelOrder}
+                  onRequestRefund={onRequestRefund}
+                />
+              ))}
+            </Grid>
+          ) : (
+            <Grid item xs={12} md={order.shipment ? 6 : 12}>
+              <Typography variant="subtitle1" gutterBottom>Order Timeline</Typography>
+              <Paper elevation={1} sx={{ p: 2 }}>
+                <OrderTimeline order={order} />
+              </Paper>
+            </Grid>
+          )}
           <Grid item xs={12}>
             <Typography variant="subtitle1" gutterBottom>Order Items</Typography>
             <TableContainer component={Paper}>
@@ -545,7 +690,7 @@ const OrderDetailsModal = ({ open, order, onClose }) => {
                 </TableHead>
                 <TableBody>
                   {order.items.map((item) => (
-                    <TableRow key={item.id}>
+                    <TableRow key={getCartItemKey(item)}>
                       <TableCell>
                         <Box sx={{ display: 'flex', alignItems: 'center' }}>
                           <img
@@ -560,6 +705,11 @@ const OrderDetailsModal = ({ open, order, onClose }) => {
                           />
                           <Box>
                             <Typography variant="body2">{item.name}</Typography>
+                            {item.variantLabel && (
+                              <Typography variant="caption" color="text.secondary" display="block">
+                                {item.variantLabel}
+                              </Typography>
+                            )}
                             {item.seller && (
                               <Typography variant="caption" color="text.secondary">
                                 {/* Seller: {item.seller.shopName || 'Unknown'} */}
@@ -597,14 +747,31 @@ const OrderDetailsModal = ({ open, order, onClose }) => {
       </DialogContent>
       <DialogActions>
         <Button onClick={onClose}>Close</Button>
-        {(order.status === 'pending' || order.status === 'processing') && (
+        {!order.isCombined && canRequestRefund(order) && (
+          <Button 
+            variant="outlined" 
+            color="warning"
+            onClick={() => onRequestRefund(order)}
+          >
+            Request Refund
+          </Button>
+        )}
+        {!order.isCombined && canTransition(order.status, 'cancelled', 'customer') && (
+          <Button 
+            variant="outlined" 
+            color="error"
+            onClick={() => onCancelOrder(order)}
+          >
+            Cancel Order
+          </Button>
+        )}
+        {trackingUrl && (
           <Button 
             variant="contained" 
             color="primary"
-            onClick={() => {
-              // Order tracking functionality would go here
-              console.log('Track order:', order.id);
-            }}
+            href={trackingUrl}
+            target="_blank"
+            rel="noopener noreferrer"
           >
             Track Order
           </Button>
@@ -624,6 +791,8 @@ const CustomerDashboard = () => {
   const [ordersLoading, setOrdersLoading] = useState(false);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [isOrderDetailsModalOpen, setIsOrderDetailsModalOpen] = useState(false);
+  const [isRefundDialogOpen, setIsRefundDialogOpen] = useState(false);
+  const [refundOrder, setRefundOrder] = useState(null);
   const [snackbar, setSnackbar] = useState({
     open: false,
     message: '',
@@ -812,7 +981,8 @@ const CustomerDashboard = () => {
                 ordersData.push({ id: doc.id, ...doc.data() });
               });
               
-              setOrders(ordersData);
+              // Sub-orders from a split checkout are shown as one combined order
+              setOrders(combineSubOrders(ordersData));
               setOrdersLoading(false);
             },
             (error) => {
@@ -877,7 +1047,7 @@ const CustomerDashboard = () => {
                       }
                     });
                     
-                    setOrders(simpleOrdersData);
+                    setOrders(combineSubOrders(simpleOrdersData));
                     setOrdersLoading(false);
                   },
                   (fallbackError) => {
@@ -956,6 +1126,12 @@ const CustomerDashboard = () => {
   };
 
   const handleAddToCart = async (product) => {
+    // Size, color or material is chosen on the product page
+    if (hasVariants(product)) {
+      navigate(`/product/${product.id}`);
+      return;
+    }
+
     try {
       // Get current customer data to ensure we have the latest cart
       const customerRef = doc(db, 'customers', auth.currentUser.uid);
@@ -968,29 +1144,11 @@ const CustomerDashboard = () => {
       const customerData = customerDoc.data();
       const currentCart = customerData.cart || [];
       
-      // Check if product is already in cart
-      const existingProduct = currentCart.find(item => item.id === product.id);
-      
-      let updatedCart;
-      if (existingProduct) {
-        // Update quantity if product already exists
-        updatedCart = currentCart.map(item => 
-          item.id === product.id 
-            ? { ...item, quantity: item.quantity + 1 } 
-            : item
-        );
-      } else {
-        // Add new product to cart
-        const cartItem = {
-          id: product.id,
-          name: product.name,
-          price: product.price || 0,
-          imageUrl: product.imageUrl || process.env.PUBLIC_URL + '/images/product1.jpg',
-          quantity: 1,
-          seller: product.seller || null
-        };
-        updatedCart = [...currentCart, cartItem];
-      }
+      // Increases the quantity if the product is already in the cart
+      const updatedCart = addItemToCart(
+        currentCart,
+        buildCartItem(product, null, process.env.PUBLIC_URL + '/images/product1.jpg')
+      );
       
       // Update local state
       setCart(updatedCart);
@@ -1024,6 +1182,33 @@ const CustomerDashboard = () => {
     }
   };
 
+  const handleCancelOrder = async (order) => {
+    if (!window.confirm('Are you sure you want to cancel this order?')) {
+      return;
+    }
+
+    try {
+      await transitionOrderStatus(order.id, 'cancelled', {
+        role: 'customer',
+        note: 'Cancelled by customer'
+      });
+
+      setIsOrderDetailsModalOpen(false);
+      setSnackbar({
+        open: true,
+        message: 'Order cancelled successfully',
+        severity: 'success'
+      });
+    } catch (error) {
+      console.error('Error cancelling order:', error);
+      setSnackbar({
+        open: true,
+        message: 'Failed to cancel order: ' + error.message,
+        severity: 'error'
+      });
+    }
+  };
+
   const handleCloseSnackbar = () => {
     setSnackbar({ ...snackbar, open: false });
   };
@@ -1322,7 +1507,7 @@ const CustomerDashboard = () => {
                     <TableCell sx={{ fontWeight: 'bold' }}>${parseFloat(order.total).toFixed(2)}</TableCell>
                     <TableCell>
                       <StatusChip 
-                        label={order.status.charAt(0).toUpperCase() + order.status.slice(1)}
+                        label={getOrderStatusLabel(order.status)}
                         status={order.status}
                       />
                     </TableCell>
@@ -1646,7 +1831,7 @@ const CustomerDashboard = () => {
       ) : (
         <Paper elevation={3} sx={{ p: 3 }}>
           {cart.map((item) => (
-            <Box key={item.id} sx={{ mb: 2, pb: 2, borderBottom: '1px solid #eee' }}>
+            <Box key={getCartItemKey(item)} sx={{ mb: 2, pb: 2, borderBottom: '1px solid #eee' }}>
               <Grid container spacing={2} alignItems="center">
                 <Grid item xs={2} sm={1}>
                   <Box
@@ -1678,6 +1863,11 @@ const CustomerDashboard = () => {
                   >
                     {item.name}
                   </Typography>
+                  {item.variantLabel && (
+                    <Typography variant="body2" color="text.secondary">
+                      {item.variantLabel}
+                    </Typography>
+                  )}
                   <Typography variant="body2" color="text.secondary">
                     Seller: {item.seller?.shopName || 'Unknown Shop'}
                   </Typography>
@@ -1760,27 +1950,11 @@ const CustomerDashboard = () => {
                     <td style={{ padding: '12px 16px', borderBottom: '1px solid #e0e0e0' }}>{order.items.length} {order.items.length === 1 ? 'item' : 'items'}</td>
                     <td style={{ padding: '12px 16px', borderBottom: '1px solid #e0e0e0' }}>${parseFloat(order.total).toFixed(2)}</td>
                     <td style={{ padding: '12px 16px', borderBottom: '1px solid #e0e0e0' }}>
-                      <Box 
-                        sx={{ 
-                          display: 'inline-block',
-                          px: 1,
-                          py: 0.5,
-                          borderRadius: 1,
-                          fontSize: '0.875rem',
-                          backgroundColor: 
-                            order.status === 'completed' ? '#e8f5e9' :
-                            order.status === 'shipped' ? '#e3f2fd' :
-                            order.status === 'processing' ? '#fff8e1' :
-                            order.status === 'canceled' ? '#ffebee' : '#f5f5f5',
-                          color: 
-                            order.status === 'completed' ? '#2e7d32' :
-                            order.status === 'shipped' ? '#1565c0' :
-                            order.status === 'processing' ? '#f57f17' :
-                            order.status === 'canceled' ? '#c62828' : '#616161'
-                        }}
-                      >
-                        {order.status.charAt(0).toUpperCase() + order.status.slice(1)}
-                      </Box>
+                      <StatusChip 
+                        label={getOrderStatusLabel(order.status)}
+                        status={order.status}
+                        size="small"
+                      />
                     </td>
                     <td style={{ padding: '12px 16px', borderBottom: '1px solid #e0e0e0' }}>
               <Button 
@@ -2263,6 +2437,25 @@ className={` ${toogle ? 'block' : 'hidden'}`}
         open={isOrderDetailsModalOpen}
         order={selectedOrder}
         onClose={() => setIsOrderDetailsModalOpen(false)}
+        onCancelOrder={handleCancelOrder}
+        onRequestRefund={(order) => {
+          setRefundOrder(order);
+          setIsRefundDialogOpen(true);
+        }}
+      />
+
+      <RefundRequestDialog
+        open={isRefundDialogOpen}
+        order={refundOrder}
+        onClose={() => setIsRefundDialogOpen(false)}
+        onSubmitted={() => {
+          setIsOrderDetailsModalOpen(false);
+          setSnackbar({
+            open: true,
+            message: 'Refund request submitted. The seller and our team will review it shortly.',
+            severity: 'success'
+          });
+        }}
       />
 
       {/* Snackbar for notifications */}
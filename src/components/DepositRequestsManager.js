@@ -0,0 +1,290 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  CircularProgress,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Tooltip,
+  Stack,
+  Link
+} from '@mui/material';
+import { InfoOutlined } from '@mui/icons-material';
+import { auth } from '../firebase';
+import SectionCard from './SectionCard';
+import { DEPOSIT_STATUSES, getAllDepositRequests, approveDeposit, rejectDeposit } from '../utils/deposits';
+
+const DepositRequestsManager = () => {
+  const [depositRequests, setDepositRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedRequest, setSelectedRequest] = useState(null);
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [processingRequest, setProcessingRequest] = useState(false);
+
+  useEffect(() => {
+    fetchDepositRequests();
+  }, []);
+
+  const fetchDepositRequests = async () => {
+    setLoading(true);
+    try {
+      setDepositRequests(await getAllDepositRequests());
+    } catch (error) {
+      console.error('Error fetching deposit requests:', error);
+      alert('Failed to load deposit requests. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApprove = async (request) => {
+    if (!window.confirm(`Credit $${request.amount.toFixed(2)} to ${request.sellerName}'s wallet? Check the receipt against the received payment first.`)) {
+      return;
+    }
+
+    setProcessingRequest(true);
+    try {
+      const result = await approveDeposit(request, auth.currentUser.email);
+      await fetchDepositRequests();
+      alert(`Deposit approved. The seller's wallet balance is now $${result.walletBalanceAfter.toFixed(2)}.`);
+    } catch (error) {
+      console.error('Error approving deposit request:', error);
+      alert(`Failed to approve deposit request: ${error.message}`);
+    } finally {
+      setProcessingRequest(false);
+    }
+  };
+
+  const openRejectConfirmation = (request) => {
+    setSelectedRequest(request);
+    setRejectionReason('');
+  };
+
+  const handleReject = async () => {
+    setProcessingRequest(true);
+    try {
+      await rejectDeposit(selectedRequest, rejectionReason, auth.currentUser.email);
+      setSelectedRequest(null);
+      await fetchDepositRequests();
+    } catch (error) {
+      console.error('Error rejecting deposit request:', error);
+      alert(`Failed to reject deposit request: ${error.message}`);
+    } finally {
+      setProcessingRequest(false);
+    }
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case DEPOSIT_STATUSES.APPROVED:
+        return 'success';
+      case DEPOSIT_STATUSES.REJECTED:
+        return 'error';
+      default:
+        return 'warning';
+    }
+  };
+
+  const renderProof = (request) => (
+    <>
+      <Link href={request.receiptUrl} target="_blank" rel="noopener noreferrer">
+        View receipt
+      </Link>
+      {request.reference && (
+        <Typography variant="caption" color="textSecondary" display="block" sx={{ wordBreak: 'break-all' }}>
+          Ref: {request.reference}
+        </Typography>
+      )}
+    </>
+  );
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 5 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const pendingRequests = depositRequests.filter((request) => request.status === DEPOSIT_STATUSES.PENDING);
+  const processedRequests = depositRequests.filter((request) => request.status !== DEPOSIT_STATUSES.PENDING);
+
+  return (
+    <>
+      <SectionCard title="Pending Deposit Requests">
+        {pendingRequests.length > 0 ? (
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Seller</TableCell>
+                  <TableCell>Amount</TableCell>
+                  <TableCell>Method</TableCell>
+                  <TableCell>Proof</TableCell>
+                  <TableCell>Note</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {pendingRequests.map((request) => (
+                  <TableRow key={request.id}>
+                    <TableCell>
+                      {request.timestamp.toLocaleDateString()} {request.timestamp.toLocaleTimeString()}
+                    </TableCell>
+                    <TableCell>
+                      {request.sellerName}<br />
+                      <Typography variant="caption" color="textSecondary">
+                        {request.sellerEmail}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>${request.amount.toFixed(2)}</TableCell>
+                    <TableCell>{request.method}</TableCell>
+                    <TableCell sx={{ maxWidth: 200 }}>{renderProof(request)}</TableCell>
+                    <TableCell>{request.note || '-'}</TableCell>
+                    <TableCell>
+                      <Stack direction="row" spacing={1}>
+                        <Button
+                          variant="contained"
+                          color="success"
+                          size="small"
+                          onClick={() => handleApprove(request)}
+                          disabled={processingRequest}
+                        >
+                          Approve
+                        </Button>
+                        <Button
+                          variant="contained"
+                          color="error"
+                          size="small"
+                          onClick={() => openRejectConfirmation(request)}
+                          disabled={processingRequest}
+                        >
+                          Reject
+                        </Button>
+                      </Stack>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        ) : (
+          <Typography color="textSecondary" sx={{ p: 2 }}>
+            No pending deposit requests.
+          </Typography>
+        )}
+      </SectionCard>
+
+      <SectionCard title="Processed Deposit Requests" sx={{ mt: 4 }}>
+        {processedRequests.length > 0 ? (
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Seller</TableCell>
+                  <TableCell>Amount</TableCell>
+                  <TableCell>Method</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Processed By</TableCell>
+                  <TableCell>Details</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {processedRequests.map((request) => (
+                  <TableRow key={request.id}>
+                    <TableCell>
+                      {request.timestamp.toLocaleDateString()} {request.timestamp.toLocaleTimeString()}
+                    </TableCell>
+                    <TableCell>
+                      {request.sellerName}<br />
+                      <Typography variant="caption" color="textSecondary">
+                        {request.sellerEmail}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>${request.amount.toFixed(2)}</TableCell>
+                    <TableCell>{request.method}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={request.status.charAt(0).toUpperCase() + request.status.slice(1)}
+                        color={getStatusColor(request.status)}
+                        size="small"
+                      />
+                    </TableCell>
+                    <TableCell>{request.approvedBy || request.rejectedBy || '-'}</TableCell>
+                    <TableCell>
+                      {request.status === DEPOSIT_STATUSES.REJECTED && request.rejectionReason ? (
+                        <Tooltip title={`Reason: ${request.rejectionReason}`}>
+                          <InfoOutlined fontSize="small" color="error" />
+                        </Tooltip>
+                      ) : (
+                        <>
+                          {renderProof(request)}
+                          {request.transactionId && (
+                            <Typography variant="caption" color="textSecondary" display="block">
+                              Transaction: {request.transactionId}
+                            </Typography>
+                          )}
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        ) : (
+          <Typography color="textSecondary" sx={{ p: 2 }}>
+            No processed deposit requests.
+          </Typography>
+        )}
+      </SectionCard>
+
+      <Dialog open={!!selectedRequest} onClose={() => !processingRequest && setSelectedRequest(null)}>
+        <DialogTitle>Reject Deposit Request</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" gutterBottom>
+            Please provide a reason for rejecting this deposit of ${selectedRequest?.amount.toFixed(2)} from {selectedRequest?.sellerName}.
+          </Typography>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Rejection Reason"
+            fullWidth
+            variant="outlined"
+            value={rejectionReason}
+            onChange={(e) => setRejectionReason(e.target.value)}
+            multiline
+            rows={3}
+            required
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelectedRequest(null)} disabled={processingRequest}>Cancel</Button>
+          <Button
+            onClick={handleReject}
+            color="error"
+            variant="contained"
+            disabled={!rejectionReason.trim() || processingRequest}
+          >
+            Reject Request
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default DepositRequestsManager;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Grid,
+  TextField,
+  Button,
+  CircularProgress,
+  Typography,
+  Alert
+} from '@mui/material';
+import { auth } from '../firebase';
+import SectionCard from './SectionCard';
+import {
+  getEarningsReleaseSettings,
+  saveEarningsReleaseSettings,
+  releaseDueEarnings
+} from '../utils/earningsRelease';
+
+const EarningsReleaseSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [releasing, setReleasing] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    getEarningsReleaseSettings()
+      .then(setSettings)
+      .catch((error) => {
+        console.error('Error loading earnings release settings:', error);
+        setMessage({ severity: 'error', text: 'Failed to load earnings release settings' });
+      });
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      await saveEarningsReleaseSettings(settings, auth.currentUser?.email);
+      setMessage({ severity: 'success', text: 'Earnings release settings saved' });
+    } catch (error) {
+      console.error('Error saving earnings release settings:', error);
+      setMessage({ severity: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReleaseNow = async () => {
+    setReleasing(true);
+    setMessage(null);
+    try {
+      const released = await releaseDueEarnings();
+      const total = released.reduce((sum, order) => sum + order.grandTotal, 0);
+      setMessage({
+        severity: 'success',
+        text: released.length > 0
+          ? `Released $${total.toFixed(2)} from ${released.length} order(s) to seller wallets`
+          : 'No earnings are due for release'
+      });
+    } catch (error) {
+      console.error('Error releasing due earnings:', error);
+      setMessage({ severity: 'error', text: 'Earnings release failed: ' + error.message });
+    } finally {
+      setReleasing(false);
+    }
+  };
+
+  if (!settings) {
+    return (
+      <SectionCard title="Earnings Release">
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          {message ? <Alert severity={message.severity}>{message.text}</Alert> : <CircularProgress />}
+        </Box>
+      </SectionCard>
+    );
+  }
+
+  return (
+    <SectionCard title="Earnings Release">
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+      <Grid container spacing={2}>
+        <Grid item xs={12} md={6}>
+          <TextField
+            label="Hold period after completion (hours)"
+            type="number"
+            fullWidth
+            size="small"
+            inputProps={{ min: 0 }}
+            value={settings.holdHours}
+            onChange={(e) => setSettings({ ...settings, holdHours: e.target.value })}
+          />
+        </Grid>
+      </Grid>
+      <Typography variant="caption" color="textSecondary" component="p" sx={{ mt: 2 }}>
+        A completed order's earnings stay in the seller's pending balance for this long before moving
+        to their wallet. Orders with an open refund request are held until the refund is resolved.
+        Set 0 to release on completion. Due earnings are released every 15 minutes while an admin has
+        the dashboard open; otherwise they wait until the next visit.
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+        <Button variant="contained" onClick={handleSave} disabled={saving}>
+          {saving ? <CircularProgress size={24} /> : 'Save Settings'}
+        </Button>
+        <Button variant="outlined" onClick={handleReleaseNow} disabled={releasing}>
+          {releasing ? <CircularProgress size={24} /> : 'Release Due Earnings Now'}
+        </Button>
+      </Box>
+    </SectionCard>
+  );
+};
+
+export default EarningsReleaseSettings;
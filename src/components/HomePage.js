@@ -15,7 +15,8 @@ import {
   InputBase,
   IconButton,
   Tabs,
-  Tab
+  Tab,
+  Link
 } from '@mui/material';
 import { 
   Info as InfoIcon,
@@ -32,6 +33,11 @@ import { db, auth } from '../firebase';
 import { collection, query, where, getDocs, doc, getDoc, updateDoc } from 'firebase/firestore';
 import Footer from './Footer';
 import MobileBottomNav from './MobileBottomNav';
+import { addItemToCart, buildCartItem, hasVariants } from '../utils/productVariants';
+import { isOutOfStock } from '../utils/inventory';
+import { getCategoryLabel } from '../utils/categories';
+import { useCategories } from '../hooks/useCategories';
+import { buildSearchIndex, searchProducts, getDidYouMean } from '../utils/productSearch';
 
 const DEFAULT_FALLBACK_IMAGE = 'https://images.pexels.com/photos/5632402/pexels-photo-5632402.jpeg?auto=compress&cs=tinysrgb&w=300';
 
@@ -111,6 +117,7 @@ const HomePage = ({ isAuthenticated, searchTerm }) => {
   const [currentOfferIndex, setCurrentOfferIndex] = useState(0);
   const [error, setError] = useState(null);
   const [localSearchTerm, setLocalSearchTerm] = useState('');
+  const taxonomy = useCategories();
   const [activeCategory, setActiveCategory] = useState(0);
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
@@ -344,45 +351,43 @@ const HomePage = ({ isAuthenticated, searchTerm }) => {
     fetchAllProducts();
   }, [isAuthenticated]);
 
+  // Non-authenticated users search the sample products, everyone else the real catalog
+  const searchIndex = useMemo(() => {
+    const catalog = isAuthenticated
+      ? products.filter(product => product && product.name && product.price)
+      : sampleProductsData.flatMap(cat => cat.products);
+    return buildSearchIndex(catalog, { categoryLabel: (value) => getCategoryLabel(taxonomy, value) });
+  }, [products, isAuthenticated, sampleProductsData, taxonomy]);
+
   // Modified to show sample products for non-authenticated users
   const displayProductsWithKeys = useMemo(() => {
+    const searchText = localSearchTerm.trim();
+    let filtered;
+    if (searchText) {
+      // Best matches first
+      filtered = searchProducts(searchIndex, searchText).map(result => result.product);
+    } else if (!isAuthenticated) {
+      filtered = searchIndex.products;
+    } else {
+      filtered = [...searchIndex.products].sort((a, b) => b.createdAt?.seconds - a.createdAt?.seconds);
+    }
+
     if (!isAuthenticated) {
-      // For non-authenticated users, filter the sample products
-      let allProducts = sampleProductsData.flatMap(cat => cat.products);
-      
-      if (localSearchTerm) {
-        const searchLower = localSearchTerm.toLowerCase().trim();
-        allProducts = allProducts.filter(product => 
-          product.name.toLowerCase().includes(searchLower) || 
-          product.category.toLowerCase().includes(searchLower) ||
-          product.description.toLowerCase().includes(searchLower)
-        );
-      }
-      
-      return allProducts;
+      return filtered;
     }
     
-    // For authenticated users, continue using real products
-    const filtered = products
-      .filter(product => {
-        if (!localSearchTerm) return true;
-        const searchLower = localSearchTerm.toLowerCase().trim();
-        return (
-          (product.name && product.name.toLowerCase().includes(searchLower)) ||
-          (product.description && product.description.toLowerCase().includes(searchLower)) ||
-          (product.category && product.category.toLowerCase().includes(searchLower)) ||
-          (product.seller?.shopName && product.seller.shopName.toLowerCase().includes(searchLower))
-        );
-      })
-      .filter(product => product && product.name && product.price)
-      .sort((a, b) => b.createdAt?.seconds - a.createdAt?.seconds);
-    
     // Assign stable unique keys to each product
     return filtered.map((product, index) => ({
       ...product,
       uniqueKey: `product-${product.id || ''}-${index}`
     }));
-  }, [products, localSearchTerm, isAuthenticated, sampleProductsData]);
+  }, [searchIndex, localSearchTerm, isAuthenticated]);
+
+  // Offered when a search finds nothing
+  const didYouMean = useMemo(() => {
+    if (!localSearchTerm.trim() || displayProductsWithKeys.length > 0) return null;
+    return getDidYouMean(searchIndex, localSearchTerm);
+  }, [searchIndex, localSearchTerm, displayProductsWithKeys]);
 
   // Get the products for the current category (for non-authenticated users)
   const currentCategoryProducts = useMemo(() => {
@@ -411,6 +416,12 @@ const HomePage = ({ isAuthenticated, searchTerm }) => {
       return;
     }
 
+    // Size, color or material is chosen on the product page
+    if (hasVariants(product)) {
+      navigate(`/product/${product.id}`);
+      return;
+    }
+
     try {
       // Get current customer data to ensure we have the latest cart
       const customerRef = doc(db, 'customers', auth.currentUser.uid);
@@ -423,29 +434,8 @@ const HomePage = ({ isAuthenticated, searchTerm }) => {
       const customerData = customerDoc.data();
       const currentCart = customerData.cart || [];
       
-      // Check if product is already in cart
-      const existingProduct = currentCart.find(item => item.id === product.id);
-      
-      let updatedCart;
-      if (existingProduct) {
-        // Update quantity if product already exists
-        updatedCart = currentCart.map(item => 
-          item.id === product.id 
-            ? { ...item, quantity: item.quantity + 1 } 
-            : item
-        );
-      } else {
-        // Add new product to cart
-        const cartItem = {
-          id: product.id,
-          name: product.name,
-          price: product.price || 0,
-          imageUrl: product.imageUrl || DEFAULT_FALLBACK_IMAGE,
-          quantity: 1,
-          seller: product.seller || null
-        };
-        updatedCart = [...currentCart, cartItem];
-      }
+      // Increases the quantity if the product is already in the cart
+      const updatedCart = addItemToCart(currentCart, buildCartItem(product, null, DEFAULT_FALLBACK_IMAGE));
       
       // Update in Firestore
       await updateDoc(customerRef, {
@@ -7166,6 +7156,20 @@ $48.84 /pc
             <Typography variant="h6" gutterBottom>
               No products found matching your search criteria
             </Typography>
+            {didYouMean && (
+              <Typography variant="body1" sx={{ mt: 1 }}>
+                Did you mean{' '}
+                <Link
+                  component="button"
+                  variant="body1"
+                  fontWeight="bold"
+                  onClick={() => navigate(`/?search=${encodeURIComponent(didYouMean)}`)}
+                >
+                  {didYouMean}
+                </Link>
+                ?
+              </Typography>
+            )}
             {localSearchTerm && (
               <Button 
                 variant="outlined" 
@@ -7237,6 +7241,11 @@ $48.84 /pc
                       <Typography variant="h6" color="primary">
                         ${product.price}
                       </Typography>
+                      {isOutOfStock(product) && (
+                        <Typography variant="body2" color="error">
+                          Out of stock
+                        </Typography>
+                      )}
                     </CardContent>
                     <Fade in={hoveredCard === product.id}>
                       <CardActions 
@@ -7265,9 +7274,10 @@ $48.84 /pc
                             color="secondary"
                             startIcon={<AddCartIcon />}
                             onClick={(e) => handleAddToCart(e, product)}
+                            disabled={isOutOfStock(product)}
                             sx={{ color: 'white' }}
                           >
-                            Add to Cart
+                            {isOutOfStock(product) ? 'Out of Stock' : 'Add to Cart'}
                           </Button>
                         ) : (
                           <Button
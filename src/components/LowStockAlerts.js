@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  TextField,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+import { collection, getDocs } from 'firebase/firestore';
+import { auth, db } from '../firebase';
+import SectionCard from './SectionCard';
+import { getInventorySettings, getLowStockItems, saveInventorySettings } from '../utils/inventory';
+
+/**
+ * Products and variants whose stock is at or below the low stock threshold,
+ * with the threshold itself editable in place.
+ * @param {Object} props - { onEditProduct(productId) } to jump to a product
+ */
+const LowStockAlerts = ({ onEditProduct }) => {
+  const [items, setItems] = useState([]);
+  const [threshold, setThreshold] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadAlerts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [settings, snapshot] = await Promise.all([
+        getInventorySettings(),
+        getDocs(collection(db, 'products'))
+      ]);
+      const products = snapshot.docs.map((productDoc) => ({ id: productDoc.id, ...productDoc.data() }));
+      setThreshold(String(settings.lowStockThreshold));
+      setItems(getLowStockItems(products, settings.lowStockThreshold));
+    } catch (error) {
+      console.error('Error loading low stock alerts:', error);
+      setMessage({ severity: 'error', text: 'Failed to load stock levels' });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAlerts();
+  }, [loadAlerts]);
+
+  const handleSaveThreshold = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      await saveInventorySettings({ lowStockThreshold: threshold }, auth.currentUser?.email);
+      setMessage({ severity: 'success', text: 'Low stock threshold saved' });
+      await loadAlerts();
+    } catch (error) {
+      setMessage({ severity: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const outOfStockCount = items.filter((item) => item.stock <= 0).length;
+
+  return (
+    <SectionCard title={`Low Stock Alerts${items.length > 0 ? ` (${items.length})` : ''}`}>
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+        <TextField
+          size="small"
+          type="number"
+          label="Alert at or below"
+          value={threshold}
+          onChange={(e) => setThreshold(e.target.value)}
+          inputProps={{ min: 0 }}
+          sx={{ width: 160 }}
+        />
+        <Button variant="outlined" size="small" onClick={handleSaveThreshold} disabled={saving || threshold === ''}>
+          {saving ? <CircularProgress size={20} /> : 'Save'}
+        </Button>
+        <Button size="small" startIcon={<RefreshIcon />} onClick={loadAlerts} disabled={loading}>
+          Refresh
+        </Button>
+      </Box>
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+          <CircularProgress size={28} />
+        </Box>
+      ) : items.length === 0 ? (
+        <Typography color="textSecondary">All products are above the low stock threshold.</Typography>
+      ) : (
+        <>
+          {outOfStockCount > 0 && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {outOfStockCount} product(s) or variant(s) are out of stock and cannot be ordered.
+            </Alert>
+          )}
+          <TableContainer sx={{ maxHeight: 360 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Product</TableCell>
+                  <TableCell>Variant</TableCell>
+                  <TableCell align="right">Stock</TableCell>
+                  {onEditProduct && <TableCell />}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {items.map((item) => (
+                  <TableRow key={`${item.productId}-${item.variantId || 'product'}`}>
+                    <TableCell>{item.name}</TableCell>
+                    <TableCell>{item.variantLabel || '—'}</TableCell>
+                    <TableCell align="right">
+                      <Chip
+                        size="small"
+                        label={item.stock <= 0 ? 'Out of stock' : `${item.stock} left`}
+                        color={item.stock <= 0 ? 'error' : 'warning'}
+                      />
+                    </TableCell>
+                    {onEditProduct && (
+                      <TableCell align="right">
+                        <Button size="small" onClick={() => onEditProduct(item.productId)}>
+                          Restock
+                        </Button>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+    </SectionCard>
+  );
+};
+
+export default LowStockAlerts;
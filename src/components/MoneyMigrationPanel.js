@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { Box, Typography, Button, CircularProgress, Alert } from '@mui/material';
+import SectionCard from './SectionCard';
+import { migrateMoneyFields } from '../utils/moneyMigration';
+
+const describeCounts = (result) =>
+  Object.entries(result.byCollection)
+    .filter(([, count]) => count > 0)
+    .map(([collectionName, count]) => `${collectionName}: ${count}`)
+    .join(', ');
+
+const MoneyMigrationPanel = () => {
+  const [checkResult, setCheckResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleCheck = async () => {
+    setRunning(true);
+    setMessage(null);
+    try {
+      const result = await migrateMoneyFields({ dryRun: true });
+      setCheckResult(result);
+      setMessage({
+        severity: result.changed > 0 ? 'warning' : 'success',
+        text: result.changed > 0
+          ? `${result.changed} of ${result.scanned} document(s) have amounts not yet stored in cents (${describeCounts(result)})`
+          : `All ${result.scanned} documents already store their amounts in cents`
+      });
+    } catch (error) {
+      console.error('Error checking stored amounts:', error);
+      setMessage({ severity: 'error', text: 'Check failed: ' + error.message });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleMigrate = async () => {
+    if (!window.confirm(`Store the amounts of ${checkResult.changed} document(s) in cents, rounding them to the cent? This cannot be undone.`)) {
+      return;
+    }
+
+    setRunning(true);
+    setMessage(null);
+    try {
+      const result = await migrateMoneyFields();
+      setCheckResult(null);
+      setMessage({ severity: 'success', text: `Stored the amounts of ${result.changed} document(s) in cents` });
+    } catch (error) {
+      console.error('Error migrating stored amounts:', error);
+      setMessage({ severity: 'error', text: 'Migration failed: ' + error.message });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <SectionCard title="Store Amounts in Cents">
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+        Amounts saved before money was stored in whole cents are kept in dollars only and can carry
+        float rounding errors. Check for them first, then store balances, orders, products (with their
+        variants) and requests in cents. Transaction history is not changed.
+      </Typography>
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        <Button variant="outlined" onClick={handleCheck} disabled={running}>
+          {running ? <CircularProgress size={24} /> : 'Check Stored Amounts'}
+        </Button>
+        <Button
+          variant="contained"
+          color="warning"
+          onClick={handleMigrate}
+          disabled={running || !checkResult || checkResult.changed === 0}
+        >
+          Store in Cents
+        </Button>
+      </Box>
+    </SectionCard>
+  );
+};
+
+export default MoneyMigrationPanel;
@@ -13,8 +13,11 @@ import {
   Drawer,
   List,
   ListItem,
+  ListItemButton,
   ListItemText,
   ListItemIcon,
+  ListItemAvatar,
+  Avatar,
   Divider,
   useMediaQuery,
   useTheme
@@ -34,6 +37,12 @@ import { useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import { auth } from '../firebase';
 import { signOut } from 'firebase/auth';
 import { Storefront as StorefrontIcon } from '@mui/icons-material';
+import { getCatalogSearchIndex, getSuggestions, getDidYouMean } from '../utils/productSearch';
+import { getPriceRange } from '../utils/productVariants';
+import { formatMoney } from '../utils/money';
+
+// Wait this long after the last keystroke before looking up suggestions
+const SUGGESTION_DELAY = 150;
 
 const Navbar = ({ isAdmin, setIsAdmin, isCustomer, setIsCustomer, isSeller, setIsSeller, isAuthenticated, onSearch }) => {
   const navigate = useNavigate();
@@ -43,6 +52,9 @@ const Navbar = ({ isAdmin, setIsAdmin, isCustomer, setIsCustomer, isSeller, setI
   const [isLoggedIn, setIsLoggedIn] = useState(isAuthenticated || !!auth.currentUser);
   const [searchFocused, setSearchFocused] = useState(false);
   const searchInputRef = useRef(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [didYouMean, setDidYouMean] = useState(null);
+  const [highlightedSuggestion, setHighlightedSuggestion] = useState(-1);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   
   // Use MUI's useTheme and useMediaQuery hooks for responsive design
@@ -67,6 +79,67 @@ const Navbar = ({ isAdmin, setIsAdmin, isCustomer, setIsCustomer, isSeller, setI
     // This prevents too many re-renders while typing
   };
 
+  // Look up autocomplete suggestions from the catalog index while typing
+  useEffect(() => {
+    const text = searchTerm.trim();
+    if (!searchFocused || !text) {
+      setSuggestions([]);
+      setDidYouMean(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      getCatalogSearchIndex()
+        .then((index) => {
+          if (cancelled) return;
+          const matches = getSuggestions(index, text);
+          setSuggestions(matches);
+          setDidYouMean(matches.length === 0 ? getDidYouMean(index, text) : null);
+          setHighlightedSuggestion(-1);
+        })
+        .catch((error) => console.error('Error loading search suggestions:', error));
+    }, SUGGESTION_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchTerm, searchFocused]);
+
+  const closeSuggestions = () => {
+    setSearchFocused(false);
+    setHighlightedSuggestion(-1);
+  };
+
+  const handleSuggestionSelect = (product) => {
+    closeSuggestions();
+    navigate(`/product/${product.id}`);
+  };
+
+  const handleDidYouMeanSelect = () => {
+    setSearchTerm(didYouMean);
+    closeSuggestions();
+    submitSearch(didYouMean);
+  };
+
+  // Arrow keys move through the suggestions, Enter opens the highlighted one
+  const handleSearchKeyDown = (event) => {
+    if (!searchFocused || suggestions.length === 0) return;
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setHighlightedSuggestion((prev) => (prev + 1) % suggestions.length);
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setHighlightedSuggestion((prev) => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+    } else if (event.key === 'Enter' && highlightedSuggestion >= 0) {
+      event.preventDefault();
+      handleSuggestionSelect(suggestions[highlightedSuggestion]);
+    } else if (event.key === 'Escape') {
+      closeSuggestions();
+    }
+  };
+
   // Handle search submission
   const handleSearchSubmit = (event) => {
     if (event.key === 'Enter') {
@@ -81,19 +154,20 @@ const Navbar = ({ isAdmin, setIsAdmin, isCustomer, setIsCustomer, isSeller, setI
   };
 
   // Common search submission logic
-  const submitSearch = () => {
-    if (searchTerm.trim()) {
-      console.log('Search navigation with React Router:', searchTerm.trim());
+  const submitSearch = (term = searchTerm) => {
+    closeSuggestions();
+    if (term.trim()) {
+      console.log('Search navigation with React Router:', term.trim());
       
       // First update the app state with the search term
       if (onSearch) {
-        onSearch(searchTerm.trim());
+        onSearch(term.trim());
       }
       
       // Then navigate to the homepage with the search parameter
       navigate({
         pathname: '/',
-        search: `?search=${encodeURIComponent(searchTerm.trim())}`
+        search: `?search=${encodeURIComponent(term.trim())}`
       });
       
       // Close mobile menu if open
@@ -406,69 +480,104 @@ const Navbar = ({ isAdmin, setIsAdmin, isCustomer, setIsCustomer, isSeller, setI
 
           {/* Search Bar - Only show on homepage and not on mobile */}
           {isHomePage && !isMobile && (
-            <Paper
-              component="form"
-              onSubmit={(e) => {
-                e.preventDefault(); // Prevent default form submission
-                submitSearch(); // Use our custom submit function
-              }}
-              sx={{
-                p: '2px 4px',
-                display: 'flex',
-                alignItems: 'center',
-                width: { sm: 250, md: 350, lg: 450 },
-                mx: 2,
-                backgroundColor: 'rgba(255, 255, 255, 0.2)',
-                '&:hover': {
-                  backgroundColor: 'rgba(255, 255, 255, 0.3)',
-                },
-                borderRadius: '20px',
-                boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
-                transition: 'all 0.3s ease',
-              }}
-            >
-              <SearchIcon sx={{ p: '10px', color: 'white' }} />
-              <InputBase
-                ref={searchInputRef}
-                sx={{ 
-                  ml: 1, 
-                  flex: 1,
-                  color: 'white',
-                  '& input::placeholder': {
-                    color: 'rgba(255, 255, 255, 0.8)',
-                    opacity: 1,
-                    fontWeight: 'medium',
+            <Box ref={searchInputRef} sx={{ position: 'relative', width: { sm: 250, md: 350, lg: 450 }, mx: 2 }}>
+              <Paper
+                component="form"
+                onSubmit={(e) => {
+                  e.preventDefault(); // Prevent default form submission
+                  submitSearch(); // Use our custom submit function
+                }}
+                sx={{
+                  p: '2px 4px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  width: '100%',
+                  backgroundColor: 'rgba(255, 255, 255, 0.2)',
+                  '&:hover': {
+                    backgroundColor: 'rgba(255, 255, 255, 0.3)',
                   },
-                  '& input': {
-                    color: 'white',
-                    fontSize: '1rem',
-                    padding: '8px 0',
-                  }
+                  borderRadius: '20px',
+                  boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+                  transition: 'all 0.3s ease',
                 }}
-                placeholder="Search products by name..."
-                value={searchTerm}
-                onChange={handleSearchChange}
-                onKeyPress={handleSearchSubmit}
-                onFocus={() => setSearchFocused(true)}
-                inputProps={{ 'aria-label': 'search products' }}
-              />
-              {searchTerm && (
+              >
+                <SearchIcon sx={{ p: '10px', color: 'white' }} />
+                <InputBase
+                  sx={{ 
+                    ml: 1, 
+                    flex: 1,
+                    color: 'white',
+                    '& input::placeholder': {
+                      color: 'rgba(255, 255, 255, 0.8)',
+                      opacity: 1,
+                      fontWeight: 'medium',
+                    },
+                    '& input': {
+                      color: 'white',
+                      fontSize: '1rem',
+                      padding: '8px 0',
+                    }
+                  }}
+                  placeholder="Search products by name..."
+                  value={searchTerm}
+                  onChange={handleSearchChange}
+                  onKeyPress={handleSearchSubmit}
+                  onKeyDown={handleSearchKeyDown}
+                  onFocus={() => setSearchFocused(true)}
+                  inputProps={{ 'aria-label': 'search products' }}
+                />
+                {searchTerm && (
+                  <IconButton 
+                    sx={{ p: '5px', color: 'white' }} 
+                    aria-label="clear search"
+                    onClick={handleClearSearch}
+                  >
+                    <Box component="span" sx={{ fontSize: 18, fontWeight: 'bold' }}>×</Box>
+                  </IconButton>
+                )}
                 <IconButton 
                   sx={{ p: '5px', color: 'white' }} 
-                  aria-label="clear search"
-                  onClick={handleClearSearch}
+                  aria-label="search"
+                  onClick={handleSubmitSearch}
                 >
-                  <Box component="span" sx={{ fontSize: 18, fontWeight: 'bold' }}>×</Box>
+                  <SearchIcon fontSize="small" />
                 </IconButton>
+              </Paper>
+              {searchFocused && (suggestions.length > 0 || didYouMean) && (
+                <Paper
+                  elevation={6}
+                  sx={{ position: 'absolute', top: '100%', left: 0, right: 0, mt: 1, zIndex: theme.zIndex.modal, overflow: 'hidden' }}
+                >
+                  <List dense disablePadding>
+                    {suggestions.map((product, index) => (
+                      <ListItemButton
+                        key={product.id}
+                        selected={index === highlightedSuggestion}
+                        onMouseEnter={() => setHighlightedSuggestion(index)}
+                        onClick={() => handleSuggestionSelect(product)}
+                      >
+                        <ListItemAvatar>
+                          <Avatar variant="rounded" src={product.imageUrl} alt={product.name} />
+                        </ListItemAvatar>
+                        <ListItemText
+                          primary={product.name}
+                          secondary={formatMoney(getPriceRange(product).min)}
+                          primaryTypographyProps={{ noWrap: true }}
+                        />
+                      </ListItemButton>
+                    ))}
+                    {suggestions.length === 0 && didYouMean && (
+                      <ListItemButton onClick={handleDidYouMeanSelect}>
+                        <ListItemText
+                          primary={<>Did you mean <strong>{didYouMean}</strong>?</>}
+                          secondary="No products match your search"
+                        />
+                      </ListItemButton>
+                    )}
+                  </List>
+                </Paper>
               )}
-              <IconButton 
-                sx={{ p: '5px', color: 'white' }} 
-                aria-label="search"
-                onClick={handleSubmitSearch}
-              >
-                <SearchIcon fontSize="small" />
-              </IconButton>
-            </Paper>
+            </Box>
           )}
 
           <Box sx={{ flexGrow: 1 }} />
@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Grid,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Button,
+  Box,
+  Alert
+} from '@mui/material';
+import { Search as SearchIcon, Clear as ClearIcon } from '@mui/icons-material';
+import { ORDER_STATUS, getOrderStatusLabel } from '../utils/orderLifecycle';
+import { EMPTY_ORDER_FILTERS, hasActiveOrderFilters, validateOrderFilters } from '../utils/orderSearch';
+
+/**
+ * Order search form. Edits are kept locally and only applied (and written to
+ * the URL by the parent) when the user presses Search.
+ */
+const OrderFilters = ({ filters, onApply, sellers, showSellerFilter = false }) => {
+  const [draft, setDraft] = useState(filters);
+  const [error, setError] = useState('');
+
+  // Follow the URL when it changes from outside (back button, shared link)
+  useEffect(() => {
+    setDraft(filters);
+  }, [filters]);
+
+  const handleChange = (field) => (e) => {
+    setDraft({ ...draft, [field]: e.target.value });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validationError = validateOrderFilters(draft);
+    setError(validationError || '');
+    if (!validationError) {
+      onApply(draft);
+    }
+  };
+
+  const handleClear = () => {
+    setDraft(EMPTY_ORDER_FILTERS);
+    setError('');
+    onApply(EMPTY_ORDER_FILTERS);
+  };
+
+  return (
+    <Paper component="form" onSubmit={handleSubmit} elevation={1} sx={{ p: 2, mb: 2 }}>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            label="Order ID starts with"
+            fullWidth
+            size="small"
+            value={draft.orderId}
+            onChange={handleChange('orderId')}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Status</InputLabel>
+            <Select value={draft.status} onChange={handleChange('status')} label="Status">
+              <MenuItem value="">Any status</MenuItem>
+              {Object.values(ORDER_STATUS).map((status) => (
+                <MenuItem key={status} value={status}>
+                  {getOrderStatusLabel(status)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            label="Customer email or phone"
+            fullWidth
+            size="small"
+            value={draft.customer}
+            onChange={handleChange('customer')}
+          />
+        </Grid>
+        {showSellerFilter && (
+          <Grid item xs={12} sm={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Seller</InputLabel>
+              <Select value={draft.seller} onChange={handleChange('seller')} label="Seller">
+                <MenuItem value="">Any seller</MenuItem>
+                {(sellers || []).map((seller) => (
+                  <MenuItem key={seller.id} value={seller.id}>
+                    {seller.name || seller.shopName || seller.email || seller.id}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+        )}
+        <Grid item xs={6} sm={3} md={showSellerFilter ? 3 : 1.5}>
+          <TextField
+            label="From"
+            type="date"
+            fullWidth
+            size="small"
+            InputLabelProps={{ shrink: true }}
+            value={draft.from}
+            onChange={handleChange('from')}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3} md={showSellerFilter ? 3 : 1.5}>
+          <TextField
+            label="To"
+            type="date"
+            fullWidth
+            size="small"
+            InputLabelProps={{ shrink: true }}
+            value={draft.to}
+            onChange={handleChange('to')}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3} md={showSellerFilter ? 3 : 1.5}>
+          <TextField
+            label="Min amount"
+            type="number"
+            fullWidth
+            size="small"
+            inputProps={{ min: 0, step: '0.01' }}
+            value={draft.minAmount}
+            onChange={handleChange('minAmount')}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3} md={showSellerFilter ? 3 : 1.5}>
+          <TextField
+            label="Max amount"
+            type="number"
+            fullWidth
+            size="small"
+            inputProps={{ min: 0, step: '0.01' }}
+            value={draft.maxAmount}
+            onChange={handleChange('maxAmount')}
+          />
+        </Grid>
+      </Grid>
+      <Box sx={{ display: 'flex', gap: 1, mt: 2, justifyContent: 'flex-end' }}>
+        <Button
+          startIcon={<ClearIcon />}
+          onClick={handleClear}
+          disabled={!hasActiveOrderFilters(filters) && !hasActiveOrderFilters(draft)}
+        >
+          Clear
+        </Button>
+        <Button type="submit" variant="contained" startIcon={<SearchIcon />}>
+          Search
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+export default OrderFilters;
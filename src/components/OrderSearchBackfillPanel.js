@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { Box, Typography, Button, CircularProgress, Alert } from '@mui/material';
+import SectionCard from './SectionCard';
+import { backfillOrderSearchFields } from '../utils/orderSearch';
+
+const OrderSearchBackfillPanel = () => {
+  const [checkResult, setCheckResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleCheck = async () => {
+    setRunning(true);
+    setMessage(null);
+    try {
+      const result = await backfillOrderSearchFields({ dryRun: true });
+      setCheckResult(result);
+      setMessage({
+        severity: result.changed > 0 ? 'warning' : 'success',
+        text: result.changed > 0
+          ? `${result.changed} of ${result.scanned} order(s) are missing the fields order search filters on`
+          : `All ${result.scanned} orders can be found by order search`
+      });
+    } catch (error) {
+      console.error('Error checking order search fields:', error);
+      setMessage({ severity: 'error', text: 'Check failed: ' + error.message });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleBackfill = async () => {
+    setRunning(true);
+    setMessage(null);
+    try {
+      const result = await backfillOrderSearchFields();
+      setCheckResult(null);
+      setMessage({ severity: 'success', text: `Updated ${result.changed} order(s)` });
+    } catch (error) {
+      console.error('Error updating order search fields:', error);
+      setMessage({ severity: 'error', text: 'Update failed: ' + error.message });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <SectionCard title="Order Search Fields">
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+        Orders created from the admin dashboard before order search existed lack the customer email,
+        total and date fields the order filters use, so filtered searches leave them out.
+        Check for them, then add the missing fields. Nothing else on the orders changes.
+      </Typography>
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        <Button variant="outlined" onClick={handleCheck} disabled={running}>
+          {running ? <CircularProgress size={24} /> : 'Check Orders'}
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleBackfill}
+          disabled={running || !checkResult || checkResult.changed === 0}
+        >
+          Add Missing Fields
+        </Button>
+      </Box>
+    </SectionCard>
+  );
+};
+
+export default OrderSearchBackfillPanel;
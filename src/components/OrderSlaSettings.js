@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Grid,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Button,
+  CircularProgress,
+  Typography,
+  Alert
+} from '@mui/material';
+import { auth } from '../firebase';
+import SectionCard from './SectionCard';
+import {
+  SLA_STAGES,
+  SLA_STAGE_ACTIONS,
+  SLA_ACTION_LABELS,
+  getSlaSettings,
+  saveSlaSettings,
+  enforceOrderSla
+} from '../utils/orderSla';
+
+const OrderSlaSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    getSlaSettings()
+      .then(setSettings)
+      .catch((error) => {
+        console.error('Error loading SLA settings:', error);
+        setMessage({ severity: 'error', text: 'Failed to load SLA settings' });
+      });
+  }, []);
+
+  const handleChange = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setSettings({ ...settings, [field]: value });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      await saveSlaSettings(settings, auth.currentUser?.email);
+      setMessage({ severity: 'success', text: 'SLA settings saved' });
+    } catch (error) {
+      console.error('Error saving SLA settings:', error);
+      setMessage({ severity: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRunCheck = async () => {
+    setChecking(true);
+    setMessage(null);
+    try {
+      const actions = await enforceOrderSla();
+      setMessage({
+        severity: actions.length > 0 ? 'warning' : 'success',
+        text: actions.length > 0
+          ? `${actions.length} overdue order(s) handled`
+          : 'No overdue orders found'
+      });
+    } catch (error) {
+      console.error('Error running SLA check:', error);
+      setMessage({ severity: 'error', text: 'SLA check failed: ' + error.message });
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  if (!settings) {
+    return (
+      <SectionCard title="Order Deadlines (SLA)">
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          {message ? <Alert severity={message.severity}>{message.text}</Alert> : <CircularProgress />}
+        </Box>
+      </SectionCard>
+    );
+  }
+
+  return (
+    <SectionCard title="Order Deadlines (SLA)">
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+      <FormControlLabel
+        control={<Switch checked={!!settings.enabled} onChange={handleChange('enabled')} />}
+        label="Enforce deadlines automatically"
+      />
+      <Grid container spacing={2} sx={{ mt: 1 }}>
+        <Grid item xs={12} md={6}>
+          <Typography variant="subtitle2" gutterBottom>Assigned → Picked</Typography>
+          <TextField
+            label="Deadline (hours)"
+            type="number"
+            fullWidth
+            size="small"
+            inputProps={{ min: 1 }}
+            value={settings.pickDeadlineHours}
+            onChange={handleChange('pickDeadlineHours')}
+            sx={{ mb: 2 }}
+          />
+          <FormControl fullWidth size="small">
+            <InputLabel>When missed</InputLabel>
+            <Select value={settings.pickAction} onChange={handleChange('pickAction')} label="When missed">
+              {SLA_STAGE_ACTIONS[SLA_STAGES.PICK].map((action) => (
+                <MenuItem key={action} value={action}>{SLA_ACTION_LABELS[action]}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <Typography variant="subtitle2" gutterBottom>Picked → Shipped</Typography>
+          <TextField
+            label="Deadline (hours)"
+            type="number"
+            fullWidth
+            size="small"
+            inputProps={{ min: 1 }}
+            value={settings.shipDeadlineHours}
+            onChange={handleChange('shipDeadlineHours')}
+            sx={{ mb: 2 }}
+          />
+          <FormControl fullWidth size="small">
+            <InputLabel>When missed</InputLabel>
+            <Select value={settings.shipAction} onChange={handleChange('shipAction')} label="When missed">
+              {SLA_STAGE_ACTIONS[SLA_STAGES.SHIP].map((action) => (
+                <MenuItem key={action} value={action}>{SLA_ACTION_LABELS[action]}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+      </Grid>
+      <Typography variant="caption" color="textSecondary" component="p" sx={{ mt: 2 }}>
+        Cancelling a picked order returns the seller's wallet deduction and removes the pending earnings.
+        Deadlines are checked every 15 minutes while an admin has the dashboard open, so orders that
+        run late while no admin is signed in are handled on the next visit.
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+        <Button variant="contained" onClick={handleSave} disabled={saving}>
+          {saving ? <CircularProgress size={24} /> : 'Save Settings'}
+        </Button>
+        <Button variant="outlined" onClick={handleRunCheck} disabled={checking}>
+          {checking ? <CircularProgress size={24} /> : 'Run Check Now'}
+        </Button>
+      </Box>
+    </SectionCard>
+  );
+};
+
+export default OrderSlaSettings;
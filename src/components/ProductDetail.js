@@ -14,11 +14,14 @@ import {
 } from '@mui/material';
 import { 
   Store as StoreIcon,
-  ArrowBack as BackIcon
+  ArrowBack as BackIcon,
+  AddShoppingCart as AddShoppingCartIcon
 } from '@mui/icons-material';
 import { useParams, useNavigate } from 'react-router-dom';
 import { auth, db } from '../firebase';
-import { doc, getDoc } from 'firebase/firestore';
+import { doc, getDoc, updateDoc } from 'firebase/firestore';
+import VariantSelector from './VariantSelector';
+import { addItemToCart, buildCartItem, findVariant, getPriceRange, hasVariants } from '../utils/productVariants';
 
 const ProductDetail = ({ isAuthenticated }) => {
   const { productId } = useParams();
@@ -27,6 +30,8 @@ const ProductDetail = ({ isAuthenticated }) => {
   const [seller, setSeller] = useState(null);
   const [loading, setLoading] = useState(true);
   const [imageError, setImageError] = useState(false);
+  const [selection, setSelection] = useState({});
+  const [addingToCart, setAddingToCart] = useState(false);
   const [snackbar, setSnackbar] = useState({
     open: false,
     message: '',
@@ -55,6 +60,12 @@ const ProductDetail = ({ isAuthenticated }) => {
         
         const productData = productDoc.data();
         setProduct({ id: productDoc.id, ...productData });
+
+        // Start from the first variant that is in stock
+        if (hasVariants(productData)) {
+          const firstAvailable = productData.variants.find((variant) => Number(variant.stock) > 0);
+          setSelection(firstAvailable ? { ...firstAvailable.options } : {});
+        }
         
         // If product has seller info, fetch seller details
         if (productData.sellerId) {
@@ -89,6 +100,55 @@ const ProductDetail = ({ isAuthenticated }) => {
     setImageError(true);
   };
 
+  const selectedVariant = findVariant(product, selection);
+
+  const handleSelectionChange = (nextSelection) => {
+    setSelection(nextSelection);
+    setImageError(false);
+  };
+
+  const handleAddToCart = async () => {
+    if (!auth.currentUser) {
+      navigate('/customer/login');
+      return;
+    }
+
+    try {
+      setAddingToCart(true);
+      const customerRef = doc(db, 'customers', auth.currentUser.uid);
+      const customerDoc = await getDoc(customerRef);
+
+      if (!customerDoc.exists()) {
+        throw new Error('Customer data not found');
+      }
+
+      const cartItem = buildCartItem(product, selectedVariant, placeholderImage);
+      await updateDoc(customerRef, {
+        cart: addItemToCart(customerDoc.data().cart || [], cartItem)
+      });
+
+      setSnackbar({
+        open: true,
+        message: 'Product added to cart!',
+        severity: 'success',
+        action: (
+          <Button color="inherit" size="small" onClick={() => navigate('/cart')}>
+            View Cart
+          </Button>
+        )
+      });
+    } catch (error) {
+      console.error('Error adding to cart:', error);
+      setSnackbar({
+        open: true,
+        message: 'Failed to add product to cart. Please try again.',
+        severity: 'error'
+      });
+    } finally {
+      setAddingToCart(false);
+    }
+  };
+
   if (loading) {
     return (
       <Container maxWidth="lg" sx={{ mt: 4, display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
@@ -109,6 +169,16 @@ const ProductDetail = ({ isAuthenticated }) => {
     );
   }
 
+  // Products saved without a stock count are treated as available
+  let inStock = product.stock === undefined || Number(product.stock) > 0;
+  let stockLabel = product.stock === undefined ? '' : (inStock ? `${product.stock} in stock` : 'Out of stock');
+  if (hasVariants(product)) {
+    inStock = Boolean(selectedVariant) && Number(selectedVariant.stock) > 0;
+    stockLabel = !selectedVariant
+      ? 'Choose an option for each choice above'
+      : (inStock ? `${selectedVariant.stock} in stock` : 'Out of stock');
+  }
+
   return (
     <Container maxWidth="lg" sx={{ mt: 4, mb: 6 }}>
       <Button 
@@ -124,7 +194,7 @@ const ProductDetail = ({ isAuthenticated }) => {
           <Grid item xs={12} md={6}>
             <Box
               component="img"
-              src={imageError ? placeholderImage : product.imageUrl}
+              src={imageError ? placeholderImage : (selectedVariant?.imageUrl || product.imageUrl)}
               alt={product.name}
               onError={handleImageError}
               sx={{
@@ -156,8 +226,39 @@ const ProductDetail = ({ isAuthenticated }) => {
             )}
             
             <Typography variant="h5" color="primary" gutterBottom>
-              ${product.price || 0}
+              {selectedVariant
+                ? `$${Number(selectedVariant.price || 0).toFixed(2)}`
+                : hasVariants(product)
+                  ? `From $${getPriceRange(product).min.toFixed(2)}`
+                  : `$${product.price || 0}`}
             </Typography>
+
+            {hasVariants(product) && (
+              <Box sx={{ mt: 2 }}>
+                <VariantSelector product={product} selection={selection} onChange={handleSelectionChange} />
+                {selectedVariant?.sku && (
+                  <Typography variant="caption" color="text.secondary" display="block">
+                    SKU: {selectedVariant.sku}
+                  </Typography>
+                )}
+              </Box>
+            )}
+
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 2 }}>
+              <Button
+                variant="contained"
+                startIcon={<AddShoppingCartIcon />}
+                onClick={handleAddToCart}
+                disabled={!inStock || addingToCart}
+              >
+                {addingToCart ? 'Adding...' : 'Add to Cart'}
+              </Button>
+              {stockLabel && (
+                <Typography variant="body2" color={inStock ? 'success.main' : 'error'}>
+                  {stockLabel}
+                </Typography>
+              )}
+            </Box>
             
             <Divider sx={{ my: 2 }} />
             
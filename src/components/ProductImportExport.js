@@ -0,0 +1,367 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  Box,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer
+} from '@mui/material';
+import { FileUpload as FileUploadIcon, FileDownload as FileDownloadIcon } from '@mui/icons-material';
+import { auth } from '../firebase';
+import SectionCard from './SectionCard';
+import { formatMoney } from '../utils/money';
+import { useCategories } from '../hooks/useCategories';
+import { readSpreadsheetFile, downloadRows } from '../utils/spreadsheet';
+import {
+  PRODUCT_IMPORT_FIELDS,
+  guessColumnMapping,
+  validateImportRows,
+  runProductImport,
+  getRecentImportJobs,
+  buildImportResultRows,
+  buildCatalogRows
+} from '../utils/productImport';
+
+// Rows shown in the preview table; the import itself covers the whole file
+const PREVIEW_ROWS = 50;
+
+const formatJobDate = (value) => {
+  const date = value?.toDate ? value.toDate() : value instanceof Date ? value : null;
+  return date ? date.toLocaleString() : '—';
+};
+
+/**
+ * Bulk product import from CSV or XLSX with column mapping and a validated
+ * preview, the history of import jobs, and export of the catalog in the same format.
+ * @param {Object} props - { products, onImported() } to refresh the catalog after an import
+ */
+const ProductImportExport = ({ products, onImported }) => {
+  const categories = useCategories();
+  const [file, setFile] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [reading, setReading] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [jobs, setJobs] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  const loadJobs = useCallback(async () => {
+    try {
+      setJobs(await getRecentImportJobs());
+    } catch (error) {
+      console.error('Error loading import jobs:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  const existingProducts = useMemo(
+    () => new Map(products.map((product) => [product.id, product])),
+    [products]
+  );
+
+  const validation = useMemo(() => {
+    if (rows.length === 0) return { rows: [], error: null };
+    try {
+      return { rows: validateImportRows(rows, mapping, existingProducts, categories), error: null };
+    } catch (error) {
+      return { rows: [], error: error.message };
+    }
+  }, [rows, mapping, existingProducts, categories]);
+
+  const validCount = validation.rows.filter((row) => row.errors.length === 0).length;
+  const invalidCount = validation.rows.length - validCount;
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files?.[0];
+    e.target.value = '';
+    if (!selected) return;
+
+    setReading(true);
+    setMessage(null);
+    try {
+      const fileRows = await readSpreadsheetFile(selected);
+      if (fileRows.length === 0) {
+        throw new Error('The file is empty');
+      }
+      setFile(selected);
+      setRows(fileRows);
+      setMapping(guessColumnMapping(fileRows[0]));
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      setMessage({ severity: 'error', text: error.message });
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleMappingChange = (fieldKey, value) => {
+    setMapping((prev) => {
+      const next = { ...prev };
+      if (value === '') {
+        delete next[fieldKey];
+      } else {
+        next[fieldKey] = Number(value);
+      }
+      return next;
+    });
+  };
+
+  const handleClear = () => {
+    setFile(null);
+    setRows([]);
+    setMapping({});
+  };
+
+  const handleImport = async () => {
+    const skipped = invalidCount > 0 ? ` ${invalidCount} row(s) with errors will be skipped.` : '';
+    if (!window.confirm(`Import ${validCount} product(s) from ${file.name}?${skipped}`)) {
+      return;
+    }
+
+    setImporting(true);
+    setMessage(null);
+    try {
+      const job = await runProductImport(validation.rows, {
+        fileName: file.name,
+        mapping,
+        adminEmail: auth.currentUser?.email
+      });
+      const { created, updated, failed } = job.totals;
+      setMessage({
+        severity: failed > 0 ? 'warning' : 'success',
+        text: `Import finished: ${created} created, ${updated} updated, ${failed} failed`
+      });
+      handleClear();
+      await loadJobs();
+      if (onImported) onImported();
+    } catch (error) {
+      console.error('Error importing products:', error);
+      setMessage({ severity: 'error', text: 'Import failed: ' + error.message });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    const date = new Date().toISOString().slice(0, 10);
+    try {
+      await downloadRows(buildCatalogRows(products), `products-${date}`, format);
+    } catch (error) {
+      console.error('Error exporting products:', error);
+      setMessage({ severity: 'error', text: 'Export failed: ' + error.message });
+    }
+  };
+
+  const handleDownloadResults = (job) => {
+    downloadRows(buildImportResultRows(job), `product-import-${job.id}`, 'csv');
+  };
+
+  const headers = rows[0] || [];
+
+  return (
+    <SectionCard title="Import & Export Products">
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+        <Button
+          variant="contained"
+          component="label"
+          startIcon={reading ? <CircularProgress size={18} color="inherit" /> : <FileUploadIcon />}
+          disabled={reading || importing}
+        >
+          Upload CSV / XLSX
+          <input hidden type="file" accept=".csv,.xlsx,text/csv" onChange={handleFileChange} />
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={<FileDownloadIcon />}
+          onClick={() => handleExport('csv')}
+          disabled={products.length === 0}
+        >
+          Export CSV
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={<FileDownloadIcon />}
+          onClick={() => handleExport('xlsx')}
+          disabled={products.length === 0}
+        >
+          Export XLSX
+        </Button>
+      </Box>
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+        Rows with the ID of an existing product update it; rows without an ID create new products.
+        Export the catalog to get a file in the expected format.
+      </Typography>
+
+      {file && (
+        <>
+          <Typography variant="subtitle1" gutterBottom>
+            Column mapping for {file.name}
+          </Typography>
+          <Grid container spacing={2} sx={{ mb: 2 }}>
+            {PRODUCT_IMPORT_FIELDS.map((field) => (
+              <Grid item xs={12} sm={6} md={4} key={field.key}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label={field.required ? `${field.label} *` : field.label}
+                  value={mapping[field.key] ?? ''}
+                  onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                >
+                  <MenuItem value="">Not imported</MenuItem>
+                  {headers.map((header, index) => (
+                    <MenuItem key={index} value={index}>
+                      {header || `Column ${index + 1}`}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            ))}
+          </Grid>
+
+          {validation.error ? (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              {validation.error}
+            </Alert>
+          ) : (
+            <>
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 1 }}>
+                <Chip color="success" size="small" label={`${validCount} ready`} />
+                {invalidCount > 0 && <Chip color="error" size="small" label={`${invalidCount} with errors`} />}
+                {validation.rows.length > PREVIEW_ROWS && (
+                  <Typography variant="body2" color="textSecondary">
+                    Showing the first {PREVIEW_ROWS} of {validation.rows.length} rows
+                  </Typography>
+                )}
+              </Box>
+              <TableContainer sx={{ maxHeight: 400, mb: 2 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Row</TableCell>
+                      <TableCell>Action</TableCell>
+                      <TableCell>Name</TableCell>
+                      <TableCell align="right">Price</TableCell>
+                      <TableCell align="right">Stock</TableCell>
+                      <TableCell>Errors</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {validation.rows.slice(0, PREVIEW_ROWS).map((row) => (
+                      <TableRow key={row.rowNumber}>
+                        <TableCell>{row.rowNumber}</TableCell>
+                        <TableCell>
+                          <Chip
+                            size="small"
+                            variant="outlined"
+                            label={row.action === 'update' ? 'Update' : 'Create'}
+                            color={row.action === 'update' ? 'info' : 'default'}
+                          />
+                        </TableCell>
+                        <TableCell>
+                          {row.data.name || '—'}
+                          {row.data.variants?.length > 0 && (
+                            <Typography variant="caption" color="textSecondary" display="block">
+                              {row.data.variants.length} variants
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell align="right">{formatMoney(row.data.price)}</TableCell>
+                        <TableCell align="right">{row.data.stock ?? '—'}</TableCell>
+                        <TableCell>
+                          {row.errors.length > 0 ? (
+                            <Typography variant="body2" color="error">
+                              {row.errors.join('; ')}
+                            </Typography>
+                          ) : (
+                            '—'
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </>
+          )}
+
+          <Box sx={{ display: 'flex', gap: 1, mb: 3 }}>
+            <Button
+              variant="contained"
+              onClick={handleImport}
+              disabled={importing || Boolean(validation.error) || validCount === 0}
+            >
+              {importing ? <CircularProgress size={20} color="inherit" /> : `Import ${validCount} product(s)`}
+            </Button>
+            <Button onClick={handleClear} disabled={importing}>
+              Cancel
+            </Button>
+          </Box>
+        </>
+      )}
+
+      <Typography variant="subtitle1" gutterBottom>
+        Recent Imports
+      </Typography>
+      {jobs.length === 0 ? (
+        <Typography color="textSecondary">No imports yet.</Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Date</TableCell>
+                <TableCell>File</TableCell>
+                <TableCell>By</TableCell>
+                <TableCell align="right">Created</TableCell>
+                <TableCell align="right">Updated</TableCell>
+                <TableCell align="right">Failed</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {jobs.map((job) => (
+                <TableRow key={job.id}>
+                  <TableCell>{formatJobDate(job.createdAt)}</TableCell>
+                  <TableCell>{job.fileName}</TableCell>
+                  <TableCell>{job.createdBy || '—'}</TableCell>
+                  <TableCell align="right">{job.totals?.created ?? 0}</TableCell>
+                  <TableCell align="right">{job.totals?.updated ?? 0}</TableCell>
+                  <TableCell align="right">
+                    {job.totals?.failed > 0 ? <Chip size="small" color="error" label={job.totals.failed} /> : 0}
+                  </TableCell>
+                  <TableCell align="right">
+                    <Button size="small" onClick={() => handleDownloadResults(job)}>
+                      Results CSV
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </SectionCard>
+  );
+};
+
+export default ProductImportExport;
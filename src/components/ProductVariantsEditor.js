@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Grid,
+  TextField,
+  Button,
+  IconButton,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer
+} from '@mui/material';
+import { Delete as DeleteIcon } from '@mui/icons-material';
+import { VARIANT_OPTION_NAMES, buildVariantMatrix, formatVariantLabel, parseOptionValues } from '../utils/productVariants';
+
+const toOptionText = (variantOptions = []) =>
+  VARIANT_OPTION_NAMES.reduce((text, name) => {
+    const option = variantOptions.find((entry) => entry.name === name);
+    return { ...text, [name]: option ? option.values.join(', ') : '' };
+  }, {});
+
+/**
+ * Edits a product's variant matrix: the values offered for each option and
+ * the SKU, price, stock and image of every combination.
+ * @param {Object} props - { variantOptions, variants, defaults, onChange({ variantOptions, variants }) }
+ */
+const ProductVariantsEditor = ({ variantOptions = [], variants = [], defaults = {}, onChange }) => {
+  const [optionText, setOptionText] = useState(() => toOptionText(variantOptions));
+
+  useEffect(() => {
+    setOptionText(toOptionText(variantOptions));
+  }, [variantOptions]);
+
+  const handleGenerate = () => {
+    const nextOptions = VARIANT_OPTION_NAMES
+      .map((name) => ({ name, values: parseOptionValues(optionText[name]) }))
+      .filter((option) => option.values.length > 0);
+    onChange({ variantOptions: nextOptions, variants: buildVariantMatrix(nextOptions, variants, defaults) });
+  };
+
+  const handleVariantChange = (variantId, field, value) => {
+    onChange({
+      variantOptions,
+      variants: variants.map((variant) => (variant.id === variantId ? { ...variant, [field]: value } : variant))
+    });
+  };
+
+  const handleRemoveVariant = (variantId) => {
+    onChange({ variantOptions, variants: variants.filter((variant) => variant.id !== variantId) });
+  };
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        Variants
+      </Typography>
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+        Enter comma-separated values for each option, e.g. sizes "30, 32, 34". Leave every option empty for a product without variants.
+      </Typography>
+      <Grid container spacing={2} alignItems="center">
+        {VARIANT_OPTION_NAMES.map((name) => (
+          <Grid item xs={12} sm={4} key={name}>
+            <TextField
+              fullWidth
+              size="small"
+              label={name}
+              value={optionText[name]}
+              onChange={(e) => setOptionText((prev) => ({ ...prev, [name]: e.target.value }))}
+            />
+          </Grid>
+        ))}
+      </Grid>
+      <Button variant="outlined" size="small" onClick={handleGenerate} sx={{ mt: 2 }}>
+        {variants.length > 0 ? 'Update Variants' : 'Generate Variants'}
+      </Button>
+
+      {variants.length > 0 && (
+        <TableContainer sx={{ mt: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Variant</TableCell>
+                <TableCell>SKU</TableCell>
+                <TableCell>Price</TableCell>
+                <TableCell>Stock</TableCell>
+                <TableCell>Image URL</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {variants.map((variant) => (
+                <TableRow key={variant.id}>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                    {formatVariantLabel(variant.options, variantOptions)}
+                  </TableCell>
+                  <TableCell>
+                    <TextField
+                      size="small"
+                      value={variant.sku}
+                      onChange={(e) => handleVariantChange(variant.id, 'sku', e.target.value)}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <TextField
+                      size="small"
+                      type="number"
+                      value={variant.price}
+                      onChange={(e) => handleVariantChange(variant.id, 'price', e.target.value)}
+                      inputProps={{ min: 0, step: '0.01' }}
+                      sx={{ width: 100 }}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <TextField
+                      size="small"
+                      type="number"
+                      value={variant.stock}
+                      onChange={(e) => handleVariantChange(variant.id, 'stock', e.target.value)}
+                      inputProps={{ min: 0 }}
+                      sx={{ width: 80 }}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <TextField
+                      size="small"
+                      value={variant.imageUrl}
+                      onChange={(e) => handleVariantChange(variant.id, 'imageUrl', e.target.value)}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <IconButton size="small" color="error" onClick={() => handleRemoveVariant(variant.id)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default ProductVariantsEditor;
@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Grid,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Button,
+  IconButton,
+  CircularProgress,
+  Typography,
+  Alert,
+  Tooltip
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import { auth } from '../firebase';
+import SectionCard from './SectionCard';
+import CategorySelect from './CategorySelect';
+import { SELLER_TIERS, getProfitMarginSettings, saveProfitMarginSettings } from '../utils/profitMargins';
+import { matchCategory } from '../utils/categories';
+import { useCategories } from '../hooks/useCategories';
+
+// Rates are stored as fractions and edited as percentages
+const toPercent = (rate) => String(Math.round(Number(rate) * 10000) / 100);
+const toRate = (percent) => (percent === '' ? NaN : Number(percent) / 100);
+
+const EMPTY_RULE = { category: '', sellerTier: '', startDate: '', endDate: '', percent: '' };
+
+const ProfitMarginSettings = () => {
+  const categories = useCategories();
+  const [defaultPercent, setDefaultPercent] = useState(null);
+  const [rules, setRules] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    getProfitMarginSettings()
+      .then((settings) => {
+        setDefaultPercent(toPercent(settings.defaultRate));
+        setRules((settings.rules || []).map((rule) => ({
+          ...EMPTY_RULE,
+          ...rule,
+          // Rules typed before the category picker are shown as the category they match
+          category: matchCategory(settings.categories, rule.category)?.id || rule.category || '',
+          percent: toPercent(rule.rate)
+        })));
+      })
+      .catch((error) => {
+        console.error('Error loading profit margins:', error);
+        setMessage({ severity: 'error', text: 'Failed to load profit margins' });
+      });
+  }, []);
+
+  const setRuleField = (index, field, value) => {
+    setRules(rules.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  const updateRule = (index, field) => (e) => setRuleField(index, field, e.target.value);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      await saveProfitMarginSettings(
+        {
+          defaultRate: toRate(defaultPercent),
+          rules: rules.map(({ percent, ...rule }) => ({ ...rule, rate: toRate(percent) }))
+        },
+        auth.currentUser?.email
+      );
+      setMessage({ severity: 'success', text: 'Profit margins saved. Orders picked from now on use the new rules.' });
+    } catch (error) {
+      console.error('Error saving profit margins:', error);
+      setMessage({ severity: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (defaultPercent === null) {
+    return (
+      <SectionCard title="Seller Profit Margins">
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          {message ? <Alert severity={message.severity}>{message.text}</Alert> : <CircularProgress />}
+        </Box>
+      </SectionCard>
+    );
+  }
+
+  return (
+    <SectionCard title="Seller Profit Margins">
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+      <TextField
+        label="Default margin (%)"
+        type="number"
+        size="small"
+        inputProps={{ min: 0, max: 100, step: '0.01' }}
+        value={defaultPercent}
+        onChange={(e) => setDefaultPercent(e.target.value)}
+        sx={{ mb: 2 }}
+      />
+      <Typography variant="subtitle2" gutterBottom>Rules</Typography>
+      <Typography variant="caption" color="textSecondary" component="p" sx={{ mb: 2 }}>
+        Leave a field empty to match everything. A category rule also covers its subcategories.
+        When several rules match, the most specific one (deepest category, then tier, then dates)
+        wins. Picked orders keep the margin they were picked at.
+      </Typography>
+      {rules.map((rule, index) => (
+        <Grid container spacing={1} key={index} sx={{ mb: 1 }} alignItems="center">
+          <Grid item xs={12} sm={3}>
+            <CategorySelect
+              label="Category"
+              fullWidth
+              size="small"
+              categories={categories}
+              allLabel="Any category"
+              value={rule.category}
+              onChange={(value) => setRuleField(index, 'category', value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Seller tier</InputLabel>
+              <Select value={rule.sellerTier} onChange={updateRule(index, 'sellerTier')} label="Seller tier">
+                <MenuItem value="">Any tier</MenuItem>
+                {SELLER_TIERS.map((tier) => (
+                  <MenuItem key={tier} value={tier} sx={{ textTransform: 'capitalize' }}>{tier}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={6} sm={2}>
+            <TextField
+              label="From"
+              type="date"
+              fullWidth
+              size="small"
+              InputLabelProps={{ shrink: true }}
+              value={rule.startDate}
+              onChange={updateRule(index, 'startDate')}
+            />
+          </Grid>
+          <Grid item xs={6} sm={2}>
+            <TextField
+              label="To"
+              type="date"
+              fullWidth
+              size="small"
+              InputLabelProps={{ shrink: true }}
+              value={rule.endDate}
+              onChange={updateRule(index, 'endDate')}
+            />
+          </Grid>
+          <Grid item xs={9} sm={2}>
+            <TextField
+              label="Margin (%)"
+              type="number"
+              fullWidth
+              size="small"
+              inputProps={{ min: 0, max: 100, step: '0.01' }}
+              value={rule.percent}
+              onChange={updateRule(index, 'percent')}
+            />
+          </Grid>
+          <Grid item xs={3} sm={1}>
+            <Tooltip title="Remove rule">
+              <IconButton color="error" onClick={() => setRules(rules.filter((_, i) => i !== index))}>
+                <DeleteIcon />
+              </IconButton>
+            </Tooltip>
+          </Grid>
+        </Grid>
+      ))}
+      <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+        <Button startIcon={<AddIcon />} onClick={() => setRules([...rules, EMPTY_RULE])}>
+          Add Rule
+        </Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving}>
+          {saving ? <CircularProgress size={24} /> : 'Save Margins'}
+        </Button>
+      </Box>
+    </SectionCard>
+  );
+};
+
+export default ProfitMarginSettings;
@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Box,
+  Typography,
+  IconButton,
+  Alert,
+  CircularProgress,
+  LinearProgress
+} from '@mui/material';
+import { PhotoCamera, Close as CloseIcon } from '@mui/icons-material';
+import { auth } from '../firebase';
+import { uploadToCloudinary } from '../utils/cloudinaryConfig';
+import { createRefundRequest } from '../utils/refunds';
+
+const MAX_PHOTOS = 5;
+
+const RefundRequestDialog = ({ open, order, onClose, onSubmitted }) => {
+  const [reason, setReason] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Start with a clean form every time the dialog is opened for an order
+  useEffect(() => {
+    if (open) {
+      setReason('');
+      setPhotos([]);
+      setUploadProgress(0);
+      setError('');
+    }
+  }, [open, order?.id]);
+
+  const handlePhotoSelect = (event) => {
+    const files = Array.from(event.target.files || []).filter((file) => file.type.startsWith('image/'));
+    if (photos.length + files.length > MAX_PHOTOS) {
+      setError(`You can attach up to ${MAX_PHOTOS} photos`);
+    }
+    setPhotos((prevPhotos) =>
+      [...prevPhotos, ...files.map((file) => ({ file, preview: URL.createObjectURL(file) }))].slice(0, MAX_PHOTOS)
+    );
+    event.target.value = '';
+  };
+
+  const handleRemovePhoto = (index) => {
+    setPhotos((prevPhotos) => prevPhotos.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async () => {
+    if (!reason.trim()) {
+      setError('Please describe why you want a refund');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+    try {
+      // Upload photos one at a time so progress reflects the whole batch
+      const photoUrls = [];
+      for (let i = 0; i < photos.length; i++) {
+        const url = await uploadToCloudinary(
+          photos[i].file,
+          (progress) => setUploadProgress(Math.round(((i + progress / 100) / photos.length) * 100)),
+          'refund_photos'
+        );
+        photoUrls.push(url);
+      }
+
+      await createRefundRequest(order, {
+        reason,
+        photoUrls,
+        customerId: auth.currentUser?.uid,
+        customerEmail: auth.currentUser?.email
+      });
+
+      onSubmitted && onSubmitted();
+      onClose();
+    } catch (err) {
+      console.error('Error submitting refund request:', err);
+      setError(err.message || 'Failed to submit refund request. Please try again.');
+    } finally {
+      setSubmitting(false);
+      setUploadProgress(0);
+    }
+  };
+
+  if (!order) return null;
+
+  return (
+    <Dialog open={open} onClose={() => !submitting && onClose()} maxWidth="sm" fullWidth>
+      <DialogTitle>Request a Refund - #{order.orderNumber || order.id.substring(0, 8)}</DialogTitle>
+      <DialogContent dividers>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          autoFocus
+          label="Reason for refund"
+          fullWidth
+          multiline
+          rows={4}
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          disabled={submitting}
+          required
+        />
+
+        <Box sx={{ mt: 2 }}>
+          <Button
+            component="label"
+            variant="outlined"
+            startIcon={<PhotoCamera />}
+            disabled={submitting || photos.length >= MAX_PHOTOS}
+          >
+            Add Photos
+            <input type="file" accept="image/*" multiple hidden onChange={handlePhotoSelect} />
+          </Button>
+          <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+            {photos.length}/{MAX_PHOTOS} photos
+          </Typography>
+        </Box>
+
+        {photos.length > 0 && (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 2 }}>
+            {photos.map((photo, index) => (
+              <Box key={photo.preview} sx={{ position: 'relative' }}>
+                <img
+                  src={photo.preview}
+                  alt={`Refund evidence ${index + 1}`}
+                  style={{ width: 80, height: 80, objectFit: 'cover', borderRadius: 4 }}
+                />
+                <IconButton
+                  size="small"
+                  onClick={() => handleRemovePhoto(index)}
+                  disabled={submitting}
+                  sx={{ position: 'absolute', top: -8, right: -8, bgcolor: 'background.paper' }}
+                >
+                  <CloseIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            ))}
+          </Box>
+        )}
+
+        {submitting && photos.length > 0 && (
+          <LinearProgress variant="determinate" value={uploadProgress} sx={{ mt: 2 }} />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={submitting}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleSubmit}
+          variant="contained"
+          color="primary"
+          disabled={submitting || !reason.trim()}
+        >
+          {submitting ? <CircularProgress size={24} /> : 'Submit Request'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RefundRequestDialog;
@@ -0,0 +1,368 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  CircularProgress,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Tooltip,
+  Stack
+} from '@mui/material';
+import { InfoOutlined } from '@mui/icons-material';
+import { auth, db } from '../firebase';
+import { collection, query, orderBy, getDocs } from 'firebase/firestore';
+import SectionCard from './SectionCard';
+import {
+  REFUND_STATUS,
+  approveRefund,
+  rejectRefund,
+  getRefundStatusColor,
+  getRefundStatusLabel
+} from '../utils/refunds';
+
+const isOpenRefund = (request) =>
+  request.status === REFUND_STATUS.REQUESTED || request.status === REFUND_STATUS.SELLER_RESPONDED;
+
+const RefundPhotos = ({ photoUrls }) => {
+  if (!photoUrls || photoUrls.length === 0) {
+    return '-';
+  }
+
+  return (
+    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+      {photoUrls.map((url, index) => (
+        <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+          <img
+            src={url}
+            alt={`Refund evidence ${index + 1}`}
+            style={{ width: 40, height: 40, objectFit: 'cover', borderRadius: 4 }}
+          />
+        </a>
+      ))}
+    </Box>
+  );
+};
+
+const RefundRequestsManager = () => {
+  const [refundRequests, setRefundRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedRequest, setSelectedRequest] = useState(null);
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [openRejectDialog, setOpenRejectDialog] = useState(false);
+  const [processingRequest, setProcessingRequest] = useState(false);
+
+  // Fetch refund requests when component mounts
+  useEffect(() => {
+    fetchRefundRequests();
+  }, []);
+
+  const fetchRefundRequests = async () => {
+    setLoading(true);
+    try {
+      const requestsQuery = query(
+        collection(db, 'refundRequests'),
+        orderBy('timestamp', 'desc')
+      );
+      const requestDocs = await getDocs(requestsQuery);
+
+      const requests = requestDocs.docs.map((doc) => {
+        const data = doc.data();
+        return {
+          id: doc.id,
+          ...data,
+          timestamp: data.timestamp?.toDate() || new Date()
+        };
+      });
+
+      setRefundRequests(requests);
+    } catch (error) {
+      console.error('Error fetching refund requests:', error);
+      alert('Failed to load refund requests. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApprove = async (request) => {
+    let confirmMessage = `Are you sure you want to approve the refund of $${Number(request.amount || 0).toFixed(2)} for order #${request.orderNumber}?`;
+    confirmMessage += '\n\nThe seller\'s wallet and pending amounts for this order will be reversed.';
+
+    if (!window.confirm(confirmMessage)) {
+      return;
+    }
+
+    setProcessingRequest(true);
+    try {
+      const { walletChange, pendingChange } = await approveRefund(request.id, auth.currentUser.email);
+
+      await fetchRefundRequests();
+
+      alert(`Refund approved. Seller wallet changed by $${walletChange.toFixed(2)} and pending by $${pendingChange.toFixed(2)}.`);
+    } catch (error) {
+      console.error('Error approving refund request:', error);
+      alert('Failed to approve refund request: ' + error.message);
+    } finally {
+      setProcessingRequest(false);
+    }
+  };
+
+  const openRejectConfirmation = (request) => {
+    setSelectedRequest(request);
+    setRejectionReason('');
+    setOpenRejectDialog(true);
+  };
+
+  const handleReject = async () => {
+    if (!selectedRequest) return;
+
+    if (!rejectionReason.trim()) {
+      alert('Please provide a reason for rejection');
+      return;
+    }
+
+    setProcessingRequest(true);
+    try {
+      await rejectRefund(selectedRequest.id, auth.currentUser.email, rejectionReason.trim());
+
+      await fetchRefundRequests();
+
+      setOpenRejectDialog(false);
+      setSelectedRequest(null);
+
+      alert('Refund request rejected successfully.');
+    } catch (error) {
+      console.error('Error rejecting refund request:', error);
+      alert('Failed to reject refund request: ' + error.message);
+    } finally {
+      setProcessingRequest(false);
+    }
+  };
+
+  const renderSellerResponse = (request) => {
+    if (request.status === REFUND_STATUS.REQUESTED) {
+      return (
+        <Typography variant="caption" color="textSecondary">
+          Awaiting seller
+        </Typography>
+      );
+    }
+    if (request.sellerAccepted === undefined) {
+      return '-';
+    }
+    return (
+      <Tooltip title={request.sellerResponse || 'No comment'}>
+        <Chip
+          label={request.sellerAccepted ? 'Accepted' : 'Disputed'}
+          color={request.sellerAccepted ? 'success' : 'error'}
+          size="small"
+          variant="outlined"
+        />
+      </Tooltip>
+    );
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 5 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <>
+      <SectionCard title="Open Refund Requests">
+        {refundRequests.filter(isOpenRefund).length > 0 ? (
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Order</TableCell>
+                  <TableCell>Customer</TableCell>
+                  <TableCell>Amount</TableCell>
+                  <TableCell>Reason</TableCell>
+                  <TableCell>Photos</TableCell>
+                  <TableCell>Seller Response</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {refundRequests
+                  .filter(isOpenRefund)
+                  .map((request) => (
+                    <TableRow key={request.id}>
+                      <TableCell>
+                        {request.timestamp.toLocaleDateString()} {request.timestamp.toLocaleTimeString()}
+                      </TableCell>
+                      <TableCell>#{request.orderNumber}</TableCell>
+                      <TableCell>{request.customerEmail || '-'}</TableCell>
+                      <TableCell>${Number(request.amount || 0).toFixed(2)}</TableCell>
+                      <TableCell sx={{ maxWidth: 220 }}>
+                        <Tooltip title={request.reason}>
+                          <Typography variant="body2" noWrap>
+                            {request.reason}
+                          </Typography>
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell>
+                        <RefundPhotos photoUrls={request.photoUrls} />
+                      </TableCell>
+                      <TableCell>{renderSellerResponse(request)}</TableCell>
+                      <TableCell>
+                        <Stack direction="row" spacing={1}>
+                          <Button
+                            variant="contained"
+                            color="success"
+                            size="small"
+                            onClick={() => handleApprove(request)}
+                            disabled={processingRequest}
+                          >
+                            Approve
+                          </Button>
+                          <Button
+                            variant="contained"
+                            color="error"
+                            size="small"
+                            onClick={() => openRejectConfirmation(request)}
+                            disabled={processingRequest}
+                          >
+                            Reject
+                          </Button>
+                        </Stack>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        ) : (
+          <Typography color="textSecondary" sx={{ p: 2 }}>
+            No open refund requests.
+          </Typography>
+        )}
+      </SectionCard>
+
+      <SectionCard title="Processed Refund Requests" sx={{ mt: 4 }}>
+        {refundRequests.filter((request) => !isOpenRefund(request)).length > 0 ? (
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Order</TableCell>
+                  <TableCell>Customer</TableCell>
+                  <TableCell>Amount</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Processed By</TableCell>
+                  <TableCell>Details</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {refundRequests
+                  .filter((request) => !isOpenRefund(request))
+                  .map((request) => (
+                    <TableRow key={request.id}>
+                      <TableCell>
+                        {request.timestamp.toLocaleDateString()} {request.timestamp.toLocaleTimeString()}
+                      </TableCell>
+                      <TableCell>#{request.orderNumber}</TableCell>
+                      <TableCell>{request.customerEmail || '-'}</TableCell>
+                      <TableCell>${Number(request.amount || 0).toFixed(2)}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={getRefundStatusLabel(request.status)}
+                          color={getRefundStatusColor(request.status)}
+                          size="small"
+                        />
+                      </TableCell>
+                      <TableCell>
+                        {request.approvedBy || request.rejectedBy || '-'}
+                      </TableCell>
+                      <TableCell>
+                        {request.status === REFUND_STATUS.REJECTED && request.rejectionReason ? (
+                          <Tooltip title={`Reason: ${request.rejectionReason}`}>
+                            <InfoOutlined fontSize="small" color="error" />
+                          </Tooltip>
+                        ) : request.status === REFUND_STATUS.APPROVED ? (
+                          <Typography variant="caption">
+                            Wallet {Number(request.walletChange || 0).toFixed(2)} / Pending {Number(request.pendingChange || 0).toFixed(2)}
+                          </Typography>
+                        ) : (
+                          '-'
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        ) : (
+          <Typography color="textSecondary" sx={{ p: 2 }}>
+            No processed refund requests.
+          </Typography>
+        )}
+      </SectionCard>
+
+      {/* Rejection Reason Dialog */}
+      <Dialog open={openRejectDialog} onClose={() => setOpenRejectDialog(false)}>
+        <DialogTitle>Reject Refund Request</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" gutterBottom>
+            Please provide a reason for rejecting the refund request for order #{selectedRequest?.orderNumber}.
+          </Typography>
+
+          {selectedRequest && (
+            <Box sx={{ mt: 2, mb: 2, p: 2, bgcolor: 'background.default', borderRadius: 1 }}>
+              <Typography variant="subtitle2" gutterBottom>Customer reason:</Typography>
+              <Typography variant="body2">{selectedRequest.reason}</Typography>
+              {selectedRequest.sellerResponse && (
+                <>
+                  <Typography variant="subtitle2" sx={{ mt: 1 }} gutterBottom>Seller response:</Typography>
+                  <Typography variant="body2">{selectedRequest.sellerResponse}</Typography>
+                </>
+              )}
+            </Box>
+          )}
+
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Rejection Reason"
+            fullWidth
+            variant="outlined"
+            value={rejectionReason}
+            onChange={(e) => setRejectionReason(e.target.value)}
+            multiline
+            rows={3}
+            required
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenRejectDialog(false)}>Cancel</Button>
+          <Button
+            onClick={handleReject}
+            color="error"
+            variant="contained"
+            disabled={!rejectionReason.trim() || processingRequest}
+          >
+            Reject Request
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default RefundRequestsManager;
@@ -1,9 +1,10 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import {
   Container,
   Typography,
   Grid,
   Paper,
+  LinearProgress,
   Box,
   Avatar,
   Button,
@@ -46,7 +47,8 @@ import {
   Switch,
   FormControl,
   InputLabel,
-  Select
+  Select,
+  Link,
 } from "@mui/material";
 import {
   Store as StoreIcon,
@@ -76,6 +78,7 @@ import {
   Search as SearchIcon,
   Chat as ConversationsIcon,
   ShoppingCartCheckout as ShoppingCartCheckoutIcon,
+  ReceiptLong as StatementIcon,
 } from "@mui/icons-material";
 import { auth, db } from "../firebase";
 import {
@@ -84,7 +87,6 @@ import {
   getDocs,
   collection,
   updateDoc,
-  arrayUnion,
   arrayRemove,
   query,
   where,
@@ -96,13 +98,68 @@ import {
   onSnapshot
 } from "firebase/firestore";
 // import ChatWindow from "./Chat/ChatWindow";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import OrderFilters from "./OrderFilters";
+import { LEDGER_ACCOUNTS, recordSellerMovement } from "../utils/walletLedger";
+import WalletLedgerDialog from "./WalletLedgerDialog";
+import WalletTopUp from "./WalletTopUp";
+import SellerStatements from "./SellerStatements";
+import CategorySelect from "./CategorySelect";
+import {
+  getMarginRate,
+  getProductProfit,
+  getOrderProfit,
+  formatMarginRate,
+} from "../utils/profitMargins";
+import { useProfitMargins } from "../hooks/useProfitMargins";
+import {
+  parseOrderFilters,
+  applyOrderFiltersToParams,
+  hasActiveOrderFilters,
+  searchOrders,
+} from "../utils/orderSearch";
 import {
   EmailAuthProvider,
   reauthenticateWithCredential,
   updatePassword,
 } from "firebase/auth";
 import { Chat } from "./ChatComponents";
+import {
+  transitionOrderStatus,
+  getOrderStatusColor,
+} from "../utils/orderLifecycle";
+import { pickOrder, PICK_ERRORS } from "../utils/orderPicking";
+import {
+  ACCOUNT_CHANGE_FIELDS,
+  DEFAULT_WITHDRAWAL_POLICY,
+  FEE_TYPES,
+  LIMIT_PERIODS,
+  WITHDRAWAL_POLICY_ERROR,
+  assertWithdrawalAllowed,
+  calculateWithdrawalFee,
+  getWithdrawalPolicy,
+} from "../utils/withdrawalPolicy";
+import { PAYOUT_PROOF_LABELS } from "../utils/withdrawalPayouts";
+import {
+  CRYPTO_NETWORK_LABELS,
+  PAYMENT_METHOD_NETWORKS,
+  isCryptoPaymentMethod,
+  validateCryptoAddress,
+} from "../utils/cryptoAddress";
+import {
+  REFUND_STATUS,
+  respondToRefund,
+  getRefundStatusColor,
+  getRefundStatusLabel,
+} from "../utils/refunds";
+import { compareMoney, roundMoney } from "../utils/money";
+import {
+  formatReleaseCountdown,
+  getEarningsReleaseState,
+} from "../utils/earningsRelease";
+import { isProductInCategory } from "../utils/categories";
+import { useCategories } from "../hooks/useCategories";
+import { moneyFields, readMoney } from "../utils/money";
 
 const drawerWidth = 260;
 // const navbarHeight = 64;
@@ -394,6 +451,7 @@ const SellerDashboard = ({ setIsSeller }) => {
   const [isOrderDetailsModalOpen, setIsOrderDetailsModalOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
   const [searchPrice, setSearchPrice] = useState("");
+  const [searchCategory, setSearchCategory] = useState("");
   const [filteredProducts, setFilteredProducts] = useState([]);
   const [editableSellerData, setEditableSellerData] = useState({
     shopName: "",
@@ -423,6 +481,15 @@ const SellerDashboard = ({ setIsSeller }) => {
   const [isSettingsSaving, setIsSettingsSaving] = useState(false);
   const navigate = useNavigate();
   const theme = useTheme();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const orderFilters = useMemo(() => parseOrderFilters(searchParams), [searchParams]);
+  const [searchedOrders, setSearchedOrders] = useState(null);
+  const [isWalletLedgerOpen, setIsWalletLedgerOpen] = useState(false);
+  const profitMargins = useProfitMargins();
+  const categories = useCategories();
+  // Ticks every minute so the earnings release countdowns stay current
+  const [releaseClock, setReleaseClock] = useState(() => new Date());
+  const [orderSearchLoading, setOrderSearchLoading] = useState(false);
   const [activeSubTab, setActiveSubTab] = useState(null);
   const [expandedItems, setExpandedItems] = useState(["orders"]);
   const [ordersData, setOrdersData] = useState([]);
@@ -435,6 +502,7 @@ const SellerDashboard = ({ setIsSeller }) => {
   // Add product search state variables
   const [productSearchQuery, setProductSearchQuery] = useState("");
   const [productPriceRange, setProductPriceRange] = useState({ min: "", max: "" });
+  const [productCategory, setProductCategory] = useState("");
   const [unpickedOrdersCount, setUnpickedOrdersCount] = useState(0);
   const [unreadConversationsCount, setUnreadConversationsCount] = useState(() => {
     // Check localStorage for persisted unread count, default to 1 if not found
@@ -442,6 +510,48 @@ const SellerDashboard = ({ setIsSeller }) => {
     return savedCount !== null ? parseInt(savedCount, 10) : 1;
   });
 
+  useEffect(() => {
+    const timer = setInterval(() => setReleaseClock(new Date()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Run the order search from the URL filters, scoped to this seller's orders
+  useEffect(() => {
+    if (!hasActiveOrderFilters(orderFilters)) {
+      setSearchedOrders(null);
+      return;
+    }
+
+    const sellerId = localStorage.getItem("sellerId");
+    if (!sellerId) return;
+
+    let cancelled = false;
+    setOrderSearchLoading(true);
+    searchOrders(orderFilters, { sellerId })
+      .then((results) => {
+        if (!cancelled) setSearchedOrders(results);
+      })
+      .catch((error) => {
+        console.error("Error searching orders:", error);
+        if (cancelled) return;
+        setSnackbar({
+          open: true,
+          message:
+            error.code === "failed-precondition"
+              ? "This filter combination is not available yet. Please try fewer filters."
+              : "Error searching orders: " + error.message,
+          severity: "error",
+        });
+      })
+      .finally(() => {
+        if (!cancelled) setOrderSearchLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [orderFilters, sellerOrders]);
+
   // Add new effect to fetch admin products when dialog opens
   useEffect(() => {
     if (isProductDialogOpen) {
@@ -492,6 +602,7 @@ const SellerDashboard = ({ setIsSeller }) => {
       // Reset filters and selected products
       setProductSearchQuery("");
       setProductPriceRange({ min: "", max: "" });
+      setProductCategory("");
       setSelectedProducts([]);
       
       // Fetch the latest admin products
@@ -523,8 +634,8 @@ const SellerDashboard = ({ setIsSeller }) => {
         productsData.push({ 
           id: doc.id, 
           ...data,
+          // Profit is shown from the margin rules when the product is rendered
           price: price,
-          profit: (price * 0.23).toFixed(2) // Calculate 23% profit
         });
       });
 
@@ -562,7 +673,9 @@ const SellerDashboard = ({ setIsSeller }) => {
         (productPriceRange.min === "" || (product.price && product.price >= minPrice)) &&
         (productPriceRange.max === "" || (product.price && product.price <= maxPrice));
       
-      return notInInventory && searchMatch && priceMatch;
+      const categoryMatch = isProductInCategory(product, categories, productCategory);
+
+      return notInInventory && searchMatch && priceMatch && categoryMatch;
     });
   };
 
@@ -1196,6 +1309,15 @@ const SellerDashboard = ({ setIsSeller }) => {
         updatedAt: new Date().toISOString(),
       };
 
+      // Changing contact or payout details starts the withdrawal cooldown
+      if (
+        ACCOUNT_CHANGE_FIELDS.some(
+          (field) => (sellerData?.[field] || "") !== updateData[field],
+        )
+      ) {
+        updateData.accountChangedAt = updateData.updatedAt;
+      }
+
       await updateDoc(sellerRef, updateData);
 
       // Handle password change if requested
@@ -1217,6 +1339,10 @@ const SellerDashboard = ({ setIsSeller }) => {
             auth.currentUser,
             editableSellerData.newPassword,
           );
+          updateData.accountChangedAt = new Date().toISOString();
+          await updateDoc(sellerRef, {
+            accountChangedAt: updateData.accountChangedAt,
+          });
           alert("Password updated successfully");
         } catch (error) {
           console.error("Error updating password:", error);
@@ -1444,6 +1570,24 @@ const SellerDashboard = ({ setIsSeller }) => {
                   <Typography variant="body2" sx={{ mt: 1, opacity: 0.8 }}>
                     Available for withdrawal
                   </Typography>
+                  <Button
+                    size="small"
+                    variant="outlined"
+                    color="inherit"
+                    sx={{ mt: 1 }}
+                    onClick={() => setIsWalletLedgerOpen(true)}
+                  >
+                    View History
+                  </Button>
+                  <Button
+                    size="small"
+                    variant="outlined"
+                    color="inherit"
+                    sx={{ mt: 1, ml: 1 }}
+                    onClick={() => setActiveTab("deposit")}
+                  >
+                    Top Up
+                  </Button>
                 </Box>
                 <WithdrawIcon sx={{ fontSize: 48, opacity: 0.8 }} />
               </Paper>
@@ -1480,6 +1624,13 @@ const SellerDashboard = ({ setIsSeller }) => {
             </Grid>
           </Grid>
 
+          <WalletLedgerDialog
+            open={isWalletLedgerOpen}
+            onClose={() => setIsWalletLedgerOpen(false)}
+            sellerId={localStorage.getItem("sellerId")}
+            sellerData={sellerData}
+          />
+
           {/* Existing Dashboard Cards */}
           <Grid container spacing={3}>
             <Grid item xs={12} sm={6} md={3}>
@@ -1578,10 +1729,7 @@ const SellerDashboard = ({ setIsSeller }) => {
                             }}
                           >
                             $
-                            {(
-                              Number(order.total || order.totalAmount || 0) *
-                              0.23
-                            ).toFixed(2)}
+                            {getOrderProfit(order, profitMargins, sellerData?.tier).toFixed(2)}
                           </Typography>
                         </TableCell>
                         <TableCell>
@@ -1596,25 +1744,14 @@ const SellerDashboard = ({ setIsSeller }) => {
                             $
                             {(
                               Number(order.total || order.totalAmount || 0) +
-                              Number(order.total || order.totalAmount || 0) *
-                                0.23
+                              getOrderProfit(order, profitMargins, sellerData?.tier)
                             ).toFixed(2)}
                           </Typography>
                         </TableCell>
                         <TableCell>
                           <Chip
                             label={order.status}
-                            color={
-                              order.status === "completed"
-                                ? "success"
-                                : order.status === "processing"
-                                  ? "info"
-                                  : order.status === "assigned"
-                                    ? "primary"
-                                    : order.status === "cancelled"
-                                      ? "error"
-                                      : "default"
-                            }
+                            color={getOrderStatusColor(order.status)}
                             size="small"
                           />
                         </TableCell>
@@ -1820,6 +1957,15 @@ const SellerDashboard = ({ setIsSeller }) => {
             }}
             sx={{ maxWidth: 150 }}
           />
+          <CategorySelect
+            label="Category"
+            size="small"
+            categories={categories}
+            value={searchCategory}
+            onChange={setSearchCategory}
+            allLabel="All categories"
+            sx={{ minWidth: 200 }}
+          />
         </Box>
         <Button
           sx={{ width: 150,ml:2,height:'auto' }}
@@ -1928,7 +2074,7 @@ const SellerDashboard = ({ setIsSeller }) => {
                             color: "success.main",
                           }}
                         >
-                          Profit: ${(Number(product.price || 0) * 0.23).toFixed(2)}
+                          Profit: ${getProductProfit(profitMargins, product, sellerData?.tier).toFixed(2)}
                         </Typography>
                       </Box>
                     </Box>
@@ -2030,6 +2176,15 @@ const SellerDashboard = ({ setIsSeller }) => {
               }}
               sx={{ width: '120px' }}
             />
+            <CategorySelect
+              label="Category"
+              size="small"
+              categories={categories}
+              value={productCategory}
+              onChange={setProductCategory}
+              allLabel="All categories"
+              sx={{ minWidth: '200px' }}
+            />
           </Box>
           
           {/* Select All Checkbox */}
@@ -2212,7 +2367,7 @@ const SellerDashboard = ({ setIsSeller }) => {
                                     : "text.secondary",
                               }}
                             >
-                              Profit: ${(Number(product.price || 0) * 0.23).toFixed(2)}
+                              Profit: ${getProductProfit(profitMargins, product, sellerData?.tier).toFixed(2)}
                             </Typography>
                           </Box>
 {/*                          
@@ -2229,7 +2384,7 @@ const SellerDashboard = ({ setIsSeller }) => {
                               color: "success.main",
                             }}
                           >
-                            23%: ${(Number(product.price || 0) * 0.23).toFixed(2)}
+                            {formatMarginRate(getMarginRate(profitMargins, { category: product.category, sellerTier: sellerData?.tier }))}: ${getProductProfit(profitMargins, product, sellerData?.tier).toFixed(2)}
                           </Typography> */}
                         </Box>
                       </Box>
@@ -2449,20 +2604,15 @@ const SellerDashboard = ({ setIsSeller }) => {
         ? "completion_requested"
         : newStatus;
 
-      // Update the order with the new status
-      await updateDoc(orderRef, {
-        status: updatedStatus,
-        statusHistory: arrayUnion({
-          status: updatedStatus,
-          timestamp: new Date().toISOString(),
-          updatedBy: "seller",
-          note: isCompletionRequest
-            ? "Seller requested order completion - awaiting admin verification"
-            : undefined,
-        }),
-        completionRequestedAt: isCompletionRequest
-          ? serverTimestamp()
-          : orderData.completionRequestedAt,
+      // Update the order with the new status (rejected if the lifecycle does not allow it)
+      await transitionOrderStatus(orderId, updatedStatus, {
+        role: "seller",
+        note: isCompletionRequest
+          ? "Seller requested order completion - awaiting admin verification"
+          : undefined,
+        updates: isCompletionRequest
+          ? { completionRequestedAt: serverTimestamp() }
+          : {},
       });
 
       // If this is a completion request, also notify admin
@@ -2516,7 +2666,7 @@ const SellerDashboard = ({ setIsSeller }) => {
       console.error("Error updating order status:", error);
       setSnackbar({
         open: true,
-        message: "Failed to update order status. Please try again.",
+        message: "Failed to update order status: " + error.message,
         severity: "error",
       });
     } finally {
@@ -2524,6 +2674,26 @@ const SellerDashboard = ({ setIsSeller }) => {
     }
   };
 
+  // Reload wallet figures from Firestore after a pick was rejected for stale data
+  const refreshSellerBalance = async () => {
+    try {
+      const sellerId = localStorage.getItem('sellerId');
+      if (!sellerId) return;
+
+      const sellerDoc = await getDoc(doc(db, "sellers", sellerId));
+      if (sellerDoc.exists()) {
+        const data = sellerDoc.data();
+        setSellerData((prevData) => ({
+          ...prevData,
+          walletBalance: data.walletBalance || 0,
+          pendingAmount: data.pendingAmount || 0,
+        }));
+      }
+    } catch (error) {
+      console.error("Error refreshing seller balance:", error);
+    }
+  };
+
   const handlePickOrder = async (orderId) => {
     try {
       setLoading(true);
@@ -2535,89 +2705,20 @@ const SellerDashboard = ({ setIsSeller }) => {
         throw new Error("Seller ID not found in localStorage");
       }
 
-      // Get the order details
-      const orderRef = doc(db, "orders", orderId);
-      const orderDoc = await getDoc(orderRef);
-
-      if (!orderDoc.exists()) {
-        throw new Error("Order not found");
-      }
-
-      const orderData = orderDoc.data();
-
-      // Calculate total product price and profit from order items
-      let totalProductPrice = 0;
-      let totalAdditionalProfit = 0;
-
-      if (orderData.items && Array.isArray(orderData.items)) {
-        orderData.items.forEach((item) => {
-          const itemPrice = Number(item.price || 0);
-          const itemQuantity = Number(item.quantity || 1);
-
-          totalProductPrice += itemPrice * itemQuantity;
-          // Calculate 23% profit that will be added to pending but not deducted from wallet
-          totalAdditionalProfit += itemPrice * 0.23 * itemQuantity;
-        });
-      }
-
-      // Calculate the Grand Total (price + profit)
-      const grandTotal = totalProductPrice + totalAdditionalProfit;
-
-      // Get seller's current data
-      const sellerRef = doc(db, "sellers", sellerId);
-      const sellerDoc = await getDoc(sellerRef);
-
-      if (!sellerDoc.exists()) {
-        throw new Error("Seller data not found");
-      }
-
-      const sellerData = sellerDoc.data();
-      const currentWalletBalance = Number(sellerData.walletBalance) || 0;
-      const currentPendingAmount = Number(sellerData.pendingAmount) || 0;
-
-      // Check if seller has enough balance
-      if (currentWalletBalance < totalProductPrice) {
-        setSnackbar({
-          open: true,
-          message: "Insufficient wallet balance to pick this order",
-          severity: "error",
-        });
-        return;
-      }
-
-      // Calculate new amounts
-      const newWalletBalance = currentWalletBalance - totalProductPrice;
-      const newPendingAmount = currentPendingAmount + grandTotal; // Using Grand Total (price + profit)
+      // Status change, wallet deduction, pending credit and the transaction
+      // record are written atomically; the pick fails if another tab or seller
+      // got there first or the wallet balance changed underneath us
+      const result = await pickOrder(orderId, sellerId, {
+        expectedWalletBalance: sellerData?.walletBalance,
+      });
 
-      console.log("Order Pick - Wallet Calculations:", {
-        currentWalletBalance,
-        currentPendingAmount,
+      const {
         totalProductPrice,
         totalAdditionalProfit,
         grandTotal,
-        newWalletBalance,
-        newPendingAmount,
-      });
-
-      // Update seller's wallet and pending amount
-      await updateDoc(sellerRef, {
         walletBalance: newWalletBalance,
         pendingAmount: newPendingAmount,
-      });
-
-      // Update order status
-      await updateDoc(orderRef, {
-        status: "picked",
-        statusHistory: arrayUnion({
-          status: "picked",
-          timestamp: new Date().toISOString(),
-          updatedBy: "seller",
-        }),
-        pickedAt: serverTimestamp(),
-        walletDeducted: totalProductPrice,
-        pendingAdded: grandTotal, // Using Grand Total (price + profit)
-        additionalProfit: totalAdditionalProfit,
-      });
+      } = result;
 
       // Update local state
       setSellerOrders((prevOrders) =>
@@ -2636,7 +2737,7 @@ const SellerDashboard = ({ setIsSeller }) => {
       );
 
       // Update unpicked orders count if the order was in pending status
-      if (orderData.status === "pending") {
+      if (result.previousStatus === "pending") {
         setUnpickedOrdersCount((prevCount) => Math.max(0, prevCount - 1));
       }
 
@@ -2649,7 +2750,7 @@ const SellerDashboard = ({ setIsSeller }) => {
 
       setSnackbar({
         open: true,
-        message: `Order picked successfully. $${totalProductPrice.toFixed(2)} deducted from wallet and $${grandTotal.toFixed(2)} added to pending (includes 23% profit of $${totalAdditionalProfit.toFixed(2)}).`,
+        message: `Order picked successfully. $${totalProductPrice.toFixed(2)} deducted from wallet and $${grandTotal.toFixed(2)} added to pending (includes profit of $${totalAdditionalProfit.toFixed(2)}).`,
         severity: "success",
       });
 
@@ -2659,9 +2760,19 @@ const SellerDashboard = ({ setIsSeller }) => {
       console.error("Error picking order:", error);
       setSnackbar({
         open: true,
-        message: "Failed to pick order. Please try again.",
+        message: "Failed to pick order: " + error.message,
         severity: "error",
       });
+
+      // Stale local data caused the failure, so reload what is actually stored
+      if (
+        error.code === PICK_ERRORS.ALREADY_TAKEN ||
+        error.code === PICK_ERRORS.NOT_PICKABLE ||
+        error.code === PICK_ERRORS.BALANCE_CHANGED
+      ) {
+        fetchSellerOrders();
+        refreshSellerBalance();
+      }
     } finally {
       setLoading(false);
     }
@@ -2700,13 +2811,14 @@ const SellerDashboard = ({ setIsSeller }) => {
           (searchPrice &&
             product.price &&
             Number(product.price) <= Number(searchPrice));
-        return nameMatch && priceMatch;
+        const categoryMatch = isProductInCategory(product, categories, searchCategory);
+        return nameMatch && priceMatch && categoryMatch;
       });
       setFilteredProducts(filtered);
     } else {
       setFilteredProducts([]);
     }
-  }, [sellerProducts, searchQuery, searchPrice]);
+  }, [sellerProducts, searchQuery, searchPrice, searchCategory, categories]);
 
   const formatDate = (timestamp) => {
     if (!timestamp) return "N/A";
@@ -2804,15 +2916,8 @@ const SellerDashboard = ({ setIsSeller }) => {
                       : alpha(theme.palette.primary.light, 0.1),
                   },
                   borderLeft: `4px solid ${
-                    order.status === "completed"
-                      ? theme.palette.success.main
-                      : order.status === "processing"
-                        ? theme.palette.info.main
-                        : order.status === "assigned"
-                          ? theme.palette.primary.main
-                          : order.status === "cancelled"
-                            ? theme.palette.error.main
-                            : theme.palette.grey[500]
+                    theme.palette[getOrderStatusColor(order.status)]?.main ||
+                    theme.palette.grey[500]
                   }`
                 }}
               >
@@ -2842,7 +2947,7 @@ const SellerDashboard = ({ setIsSeller }) => {
                   <Grid item xs={6}>
                     <Typography variant="caption" color="textSecondary">Profit</Typography>
                     <Typography variant="body2" sx={{ color: 'success.main', fontWeight: 'medium' }}>
-                      ${(Number(order.total || order.totalAmount || 0) * 0.23).toFixed(2)}
+                      ${getOrderProfit(order, profitMargins, sellerData?.tier).toFixed(2)}
                     </Typography>
                   </Grid>
                   <Grid item xs={6}>
@@ -2851,15 +2956,7 @@ const SellerDashboard = ({ setIsSeller }) => {
                       <Chip
                         label={order.status === "pending" ? "Unpicked" : order.status}
                         color={
-                          order.status === "completed"
-                            ? "success"
-                            : order.status === "processing"
-                              ? "info"
-                              : order.status === "assigned"
-                                ? "primary"
-                                : order.status === "cancelled" || order.status === "pending"
-                                  ? "error"
-                                  : "default"
+                          order.status === "pending" ? "error" : getOrderStatusColor(order.status)
                         }
                         size="small"
                       />
@@ -2961,24 +3058,14 @@ const SellerDashboard = ({ setIsSeller }) => {
                         }}
                       >
                         $
-                        {(
-                          Number(order.total || order.totalAmount || 0) * 0.23
-                        ).toFixed(2)}
+                        {getOrderProfit(order, profitMargins, sellerData?.tier).toFixed(2)}
                       </Typography>
                     </TableCell>
                     <TableCell>
                       <Chip
                         label={order.status === "pending" ? "Unpicked" : order.status}
                         color={
-                          order.status === "completed"
-                            ? "success"
-                            : order.status === "processing"
-                              ? "info"
-                              : order.status === "assigned"
-                                ? "primary"
-                                : order.status === "cancelled" || order.status === "pending"
-                                  ? "error"
-                                  : "default"
+                          order.status === "pending" ? "error" : getOrderStatusColor(order.status)
                         }
                         size="small"
                       />
@@ -3074,12 +3161,17 @@ const SellerDashboard = ({ setIsSeller }) => {
   const WithdrawalContent = () => {
     const [withdrawAmount, setWithdrawAmount] = useState("");
     const [paymentMethod, setPaymentMethod] = useState("USDT");
+    const [network, setNetwork] = useState(PAYMENT_METHOD_NETWORKS.USDT[0]);
     const [walletAddress, setWalletAddress] = useState("");
+    const [saveAddress, setSaveAddress] = useState(true);
     const [withdrawNote, setWithdrawNote] = useState("");
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [withdrawHistory, setWithdrawHistory] = useState([]);
     const [historyLoading, setHistoryLoading] = useState(true);
     const [sellerData, setSellerData] = useState(null);
+    const [withdrawalPolicy, setWithdrawalPolicy] = useState(
+      DEFAULT_WITHDRAWAL_POLICY,
+    );
     // Add bank payment fields
     const [bankName, setBankName] = useState("");
     const [bankAccountName, setBankAccountName] = useState("");
@@ -3145,13 +3237,41 @@ const SellerDashboard = ({ setIsSeller }) => {
           doc(db, "sellers", sellerId),
         );
         if (sellerDoc.exists()) {
-          setSellerData(sellerDoc.data());
+          const data = sellerDoc.data();
+          setSellerData(data);
+
+          // Start from the saved payout address so it isn't retyped every time
+          if (data.payoutAddress?.address) {
+            setPaymentMethod(data.payoutAddress.method);
+            setNetwork(data.payoutAddress.network);
+            setWalletAddress(data.payoutAddress.address);
+          }
         }
       } catch (error) {
         console.error("Error fetching seller data:", error);
       }
     };
 
+    const savedPayoutAddress = sellerData?.payoutAddress;
+    const isCryptoMethod = isCryptoPaymentMethod(paymentMethod);
+    const addressCheck =
+      isCryptoMethod && walletAddress.trim()
+        ? validateCryptoAddress(network, walletAddress)
+        : null;
+    const isSavedAddress =
+      !!savedPayoutAddress &&
+      savedPayoutAddress.method === paymentMethod &&
+      savedPayoutAddress.network === network &&
+      savedPayoutAddress.address === addressCheck?.address;
+
+    const handlePaymentMethodChange = (method) => {
+      setPaymentMethod(method);
+      if (isCryptoPaymentMethod(method)) {
+        setNetwork(PAYMENT_METHOD_NETWORKS[method][0]);
+      }
+      setWalletAddress("");
+    };
+
     // Fetch data when component mounts
     useEffect(() => {
       const sellerId = localStorage.getItem('sellerId');
@@ -3159,8 +3279,18 @@ const SellerDashboard = ({ setIsSeller }) => {
         fetchSellerData();
         fetchWithdrawalHistory();
       }
+      getWithdrawalPolicy()
+        .then(setWithdrawalPolicy)
+        .catch((error) =>
+          console.error("Error loading withdrawal policy:", error),
+        );
     }, []);
 
+    const withdrawalFee = calculateWithdrawalFee(
+      withdrawalPolicy,
+      roundMoney(withdrawAmount),
+    );
+
     const handleSubmitWithdrawal = async () => {
       // Validate inputs
       if (
@@ -3186,19 +3316,13 @@ const SellerDashboard = ({ setIsSeller }) => {
       } else if (!walletAddress.trim()) {
         alert("Please enter your wallet address");
         return;
-      }
-
-      const amountToWithdraw = parseFloat(withdrawAmount);
-      const availableBalance = sellerData?.walletBalance || 0;
-
-      // Check if the seller has enough balance
-      if (amountToWithdraw > availableBalance) {
-        alert(
-          `Insufficient balance. Your available balance is $${availableBalance.toFixed(2)}`,
-        );
+      } else if (isCryptoMethod && !addressCheck.valid) {
+        alert(addressCheck.error);
         return;
       }
 
+      const amountToWithdraw = roundMoney(withdrawAmount);
+
       setIsSubmitting(true);
       try {
         // Prepare payment details based on the method
@@ -3211,6 +3335,11 @@ const SellerDashboard = ({ setIsSeller }) => {
             bankAccountNumber: bankAccountNumber,
             ifscCode: ifscCode,
           };
+        } else if (isCryptoMethod) {
+          paymentDetails = {
+            walletAddress: addressCheck.address,
+            network,
+          };
         } else {
           paymentDetails = {
             walletAddress: walletAddress,
@@ -3225,14 +3354,40 @@ const SellerDashboard = ({ setIsSeller }) => {
         if (!sellerId) {
           throw new Error("Seller ID not found in localStorage");
         }
-        
+
+        // Remember the verified address. Replacing a saved one starts the withdrawal
+        // cooldown, so it is recorded before the policy check below and a request
+        // to the new address waits out the cooldown like any other account change
+        let payoutAddress = savedPayoutAddress;
+        if (isCryptoMethod && saveAddress && !isSavedAddress) {
+          payoutAddress = {
+            method: paymentMethod,
+            network,
+            address: addressCheck.address,
+            verifiedAt: new Date().toISOString(),
+          };
+          await updateDoc(doc(db, "sellers", sellerId), {
+            payoutAddress,
+            ...(savedPayoutAddress
+              ? { accountChangedAt: payoutAddress.verifiedAt }
+              : {}),
+          });
+          setSellerData((prev) => ({ ...prev, payoutAddress }));
+        }
+
+        // Balance, limits and cooldowns are checked against fresh data
+        const { fee, netAmount } = await assertWithdrawalAllowed(
+          sellerId,
+          amountToWithdraw,
+        );
+
         const withdrawalRef = await addDoc(
           collection(db, "withdrawalRequests"),
           {
             sellerId: sellerId,
             sellerName: sellerData?.name || sellerName,
             sellerEmail: sellerData?.email || sellerEmail,
-            amount: amountToWithdraw,
+            ...moneyFields({ amount: amountToWithdraw, fee, netAmount }),
             paymentMethod,
             paymentDetails,
             note: withdrawNote,
@@ -3246,9 +3401,10 @@ const SellerDashboard = ({ setIsSeller }) => {
 
         // Reset form
         setWithdrawAmount("");
-        setWalletAddress("");
         setWithdrawNote("");
-        setPaymentMethod("USDT");
+        setPaymentMethod(payoutAddress?.method || "USDT");
+        setNetwork(payoutAddress?.network || PAYMENT_METHOD_NETWORKS.USDT[0]);
+        setWalletAddress(payoutAddress?.address || "");
         setBankName("");
         setBankAccountName("");
         setBankAccountNumber("");
@@ -3264,7 +3420,11 @@ const SellerDashboard = ({ setIsSeller }) => {
         );
       } catch (error) {
         console.error("Error submitting withdrawal request:", error);
-        alert("Failed to submit withdrawal request. Please try again later.");
+        if (error.code === WITHDRAWAL_POLICY_ERROR) {
+          alert(error.message);
+        } else {
+          alert("Failed to submit withdrawal request. Please try again later.");
+        }
       } finally {
         setIsSubmitting(false);
       }
@@ -3273,8 +3433,12 @@ const SellerDashboard = ({ setIsSeller }) => {
     const getStatusColor = (status) => {
       switch (status) {
         case "approved":
+        case "paid":
           return "success";
+        case "processing":
+          return "info";
         case "rejected":
+        case "failed":
           return "error";
         case "pending":
         default:
@@ -3282,6 +3446,37 @@ const SellerDashboard = ({ setIsSeller }) => {
       }
     };
 
+    // Proof of payment for paid requests, the reason for failed payouts
+    const renderPayoutOutcome = (request) => {
+      if (request.status === "failed") {
+        return (
+          <Typography variant="body2" color="error">
+            Payout failed{request.failureReason ? `: ${request.failureReason}` : ""}.
+            The amount was returned to your wallet.
+          </Typography>
+        );
+      }
+
+      const { type, reference, receiptUrl } = request.payoutProof;
+      return (
+        <Box>
+          <Typography variant="caption" color="textSecondary" display="block">
+            {PAYOUT_PROOF_LABELS[type] || "Proof of payment"}
+          </Typography>
+          {reference && (
+            <Typography variant="body2" sx={{ wordBreak: "break-all" }}>
+              {reference}
+            </Typography>
+          )}
+          {receiptUrl && (
+            <Link href={receiptUrl} target="_blank" rel="noopener noreferrer">
+              View receipt
+            </Link>
+          )}
+        </Box>
+      );
+    };
+
     // For debugging purposes
     // console.log('Withdrawal history state:', withdrawHistory);
     // console.log('History loading state:', historyLoading);
@@ -3305,6 +3500,18 @@ const SellerDashboard = ({ setIsSeller }) => {
               Available Balance:{" "}
               <strong>${(sellerData?.walletBalance || 0).toFixed(2)}</strong>
             </Typography>
+            <Typography variant="body2" color="textSecondary">
+              Minimum ${Number(withdrawalPolicy.minAmount).toFixed(2)}
+              {withdrawalPolicy.maxAmount > 0 &&
+                ` · Maximum $${Number(withdrawalPolicy.maxAmount).toFixed(2)} per request`}
+              {withdrawalPolicy.limitPeriod !== LIMIT_PERIODS.NONE &&
+                ` · ${withdrawalPolicy.limitPeriod === LIMIT_PERIODS.DAILY ? "Daily" : "Weekly"} limit $${Number(withdrawalPolicy.limitAmount).toFixed(2)}`}
+              {withdrawalPolicy.feeType === FEE_TYPES.PERCENT &&
+                ` · Fee ${withdrawalPolicy.feeValue}%`}
+              {withdrawalPolicy.feeType === FEE_TYPES.FLAT &&
+                ` · Fee $${Number(withdrawalPolicy.feeValue).toFixed(2)}`}
+              {withdrawalPolicy.oneOpenRequest && " · One open request at a time"}
+            </Typography>
           </Box>
 
           <Grid container spacing={3}>
@@ -3321,7 +3528,11 @@ const SellerDashboard = ({ setIsSeller }) => {
                     <InputAdornment position="start">$</InputAdornment>
                   ),
                 }}
-                helperText={`Maximum: $${(sellerData?.walletBalance || 0).toFixed(2)}`}
+                helperText={
+                  withdrawalFee.fee > 0
+                    ? `Fee: $${withdrawalFee.fee.toFixed(2)} · You receive: $${withdrawalFee.netAmount.toFixed(2)}`
+                    : `Maximum: $${(sellerData?.walletBalance || 0).toFixed(2)}`
+                }
               />
             </Grid>
             <Grid item xs={12} sm={6}>
@@ -3329,11 +3540,11 @@ const SellerDashboard = ({ setIsSeller }) => {
                 fullWidth
                 label="Payment Method"
                 value={paymentMethod}
-                onChange={(e) => setPaymentMethod(e.target.value)}
+                onChange={(e) => handlePaymentMethodChange(e.target.value)}
                 select
                 required
               >
-                <MenuItem value="USDT">USDT (TRC20)</MenuItem>
+                <MenuItem value="USDT">USDT</MenuItem>
                 <MenuItem value="Bitcoin">Bitcoin</MenuItem>
                 <MenuItem value="Ethereum">Ethereum</MenuItem>
                 <MenuItem value="PayPal">PayPal</MenuItem>
@@ -3382,8 +3593,63 @@ const SellerDashboard = ({ setIsSeller }) => {
                   />
                 </Grid>
               </>
+            ) : isCryptoMethod ? (
+              // Crypto wallet address, checked against the network's format and checksum
+              <>
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    fullWidth
+                    label="Network"
+                    value={network}
+                    onChange={(e) => setNetwork(e.target.value)}
+                    select
+                    required
+                  >
+                    {PAYMENT_METHOD_NETWORKS[paymentMethod].map((option) => (
+                      <MenuItem key={option} value={option}>
+                        {CRYPTO_NETWORK_LABELS[option]}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                </Grid>
+                <Grid item xs={12} sm={8}>
+                  <TextField
+                    fullWidth
+                    label="Wallet Address"
+                    value={walletAddress}
+                    onChange={(e) => setWalletAddress(e.target.value)}
+                    required
+                    error={!!addressCheck && !addressCheck.valid}
+                    helperText={
+                      addressCheck && !addressCheck.valid
+                        ? addressCheck.error
+                        : isSavedAddress
+                          ? "Your saved payout address"
+                          : addressCheck?.valid
+                            ? "Address verified"
+                            : `Enter your ${CRYPTO_NETWORK_LABELS[network]} address`
+                    }
+                  />
+                </Grid>
+                {addressCheck?.valid && !isSavedAddress && (
+                  <Grid item xs={12}>
+                    <FormControlLabel
+                      control={
+                        <Checkbox
+                          checked={saveAddress}
+                          onChange={(e) => setSaveAddress(e.target.checked)}
+                        />
+                      }
+                      label={
+                        savedPayoutAddress
+                          ? "Replace my saved payout address with this one (withdrawals, this one included, then wait out the account-change cooldown)"
+                          : "Save as my payout address"
+                      }
+                    />
+                  </Grid>
+                )}
+              </>
             ) : (
-              // Crypto wallet address field
               <Grid item xs={12}>
                 <TextField
                   fullWidth
@@ -3416,14 +3682,14 @@ const SellerDashboard = ({ setIsSeller }) => {
                   isSubmitting ||
                   !withdrawAmount ||
                   parseFloat(withdrawAmount) <= 0 ||
-                  parseFloat(withdrawAmount) >
-                    (sellerData?.walletBalance || 0) ||
+                  compareMoney(withdrawAmount, sellerData?.walletBalance) > 0 ||
                   (paymentMethod === "Bank"
                     ? !bankName ||
                       !bankAccountName ||
                       !bankAccountNumber ||
                       !ifscCode
-                    : !walletAddress)
+                    : !walletAddress ||
+                      (isCryptoMethod && !addressCheck?.valid))
                 }
               >
                 {isSubmitting ? "Submitting..." : "Request Withdrawal"}
@@ -3480,7 +3746,19 @@ const SellerDashboard = ({ setIsSeller }) => {
                           {request.timestamp.toLocaleDateString()}{" "}
                           {request.timestamp.toLocaleTimeString()}
                         </TableCell>
-                        <TableCell>${request.amount.toFixed(2)}</TableCell>
+                        <TableCell>
+                          ${request.amount.toFixed(2)}
+                          {request.fee > 0 && (
+                            <Typography
+                              variant="caption"
+                              color="textSecondary"
+                              display="block"
+                            >
+                              Fee ${Number(request.fee).toFixed(2)} · Net $
+                              {Number(request.netAmount).toFixed(2)}
+                            </Typography>
+                          )}
+                        </TableCell>
                         <TableCell>{request.paymentMethod}</TableCell>
                         <TableCell>
                           <Chip
@@ -3513,6 +3791,9 @@ const SellerDashboard = ({ setIsSeller }) => {
                                 </Typography>
                               </Box>
                             </Tooltip>
+                          ) : request.status === "failed" ||
+                            request.payoutProof ? (
+                            renderPayoutOutcome(request)
                           ) : (
                             <>
                               {request.paymentMethod === "Bank" &&
@@ -3578,11 +3859,11 @@ const SellerDashboard = ({ setIsSeller }) => {
                       p: 2,
                       borderRadius: 2,
                       borderLeft: `4px solid ${
-                        request.status === "completed"
+                        ["completed", "approved", "paid"].includes(request.status)
                           ? theme.palette.success.main
                           : request.status === "pending"
                             ? theme.palette.warning.main
-                            : request.status === "rejected"
+                            : ["rejected", "failed"].includes(request.status)
                               ? theme.palette.error.main
                               : theme.palette.grey[500]
                       }`
@@ -3605,6 +3886,8 @@ const SellerDashboard = ({ setIsSeller }) => {
                       <Grid item xs={8}>
                         <Typography variant="body2" fontWeight="medium">
                           ${request.amount.toFixed(2)}
+                          {request.fee > 0 &&
+                            ` (net $${Number(request.netAmount).toFixed(2)})`}
                         </Typography>
                       </Grid>
                       
@@ -3646,6 +3929,8 @@ const SellerDashboard = ({ setIsSeller }) => {
                               {request.rejectionReason.length > 30 ? "..." : ""}
                             </Typography>
                           </Box>
+                        ) : request.status === "failed" || request.payoutProof ? (
+                          renderPayoutOutcome(request)
                         ) : (
                           <>
                             {request.paymentMethod === "Bank" && request.paymentDetails ? (
@@ -3722,6 +4007,22 @@ const SellerDashboard = ({ setIsSeller }) => {
     return <WithdrawalContent />;
   };
 
+  const renderDepositContent = () => (
+    <WalletTopUp
+      sellerId={localStorage.getItem("sellerId")}
+      sellerData={sellerData}
+    />
+  );
+
+  const renderStatementsContent = () => (
+    <Container maxWidth="lg" sx={{ mt: 4 }}>
+      <Typography variant="h4" gutterBottom fontWeight="medium">
+        Statements
+      </Typography>
+      <SellerStatements sellerId={localStorage.getItem("sellerId")} />
+    </Container>
+  );
+
   // Function to handle when a seller sends a message
   const handleSellerMessageSent = () => {
     // Clear the unread conversations indicator
@@ -3857,18 +4158,220 @@ const SellerDashboard = ({ setIsSeller }) => {
     </Container>
   );
 
-  const renderRefundsContent = () => (
-    <Container maxWidth="lg" sx={{ mt: 4 }}>
-      <Typography variant="h4" gutterBottom fontWeight="medium">
-        Refund Requests
-      </Typography>
-      <Paper elevation={3} sx={{ p: 3 }}>
-        <Typography color="textSecondary">
-          No refund requests received yet.
+  // Refund requests raised by customers on this seller's orders
+  const RefundsContent = () => {
+    const [refunds, setRefunds] = useState([]);
+    const [refundsLoading, setRefundsLoading] = useState(true);
+    const [respondingRefund, setRespondingRefund] = useState(null);
+    const [responseAccepted, setResponseAccepted] = useState(true);
+    const [responseNote, setResponseNote] = useState("");
+    const [isResponding, setIsResponding] = useState(false);
+
+    const fetchRefunds = async () => {
+      const sellerId = localStorage.getItem('sellerId');
+      if (!sellerId) return;
+
+      setRefundsLoading(true);
+      try {
+        // Simple query without orderBy to avoid needing a composite index
+        const refundsQuery = query(
+          collection(db, "refundRequests"),
+          where("sellerId", "==", sellerId),
+        );
+        const refundDocs = await getDocs(refundsQuery);
+
+        const refundList = refundDocs.docs
+          .map((doc) => {
+            const data = doc.data();
+            return {
+              id: doc.id,
+              ...data,
+              timestamp: data.timestamp?.toDate ? data.timestamp.toDate() : new Date(),
+            };
+          })
+          .sort((a, b) => b.timestamp - a.timestamp);
+
+        setRefunds(refundList);
+      } catch (error) {
+        console.error("Error fetching refund requests:", error);
+      } finally {
+        setRefundsLoading(false);
+      }
+    };
+
+    useEffect(() => {
+      fetchRefunds();
+    }, []);
+
+    const openResponseDialog = (refund, accepted) => {
+      setRespondingRefund(refund);
+      setResponseAccepted(accepted);
+      setResponseNote("");
+    };
+
+    const handleSubmitResponse = async () => {
+      if (!respondingRefund) return;
+
+      setIsResponding(true);
+      try {
+        await respondToRefund(respondingRefund.id, localStorage.getItem('sellerId'), {
+          accepted: responseAccepted,
+          note: responseNote.trim(),
+        });
+        setRespondingRefund(null);
+        setSnackbar({
+          open: true,
+          message: "Response sent. The admin will make the final decision.",
+          severity: "success",
+        });
+        fetchRefunds();
+      } catch (error) {
+        console.error("Error responding to refund:", error);
+        setSnackbar({
+          open: true,
+          message: "Failed to respond to refund: " + error.message,
+          severity: "error",
+        });
+      } finally {
+        setIsResponding(false);
+      }
+    };
+
+    return (
+      <Container maxWidth="lg" sx={{ mt: 4 }}>
+        <Typography variant="h4" gutterBottom fontWeight="medium">
+          Refund Requests
         </Typography>
-      </Paper>
-    </Container>
-  );
+        <Paper elevation={3} sx={{ p: 3 }}>
+          {refundsLoading ? (
+            <Box sx={{ display: "flex", justifyContent: "center", p: 3 }}>
+              <CircularProgress />
+            </Box>
+          ) : refunds.length === 0 ? (
+            <Typography color="textSecondary">
+              No refund requests received yet.
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Date</TableCell>
+                    <TableCell>Order</TableCell>
+                    <TableCell>Amount</TableCell>
+                    <TableCell>Reason</TableCell>
+                    <TableCell>Photos</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {refunds.map((refund) => (
+                    <TableRow key={refund.id}>
+                      <TableCell>{refund.timestamp.toLocaleDateString()}</TableCell>
+                      <TableCell>#{refund.orderNumber}</TableCell>
+                      <TableCell>${Number(refund.amount || 0).toFixed(2)}</TableCell>
+                      <TableCell sx={{ maxWidth: 240 }}>{refund.reason}</TableCell>
+                      <TableCell>
+                        <Box sx={{ display: "flex", gap: 0.5, flexWrap: "wrap" }}>
+                          {(refund.photoUrls || []).map((url, index) => (
+                            <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+                              <img
+                                src={url}
+                                alt={`Refund evidence ${index + 1}`}
+                                style={{ width: 40, height: 40, objectFit: "cover", borderRadius: 4 }}
+                              />
+                            </a>
+                          ))}
+                        </Box>
+                      </TableCell>
+                      <TableCell>
+                        <Tooltip title={refund.rejectionReason || refund.sellerResponse || ""}>
+                          <Chip
+                            label={getRefundStatusLabel(refund.status)}
+                            color={getRefundStatusColor(refund.status)}
+                            size="small"
+                          />
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell>
+                        {refund.status === REFUND_STATUS.REQUESTED ? (
+                          <Box sx={{ display: "flex", gap: 1 }}>
+                            <Button
+                              size="small"
+                              variant="contained"
+                              color="success"
+                              onClick={() => openResponseDialog(refund, true)}
+                            >
+                              Accept
+                            </Button>
+                            <Button
+                              size="small"
+                              variant="outlined"
+                              color="error"
+                              onClick={() => openResponseDialog(refund, false)}
+                            >
+                              Dispute
+                            </Button>
+                          </Box>
+                        ) : (
+                          "-"
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Paper>
+
+        <Dialog
+          open={!!respondingRefund}
+          onClose={() => !isResponding && setRespondingRefund(null)}
+          fullWidth
+          maxWidth="sm"
+        >
+          <DialogTitle>
+            {responseAccepted ? "Accept" : "Dispute"} Refund - #{respondingRefund?.orderNumber}
+          </DialogTitle>
+          <DialogContent>
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              {responseAccepted
+                ? "If the admin approves this refund, the wallet and pending amounts for this order will be reversed."
+                : "Explain why this refund should not be granted. The admin will review both sides."}
+            </Typography>
+            <TextField
+              label={responseAccepted ? "Comment (optional)" : "Reason for dispute"}
+              fullWidth
+              multiline
+              rows={3}
+              value={responseNote}
+              onChange={(e) => setResponseNote(e.target.value)}
+              disabled={isResponding}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setRespondingRefund(null)} disabled={isResponding}>
+              Cancel
+            </Button>
+            <Button
+              variant="contained"
+              color={responseAccepted ? "success" : "error"}
+              onClick={handleSubmitResponse}
+              disabled={isResponding || (!responseAccepted && !responseNote.trim())}
+            >
+              {isResponding ? <CircularProgress size={20} /> : "Send Response"}
+            </Button>
+          </DialogActions>
+        </Dialog>
+      </Container>
+    );
+  };
+
+  const renderRefundsContent = () => {
+    return <RefundsContent />;
+  };
 
   const renderProfileContent = () => (
     <Container maxWidth="lg" sx={{ mt: 4 }}>
@@ -4198,6 +4701,10 @@ const SellerDashboard = ({ setIsSeller }) => {
         return renderAffiliateContent();
       case "withdraw":
         return renderWithdrawContent();
+      case "deposit":
+        return renderDepositContent();
+      case "statements":
+        return renderStatementsContent();
       case "conversations":
         return renderConversationsContent();
       case "settings":
@@ -4286,6 +4793,10 @@ const SellerDashboard = ({ setIsSeller }) => {
       return renderAffiliateContent();
     } else if (activeTab === "withdraw") {
       return renderWithdrawContent();
+    } else if (activeTab === "deposit") {
+      return renderDepositContent();
+    } else if (activeTab === "statements") {
+      return renderStatementsContent();
     } else if (activeTab === "conversations") {
       return renderConversationsContent();
     } else if (activeTab === "profile") {
@@ -4305,8 +4816,13 @@ const SellerDashboard = ({ setIsSeller }) => {
         <Typography variant="h5" sx={{ mb: 3, fontSize: { xs: '1.2rem', sm: '1.5rem' } }}>
           All Orders
         </Typography>
+        <OrderFilters
+          filters={orderFilters}
+          onApply={(filters) => setSearchParams(applyOrderFiltersToParams(searchParams, filters))}
+        />
+        {orderSearchLoading && <LinearProgress sx={{ mb: 2 }} />}
         <Box sx={{ overflowX: 'auto', width: '100%' }}>
-        {renderOrdersTable(sellerOrders)}
+        {renderOrdersTable(searchedOrders || sellerOrders)}
         </Box>
       </Box>
     );
@@ -4368,25 +4884,44 @@ const SellerDashboard = ({ setIsSeller }) => {
 
     // Return the admin-set profit if available
     if (order.profit) {
-      return Number(order.profit);
+      return roundMoney(order.profit);
     }
 
-    // Calculate profit based on each item's price and cost (if available)
-    let totalProfit = 0;
-    order.items.forEach((item) => {
-      // Get price from the item
-      const price = Number(item.price || 0);
-
-      // Get cost from the item, defaulting to 0 if not available
-      const cost = Number(item.cost || 0);
-
-      const quantity = parseInt(item.quantity || 1);
+    // Otherwise use the margin stored at pick time, or the current margin rules
+    return getOrderProfit(order, profitMargins, sellerData?.tier);
+  };
 
-      // Calculate profit (price - cost) * quantity
-      totalProfit += (price - cost) * quantity;
-    });
+  const renderEarningsRelease = (order) => {
+    const release = getEarningsReleaseState(order, releaseClock);
+    if (!release) return null;
+
+    let label;
+    let color = "text.secondary";
+    if (release.state === "released") {
+      label = "Earnings released";
+      color = "success.main";
+    } else if (release.state === "on_hold") {
+      label = "Release on hold (refund open)";
+      color = "warning.main";
+    } else if (release.state === "due") {
+      label = "Releasing shortly";
+    } else {
+      label = `Releases in ${formatReleaseCountdown(release.remainingMs)}`;
+    }
 
-    return totalProfit;
+    return (
+      <Tooltip
+        title={
+          release.releaseAt
+            ? `${release.state === "released" ? "Released" : "Scheduled for"} ${release.releaseAt.toLocaleString()}`
+            : ""
+        }
+      >
+        <Typography variant="caption" display="block" sx={{ color, mt: 0.5 }}>
+          {label}
+        </Typography>
+      </Tooltip>
+    );
   };
 
   const renderOrdersTable = (orders) => {
@@ -4410,15 +4945,8 @@ const SellerDashboard = ({ setIsSeller }) => {
                     : alpha(theme.palette.primary.light, 0.1),
                 },
                 borderLeft: `4px solid ${
-                  order.status === "completed"
-                    ? theme.palette.success.main
-                    : order.status === "processing"
-                      ? theme.palette.info.main
-                      : order.status === "assigned"
-                        ? theme.palette.primary.main
-                        : order.status === "cancelled"
-                          ? theme.palette.error.main
-                          : theme.palette.grey[500]
+                  theme.palette[getOrderStatusColor(order.status)]?.main ||
+                  theme.palette.grey[500]
                 }`
               }}
             >
@@ -4448,7 +4976,7 @@ const SellerDashboard = ({ setIsSeller }) => {
                 <Grid item xs={6}>
                   <Typography backgroundColor="orange" p={0.5} borderRadius={3} variant="caption" color="white">Profit</Typography>
                   <Typography variant="body2" sx={{ color: 'success.main', fontWeight: 'medium' }}>
-                    ${(Number(order.total || order.totalAmount || 0) * 0.23).toFixed(2)}
+                    ${getOrderProfit(order, profitMargins, sellerData?.tier).toFixed(2)}
                   </Typography>
                 </Grid>
                 <Grid item xs={6}>
@@ -4457,19 +4985,12 @@ const SellerDashboard = ({ setIsSeller }) => {
                     <Chip
                       label={order.status === "pending" ? "Unpicked" : order.status}
                       color={
-                        order.status === "completed"
-                          ? "success"
-                          : order.status === "processing"
-                            ? "info"
-                            : order.status === "assigned"
-                              ? "primary"
-                              : order.status === "cancelled" || order.status === "pending"
-                                ? "error"
-                                : "default"
+                        order.status === "pending" ? "error" : getOrderStatusColor(order.status)
                       }
                       size="small"
                     />
                   </Box>
+                  {renderEarningsRelease(order)}
                 </Grid>
                 <Grid item xs={6} sx={{ display: 'flex', alignItems: 'flex-end', justifyContent: 'flex-end' }}>
                   <Box sx={{ display: 'flex', gap: 1 }}>
@@ -4559,27 +5080,18 @@ const SellerDashboard = ({ setIsSeller }) => {
                       }}
                     >
                       $
-                      {(
-                        Number(order.total || order.totalAmount || 0) * 0.23
-                      ).toFixed(2)}
+                      {getOrderProfit(order, profitMargins, sellerData?.tier).toFixed(2)}
                     </Typography>
                   </TableCell>
                   <TableCell>
                     <Chip
                       label={order.status === "pending" ? "Unpicked" : order.status}
                       color={
-                        order.status === "completed"
-                          ? "success"
-                          : order.status === "processing"
-                            ? "info"
-                            : order.status === "assigned"
-                              ? "primary"
-                              : order.status === "cancelled" || order.status === "pending"
-                                ? "error"
-                                : "default"
+                        order.status === "pending" ? "error" : getOrderStatusColor(order.status)
                       }
                       size="small"
                     />
+                    {renderEarningsRelease(order)}
                   </TableCell>
                   <TableCell>
                     {order.assignedByAdmin ? (
@@ -4637,20 +5149,18 @@ const SellerDashboard = ({ setIsSeller }) => {
       }
       
       const sellerDocRef = doc(db, "sellers", sellerId);
-      await updateDoc(sellerDocRef, {
-        pendingAmount: 0,
-        lastUpdated: serverTimestamp(),
-      });
 
-      // Add transaction record
-      await addDoc(collection(db, "transactions"), {
-        sellerId: sellerId,
-        amount: 0,
+      // Whatever is left in pending goes back to the platform
+      await recordSellerMovement(sellerId, (currentSellerData) => ({
         type: "pending_reset",
-        affectsRevenue: false,
-        timestamp: serverTimestamp(),
-        note: "Pending wallet reset to 0",
-      });
+        lines: [
+          { account: LEDGER_ACCOUNTS.PENDING, amount: -readMoney(currentSellerData, "pendingAmount") },
+          { account: LEDGER_ACCOUNTS.PLATFORM_REVENUE, amount: readMoney(currentSellerData, "pendingAmount") },
+        ],
+        description: "Pending wallet reset to 0",
+        processedBy: "seller",
+        transactionFields: { affectsRevenue: false },
+      }));
 
       // Refresh seller data
       const sellerDoc = await getDoc(sellerDocRef);
@@ -4669,6 +5179,7 @@ const SellerDashboard = ({ setIsSeller }) => {
   const handleProductDialogClose = () => {
     setProductSearchQuery("");
     setProductPriceRange({ min: "", max: "" });
+    setProductCategory("");
     setIsProductDialogOpen(false);
   };
 
@@ -4676,6 +5187,7 @@ const SellerDashboard = ({ setIsSeller }) => {
   const clearProductFilters = () => {
     setProductSearchQuery("");
     setProductPriceRange({ min: "", max: "" });
+    setProductCategory("");
   };
 
   // Handle logout and navigate to seller login page
@@ -4787,6 +5299,16 @@ const [toogle, setToogle] = useState(false)
               text: "Money Withdraw",
               value: "withdraw",
             },
+            {
+              icon: <RevenueIcon />,
+              text: "Top Up Wallet",
+              value: "deposit",
+            },
+            {
+              icon: <StatementIcon />,
+              text: "Statements",
+              value: "statements",
+            },
             {
               icon: <ConversationsIcon />,
               text: "Conversations",
@@ -5118,6 +5640,15 @@ const [toogle, setToogle] = useState(false)
               }}
               sx={{ width: '120px' }}
             />
+            <CategorySelect
+              label="Category"
+              size="small"
+              categories={categories}
+              value={productCategory}
+              onChange={setProductCategory}
+              allLabel="All categories"
+              sx={{ minWidth: '200px' }}
+            />
           </Box>
           
           {/* Select All Checkbox */}
@@ -5294,7 +5825,7 @@ const [toogle, setToogle] = useState(false)
                                     : "text.secondary",
                               }}
                             >
-                              Profit: ${(Number(product.price || 0) * 0.23).toFixed(2)}
+                              Profit: ${getProductProfit(profitMargins, product, sellerData?.tier).toFixed(2)}
                             </Typography>
                           </Box>
                           
@@ -5308,7 +5839,7 @@ const [toogle, setToogle] = useState(false)
                               color: "success.main",
                             }}
                           >
-                            23%: ${(Number(product.price || 0) * 0.23).toFixed(2)}
+                            {formatMarginRate(getMarginRate(profitMargins, { category: product.category, sellerTier: sellerData?.tier }))}: ${getProductProfit(profitMargins, product, sellerData?.tier).toFixed(2)}
                           </Typography>
                         </Box>
                       </Box>
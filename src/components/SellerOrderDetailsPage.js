@@ -28,18 +28,50 @@ import {
   DialogContentText,
   DialogActions,
   TextField,
-  Alert
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Link
 } from '@mui/material';
 import { 
   ArrowBack as ArrowBackIcon,
   ShoppingCartCheckout as ShoppingCartCheckoutIcon,
   Check as CheckIcon,
-  Lock as LockIcon
+  Lock as LockIcon,
+  LocalShipping as LocalShippingIcon,
+  Print as PrintIcon
 } from '@mui/icons-material';
 import { useParams, useNavigate } from 'react-router-dom';
 import { db, auth } from '../firebase';
-import { doc, getDoc, updateDoc, arrayUnion, addDoc, collection, serverTimestamp } from 'firebase/firestore';
+import { doc, getDoc, addDoc, collection, serverTimestamp } from 'firebase/firestore';
 import { EmailAuthProvider, reauthenticateWithCredential } from 'firebase/auth';
+import {
+  transitionOrderStatus,
+  canTransition,
+  getAllowedTransitions,
+  getOrderStatusColor,
+  getOrderStatusLabel
+} from '../utils/orderLifecycle';
+import { pickOrder, PICK_ERRORS } from '../utils/orderPicking';
+import {
+  CARRIERS,
+  getCarrierLabel,
+  getTrackingUrl,
+  formatEstimatedDelivery,
+  saveShipmentDetails
+} from '../utils/shipments';
+import { ORDER_DOCUMENT_TYPES, printOrderDocument } from '../utils/orderDocuments';
+import { getOrderItemRate, getOrderProfit } from '../utils/profitMargins';
+import { useProfitMargins } from '../hooks/useProfitMargins';
+
+// Action buttons offered to the seller for each lifecycle step they can take
+const SELLER_STATUS_ACTIONS = {
+  processing: { label: 'Start Processing', color: 'info' },
+  'on-the-way': { label: 'Mark On the Way', color: 'warning' },
+  completion_requested: { label: 'Request Completion', color: 'success' }
+};
 
 const SellerOrderDetailsPage = () => {
   const { orderId } = useParams();
@@ -52,6 +84,12 @@ const SellerOrderDetailsPage = () => {
   const [passwordDialogOpen, setPasswordDialogOpen] = useState(false);
   const [password, setPassword] = useState('');
   const [passwordError, setPasswordError] = useState('');
+  const [shipmentDialogOpen, setShipmentDialogOpen] = useState(false);
+  const [shipmentForm, setShipmentForm] = useState({ carrier: '', trackingNumber: '', estimatedDelivery: '' });
+  const [shipmentError, setShipmentError] = useState('');
+  const [savingShipment, setSavingShipment] = useState(false);
+  const [sellerTier, setSellerTier] = useState();
+  const profitMargins = useProfitMargins();
 
 
 
@@ -82,6 +120,16 @@ const SellerOrderDetailsPage = () => {
     }
   }, [orderId]);
 
+  // The seller tier decides which margin rules apply to orders that are not picked yet
+  useEffect(() => {
+    const sellerId = localStorage.getItem('sellerId');
+    if (!sellerId) return;
+
+    getDoc(doc(db, 'sellers', sellerId))
+      .then((sellerDoc) => setSellerTier(sellerDoc.exists() ? sellerDoc.data().tier : undefined))
+      .catch((err) => console.error('Error loading seller tier:', err));
+  }, []);
+
   const formatDate = (timestamp) => {
     if (!timestamp) return 'N/A';
     try {
@@ -150,81 +198,9 @@ const SellerOrderDetailsPage = () => {
         throw new Error("Seller ID not found in localStorage");
       }
 
-      // Get the order details
-      const orderRef = doc(db, "orders", orderId);
-      const orderDoc = await getDoc(orderRef);
-
-      if (!orderDoc.exists()) {
-        throw new Error("Order not found");
-      }
-
-      const orderData = orderDoc.data();
-
-      // Ensure order is in a status that can be picked
-      if (orderData.status !== "assigned" && orderData.status !== "pending") {
-        throw new Error("This order cannot be picked in its current status");
-      }
-
-      // Calculate total product price and profit from order items
-      let totalProductPrice = 0;
-      let totalAdditionalProfit = 0;
-
-      if (orderData.items && Array.isArray(orderData.items)) {
-        orderData.items.forEach((item) => {
-          const itemPrice = Number(item.price || 0);
-          const itemQuantity = Number(item.quantity || 1);
-
-          totalProductPrice += itemPrice * itemQuantity;
-          totalAdditionalProfit += itemPrice * 0.23 * itemQuantity;
-        });
-      }
-
-      // Get seller's current data
-      const sellerRef = doc(db, "sellers", sellerId);
-      const sellerDoc = await getDoc(sellerRef);
-
-      if (!sellerDoc.exists()) {
-        throw new Error("Seller data not found");
-      }
-
-      const sellerData = sellerDoc.data();
-      const currentWalletBalance = Number(sellerData.walletBalance) || 0;
-      const currentPendingAmount = Number(sellerData.pendingAmount) || 0;
-
-      // Check if seller has enough balance
-      if (currentWalletBalance < totalProductPrice) {
-        alert("Insufficient wallet balance to pick this order");
-        return;
-      }
-
-      // Update the order status to "picked"
-      await updateDoc(orderRef, {
-        status: "picked",
-        pickedAt: serverTimestamp(),
-        statusHistory: arrayUnion({
-          status: "picked",
-          timestamp: new Date().toISOString(),
-          updatedBy: "seller",
-        }),
-      });
-
-      // Update seller's wallet balance and pending amount
-      await updateDoc(sellerRef, {
-        walletBalance: currentWalletBalance - totalProductPrice,
-        pendingAmount: currentPendingAmount + totalProductPrice + totalAdditionalProfit,
-        lastUpdated: serverTimestamp(),
-      });
-
-      // Add transaction record
-      await addDoc(collection(db, "transactions"), {
-        orderId: orderId,
-        sellerId: sellerId,
-        amount: -totalProductPrice,
-        type: "order_picked",
-        affectsRevenue: true,
-        timestamp: serverTimestamp(),
-        note: `Funds reserved for order #${orderData.orderNumber || orderId.substring(0, 8)}`,
-      });
+      // Order status, wallet, pending amount and the transaction record are
+      // written in one Firestore transaction so the order cannot be double-picked
+      await pickOrder(orderId, sellerId);
 
       // Update local state
       setOrder(prevOrder => ({
@@ -238,6 +214,14 @@ const SellerOrderDetailsPage = () => {
     } catch (error) {
       console.error("Error picking order:", error);
       alert("Failed to pick order: " + error.message);
+
+      // The order may have been picked elsewhere; show what is actually stored
+      if (error.code === PICK_ERRORS.ALREADY_TAKEN || error.code === PICK_ERRORS.NOT_PICKABLE) {
+        const orderDoc = await getDoc(doc(db, "orders", orderId));
+        if (orderDoc.exists()) {
+          setOrder({ id: orderDoc.id, ...orderDoc.data() });
+        }
+      }
     } finally {
       setLoading(false);
     }
@@ -257,8 +241,7 @@ const SellerOrderDetailsPage = () => {
       }
 
       // Get the order details
-      const orderRef = doc(db, "orders", orderId);
-      const orderDoc = await getDoc(orderRef);
+      const orderDoc = await getDoc(doc(db, "orders", orderId));
 
       if (!orderDoc.exists()) {
         throw new Error("Order not found");
@@ -266,27 +249,22 @@ const SellerOrderDetailsPage = () => {
 
       const orderData = orderDoc.data();
 
-      // If the status is being changed to 'completed', add a special note for admin verification
-      const isCompletionRequest = newStatus === "completed";
+      // Sellers cannot complete orders themselves; completion goes to the admin for verification
+      const isCompletionRequest = newStatus === "completed" || newStatus === "completion_requested";
 
       const updatedStatus = isCompletionRequest
         ? "completion_requested"
         : newStatus;
 
-      // Update the order with the new status
-      await updateDoc(orderRef, {
-        status: updatedStatus,
-        statusHistory: arrayUnion({
-          status: updatedStatus,
-          timestamp: new Date().toISOString(),
-          updatedBy: "seller",
-          note: isCompletionRequest
-            ? "Seller requested order completion - awaiting admin verification"
-            : undefined,
-        }),
-        completionRequestedAt: isCompletionRequest
-          ? serverTimestamp()
-          : orderData.completionRequestedAt,
+      // Update the order with the new status (rejected if the lifecycle does not allow it)
+      await transitionOrderStatus(orderId, updatedStatus, {
+        role: "seller",
+        note: isCompletionRequest
+          ? "Seller requested order completion - awaiting admin verification"
+          : undefined,
+        updates: isCompletionRequest
+          ? { completionRequestedAt: serverTimestamp() }
+          : {},
       });
 
       // If this is a completion request, also notify admin
@@ -316,12 +294,54 @@ const SellerOrderDetailsPage = () => {
 
     } catch (error) {
       console.error("Error updating order status:", error);
-      alert("Failed to update order status. Please try again.");
+      alert("Failed to update order status: " + error.message);
     } finally {
       setLoading(false);
     }
   };
 
+  const openShipmentDialog = () => {
+    setShipmentForm({
+      carrier: order.shipment?.carrier || '',
+      trackingNumber: order.shipment?.trackingNumber || '',
+      estimatedDelivery: order.shipment?.estimatedDelivery || ''
+    });
+    setShipmentError('');
+    setShipmentDialogOpen(true);
+  };
+
+  // Shipping an order requires tracking details, so "Mark On the Way" goes through this dialog
+  const handleSaveShipment = async () => {
+    setSavingShipment(true);
+    setShipmentError('');
+    try {
+      const sellerId = localStorage.getItem('sellerId');
+      const shipment = await saveShipmentDetails(orderId, sellerId, shipmentForm);
+
+      setOrder(prevOrder => ({
+        ...prevOrder,
+        status: 'on-the-way',
+        shipment
+      }));
+      setShipmentDialogOpen(false);
+    } catch (error) {
+      console.error("Error saving shipment details:", error);
+      setShipmentError(error.message);
+    } finally {
+      setSavingShipment(false);
+    }
+  };
+
+  const handlePrintDocument = (type) => {
+    try {
+      printOrderDocument(order, type);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const canEditShipment = order?.status === 'on-the-way' || canTransition(order?.status, 'on-the-way', 'seller');
+
   if (loading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100vh' }}>
@@ -386,7 +406,14 @@ const SellerOrderDetailsPage = () => {
                   }}
                 />
               )}
-              <Typography variant="subtitle2">{item.name}</Typography>
+              <Box>
+                <Typography variant="subtitle2">{item.name}</Typography>
+                {item.variantLabel && (
+                  <Typography variant="caption" color="text.secondary">
+                    {item.variantLabel}{item.sku ? ` · SKU ${item.sku}` : ''}
+                  </Typography>
+                )}
+              </Box>
             </Box>
             <Grid container spacing={1}>
               <Grid item xs={3}>
@@ -400,7 +427,7 @@ const SellerOrderDetailsPage = () => {
               <Grid item xs={3}>
                 <Typography variant="caption" color="text.secondary">Profit</Typography>
                 <Typography variant="body2" sx={{ color: 'success.main' }}>
-                  ${(Number(item.price || 0) * 0.23).toFixed(2)}
+                  ${(Number(item.price || 0) * getOrderItemRate(order, index, profitMargins, sellerTier)).toFixed(2)}
                 </Typography>
               </Grid>
               <Grid item xs={3}>
@@ -429,7 +456,7 @@ const SellerOrderDetailsPage = () => {
           <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
             <Typography variant="subtitle2" color="success.main">Total Profit:</Typography>
             <Typography variant="subtitle2" color="success.main">
-              ${Number(order.items?.reduce((total, item) => total + (Number(item.price || 0) * 0.23 * (item.quantity || 1)), 0) || 0).toFixed(2)}
+              ${getOrderProfit(order, profitMargins, sellerTier).toFixed(2)}
             </Typography>
           </Box>
         </CardContent>
@@ -510,14 +537,8 @@ const SellerOrderDetailsPage = () => {
             </Button> */}
           {/* )} */}
           <Chip
-            label={order.status}
-            color={
-              order.status === "completed" ? "success" :
-              order.status === "processing" ? "info" :
-              order.status === "assigned" ? "primary" :
-              order.status === "pending" ? "warning" :
-              order.status === "cancelled" ? "error" : "default"
-            }
+            label={getOrderStatusLabel(order.status)}
+            color={getOrderStatusColor(order.status)}
             size={isMobile ? "small" : "medium"}
           />
         </Box>
@@ -580,7 +601,7 @@ const SellerOrderDetailsPage = () => {
                 {order.assignedByAdmin ? 'Assigned by Admin' : 'Direct Order'}
               </Typography>
               
-              {(order.status === "assigned" || order.status === "pending") && (
+              {canTransition(order.status, "picked", "seller") && (
                 <Box sx={{ mt: 3 }}>
                   <Button
                     variant="contained"
@@ -608,6 +629,53 @@ const SellerOrderDetailsPage = () => {
           </Paper>
         </Grid>
 
+        {/* Shipment */}
+        {(order.shipment || canEditShipment) && (
+          <Grid item xs={12} md={6}>
+            <Paper elevation={1} sx={{ p: { xs: 2, md: 3 }, height: '100%' }}>
+              <Typography variant="h6" gutterBottom color="primary">
+                Shipment
+              </Typography>
+              {order.shipment ? (
+                <Box sx={{ mb: 2 }}>
+                  <Typography variant="body2" color="textSecondary">Carrier:</Typography>
+                  <Typography variant="body1" sx={{ mb: 1 }}>{getCarrierLabel(order.shipment.carrier)}</Typography>
+                  <Typography variant="body2" color="textSecondary">Tracking Number:</Typography>
+                  <Typography variant="body1" sx={{ mb: 1 }}>
+                    {getTrackingUrl(order.shipment) ? (
+                      <Link href={getTrackingUrl(order.shipment)} target="_blank" rel="noopener noreferrer">
+                        {order.shipment.trackingNumber}
+                      </Link>
+                    ) : (
+                      order.shipment.trackingNumber
+                    )}
+                  </Typography>
+                  <Typography variant="body2" color="textSecondary">Estimated Delivery:</Typography>
+                  <Typography variant="body1">
+                    {order.shipment.estimatedDelivery
+                      ? formatEstimatedDelivery(order.shipment.estimatedDelivery)
+                      : 'Not provided'}
+                  </Typography>
+                </Box>
+              ) : (
+                <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+                  Add the carrier and tracking number when the order is handed over for delivery.
+                </Typography>
+              )}
+              {canEditShipment && (
+                <Button
+                  variant="outlined"
+                  startIcon={<LocalShippingIcon />}
+                  onClick={openShipmentDialog}
+                  disabled={loading}
+                >
+                  {order.shipment ? 'Edit Shipment Details' : 'Add Shipment Details'}
+                </Button>
+              )}
+            </Paper>
+          </Grid>
+        )}
+
         {/* Order Items - Desktop */}
         <Grid item xs={12}>
           <Paper elevation={1} sx={{ p: { xs: 2, md: 3 } }}>
@@ -650,14 +718,21 @@ const SellerOrderDetailsPage = () => {
                                 }}
                               />
                             )}
-                            <Typography variant="body2">{item.name}</Typography>
+                            <Box>
+                              <Typography variant="body2">{item.name}</Typography>
+                              {item.variantLabel && (
+                                <Typography variant="caption" color="text.secondary">
+                                  {item.variantLabel}{item.sku ? ` · SKU ${item.sku}` : ''}
+                                </Typography>
+                              )}
+                            </Box>
                           </Box>
                         </TableCell>
                         <TableCell align="right">
                           ${Number(item.price || 0).toFixed(2)}
                         </TableCell>
                         <TableCell align="right">
-                          ${Number(item.price*23/100 || 0).toFixed(2)}
+                          ${(Number(item.price || 0) * getOrderItemRate(order, index, profitMargins, sellerTier)).toFixed(2)}
                         </TableCell>
                         <TableCell align="center">
                           {item.quantity}
@@ -721,25 +796,46 @@ const SellerOrderDetailsPage = () => {
         >
           Back to Orders
         </Button>
+
+        <Button
+          variant="outlined"
+          startIcon={<PrintIcon />}
+          onClick={() => handlePrintDocument(ORDER_DOCUMENT_TYPES.INVOICE)}
+          fullWidth={isMobile}
+        >
+          Print Invoice
+        </Button>
+
+        <Button
+          variant="outlined"
+          startIcon={<PrintIcon />}
+          onClick={() => handlePrintDocument(ORDER_DOCUMENT_TYPES.PACKING_SLIP)}
+          fullWidth={isMobile}
+        >
+          Print Packing Slip
+        </Button>
         
        
         
-        {order.status === "processing" && (
-          <Button
-            variant="contained"
-            color="success"
-            onClick={() => handleUpdateOrderStatus("completed")}
-            disabled={loading}
-            fullWidth={isMobile}
-            size={isMobile ? "medium" : "medium"}
-          >
-            Request Completion
-          </Button>
-        )}
+        {getAllowedTransitions(order.status, "seller")
+          .filter((status) => SELLER_STATUS_ACTIONS[status])
+          .map((status) => (
+            <Button
+              key={status}
+              variant="contained"
+              color={SELLER_STATUS_ACTIONS[status].color}
+              onClick={() => status === 'on-the-way' ? openShipmentDialog() : handleUpdateOrderStatus(status)}
+              disabled={loading}
+              fullWidth={isMobile}
+              size={isMobile ? "medium" : "medium"}
+            >
+              {SELLER_STATUS_ACTIONS[status].label}
+            </Button>
+          ))}
       </Box>
 
       {/* Floating Action Button for Pick Order - shows for pending and assigned orders */}
-      {(order.status === "assigned" || order.status === "pending") && (
+      {canTransition(order.status, "picked", "seller") && (
         <Box
           sx={{
             position: 'fixed',
@@ -769,6 +865,74 @@ const SellerOrderDetailsPage = () => {
         </Box>
       )}
 
+      {/* Shipment Details Dialog */}
+      <Dialog
+        open={shipmentDialogOpen}
+        onClose={() => !savingShipment && setShipmentDialogOpen(false)}
+        fullWidth
+        maxWidth="xs"
+      >
+        <DialogTitle>Shipment Details</DialogTitle>
+        <DialogContent>
+          {order.status !== 'on-the-way' && (
+            <DialogContentText sx={{ mb: 2 }}>
+              Saving these details marks the order as on the way.
+            </DialogContentText>
+          )}
+          {shipmentError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {shipmentError}
+            </Alert>
+          )}
+          <FormControl fullWidth margin="dense">
+            <InputLabel>Carrier</InputLabel>
+            <Select
+              value={shipmentForm.carrier}
+              onChange={(e) => setShipmentForm({ ...shipmentForm, carrier: e.target.value })}
+              label="Carrier"
+              disabled={savingShipment}
+            >
+              {CARRIERS.map((carrier) => (
+                <MenuItem key={carrier.value} value={carrier.value}>
+                  {carrier.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            margin="dense"
+            label="Tracking Number"
+            fullWidth
+            value={shipmentForm.trackingNumber}
+            onChange={(e) => setShipmentForm({ ...shipmentForm, trackingNumber: e.target.value })}
+            disabled={savingShipment}
+          />
+          <TextField
+            margin="dense"
+            label="Estimated Delivery"
+            type="date"
+            fullWidth
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ min: new Date().toISOString().slice(0, 10) }}
+            value={shipmentForm.estimatedDelivery}
+            onChange={(e) => setShipmentForm({ ...shipmentForm, estimatedDelivery: e.target.value })}
+            disabled={savingShipment}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setShipmentDialogOpen(false)} disabled={savingShipment}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSaveShipment}
+            variant="contained"
+            disabled={savingShipment || !shipmentForm.carrier || !shipmentForm.trackingNumber.trim()}
+          >
+            {savingShipment ? <CircularProgress size={24} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Password Confirmation Dialog */}
       <Dialog 
         open={passwordDialogOpen} 
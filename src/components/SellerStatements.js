@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  CircularProgress,
+  Typography,
+  Alert,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import { Download as DownloadIcon, Print as PrintIcon } from '@mui/icons-material';
+import { collection, getDocs } from 'firebase/firestore';
+import { db } from '../firebase';
+import SectionCard from './SectionCard';
+import {
+  STATEMENT_CATEGORIES,
+  STATEMENT_CATEGORY_LABELS,
+  generateSellerStatement,
+  downloadStatementCsv,
+  printSellerStatement
+} from '../utils/sellerStatements';
+import { formatMoney } from '../utils/money';
+
+const getPreviousMonth = () => {
+  const now = new Date();
+  const previous = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  return `${previous.getFullYear()}-${String(previous.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Monthly statement generator. Sellers pass their own `sellerId`; without
+ * one (the admin view) a seller can be chosen from the list.
+ */
+const SellerStatements = ({ sellerId }) => {
+  const [sellers, setSellers] = useState([]);
+  const [selectedSellerId, setSelectedSellerId] = useState(sellerId || '');
+  const [month, setMonth] = useState(getPreviousMonth);
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (sellerId) return;
+    getDocs(collection(db, 'sellers'))
+      .then((snapshot) => {
+        setSellers(
+          snapshot.docs
+            .map((sellerDoc) => ({
+              id: sellerDoc.id,
+              name: sellerDoc.data().name || sellerDoc.data().shopName || 'Unnamed Seller',
+              email: sellerDoc.data().email || ''
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name))
+        );
+      })
+      .catch((error) => {
+        console.error('Error loading sellers:', error);
+        setMessage({ severity: 'error', text: 'Failed to load sellers' });
+      });
+  }, [sellerId]);
+
+  const handleGenerate = async () => {
+    setLoading(true);
+    setMessage(null);
+    setStatement(null);
+    try {
+      const [year, monthNumber] = month.split('-').map(Number);
+      setStatement(await generateSellerStatement(selectedSellerId, year, monthNumber));
+    } catch (error) {
+      console.error('Error generating statement:', error);
+      setMessage({ severity: 'error', text: 'Failed to generate the statement: ' + error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePrint = () => {
+    try {
+      printSellerStatement(statement);
+    } catch (error) {
+      setMessage({ severity: 'error', text: error.message });
+    }
+  };
+
+  return (
+    <SectionCard title="Monthly Statements">
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+      <Grid container spacing={2} alignItems="center">
+        {!sellerId && (
+          <Grid item xs={12} md={5}>
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label="Seller"
+              value={selectedSellerId}
+              onChange={(e) => {
+                setSelectedSellerId(e.target.value);
+                setStatement(null);
+              }}
+            >
+              {sellers.map((seller) => (
+                <MenuItem key={seller.id} value={seller.id}>
+                  {seller.name}{seller.email ? ` (${seller.email})` : ''}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+        )}
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            type="month"
+            fullWidth
+            size="small"
+            label="Month"
+            InputLabelProps={{ shrink: true }}
+            value={month}
+            onChange={(e) => {
+              setMonth(e.target.value);
+              setStatement(null);
+            }}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={4}>
+          <Button
+            variant="contained"
+            onClick={handleGenerate}
+            disabled={loading || !selectedSellerId || !month}
+          >
+            {loading ? <CircularProgress size={24} /> : 'Generate Statement'}
+          </Button>
+        </Grid>
+      </Grid>
+
+      {statement && (
+        <Box sx={{ mt: 3 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+            <Typography variant="h6">
+              {statement.period.label} — {statement.seller.name}
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button variant="outlined" size="small" startIcon={<DownloadIcon />} onClick={() => downloadStatementCsv(statement)}>
+                CSV
+              </Button>
+              <Button variant="outlined" size="small" startIcon={<PrintIcon />} onClick={handlePrint}>
+                PDF
+              </Button>
+            </Box>
+          </Box>
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell />
+                  <TableCell align="right">Wallet</TableCell>
+                  <TableCell align="right">Pending</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                <TableRow>
+                  <TableCell>Opening balance</TableCell>
+                  <TableCell align="right">{formatMoney(statement.openingBalance.walletBalance)}</TableCell>
+                  <TableCell align="right">{formatMoney(statement.openingBalance.pendingAmount)}</TableCell>
+                </TableRow>
+                {Object.values(STATEMENT_CATEGORIES).map((category) => (
+                  <TableRow key={category}>
+                    <TableCell>
+                      {STATEMENT_CATEGORY_LABELS[category]} ({statement.categoryTotals[category].count})
+                    </TableCell>
+                    <TableCell align="right">{formatMoney(statement.categoryTotals[category].wallet)}</TableCell>
+                    <TableCell align="right">{formatMoney(statement.categoryTotals[category].pending)}</TableCell>
+                  </TableRow>
+                ))}
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Closing balance</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                    {formatMoney(statement.closingBalance.walletBalance)}
+                  </TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                    {formatMoney(statement.closingBalance.pendingAmount)}
+                  </TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <Typography variant="body2" sx={{ mt: 2 }}>
+            Orders picked: <strong>{statement.ordersPicked.length}</strong> · Profit earned:{' '}
+            <strong>{formatMoney(statement.profitEarned)}</strong>
+          </Typography>
+          <Typography variant="caption" color="textSecondary" component="p" sx={{ mt: 1 }}>
+            Download the statement for the full order list and every wallet movement of the month.
+          </Typography>
+        </Box>
+      )}
+    </SectionCard>
+  );
+};
+
+export default SellerStatements;
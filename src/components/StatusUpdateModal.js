@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Dialog,
   DialogTitle,
@@ -15,19 +15,29 @@ import {
   Alert,
   CircularProgress
 } from '@mui/material';
+import {
+  getStatusUpdateOptions,
+  getOrderStatusColor,
+  getOrderStatusLabel,
+  isAwaitingReview
+} from '../utils/orderLifecycle';
 
-const StatusUpdateModal = ({ open, order, onClose, onUpdateStatus }) => {
-  const [selectedStatus, setSelectedStatus] = useState(order?.status || 'pending');
+const StatusUpdateModal = ({ open, order, onClose, onUpdateStatus, role = 'admin' }) => {
+  const [selectedStatus, setSelectedStatus] = useState('');
   const [updating, setUpdating] = useState(false);
 
-  const statusOptions = [
-    { value: 'pending', label: 'Pending', color: 'default' },
-    { value: 'processing', label: 'Processing', color: 'info' },
-    { value: 'assigned', label: 'Assigned', color: 'primary' },
-    { value: 'on-the-way', label: 'On the way', color: 'warning' },
-    { value: 'completed', label: 'Completed', color: 'success' },
-    { value: 'cancelled', label: 'Cancelled', color: 'error' }
-  ];
+  // Only offer the moves the order lifecycle allows for this role.
+  // Assignment and refund reviews have their own flows, so they are not offered here.
+  const statusOptions = getStatusUpdateOptions(order?.status, role)
+    .map((status) => ({
+      value: status,
+      label: getOrderStatusLabel(status),
+      color: getOrderStatusColor(status)
+    }));
+
+  useEffect(() => {
+    setSelectedStatus('');
+  }, [order?.id, order?.status]);
 
   const handleStatusUpdate = async () => {
     setUpdating(true);
@@ -52,43 +62,47 @@ const StatusUpdateModal = ({ open, order, onClose, onUpdateStatus }) => {
             Current Status:
           </Typography>
           <Chip
-            label={order.status}
-            color={
-              order.status === 'completed' ? 'success' :
-              order.status === 'processing' ? 'info' :
-              order.status === 'assigned' ? 'primary' :
-              order.status === 'on-the-way' ? 'warning' :
-              order.status === 'cancelled' ? 'error' : 'default'
-            }
+            label={getOrderStatusLabel(order.status)}
+            color={getOrderStatusColor(order.status)}
             size="small"
           />
         </Box>
 
-        <FormControl fullWidth>
-          <InputLabel>New Status</InputLabel>
-          <Select
-            value={selectedStatus}
-            onChange={(e) => setSelectedStatus(e.target.value)}
-            label="New Status"
-          >
-            {statusOptions.map((status) => (
-              <MenuItem key={status.value} value={status.value}>
-                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                  <Chip
-                    label={status.label}
-                    color={status.color}
-                    size="small"
-                    sx={{ minWidth: 80 }}
-                  />
-                </Box>
-              </MenuItem>
-            ))}
-          </Select>
-        </FormControl>
+        {isAwaitingReview(order.status) ? (
+          <Alert severity="info">
+            This order has a refund request. Approve or reject it under Received Refund Requests.
+          </Alert>
+        ) : statusOptions.length === 0 ? (
+          <Alert severity="warning">
+            No further status changes are allowed for this order.
+          </Alert>
+        ) : (
+          <FormControl fullWidth>
+            <InputLabel>New Status</InputLabel>
+            <Select
+              value={selectedStatus}
+              onChange={(e) => setSelectedStatus(e.target.value)}
+              label="New Status"
+            >
+              {statusOptions.map((status) => (
+                <MenuItem key={status.value} value={status.value}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Chip
+                      label={status.label}
+                      color={status.color}
+                      size="small"
+                      sx={{ minWidth: 80 }}
+                    />
+                  </Box>
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
 
-        {selectedStatus !== order.status && (
+        {selectedStatus && (
           <Alert severity="info" sx={{ mt: 2 }}>
-            This will update the order status from "{order.status}" to "{selectedStatus}".
+            This will update the order status from "{getOrderStatusLabel(order.status)}" to "{getOrderStatusLabel(selectedStatus)}".
           </Alert>
         )}
       </DialogContent>
@@ -100,7 +114,7 @@ const StatusUpdateModal = ({ open, order, onClose, onUpdateStatus }) => {
           onClick={handleStatusUpdate}
           color="primary"
           variant="contained"
-          disabled={updating || selectedStatus === order.status}
+          disabled={updating || !selectedStatus}
         >
           {updating ? <CircularProgress size={24} /> : 'Update Status'}
         </Button>
@@ -0,0 +1,40 @@
+import React from 'react';
+import { Box, Typography, ToggleButton, ToggleButtonGroup } from '@mui/material';
+import { isOptionValueAvailable } from '../utils/productVariants';
+
+/**
+ * One button group per variant option. Values with no stock left in
+ * combination with the other selected options are disabled.
+ * @param {Object} props - { product, selection, onChange(selection) }
+ */
+const VariantSelector = ({ product, selection, onChange }) => (
+  <Box>
+    {(product.variantOptions || []).map((option) => (
+      <Box key={option.name} sx={{ mb: 2 }}>
+        <Typography variant="subtitle2" gutterBottom>
+          {option.name}{selection[option.name] ? `: ${selection[option.name]}` : ''}
+        </Typography>
+        <ToggleButtonGroup
+          exclusive
+          size="small"
+          value={selection[option.name] || null}
+          onChange={(e, value) => onChange({ ...selection, [option.name]: value || '' })}
+          sx={{ flexWrap: 'wrap' }}
+        >
+          {option.values.map((value) => (
+            <ToggleButton
+              key={value}
+              value={value}
+              disabled={!isOptionValueAvailable(product, { ...selection, [option.name]: '' }, option.name, value)}
+              sx={{ textTransform: 'none', minWidth: 48 }}
+            >
+              {value}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Box>
+    ))}
+  </Box>
+);
+
+export default VariantSelector;
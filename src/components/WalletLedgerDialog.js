@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  CircularProgress,
+  Alert,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Tooltip
+} from '@mui/material';
+import { LEDGER_ACCOUNT_LABELS, getSellerLedger, compareWithLedger } from '../utils/walletLedger';
+
+const formatChange = (amount) => {
+  if (!amount) return '-';
+  return `${amount > 0 ? '+' : '-'}$${Math.abs(amount).toFixed(2)}`;
+};
+
+/**
+ * Lists a seller's ledger entries with running wallet and pending balances,
+ * and warns when the stored balances differ from what the ledger adds up to
+ */
+const WalletLedgerDialog = ({ open, onClose, sellerId, sellerData }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open || !sellerId) return;
+
+    setLoading(true);
+    setError('');
+    getSellerLedger(sellerId)
+      .then(setEntries)
+      .catch((err) => {
+        console.error('Error loading wallet ledger:', err);
+        setError('Failed to load wallet history');
+      })
+      .finally(() => setLoading(false));
+  }, [open, sellerId]);
+
+  const comparison = sellerData ? compareWithLedger(entries, sellerData) : null;
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Wallet History</DialogTitle>
+      <DialogContent dividers>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : error ? (
+          <Alert severity="error">{error}</Alert>
+        ) : (
+          <>
+            {comparison && comparison.opened && !comparison.inSync && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Stored balances differ from the ledger: wallet by ${comparison.walletDrift.toFixed(2)},
+                pending by ${comparison.pendingDrift.toFixed(2)}.
+              </Alert>
+            )}
+            {entries.length === 0 ? (
+              <Typography color="textSecondary">No wallet movements recorded yet.</Typography>
+            ) : (
+              <TableContainer sx={{ maxHeight: 480 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Date</TableCell>
+                      <TableCell>Description</TableCell>
+                      <TableCell align="right">Wallet</TableCell>
+                      <TableCell align="right">Pending</TableCell>
+                      <TableCell align="right">Wallet Balance</TableCell>
+                      <TableCell align="right">Pending Balance</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {[...entries].reverse().map((entry) => (
+                      <TableRow key={entry.id}>
+                        <TableCell sx={{ whiteSpace: 'nowrap' }}>{entry.createdAt.toLocaleString()}</TableCell>
+                        <TableCell>
+                          <Tooltip
+                            title={(entry.lines || [])
+                              .map((line) => `${LEDGER_ACCOUNT_LABELS[line.account] || line.account}: ${formatChange(line.amount)}`)
+                              .join(' | ')}
+                          >
+                            <span>{entry.description || entry.type}</span>
+                          </Tooltip>
+                        </TableCell>
+                        <TableCell align="right">{formatChange(entry.walletChange)}</TableCell>
+                        <TableCell align="right">{formatChange(entry.pendingChange)}</TableCell>
+                        <TableCell align="right">${entry.walletBalance.toFixed(2)}</TableCell>
+                        <TableCell align="right">${entry.pendingAmount.toFixed(2)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default WalletLedgerDialog;
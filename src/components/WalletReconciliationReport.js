@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  CircularProgress,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControlLabel,
+  Switch,
+  Alert
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+import { auth } from '../firebase';
+import SectionCard from './SectionCard';
+import { buildReconciliationReport, applyReconciliationAdjustment } from '../utils/walletReconciliation';
+
+const formatDrift = (amount) => {
+  if (Math.abs(amount) < 0.005) return '-';
+  return `${amount > 0 ? '+' : '-'}$${Math.abs(amount).toFixed(2)}`;
+};
+
+const WalletReconciliationReport = () => {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showAll, setShowAll] = useState(false);
+  const [selectedRow, setSelectedRow] = useState(null);
+  const [note, setNote] = useState('');
+  const [adjusting, setAdjusting] = useState(false);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setRows(await buildReconciliationReport());
+    } catch (err) {
+      console.error('Error building reconciliation report:', err);
+      setError('Failed to build the reconciliation report: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchReport();
+  }, []);
+
+  const openAdjustment = (row) => {
+    setSelectedRow(row);
+    setNote('');
+  };
+
+  const handleAdjust = async () => {
+    if (!note.trim()) {
+      alert('Please describe why the balance is being corrected');
+      return;
+    }
+
+    setAdjusting(true);
+    try {
+      await applyReconciliationAdjustment(selectedRow.sellerId, selectedRow, auth.currentUser?.email, note.trim());
+      setSelectedRow(null);
+      await fetchReport();
+    } catch (err) {
+      console.error('Error applying reconciliation adjustment:', err);
+      alert('Failed to apply the adjustment: ' + err.message);
+    } finally {
+      setAdjusting(false);
+    }
+  };
+
+  const mismatches = rows.filter((row) => row.mismatch);
+  const visibleRows = showAll ? rows : mismatches;
+
+  return (
+    <SectionCard title="Wallet Reconciliation">
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <Typography variant="body2" color="textSecondary" sx={{ flexGrow: 1 }}>
+          Replays every seller's transactions and order picks and compares the result with the stored balances.
+        </Typography>
+        <FormControlLabel
+          control={<Switch checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />}
+          label="Show all sellers"
+        />
+        <Button variant="outlined" startIcon={<RefreshIcon />} onClick={fetchReport} disabled={loading}>
+          Re-run
+        </Button>
+      </Box>
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          <CircularProgress />
+        </Box>
+      ) : error ? (
+        <Alert severity="error">{error}</Alert>
+      ) : (
+        <>
+          <Alert severity={mismatches.length > 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+            {mismatches.length > 0
+              ? `${mismatches.length} of ${rows.length} seller(s) have balances that do not match their history`
+              : `All ${rows.length} seller balances match their history`}
+          </Alert>
+          {visibleRows.length > 0 && (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Seller</TableCell>
+                    <TableCell align="right">Stored Wallet</TableCell>
+                    <TableCell align="right">Expected Wallet</TableCell>
+                    <TableCell align="right">Wallet Drift</TableCell>
+                    <TableCell align="right">Stored Pending</TableCell>
+                    <TableCell align="right">Expected Pending</TableCell>
+                    <TableCell align="right">Pending Drift</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {visibleRows.map((row) => (
+                    <TableRow key={row.sellerId}>
+                      <TableCell>
+                        <Typography variant="body2">{row.name}</Typography>
+                        <Typography variant="caption" color="textSecondary">
+                          {row.email} · {row.eventCount} movement(s)
+                        </Typography>
+                      </TableCell>
+                      <TableCell align="right">${row.storedWallet.toFixed(2)}</TableCell>
+                      <TableCell align="right">${row.expectedWallet.toFixed(2)}</TableCell>
+                      <TableCell align="right">{formatDrift(row.walletDrift)}</TableCell>
+                      <TableCell align="right">${row.storedPending.toFixed(2)}</TableCell>
+                      <TableCell align="right">${row.expectedPending.toFixed(2)}</TableCell>
+                      <TableCell align="right">{formatDrift(row.pendingDrift)}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={row.mismatch ? 'Mismatch' : 'OK'}
+                          color={row.mismatch ? 'warning' : 'success'}
+                          size="small"
+                        />
+                      </TableCell>
+                      <TableCell>
+                        {row.mismatch && (
+                          <Button size="small" variant="contained" onClick={() => openAdjustment(row)}>
+                            Correct
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </>
+      )}
+
+      <Dialog open={!!selectedRow} onClose={() => !adjusting && setSelectedRow(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Correct Seller Balance</DialogTitle>
+        <DialogContent>
+          {selectedRow && (
+            <>
+              <Typography variant="body2" sx={{ mb: 2 }}>
+                {selectedRow.name}'s balances will be corrected by the difference found in this report, bringing
+                them to the figures replayed from their history: wallet ${selectedRow.storedWallet.toFixed(2)} →
+                ${selectedRow.expectedWallet.toFixed(2)}, pending ${selectedRow.storedPending.toFixed(2)} →
+                ${selectedRow.expectedPending.toFixed(2)}. Money that moved since the report was built is kept.
+                The adjustment is recorded with your email ({auth.currentUser?.email}).
+              </Typography>
+              <TextField
+                label="Reason"
+                fullWidth
+                multiline
+                rows={2}
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+              />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelectedRow(null)} disabled={adjusting}>Cancel</Button>
+          <Button variant="contained" onClick={handleAdjust} disabled={adjusting}>
+            {adjusting ? <CircularProgress size={24} /> : 'Apply Adjustment'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </SectionCard>
+  );
+};
+
+export default WalletReconciliationReport;
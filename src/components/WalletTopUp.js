@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Paper,
+  Box,
+  Grid,
+  Typography,
+  TextField,
+  MenuItem,
+  InputAdornment,
+  Button,
+  LinearProgress,
+  CircularProgress,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip,
+  Link,
+  Alert
+} from '@mui/material';
+import { PhotoCamera, Refresh as RefreshIcon } from '@mui/icons-material';
+import { uploadToCloudinary } from '../utils/cloudinaryConfig';
+import {
+  DEPOSIT_METHODS,
+  DEPOSIT_STATUSES,
+  createDepositRequest,
+  getSellerDepositRequests
+} from '../utils/deposits';
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case DEPOSIT_STATUSES.APPROVED:
+      return 'success';
+    case DEPOSIT_STATUSES.REJECTED:
+      return 'error';
+    default:
+      return 'warning';
+  }
+};
+
+const WalletTopUp = ({ sellerId, sellerData }) => {
+  const [amount, setAmount] = useState('');
+  const [method, setMethod] = useState(DEPOSIT_METHODS[0]);
+  const [reference, setReference] = useState('');
+  const [note, setNote] = useState('');
+  const [receiptFile, setReceiptFile] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(true);
+
+  const fetchHistory = async () => {
+    setHistoryLoading(true);
+    try {
+      setHistory(await getSellerDepositRequests(sellerId));
+    } catch (error) {
+      console.error('Error fetching deposit requests:', error);
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (sellerId) fetchHistory();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sellerId]);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setMessage(null);
+    try {
+      if (!receiptFile) {
+        throw new Error('Please upload the payment receipt');
+      }
+      const receiptUrl = await uploadToCloudinary(receiptFile, setUploadProgress, 'deposit_receipts');
+      await createDepositRequest(sellerId, sellerData, { amount, method, reference, receiptUrl, note });
+
+      setAmount('');
+      setReference('');
+      setNote('');
+      setReceiptFile(null);
+      setMessage({
+        severity: 'success',
+        text: 'Top-up request submitted. Your wallet is credited once an admin confirms the payment.'
+      });
+      await fetchHistory();
+    } catch (error) {
+      console.error('Error submitting deposit request:', error);
+      setMessage({ severity: 'error', text: error.message || 'Failed to submit the top-up request' });
+    } finally {
+      setSubmitting(false);
+      setUploadProgress(0);
+    }
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4 }}>
+      <Typography variant="h4" gutterBottom fontWeight="medium">
+        Top Up Wallet
+      </Typography>
+
+      <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
+        <Typography variant="h6" gutterBottom>
+          Request a Top-Up
+        </Typography>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          Current balance: <strong>${(sellerData?.walletBalance || 0).toFixed(2)}</strong>. Send the
+          payment first, then upload the receipt here.
+        </Typography>
+        {message && (
+          <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+        <Grid container spacing={3}>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              label="Amount Sent ($)"
+              type="number"
+              required
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              InputProps={{ startAdornment: <InputAdornment position="start">$</InputAdornment> }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              select
+              label="Payment Method"
+              required
+              value={method}
+              onChange={(e) => setMethod(e.target.value)}
+            >
+              {DEPOSIT_METHODS.map((option) => (
+                <MenuItem key={option} value={option}>
+                  {option === 'Bank' ? 'Bank Transfer' : option}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Payment Reference (Optional)"
+              helperText="Bank reference or transaction hash"
+              value={reference}
+              onChange={(e) => setReference(e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Note (Optional)"
+              multiline
+              rows={2}
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <Button variant="outlined" component="label" startIcon={<PhotoCamera />}>
+              {receiptFile ? receiptFile.name : 'Upload Receipt'}
+              <input
+                type="file"
+                accept="image/*"
+                hidden
+                onChange={(e) => setReceiptFile(e.target.files?.[0] || null)}
+              />
+            </Button>
+            {uploadProgress > 0 && (
+              <LinearProgress variant="determinate" value={uploadProgress} sx={{ mt: 1 }} />
+            )}
+          </Grid>
+          <Grid item xs={12}>
+            <Button
+              variant="contained"
+              onClick={handleSubmit}
+              disabled={submitting || !(parseFloat(amount) > 0) || !receiptFile}
+            >
+              {submitting ? 'Submitting...' : 'Submit Top-Up Request'}
+            </Button>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      <Paper elevation={3} sx={{ p: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant="h6">Top-Up History</Typography>
+          <Button startIcon={<RefreshIcon />} size="small" onClick={fetchHistory} disabled={historyLoading}>
+            Refresh
+          </Button>
+        </Box>
+        {historyLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : history.length > 0 ? (
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Amount</TableCell>
+                  <TableCell>Method</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Details</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {history.map((request) => (
+                  <TableRow key={request.id}>
+                    <TableCell>
+                      {request.timestamp.toLocaleDateString()} {request.timestamp.toLocaleTimeString()}
+                    </TableCell>
+                    <TableCell>${request.amount.toFixed(2)}</TableCell>
+                    <TableCell>{request.method}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={request.status.charAt(0).toUpperCase() + request.status.slice(1)}
+                        color={getStatusColor(request.status)}
+                        size="small"
+                      />
+                    </TableCell>
+                    <TableCell>
+                      {request.status === DEPOSIT_STATUSES.REJECTED && request.rejectionReason ? (
+                        <Typography variant="body2" color="error">
+                          Rejected: {request.rejectionReason}
+                        </Typography>
+                      ) : (
+                        <Link href={request.receiptUrl} target="_blank" rel="noopener noreferrer">
+                          View receipt
+                        </Link>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        ) : (
+          <Typography color="textSecondary" sx={{ p: 2, textAlign: 'center' }}>
+            No top-up requests yet.
+          </Typography>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default WalletTopUp;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Grid,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Button,
+  CircularProgress,
+  Typography,
+  Alert
+} from '@mui/material';
+import { auth } from '../firebase';
+import SectionCard from './SectionCard';
+import {
+  FEE_TYPES,
+  LIMIT_PERIODS,
+  getWithdrawalPolicy,
+  saveWithdrawalPolicy
+} from '../utils/withdrawalPolicy';
+
+const WithdrawalPolicySettings = () => {
+  const [policy, setPolicy] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    getWithdrawalPolicy()
+      .then(setPolicy)
+      .catch((error) => {
+        console.error('Error loading withdrawal policy:', error);
+        setMessage({ severity: 'error', text: 'Failed to load withdrawal policy' });
+      });
+  }, []);
+
+  const handleChange = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setPolicy({ ...policy, [field]: value });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      await saveWithdrawalPolicy(policy, auth.currentUser?.email);
+      setMessage({ severity: 'success', text: 'Withdrawal policy saved' });
+    } catch (error) {
+      console.error('Error saving withdrawal policy:', error);
+      setMessage({ severity: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!policy) {
+    return (
+      <SectionCard title="Withdrawal Policy">
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          {message ? <Alert severity={message.severity}>{message.text}</Alert> : <CircularProgress />}
+        </Box>
+      </SectionCard>
+    );
+  }
+
+  return (
+    <SectionCard title="Withdrawal Policy">
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            label="Minimum per request ($)"
+            type="number"
+            fullWidth
+            size="small"
+            inputProps={{ min: 0, step: '0.01' }}
+            value={policy.minAmount}
+            onChange={handleChange('minAmount')}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            label="Maximum per request ($)"
+            type="number"
+            fullWidth
+            size="small"
+            inputProps={{ min: 0, step: '0.01' }}
+            value={policy.maxAmount}
+            onChange={handleChange('maxAmount')}
+            helperText="0 for no maximum"
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Fee</InputLabel>
+            <Select value={policy.feeType} onChange={handleChange('feeType')} label="Fee">
+              <MenuItem value={FEE_TYPES.NONE}>No fee</MenuItem>
+              <MenuItem value={FEE_TYPES.PERCENT}>Percentage of amount</MenuItem>
+              <MenuItem value={FEE_TYPES.FLAT}>Flat amount</MenuItem>
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            label={policy.feeType === FEE_TYPES.PERCENT ? 'Fee (%)' : 'Fee ($)'}
+            type="number"
+            fullWidth
+            size="small"
+            inputProps={{ min: 0, step: '0.01' }}
+            value={policy.feeValue}
+            onChange={handleChange('feeValue')}
+            disabled={policy.feeType === FEE_TYPES.NONE}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Limit period</InputLabel>
+            <Select value={policy.limitPeriod} onChange={handleChange('limitPeriod')} label="Limit period">
+              <MenuItem value={LIMIT_PERIODS.NONE}>No limit</MenuItem>
+              <MenuItem value={LIMIT_PERIODS.DAILY}>Daily (last 24 hours)</MenuItem>
+              <MenuItem value={LIMIT_PERIODS.WEEKLY}>Weekly (last 7 days)</MenuItem>
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            label="Limit amount ($)"
+            type="number"
+            fullWidth
+            size="small"
+            inputProps={{ min: 0, step: '0.01' }}
+            value={policy.limitAmount}
+            onChange={handleChange('limitAmount')}
+            disabled={policy.limitPeriod === LIMIT_PERIODS.NONE}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            label="Cooldown after account changes (hours)"
+            type="number"
+            fullWidth
+            size="small"
+            inputProps={{ min: 0 }}
+            value={policy.accountChangeCooldownHours}
+            onChange={handleChange('accountChangeCooldownHours')}
+            helperText="0 to allow withdrawals right away"
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <FormControlLabel
+            control={<Switch checked={!!policy.oneOpenRequest} onChange={handleChange('oneOpenRequest')} />}
+            label="One open request at a time"
+          />
+        </Grid>
+      </Grid>
+      <Typography variant="caption" color="textSecondary" component="p" sx={{ mt: 2 }}>
+        Rules are checked when a seller submits a request and again on approval. The fee shown to the
+        seller when submitting is the one charged; it is recorded as platform revenue.
+      </Typography>
+      <Box sx={{ mt: 2 }}>
+        <Button variant="contained" onClick={handleSave} disabled={saving}>
+          {saving ? <CircularProgress size={24} /> : 'Save Policy'}
+        </Button>
+      </Box>
+    </SectionCard>
+  );
+};
+
+export default WithdrawalPolicySettings;
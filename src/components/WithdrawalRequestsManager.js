@@ -17,12 +17,29 @@ import {
   DialogActions,
   TextField,
   Tooltip,
-  Stack
+  Stack,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Link,
+  LinearProgress
 } from '@mui/material';
-import { InfoOutlined } from '@mui/icons-material';
+import { InfoOutlined, PhotoCamera } from '@mui/icons-material';
 import { auth, db } from '../firebase';
-import { collection, query, where, orderBy, getDocs, doc, getDoc, updateDoc, addDoc, serverTimestamp } from 'firebase/firestore';
+import { collection, query, where, orderBy, getDocs, doc, updateDoc, serverTimestamp } from 'firebase/firestore';
 import SectionCard from './SectionCard';
+import { uploadToCloudinary } from '../utils/cloudinaryConfig';
+import {
+  WITHDRAWAL_STATUSES,
+  PAYOUT_PROOF_TYPES,
+  PAYOUT_PROOF_LABELS,
+  approveWithdrawal,
+  markWithdrawalPaid,
+  failWithdrawalPayout
+} from '../utils/withdrawalPayouts';
+
+const EMPTY_PROOF = { type: PAYOUT_PROOF_TYPES.BANK_REFERENCE, reference: '', receiptFile: null };
 
 const WithdrawalRequestsManager = () => {
   const [withdrawalRequests, setWithdrawalRequests] = useState([]);
@@ -31,6 +48,11 @@ const WithdrawalRequestsManager = () => {
   const [rejectionReason, setRejectionReason] = useState('');
   const [openRejectDialog, setOpenRejectDialog] = useState(false);
   const [processingRequest, setProcessingRequest] = useState(false);
+  const [paidRequest, setPaidRequest] = useState(null);
+  const [proof, setProof] = useState(EMPTY_PROOF);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [failedRequest, setFailedRequest] = useState(null);
+  const [failureReason, setFailureReason] = useState('');
 
   // Fetch withdrawal requests when component mounts
   useEffect(() => {
@@ -71,7 +93,7 @@ const WithdrawalRequestsManager = () => {
     if (request.paymentMethod === 'Bank' && request.paymentDetails) {
       confirmMessage += `\n\nBank payment details:\nBank: ${request.paymentDetails.bankName || '-'}\nAccount: ${request.paymentDetails.bankAccountName || '-'}\nNumber: ${request.paymentDetails.bankAccountNumber || '-'}\nIFSC: ${request.paymentDetails.ifscCode || '-'}`;
     } else if (request.paymentDetails?.walletAddress) {
-      confirmMessage += `\n\nWallet address: ${request.paymentDetails.walletAddress}`;
+      confirmMessage += `\n\n${request.paymentDetails.network ? `Network: ${request.paymentDetails.network}\n` : ''}Wallet address: ${request.paymentDetails.walletAddress}`;
     } else if (request.walletAddress) {
       confirmMessage += `\n\nWallet address: ${request.walletAddress}`;
     }
@@ -82,60 +104,70 @@ const WithdrawalRequestsManager = () => {
     
     setProcessingRequest(true);
     try {
-      const requestRef = doc(db, 'withdrawalRequests', request.id);
-      const sellerRef = doc(db, 'sellers', request.sellerId);
-      
-      // Get the current seller data
-      const sellerDoc = await getDoc(sellerRef);
-      if (!sellerDoc.exists()) {
-        throw new Error('Seller not found');
-      }
-      
-      const sellerData = sellerDoc.data();
-      const currentBalance = sellerData.walletBalance || 0;
-      
-      // Check if seller has sufficient balance
-      if (currentBalance < request.amount) {
-        alert(`Seller has insufficient balance. Available: $${currentBalance.toFixed(2)}, Requested: $${request.amount.toFixed(2)}`);
-        setProcessingRequest(false);
-        return;
-      }
-      
-      // Calculate new balance
-      const newBalance = currentBalance - request.amount;
-      
-      // Update withdrawal request status
-      await updateDoc(requestRef, {
-        status: 'approved',
-        approvedBy: auth.currentUser.email,
-        approvalDate: serverTimestamp()
-      });
-      
-      // Update seller's wallet balance
-      await updateDoc(sellerRef, {
-        walletBalance: newBalance,
-        lastUpdated: serverTimestamp()
-      });
-      
-      // Add transaction record
-      await addDoc(collection(db, 'transactions'), {
-        sellerId: request.sellerId,
-        amount: -request.amount, // Negative amount for withdrawal
-        type: 'withdrawal',
-        status: 'completed',
-        timestamp: serverTimestamp(),
-        previousBalance: currentBalance,
-        newBalance: newBalance,
-        note: `Withdrawal approved by admin (${auth.currentUser.email})`
-      });
-      
+      // Debits the wallet and moves the request to processing until the payout is confirmed
+      const { fee, netAmount } = await approveWithdrawal(request, auth.currentUser.email);
+
       // Refresh withdrawal requests
       await fetchWithdrawalRequests();
       
-      alert(`Withdrawal request approved successfully. $${request.amount.toFixed(2)} has been withdrawn from seller's wallet.`);
+      alert(`Withdrawal request approved. $${request.amount.toFixed(2)} has been withdrawn from seller's wallet; send $${netAmount.toFixed(2)}${fee > 0 ? ` (after the $${fee.toFixed(2)} fee)` : ''} and mark the payout as paid with proof.`);
     } catch (error) {
       console.error('Error approving withdrawal request:', error);
-      alert('Failed to approve withdrawal request. Please try again.');
+      alert(`Failed to approve withdrawal request: ${error.message}`);
+    } finally {
+      setProcessingRequest(false);
+    }
+  };
+
+  const openPaidDialog = (request) => {
+    setPaidRequest(request);
+    setProof({
+      ...EMPTY_PROOF,
+      type: request.paymentMethod === 'Bank' ? PAYOUT_PROOF_TYPES.BANK_REFERENCE : PAYOUT_PROOF_TYPES.TX_HASH
+    });
+    setUploadProgress(0);
+  };
+
+  const handleMarkPaid = async () => {
+    setProcessingRequest(true);
+    try {
+      let receiptUrl = null;
+      if (proof.receiptFile) {
+        receiptUrl = await uploadToCloudinary(proof.receiptFile, setUploadProgress, 'payout_receipts');
+      }
+
+      await markWithdrawalPaid(
+        paidRequest,
+        { type: proof.type, reference: proof.reference, receiptUrl },
+        auth.currentUser.email
+      );
+
+      setPaidRequest(null);
+      await fetchWithdrawalRequests();
+    } catch (error) {
+      console.error('Error marking payout as paid:', error);
+      alert(`Failed to mark payout as paid: ${error.message}`);
+    } finally {
+      setProcessingRequest(false);
+      setUploadProgress(0);
+    }
+  };
+
+  const openFailedDialog = (request) => {
+    setFailedRequest(request);
+    setFailureReason('');
+  };
+
+  const handleMarkFailed = async () => {
+    setProcessingRequest(true);
+    try {
+      await failWithdrawalPayout(failedRequest, failureReason, auth.currentUser.email);
+      setFailedRequest(null);
+      await fetchWithdrawalRequests();
+      alert(`Payout marked as failed. $${failedRequest.amount.toFixed(2)} has been returned to the seller's wallet.`);
+    } catch (error) {
+      console.error('Error marking payout as failed:', error);
+      alert(`Failed to mark payout as failed: ${error.message}`);
     } finally {
       setProcessingRequest(false);
     }
@@ -186,8 +218,12 @@ const WithdrawalRequestsManager = () => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'approved':
+      case 'paid':
         return 'success';
+      case 'processing':
+        return 'info';
       case 'rejected':
+      case 'failed':
         return 'error';
       case 'pending':
       default:
@@ -234,7 +270,14 @@ const WithdrawalRequestsManager = () => {
                           {request.sellerEmail}
                         </Typography>
                       </TableCell>
-                      <TableCell>${request.amount.toFixed(2)}</TableCell>
+                      <TableCell>
+                        ${request.amount.toFixed(2)}
+                        {request.fee > 0 && (
+                          <Typography variant="caption" color="textSecondary" display="block">
+                            Fee ${Number(request.fee).toFixed(2)} · Pay ${Number(request.netAmount).toFixed(2)}
+                          </Typography>
+                        )}
+                      </TableCell>
                       <TableCell>{request.paymentMethod}</TableCell>
                       <TableCell sx={{ maxWidth: 200, overflow: 'hidden', textOverflow: 'ellipsis' }}>
                         {request.paymentMethod === 'Bank' && request.paymentDetails ? (
@@ -246,7 +289,10 @@ IFSC Code: ${request.paymentDetails.ifscCode || '-'}`}>
                           </Tooltip>
                         ) : request.paymentDetails?.walletAddress ? (
                           <Tooltip title={request.paymentDetails.walletAddress}>
-                            <span>{request.paymentDetails.walletAddress}</span>
+                            <span>
+                              {request.paymentDetails.network && `${request.paymentDetails.network}: `}
+                              {request.paymentDetails.walletAddress}
+                            </span>
                           </Tooltip>
                         ) : request.walletAddress ? (
                           <Tooltip title={request.walletAddress}>
@@ -293,8 +339,80 @@ IFSC Code: ${request.paymentDetails.ifscCode || '-'}`}>
         )}
       </SectionCard>
 
+      <SectionCard title="Payouts in Progress" sx={{ mt: 4 }}>
+        {withdrawalRequests.filter(req => req.status === WITHDRAWAL_STATUSES.PROCESSING).length > 0 ? (
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Approved</TableCell>
+                  <TableCell>Seller</TableCell>
+                  <TableCell>Pay Out</TableCell>
+                  <TableCell>Payment Method</TableCell>
+                  <TableCell>Approved By</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {withdrawalRequests
+                  .filter(request => request.status === WITHDRAWAL_STATUSES.PROCESSING)
+                  .map((request) => (
+                    <TableRow key={request.id}>
+                      <TableCell>
+                        {request.approvalDate?.toDate ? request.approvalDate.toDate().toLocaleString() : '-'}
+                      </TableCell>
+                      <TableCell>
+                        {request.sellerName}<br />
+                        <Typography variant="caption" color="textSecondary">
+                          {request.sellerEmail}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        ${Number(request.netAmount ?? request.amount).toFixed(2)}
+                        {request.fee > 0 && (
+                          <Typography variant="caption" color="textSecondary" display="block">
+                            of ${request.amount.toFixed(2)}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{request.paymentMethod}</TableCell>
+                      <TableCell>{request.approvedBy || '-'}</TableCell>
+                      <TableCell>
+                        <Stack direction="row" spacing={1}>
+                          <Button
+                            variant="contained"
+                            color="success"
+                            size="small"
+                            onClick={() => openPaidDialog(request)}
+                            disabled={processingRequest}
+                          >
+                            Mark Paid
+                          </Button>
+                          <Button
+                            variant="outlined"
+                            color="error"
+                            size="small"
+                            onClick={() => openFailedDialog(request)}
+                            disabled={processingRequest}
+                          >
+                            Payout Failed
+                          </Button>
+                        </Stack>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        ) : (
+          <Typography color="textSecondary" sx={{ p: 2 }}>
+            No payouts waiting for confirmation.
+          </Typography>
+        )}
+      </SectionCard>
+
       <SectionCard title="Processed Withdrawal Requests" sx={{ mt: 4 }}>
-        {withdrawalRequests.filter(req => req.status !== 'pending').length > 0 ? (
+        {withdrawalRequests.filter(req => !['pending', 'processing'].includes(req.status)).length > 0 ? (
           <TableContainer>
             <Table>
               <TableHead>
@@ -310,7 +428,7 @@ IFSC Code: ${request.paymentDetails.ifscCode || '-'}`}>
               </TableHead>
               <TableBody>
                 {withdrawalRequests
-                  .filter(request => request.status !== 'pending')
+                  .filter(request => !['pending', 'processing'].includes(request.status))
                   .map((request) => (
                     <TableRow key={request.id}>
                       <TableCell>
@@ -332,13 +450,27 @@ IFSC Code: ${request.paymentDetails.ifscCode || '-'}`}>
                         />
                       </TableCell>
                       <TableCell>
-                        {request.approvedBy || request.rejectedBy || '-'}
+                        {request.paidBy || request.failedBy || request.approvedBy || request.rejectedBy || '-'}
                       </TableCell>
                       <TableCell>
                         {request.status === 'rejected' && request.rejectionReason ? (
                           <Tooltip title={`Reason: ${request.rejectionReason}`}>
                             <InfoOutlined fontSize="small" color="error" />
                           </Tooltip>
+                        ) : request.status === 'failed' ? (
+                          <Tooltip title={`Payout failed: ${request.failureReason || '-'}. The amount was returned to the wallet.`}>
+                            <InfoOutlined fontSize="small" color="error" />
+                          </Tooltip>
+                        ) : request.payoutProof ? (
+                          request.payoutProof.receiptUrl ? (
+                            <Link href={request.payoutProof.receiptUrl} target="_blank" rel="noopener noreferrer">
+                              {request.payoutProof.reference || 'View receipt'}
+                            </Link>
+                          ) : (
+                            <Tooltip title={`${PAYOUT_PROOF_LABELS[request.payoutProof.type]}: ${request.payoutProof.reference}`}>
+                              <span>{request.payoutProof.reference.substring(0, 15)}...</span>
+                            </Tooltip>
+                          )
                         ) : request.paymentMethod === 'Bank' && request.paymentDetails ? (
                           <Tooltip title={`Bank: ${request.paymentDetails.bankName || '-'}
 Account Name: ${request.paymentDetails.bankAccountName || '-'}
@@ -385,7 +517,10 @@ IFSC Code: ${request.paymentDetails.ifscCode || '-'}`}>
           ) : selectedRequest?.paymentDetails?.walletAddress ? (
             <Box sx={{ mt: 2, mb: 2, p: 2, bgcolor: 'background.default', borderRadius: 1 }}>
               <Typography variant="subtitle2" gutterBottom>Payment Details:</Typography>
-              <Typography variant="body2">Method: {selectedRequest.paymentMethod}</Typography>
+              <Typography variant="body2">
+                Method: {selectedRequest.paymentMethod}
+                {selectedRequest.paymentDetails.network && ` (${selectedRequest.paymentDetails.network})`}
+              </Typography>
               <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>
                 Address: {selectedRequest.paymentDetails.walletAddress}
               </Typography>
@@ -425,6 +560,102 @@ IFSC Code: ${request.paymentDetails.ifscCode || '-'}`}>
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Proof of Payment Dialog */}
+      <Dialog open={!!paidRequest} onClose={() => !processingRequest && setPaidRequest(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Confirm Payout</DialogTitle>
+        <DialogContent>
+          {paidRequest && (
+            <Typography variant="body2" gutterBottom>
+              Record how ${Number(paidRequest.netAmount ?? paidRequest.amount).toFixed(2)} was sent to {paidRequest.sellerName}.
+              The seller will see this proof in their withdrawal history.
+            </Typography>
+          )}
+          <FormControl fullWidth margin="dense">
+            <InputLabel>Proof of payment</InputLabel>
+            <Select
+              value={proof.type}
+              onChange={(e) => setProof({ ...proof, type: e.target.value })}
+              label="Proof of payment"
+            >
+              {Object.values(PAYOUT_PROOF_TYPES).map((type) => (
+                <MenuItem key={type} value={type}>{PAYOUT_PROOF_LABELS[type]}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            margin="dense"
+            label={proof.type === PAYOUT_PROOF_TYPES.RECEIPT ? 'Reference (optional)' : PAYOUT_PROOF_LABELS[proof.type]}
+            fullWidth
+            value={proof.reference}
+            onChange={(e) => setProof({ ...proof, reference: e.target.value })}
+          />
+          {proof.type === PAYOUT_PROOF_TYPES.RECEIPT && (
+            <Box sx={{ mt: 1 }}>
+              <Button variant="outlined" component="label" startIcon={<PhotoCamera />}>
+                {proof.receiptFile ? proof.receiptFile.name : 'Attach Receipt'}
+                <input
+                  type="file"
+                  accept="image/*"
+                  hidden
+                  onChange={(e) => setProof({ ...proof, receiptFile: e.target.files?.[0] || null })}
+                />
+              </Button>
+              {uploadProgress > 0 && (
+                <LinearProgress variant="determinate" value={uploadProgress} sx={{ mt: 1 }} />
+              )}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPaidRequest(null)} disabled={processingRequest}>Cancel</Button>
+          <Button
+            onClick={handleMarkPaid}
+            color="success"
+            variant="contained"
+            disabled={
+              processingRequest ||
+              (proof.type === PAYOUT_PROOF_TYPES.RECEIPT ? !proof.receiptFile : !proof.reference.trim())
+            }
+          >
+            Mark Paid
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Failed Payout Dialog */}
+      <Dialog open={!!failedRequest} onClose={() => !processingRequest && setFailedRequest(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Payout Failed</DialogTitle>
+        <DialogContent>
+          {failedRequest && (
+            <Typography variant="body2" gutterBottom>
+              ${failedRequest.amount.toFixed(2)} will be returned to {failedRequest.sellerName}'s wallet.
+            </Typography>
+          )}
+          <TextField
+            autoFocus
+            margin="dense"
+            label="What went wrong"
+            fullWidth
+            multiline
+            rows={3}
+            value={failureReason}
+            onChange={(e) => setFailureReason(e.target.value)}
+            required
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setFailedRequest(null)} disabled={processingRequest}>Cancel</Button>
+          <Button
+            onClick={handleMarkFailed}
+            color="error"
+            variant="contained"
+            disabled={!failureReason.trim() || processingRequest}
+          >
+            Refund Wallet
+          </Button>
+        </DialogActions>
+      </Dialog>
     </>
   );
 };
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+import { DEFAULT_CATEGORIES, getCategories } from '../utils/categories';
+
+/**
+ * Loads the taxonomy once for a component; the built-in categories are used until it arrives
+ */
+export const useCategories = () => {
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+
+  useEffect(() => {
+    let cancelled = false;
+    getCategories()
+      .then((loaded) => {
+        if (!cancelled) setCategories(loaded);
+      })
+      .catch((error) => console.error('Error loading categories:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return categories;
+};
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+import { DEFAULT_PROFIT_MARGIN_SETTINGS, getProfitMarginSettings } from '../utils/profitMargins';
+
+/**
+ * Loads the margin settings once for a component; the defaults are used until they arrive
+ */
+export const useProfitMargins = () => {
+  const [settings, setSettings] = useState(DEFAULT_PROFIT_MARGIN_SETTINGS);
+
+  useEffect(() => {
+    let cancelled = false;
+    getProfitMarginSettings()
+      .then((loaded) => {
+        if (!cancelled) setSettings(loaded);
+      })
+      .catch((error) => console.error('Error loading profit margins:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return settings;
+};
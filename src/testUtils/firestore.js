@@ -0,0 +1,57 @@
+import { getDoc, getDocs, runTransaction } from 'firebase/firestore';
+
+/**
+ * In-memory Firestore for unit tests, used together with the manual mock in
+ * src/__mocks__/firebase/firestore.js. Documents are a map of path → data.
+ */
+
+const snapshotOf = (ref, documents) => ({
+  id: ref.id,
+  ref,
+  exists: () => ref.path in documents,
+  data: () => documents[ref.path]
+});
+
+/**
+ * Serves getDoc and transaction reads from the documents and records the
+ * writes of every transaction that commits
+ * @param {Object} documents - Document path → data
+ * @returns {Array} - Committed writes, [{ type: 'set'|'update'|'delete', path, data }]
+ */
+export const mockFirestoreDocuments = (documents) => {
+  const writes = [];
+
+  getDoc.mockImplementation(async (ref) => snapshotOf(ref, documents));
+  runTransaction.mockImplementation(async (db, updateFunction) => {
+    const pending = [];
+    const result = await updateFunction({
+      get: async (ref) => snapshotOf(ref, documents),
+      set: (ref, data) => pending.push({ type: 'set', path: ref.path, data }),
+      update: (ref, data) => pending.push({ type: 'update', path: ref.path, data }),
+      delete: (ref) => pending.push({ type: 'delete', path: ref.path })
+    });
+    writes.push(...pending);
+    return result;
+  });
+  return writes;
+};
+
+/**
+ * Serves getDocs from the documents: a collection query returns the
+ * documents directly inside it
+ * @param {Object} documents - Document path → data
+ */
+export const mockFirestoreCollections = (documents) => {
+  getDocs.mockImplementation(async ({ path }) => {
+    const docs = Object.keys(documents)
+      .filter((docPath) => docPath.startsWith(`${path}/`) && !docPath.slice(path.length + 1).includes('/'))
+      .map((docPath) => snapshotOf({ id: docPath.slice(path.length + 1), path: docPath }, documents));
+    return { docs, size: docs.length, empty: docs.length === 0, forEach: (callback) => docs.forEach(callback) };
+  });
+};
+
+/**
+ * Updates recorded for one document, in write order
+ */
+export const updatesOf = (writes, path) =>
+  writes.filter((write) => write.type === 'update' && write.path === path).map((write) => write.data);
@@ -0,0 +1,148 @@
+import { db } from '../firebase';
+import { doc, runTransaction, arrayUnion, arrayRemove } from 'firebase/firestore';
+import {
+  canTransition,
+  applyStatusTransition,
+  applyOrderStatusChange,
+  getOrderStatusLabel
+} from './orderLifecycle';
+import { needsRestock, readOrderRestock, releaseStock } from './inventory';
+
+/**
+ * Bulk admin operations on orders. Each order is handled in its own
+ * transaction that re-reads it and re-checks the lifecycle rules, so an order
+ * changed by someone else since the list was loaded is never overwritten, and
+ * each order gets its own success or failure entry in the result.
+ */
+
+// Statuses that need their own flow (earnings release, refund review, assignment)
+export const BULK_STATUS_EXCLUDED = ['completed', 'refund_requested', 'refunded', 'assigned', 'pending'];
+
+// Only orders that never moved money may be deleted
+const DELETABLE_STATUSES = ['pending', 'cancelled'];
+
+const orderLabel = (order) => order.orderNumber || order.id.substring(0, 8);
+
+// Code of the error thrown when re-checking an order refuses the operation
+const SKIPPED = 'bulk-skipped';
+
+const skip = (message) => {
+  const error = new Error(message);
+  error.code = SKIPPED;
+  throw error;
+};
+
+/**
+ * Runs the operation on each order in its own transaction, one after another
+ * @param {Array<string>} orderIds - Selected orders
+ * @param {Function} apply - async (transaction, orderRef, order) => void; reads
+ *   first, then writes, and calls skip(message) to leave the order unchanged
+ * @returns {Promise<Array>} - [{ orderId, label, success, error }] in the selected order
+ */
+const runBulkOperation = async (orderIds, apply) => {
+  const results = [];
+
+  for (const orderId of orderIds) {
+    const orderRef = doc(db, 'orders', orderId);
+    let label = orderId.substring(0, 8);
+    try {
+      await runTransaction(db, async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        if (!orderDoc.exists()) {
+          skip('Order not found');
+        }
+        const order = { id: orderDoc.id, ...orderDoc.data() };
+        label = orderLabel(order);
+        await apply(transaction, orderRef, order);
+      });
+      results.push({ orderId, label, success: true });
+    } catch (error) {
+      if (error.code !== SKIPPED) {
+        console.error(`Bulk operation failed for order ${orderId}:`, error);
+      }
+      results.push({ orderId, label, success: false, error: error.message });
+    }
+  }
+  return results;
+};
+
+/**
+ * Assigns (or re-assigns) the selected orders to one seller
+ * @param {Array<string>} orderIds - Selected orders
+ * @param {string} sellerId - Seller receiving the orders
+ * @returns {Promise<Array>} - Per order result
+ */
+export const bulkAssignOrders = async (orderIds, sellerId) => {
+  const assignedAt = new Date();
+
+  return runBulkOperation(orderIds, async (transaction, orderRef, order) => {
+    if (order.sellerId === sellerId) {
+      skip('Already assigned to this seller');
+    }
+    if (!canTransition(order.status, 'assigned', 'admin')) {
+      skip(`Cannot assign an order that is ${getOrderStatusLabel(order.status)}`);
+    }
+
+    applyStatusTransition(transaction, orderRef, order, 'assigned', {
+      role: 'admin',
+      note: 'Bulk assigned to seller by admin',
+      updates: { sellerId, assignedAt, assignedBy: 'admin' },
+      historyExtra: { sellerId }
+    });
+    transaction.update(doc(db, 'sellers', sellerId), { orders: arrayUnion(order.id) });
+    if (order.sellerId) {
+      transaction.update(doc(db, 'sellers', order.sellerId), { orders: arrayRemove(order.id) });
+    }
+  });
+};
+
+/**
+ * Moves the selected orders to a new status. Cancelled orders are restocked
+ * and picked ones hand the seller's money back, as in the single-order flow.
+ * @param {Array<string>} orderIds - Selected orders
+ * @param {string} nextStatus - Status to move to
+ * @returns {Promise<Array>} - Per order result
+ */
+export const bulkUpdateOrderStatus = async (orderIds, nextStatus) => {
+  if (BULK_STATUS_EXCLUDED.includes(nextStatus)) {
+    throw new Error(`"${getOrderStatusLabel(nextStatus)}" must be set one order at a time`);
+  }
+
+  return runBulkOperation(orderIds, async (transaction, orderRef, order) => {
+    if (!canTransition(order.status, nextStatus, 'admin')) {
+      skip(`Cannot move from ${getOrderStatusLabel(order.status)} to ${getOrderStatusLabel(nextStatus)}`);
+    }
+
+    await applyOrderStatusChange(transaction, orderRef, order, nextStatus, {
+      role: 'admin',
+      note: `Bulk status update to ${nextStatus} by admin`
+    });
+  });
+};
+
+/**
+ * Deletes the selected orders. Only pending or cancelled orders that never
+ * moved seller money can be deleted; stock still reserved for a pending
+ * order is put back in the same transaction.
+ * @param {Array<string>} orderIds - Selected orders
+ * @returns {Promise<Array>} - Per order result
+ */
+export const bulkDeleteOrders = async (orderIds) =>
+  runBulkOperation(orderIds, async (transaction, orderRef, order) => {
+    if (!DELETABLE_STATUSES.includes(order.status || 'pending')) {
+      skip(`Cannot delete an order that is ${getOrderStatusLabel(order.status)}`);
+    }
+    if (Number(order.walletDeducted || 0) > 0) {
+      skip('Seller wallet was charged for this order');
+    }
+
+    const restock = needsRestock(order) ? await readOrderRestock(transaction, order) : null;
+
+    if (restock) {
+      releaseStock(transaction, restock, order.items || []);
+    }
+    transaction.delete(orderRef);
+    if (order.sellerId) {
+      transaction.update(doc(db, 'sellers', order.sellerId), { orders: arrayRemove(order.id) });
+    }
+  });
@@ -0,0 +1,96 @@
+import { bulkUpdateOrderStatus, bulkDeleteOrders, bulkAssignOrders } from './bulkOrders';
+import { mockFirestoreDocuments } from '../testUtils/firestore';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore');
+
+const pathsWritten = (writes) => writes.map((write) => `${write.type} ${write.path}`);
+
+describe('bulkUpdateOrderStatus', () => {
+  it('refuses statuses that need their own flow', async () => {
+    await expect(bulkUpdateOrderStatus(['o1'], 'refunded')).rejects.toThrow('one order at a time');
+  });
+
+  it('reports each order and only writes the ones that may move', async () => {
+    const writes = mockFirestoreDocuments({
+      'orders/o1': { status: 'pending', orderNumber: 'A-1' },
+      'orders/o2': { status: 'completed', orderNumber: 'A-2' }
+    });
+
+    const results = await bulkUpdateOrderStatus(['o1', 'o2', 'missing'], 'cancelled');
+
+    expect(results).toEqual([
+      { orderId: 'o1', label: 'A-1', success: true },
+      { orderId: 'o2', label: 'A-2', success: false, error: 'Cannot move from Completed to Cancelled' },
+      { orderId: 'missing', label: 'missing', success: false, error: 'Order not found' }
+    ]);
+    expect(pathsWritten(writes)).toEqual(['update orders/o1']);
+  });
+
+  it('restocks picked orders and hands the seller their money back', async () => {
+    const writes = mockFirestoreDocuments({
+      'orders/o1': {
+        status: 'picked',
+        sellerId: 's1',
+        pickedAt: 'picked',
+        walletDeducted: 20,
+        pendingAdded: 23,
+        stockReserved: true,
+        items: [{ id: 'p1', quantity: 1 }]
+      },
+      'products/p1': { stock: 0 },
+      'sellers/s1': { walletBalance: 0, pendingAmount: 23, ledgerOpenedAt: 'opened' }
+    });
+
+    const [result] = await bulkUpdateOrderStatus(['o1'], 'cancelled');
+
+    expect(result.success).toBe(true);
+    expect(writes).toEqual(expect.arrayContaining([
+      { type: 'update', path: 'products/p1', data: { stock: 1 } },
+      expect.objectContaining({ path: 'sellers/s1', data: expect.objectContaining({ walletBalance: 20, pendingAmount: 0 }) })
+    ]));
+  });
+});
+
+describe('bulkAssignOrders', () => {
+  it('moves the order between the sellers\' lists', async () => {
+    const writes = mockFirestoreDocuments({ 'orders/o1': { status: 'assigned', sellerId: 's1' } });
+
+    const [result] = await bulkAssignOrders(['o1'], 's2');
+
+    expect(result.success).toBe(true);
+    expect(pathsWritten(writes)).toEqual(['update orders/o1', 'update sellers/s2', 'update sellers/s1']);
+    expect(writes[0].data).toMatchObject({ status: 'assigned', sellerId: 's2', assignedBy: 'admin' });
+  });
+});
+
+describe('bulkDeleteOrders', () => {
+  it('only deletes orders that never charged a seller', async () => {
+    const writes = mockFirestoreDocuments({
+      'orders/o1': { status: 'cancelled', sellerId: 's1' },
+      'orders/o2': { status: 'cancelled', walletDeducted: 5 },
+      'orders/o3': { status: 'picked' }
+    });
+
+    const results = await bulkDeleteOrders(['o1', 'o2', 'o3']);
+
+    expect(results.map((result) => result.success)).toEqual([true, false, false]);
+    expect(results[1].error).toBe('Seller wallet was charged for this order');
+    expect(pathsWritten(writes)).toEqual(['delete orders/o1', 'update sellers/s1']);
+  });
+
+  it('puts back the stock a pending order still holds', async () => {
+    const writes = mockFirestoreDocuments({
+      'orders/o1': { status: 'pending', stockReserved: true, items: [{ id: 'p1', quantity: 2 }] },
+      'products/p1': { stock: 1 }
+    });
+
+    const [result] = await bulkDeleteOrders(['o1']);
+
+    expect(result.success).toBe(true);
+    expect(writes).toEqual([
+      { type: 'update', path: 'products/p1', data: { stock: 3 } },
+      { type: 'delete', path: 'orders/o1' }
+    ]);
+  });
+});
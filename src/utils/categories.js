@@ -0,0 +1,288 @@
+import { db } from '../firebase';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  limit,
+  setDoc,
+  deleteDoc,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+
+/**
+ * Category taxonomy. Categories are stored in `categories` under their slug
+ * and nest through `parentId`. A product's `category` holds the slug of its
+ * most specific category, and a category page lists the products of the
+ * category and of every category below it. `aliases` keeps category values
+ * written before the taxonomy existed (e.g. 'menClothing') in the right place.
+ *
+ * Until an admin edits the taxonomy the built-in DEFAULT_CATEGORIES are used;
+ * the first edit saves them to Firestore.
+ */
+
+export const DEFAULT_CATEGORIES = [
+  { id: 'women-clothing', name: 'Women Clothing & Fashion', parentId: null, icon: '/images/women-clothing.jpg', sortOrder: 1, aliases: ['womenClothing'] },
+  { id: 'men-clothing', name: 'Men Clothing & Fashion', parentId: null, icon: '/images/men-clothing.jpg', sortOrder: 2, aliases: ['menClothing'] },
+  { id: 'electronics', name: 'Computers, Cameras & Accessories', parentId: null, icon: '/images/computers-cameras.jpg', sortOrder: 3, aliases: [] },
+  { id: 'kids-toys', name: 'Kids & Toys', parentId: null, icon: '/images/kids-toys.jpg', sortOrder: 4, aliases: [] },
+  { id: 'toys', name: 'Toys & Games', parentId: 'kids-toys', icon: '', sortOrder: 1, aliases: [] },
+  { id: 'children-clothing', name: 'Children Clothing', parentId: 'kids-toys', icon: '', sortOrder: 2, aliases: ['childrenClothing'] },
+  { id: 'sports', name: 'Sports & Outdoor', parentId: null, icon: '/images/sports-outdoor.jpg', sortOrder: 5, aliases: [] },
+  { id: 'automobile', name: 'Automobile & Motorcycle', parentId: null, icon: '/images/automobile-motorcycle.jpg', sortOrder: 6, aliases: ['automotive'] },
+  { id: 'jewelry', name: 'Jewelry & Watches', parentId: null, icon: '/images/jewelry-watches.jpg', sortOrder: 7, aliases: [] },
+  { id: 'books', name: 'Books', parentId: null, icon: '', sortOrder: 8, aliases: [] },
+  { id: 'home', name: 'Home & Garden', parentId: null, icon: '', sortOrder: 9, aliases: [] },
+  { id: 'beauty', name: 'Beauty & Personal Care', parentId: null, icon: '', sortOrder: 10, aliases: [] }
+];
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Firestore 'in' queries accept at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+/**
+ * Turns a category name into a URL slug, e.g. "Home & Garden" → "home-garden"
+ */
+export const slugify = (text = '') =>
+  String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Orders categories by sort order, then name
+ */
+export const sortCategories = (categories = []) =>
+  [...categories].sort(
+    (a, b) => (Number(a.sortOrder) || 0) - (Number(b.sortOrder) || 0) || (a.name || '').localeCompare(b.name || '')
+  );
+
+/**
+ * Loads the taxonomy, or the built-in categories while none are saved
+ * @returns {Promise<Array>} - [{ id, name, parentId, icon, sortOrder, aliases }]
+ */
+export const getCategories = async () => {
+  const snapshot = await getDocs(collection(db, 'categories'));
+  if (snapshot.empty) {
+    return sortCategories(DEFAULT_CATEGORIES.map((category) => ({ ...category, isDefault: true })));
+  }
+  return sortCategories(snapshot.docs.map((categoryDoc) => ({ id: categoryDoc.id, ...categoryDoc.data() })));
+};
+
+/**
+ * Children of a category (or the top-level categories for null), in display order
+ */
+export const getChildCategories = (categories = [], parentId = null) =>
+  sortCategories(categories.filter((category) => (category.parentId || null) === parentId));
+
+/**
+ * Flattens the taxonomy into display order, each category followed by its
+ * subcategories, with the nesting depth for indenting
+ * @returns {Array} - [{ ...category, depth }]
+ */
+export const flattenCategoryTree = (categories = []) => {
+  const ids = new Set(categories.map((category) => category.id));
+  const flat = [];
+  const visit = (parentId, depth) => {
+    // Categories whose parent is missing are shown at the top level
+    sortCategories(categories.filter((category) => (parentId === null
+      ? !category.parentId || !ids.has(category.parentId)
+      : category.parentId === parentId)))
+      .forEach((category) => {
+        flat.push({ ...category, depth });
+        visit(category.id, depth + 1);
+      });
+  };
+  visit(null, 0);
+  return flat;
+};
+
+/**
+ * The category and every category below it
+ * @returns {Array<string>} - Category ids
+ */
+export const getDescendantIds = (categories = [], categoryId) => {
+  const result = [categoryId];
+  for (let index = 0; index < result.length; index += 1) {
+    categories
+      .filter((category) => category.parentId === result[index] && !result.includes(category.id))
+      .forEach((category) => result.push(category.id));
+  }
+  return result;
+};
+
+/**
+ * The categories from the top level down to the given one, for breadcrumbs
+ */
+export const getCategoryPath = (categories = [], categoryId) => {
+  const path = [];
+  let current = categories.find((category) => category.id === categoryId);
+  while (current && !path.includes(current)) {
+    path.unshift(current);
+    const parentId = current.parentId;
+    current = parentId ? categories.find((category) => category.id === parentId) : null;
+  }
+  return path;
+};
+
+/**
+ * Finds the category a product's `category` value belongs to, by slug or alias
+ */
+export const findCategory = (categories = [], value) => {
+  if (!value) return null;
+  return (
+    categories.find((category) => category.id === value) ||
+    categories.find((category) => (category.aliases || []).includes(value)) ||
+    null
+  );
+};
+
+/**
+ * Finds the category typed by a person, e.g. in an import file or an older
+ * setting: by slug or alias like findCategory, otherwise by name or slug
+ * ignoring case and punctuation ("Home & Garden", "home-garden", "Books")
+ */
+export const matchCategory = (categories = [], text) => {
+  const value = String(text ?? '').trim();
+  if (!value) return null;
+  const slug = slugify(value);
+  return (
+    findCategory(categories, value) ||
+    categories.find((category) => category.id === slug || slugify(category.name) === slug) ||
+    categories.find((category) => (category.aliases || []).some((alias) => slugify(alias) === slug)) ||
+    null
+  );
+};
+
+/**
+ * Display name of a product's category, falling back to the stored value
+ */
+export const getCategoryLabel = (categories = [], value) => findCategory(categories, value)?.name || value || '';
+
+/**
+ * Every `category` value that places a product in the category or below it
+ */
+export const getCategoryValues = (categories = [], categoryId) =>
+  getDescendantIds(categories, categoryId).flatMap((id) => {
+    const category = categories.find((entry) => entry.id === id);
+    return [id, ...(category?.aliases || [])];
+  });
+
+/**
+ * Whether the product is in the category or one of its subcategories.
+ * An empty categoryId matches every product.
+ */
+export const isProductInCategory = (product, categories = [], categoryId) =>
+  !categoryId || getCategoryValues(categories, categoryId).includes(product?.category);
+
+/**
+ * Loads the products in a category and its subcategories
+ * @returns {Promise<Array>} - Products ({ id, ...data })
+ */
+export const getCategoryProducts = async (categories, categoryId) => {
+  const values = getCategoryValues(categories, categoryId);
+  const products = [];
+
+  for (let start = 0; start < values.length; start += IN_QUERY_LIMIT) {
+    const chunk = values.slice(start, start + IN_QUERY_LIMIT);
+    const snapshot = await getDocs(query(collection(db, 'products'), where('category', 'in', chunk)));
+    snapshot.forEach((productDoc) => products.push({ id: productDoc.id, ...productDoc.data() }));
+  }
+  return products;
+};
+
+/**
+ * Image URL of a category icon; paths are served from the public folder
+ */
+export const getCategoryIconSrc = (icon = '') =>
+  (icon.startsWith('/') ? process.env.PUBLIC_URL + icon : icon);
+
+// Saves the built-in categories the first time the taxonomy is edited
+const ensureCategoriesSaved = async (adminEmail) => {
+  const snapshot = await getDocs(query(collection(db, 'categories'), limit(1)));
+  if (!snapshot.empty) return;
+
+  const batch = writeBatch(db);
+  DEFAULT_CATEGORIES.forEach(({ id, ...category }) => {
+    batch.set(doc(db, 'categories', id), {
+      ...category,
+      updatedBy: adminEmail,
+      updatedAt: serverTimestamp()
+    });
+  });
+  await batch.commit();
+};
+
+/**
+ * Validates and saves a category. The slug is the document id, so it can
+ * only be chosen when the category is created.
+ * @param {Object} category - { id, name, parentId, icon, sortOrder, aliases }
+ * @param {Array} categories - Current taxonomy, to check the parent
+ * @param {Object} options - { isNew, adminEmail }
+ */
+export const saveCategory = async (category, categories, { isNew, adminEmail }) => {
+  const name = (category.name || '').trim();
+  const id = (category.id || '').trim();
+  const parentId = category.parentId || null;
+  const sortOrder = Number(category.sortOrder || 0);
+
+  if (!name) {
+    throw new Error('Category name is required');
+  }
+  if (!SLUG_PATTERN.test(id)) {
+    throw new Error('The slug may only contain lowercase letters, numbers and single hyphens');
+  }
+  if (!Number.isFinite(sortOrder)) {
+    throw new Error('Sort order must be a number');
+  }
+  if (parentId && getDescendantIds(categories, id).includes(parentId)) {
+    throw new Error('A category cannot be placed inside itself or its own subcategories');
+  }
+  if (parentId && !categories.some((entry) => entry.id === parentId)) {
+    throw new Error('The parent category no longer exists');
+  }
+
+  await ensureCategoriesSaved(adminEmail);
+
+  const categoryRef = doc(db, 'categories', id);
+  if (isNew && (await getDoc(categoryRef)).exists()) {
+    throw new Error(`A category with the slug "${id}" already exists`);
+  }
+
+  await setDoc(categoryRef, {
+    name,
+    parentId,
+    icon: (category.icon || '').trim(),
+    sortOrder,
+    aliases: Array.isArray(category.aliases) ? category.aliases : [],
+    updatedBy: adminEmail,
+    updatedAt: serverTimestamp()
+  });
+};
+
+/**
+ * Deletes a category that has no subcategories and no products
+ */
+export const deleteCategory = async (categoryId, categories, adminEmail) => {
+  if (categories.some((category) => category.parentId === categoryId)) {
+    throw new Error('Move or delete its subcategories first');
+  }
+
+  const category = categories.find((entry) => entry.id === categoryId);
+  const values = [categoryId, ...(category?.aliases || [])].slice(0, IN_QUERY_LIMIT);
+  const productsSnapshot = await getDocs(
+    query(collection(db, 'products'), where('category', 'in', values), limit(1))
+  );
+  if (!productsSnapshot.empty) {
+    throw new Error('Products still use this category. Move them to another category first');
+  }
+
+  await ensureCategoriesSaved(adminEmail);
+  await deleteDoc(doc(db, 'categories', categoryId));
+};
@@ -0,0 +1,199 @@
+import { db } from '../firebase';
+import { doc, collection, runTransaction } from 'firebase/firestore';
+import { buildStatusHistoryEntry, ORDER_STATUS } from './orderLifecycle';
+import { moneyFields, readMoney, sumLineItems, sumMoney, withPriceCents } from './money';
+import { readItemProducts, reserveStock } from './inventory';
+
+/**
+ * Checkout for carts that can hold items from several sellers' listings.
+ * Every seller gets its own sub-order in `orders` so assignment, picking and
+ * the wallet flow keep working one seller at a time. The parent record in
+ * `orderGroups` ties the sub-orders together for the customer.
+ */
+
+const UNLISTED_SELLER = 'unlisted';
+
+/**
+ * Groups cart items by the seller whose listing they came from. Items without
+ * a seller are grouped together and left for the admin to assign.
+ * @param {Array} cart - Cart items ({ id, price, quantity, seller })
+ * @returns {Array} - [{ sellerId, items }] with sellerId null for unlisted items
+ */
+export const splitCartBySeller = (cart = []) => {
+  const groups = new Map();
+  cart.forEach((item) => {
+    const key = item.seller?.id || UNLISTED_SELLER;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  });
+
+  return Array.from(groups.entries()).map(([key, items]) => ({
+    sellerId: key === UNLISTED_SELLER ? null : key,
+    items
+  }));
+};
+
+/**
+ * Places the customer's order in one transaction that also takes the items
+ * out of stock and clears the cart. A cart from a single seller produces one
+ * order; otherwise a parent order group plus one sub-order per seller is written.
+ * Throws an error with code 'out-of-stock' if an item can no longer be supplied.
+ * @param {Object} customer - { id, name, email }
+ * @param {Array} cart - Cart items
+ * @param {Object} shippingInfo - { address, phone, date }
+ * @returns {Promise<Object>} - { parentOrderId, orderIds }
+ */
+export const placeOrder = async (customer, cart, shippingInfo) => {
+  if (!cart || cart.length === 0) {
+    throw new Error('Your cart is empty');
+  }
+
+  const groups = splitCartBySeller(cart);
+  const isSplit = groups.length > 1;
+  const createdAt = new Date().toISOString();
+  const parentRef = isSplit ? doc(collection(db, 'orderGroups')) : null;
+  const orderRefs = groups.map(() => doc(collection(db, 'orders')));
+  const orderIds = orderRefs.map((orderRef) => orderRef.id);
+
+  await runTransaction(db, async (transaction) => {
+    const products = await readItemProducts(transaction, cart);
+    reserveStock(transaction, products, cart);
+
+    groups.forEach((group, index) => {
+      const orderRef = orderRefs[index];
+      const subtotal = sumLineItems(group.items);
+      const order = {
+        customerId: customer.id,
+        customerName: customer.name || 'Customer',
+        customerEmail: customer.email,
+        customerPhone: shippingInfo.phone,
+        items: group.items.map(withPriceCents),
+        ...moneyFields({ subtotal, total: subtotal }),
+        status: ORDER_STATUS.PENDING,
+        statusHistory: [buildStatusHistoryEntry(ORDER_STATUS.PENDING, 'customer', 'Order placed')],
+        createdAt,
+        shippingAddress: shippingInfo.address,
+        orderDate: shippingInfo.date,
+        paymentMethod: 'Not specified',
+        stockReserved: true
+      };
+
+      if (isSplit) {
+        order.parentOrderId = parentRef.id;
+        order.subOrderIndex = index + 1;
+        order.subOrderCount = groups.length;
+        // The listing seller is a hint for assignment; the order still starts unassigned
+        order.listingSellerId = group.sellerId;
+      }
+
+      transaction.set(orderRef, order);
+    });
+
+    if (isSplit) {
+      const subtotal = sumLineItems(cart);
+      transaction.set(parentRef, {
+        customerId: customer.id,
+        customerEmail: customer.email,
+        subOrderIds: orderIds,
+        sellerIds: groups.map((group) => group.sellerId).filter(Boolean),
+        ...moneyFields({ subtotal, total: subtotal }),
+        createdAt,
+        shippingAddress: shippingInfo.address,
+        customerPhone: shippingInfo.phone,
+        orderDate: shippingInfo.date
+      });
+    }
+
+    transaction.update(doc(db, 'customers', customer.id), { cart: [] });
+  });
+
+  return { parentOrderId: parentRef ? parentRef.id : null, orderIds };
+};
+
+/**
+ * Writes one ready-made order and takes its items out of stock in the same
+ * transaction. Used for orders the admin creates on behalf of sellers.
+ * @param {Object} order - Order document data
+ * @returns {Promise<DocumentReference>} - The new order
+ */
+export const createStockedOrder = async (order) => {
+  const orderRef = doc(collection(db, 'orders'));
+
+  await runTransaction(db, async (transaction) => {
+    const products = await readItemProducts(transaction, order.items || []);
+    reserveStock(transaction, products, order.items || []);
+    transaction.set(orderRef, { ...order, stockReserved: true });
+  });
+  return orderRef;
+};
+
+// Progress order used to summarise sub-order statuses for the customer
+const STATUS_PROGRESS = [
+  ORDER_STATUS.PENDING,
+  ORDER_STATUS.ASSIGNED,
+  ORDER_STATUS.PICKED,
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.ON_THE_WAY,
+  ORDER_STATUS.COMPLETION_REQUESTED,
+  ORDER_STATUS.COMPLETED,
+  ORDER_STATUS.REFUND_REQUESTED,
+  ORDER_STATUS.REFUNDED
+];
+
+/**
+ * Summarises sub-order statuses as the least advanced active one, so the
+ * combined order only shows "Completed" once every package is completed.
+ */
+export const getCombinedStatus = (subOrders) => {
+  const active = subOrders.filter((order) => order.status !== ORDER_STATUS.CANCELLED);
+  if (active.length === 0) {
+    return ORDER_STATUS.CANCELLED;
+  }
+  return active
+    .map((order) => order.status || ORDER_STATUS.PENDING)
+    .sort((a, b) => STATUS_PROGRESS.indexOf(a) - STATUS_PROGRESS.indexOf(b))[0];
+};
+
+/**
+ * Merges sub-orders that share a parent into one combined order for display.
+ * Orders without a parent are returned unchanged, keeping the input order.
+ * @param {Array} orders - Customer orders ({ id, ...data })
+ * @returns {Array} - Orders and combined orders ({ isCombined, subOrders, ... })
+ */
+export const combineSubOrders = (orders = []) => {
+  const combined = [];
+  const parents = new Map();
+
+  orders.forEach((order) => {
+    if (!order.parentOrderId) {
+      combined.push(order);
+      return;
+    }
+
+    let parent = parents.get(order.parentOrderId);
+    if (!parent) {
+      parent = { ...order, id: order.parentOrderId, isCombined: true, subOrders: [] };
+      parents.set(order.parentOrderId, parent);
+      combined.push(parent);
+    }
+    parent.subOrders.push(order);
+  });
+
+  parents.forEach((parent) => {
+    parent.subOrders.sort((a, b) => (a.subOrderIndex || 0) - (b.subOrderIndex || 0));
+    parent.items = parent.subOrders.flatMap((order) => order.items || []);
+    Object.assign(parent, moneyFields({
+      subtotal: sumMoney(parent.subOrders, (order) => readMoney(order, 'subtotal')),
+      total: sumMoney(parent.subOrders, (order) => readMoney(order, 'total'))
+    }));
+    parent.status = getCombinedStatus(parent.subOrders);
+    // Packages keep their own history, shipment and refund state
+    delete parent.statusHistory;
+    delete parent.shipment;
+    delete parent.refundStatus;
+  });
+
+  return combined;
+};
@@ -18,9 +18,10 @@ export const cloudinary = new CloudinaryCore({
  * Upload an image to Cloudinary
  * @param {File} file - The file to upload
  * @param {Function} progressCallback - Optional callback for upload progress
+ * @param {string} folder - Optional Cloudinary folder, defaults to chat images
  * @returns {Promise<string>} - URL of the uploaded image
  */
-export const uploadToCloudinary = async (file, progressCallback = () => {}) => {
+export const uploadToCloudinary = async (file, progressCallback = () => {}, folder = 'chat_images') => {
   return new Promise((resolve, reject) => {
     const url = `https://api.cloudinary.com/v1_1/${cloudinaryConfig.cloudName}/upload`;
     
@@ -52,7 +53,7 @@ export const uploadToCloudinary = async (file, progressCallback = () => {}) => {
     // Add file to form data
     formData.append('file', file);
     formData.append('upload_preset', cloudinaryConfig.uploadPreset);
-    formData.append('folder', 'chat_images');
+    formData.append('folder', folder);
     
     // Add timestamp and eager transformations if needed
     formData.append('timestamp', Date.now() / 1000);
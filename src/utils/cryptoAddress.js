@@ -0,0 +1,368 @@
+/**
+ * Offline validation of crypto payout addresses. Each network is checked for
+ * its format and checksum so a mistyped address is caught before a payout:
+ * Base58Check (double SHA-256) for Bitcoin legacy and TRON, Bech32/Bech32m for
+ * Bitcoin SegWit and Taproot, and EIP-55 (Keccak-256) for EVM addresses.
+ */
+
+export const CRYPTO_NETWORKS = {
+  BTC: 'BTC',
+  ERC20: 'ERC20',
+  TRC20: 'TRC20',
+  BEP20: 'BEP20'
+};
+
+export const CRYPTO_NETWORK_LABELS = {
+  [CRYPTO_NETWORKS.BTC]: 'Bitcoin (BTC)',
+  [CRYPTO_NETWORKS.ERC20]: 'Ethereum (ERC-20)',
+  [CRYPTO_NETWORKS.TRC20]: 'TRON (TRC-20)',
+  [CRYPTO_NETWORKS.BEP20]: 'BNB Smart Chain (BEP-20)'
+};
+
+// Networks each crypto payment method can be paid out on
+export const PAYMENT_METHOD_NETWORKS = {
+  USDT: [CRYPTO_NETWORKS.TRC20, CRYPTO_NETWORKS.ERC20, CRYPTO_NETWORKS.BEP20],
+  Bitcoin: [CRYPTO_NETWORKS.BTC],
+  Ethereum: [CRYPTO_NETWORKS.ERC20]
+};
+
+export const isCryptoPaymentMethod = (method) => !!PAYMENT_METHOD_NETWORKS[method];
+
+// --- SHA-256 ---
+
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+const rotr = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+const sha256 = (bytes) => {
+  const bitLength = bytes.length * 8;
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const data = new Uint8Array(paddedLength);
+  data.set(bytes);
+  data[bytes.length] = 0x80;
+  const view = new DataView(data.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const w = new Array(64);
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, h].forEach((value, i) => {
+      hash[i] = (hash[i] + value) | 0;
+    });
+  }
+
+  const out = new Uint8Array(32);
+  const outView = new DataView(out.buffer);
+  hash.forEach((value, i) => outView.setUint32(i * 4, value >>> 0));
+  return out;
+};
+
+// --- Keccak-256 (the pre-standard padding Ethereum uses, not SHA3-256) ---
+
+// Each 64-bit lane is kept as two 32-bit halves: [low, high]
+const KECCAK_ROUND_CONSTANTS = [
+  '0000000000000001', '0000000000008082', '800000000000808a', '8000000080008000',
+  '000000000000808b', '0000000080000001', '8000000080008081', '8000000000008009',
+  '000000000000008a', '0000000000000088', '0000000080008009', '000000008000000a',
+  '000000008000808b', '800000000000008b', '8000000000008089', '8000000000008003',
+  '8000000000008002', '8000000000000080', '000000000000800a', '800000008000000a',
+  '8000000080008081', '8000000000008080', '0000000080000001', '8000000080008008'
+].map((hex) => [parseInt(hex.slice(8), 16) | 0, parseInt(hex.slice(0, 8), 16) | 0]);
+
+// Rotation offsets by lane index x + 5y
+const KECCAK_ROTATIONS = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14];
+
+const rotl64 = ([low, high], bits) => {
+  if (bits === 0) return [low, high];
+  if (bits === 32) return [high, low];
+  // Past 32 bits the halves swap roles
+  const [a, b] = bits < 32 ? [low, high] : [high, low];
+  const n = bits % 32;
+  return [(a << n) | (b >>> (32 - n)), (b << n) | (a >>> (32 - n))];
+};
+
+const xor64 = (a, b) => [a[0] ^ b[0], a[1] ^ b[1]];
+
+const keccakF = (state) => {
+  for (let round = 0; round < 24; round++) {
+    const c = [0, 1, 2, 3, 4].map((x) =>
+      [5, 10, 15, 20].reduce((lane, y) => xor64(lane, state[x + y]), state[x])
+    );
+    for (let x = 0; x < 5; x++) {
+      const d = xor64(c[(x + 4) % 5], rotl64(c[(x + 1) % 5], 1));
+      for (let y = 0; y < 25; y += 5) state[x + y] = xor64(state[x + y], d);
+    }
+
+    const b = new Array(25);
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl64(state[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+      }
+    }
+
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        const next = b[((x + 1) % 5) + y];
+        const afterNext = b[((x + 2) % 5) + y];
+        state[x + y] = xor64(b[x + y], [~next[0] & afterNext[0], ~next[1] & afterNext[1]]);
+      }
+    }
+    state[0] = xor64(state[0], KECCAK_ROUND_CONSTANTS[round]);
+  }
+};
+
+const keccak256 = (bytes) => {
+  const rate = 136;
+  const paddedLength = (Math.floor(bytes.length / rate) + 1) * rate;
+  const data = new Uint8Array(paddedLength);
+  data.set(bytes);
+  data[bytes.length] ^= 0x01;
+  data[paddedLength - 1] ^= 0x80;
+  const view = new DataView(data.buffer);
+
+  const state = Array.from({ length: 25 }, () => [0, 0]);
+  for (let offset = 0; offset < paddedLength; offset += rate) {
+    for (let lane = 0; lane < rate / 8; lane++) {
+      const position = offset + lane * 8;
+      state[lane] = xor64(state[lane], [view.getInt32(position, true), view.getInt32(position + 4, true)]);
+    }
+    keccakF(state);
+  }
+
+  const out = new Uint8Array(32);
+  const outView = new DataView(out.buffer);
+  for (let lane = 0; lane < 4; lane++) {
+    outView.setInt32(lane * 8, state[lane][0], true);
+    outView.setInt32(lane * 8 + 4, state[lane][1], true);
+  }
+  return out;
+};
+
+// --- Encodings ---
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const base58Decode = (text) => {
+  // Little-endian bytes of the number, multiplied up one digit at a time
+  const bytes = [];
+  for (const char of text) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) return null;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  // Leading '1's are leading zero bytes
+  for (let i = 0; i < text.length && text[i] === '1'; i++) bytes.push(0);
+  return Uint8Array.from(bytes.reverse());
+};
+
+/**
+ * Decodes a Base58Check string and verifies its 4-byte double SHA-256 checksum
+ * @returns {Uint8Array|null} - Version byte and payload, or null when invalid
+ */
+const base58CheckDecode = (text) => {
+  const bytes = base58Decode(text);
+  if (!bytes || bytes.length < 5) return null;
+  const payload = bytes.slice(0, -4);
+  const checksum = sha256(sha256(payload)).slice(0, 4);
+  return checksum.every((byte, i) => byte === bytes[bytes.length - 4 + i]) ? payload : null;
+};
+
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONSTANT = 1;
+const BECH32M_CONSTANT = 0x2bc830a3;
+
+const bech32Polymod = (values) => {
+  const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let checksum = 1;
+  values.forEach((value) => {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    generators.forEach((generator, i) => {
+      if ((top >>> i) & 1) checksum ^= generator;
+    });
+  });
+  return checksum >>> 0;
+};
+
+const bech32HrpExpand = (hrp) => [
+  ...[...hrp].map((char) => char.charCodeAt(0) >> 5),
+  0,
+  ...[...hrp].map((char) => char.charCodeAt(0) & 31)
+];
+
+const convertBits = (data, fromBits, toBits) => {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+  for (const value of data) {
+    accumulator = (accumulator << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((accumulator >> bits) & maxValue);
+    }
+  }
+  // Leftover bits must be zero padding shorter than one input group
+  if (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue)) return null;
+  return result;
+};
+
+// --- Network validators; each returns an error message or null ---
+
+const validateBitcoinSegwit = (address) => {
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) {
+    return 'A SegWit address cannot mix upper and lower case';
+  }
+  const lower = address.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  const hrp = lower.slice(0, separator);
+  const data = [...lower.slice(separator + 1)].map((char) => BECH32_ALPHABET.indexOf(char));
+  if (hrp !== 'bc' || data.length < 7 || data.some((value) => value < 0)) {
+    return 'This is not a valid Bitcoin SegWit address';
+  }
+
+  const witnessVersion = data[0];
+  const checksum = bech32Polymod([...bech32HrpExpand(hrp), ...data]);
+  if (checksum !== (witnessVersion === 0 ? BECH32_CONSTANT : BECH32M_CONSTANT)) {
+    return 'The address checksum does not match; check for a typo';
+  }
+
+  const program = convertBits(data.slice(1, -6), 5, 8);
+  if (
+    !program ||
+    witnessVersion > 16 ||
+    program.length < 2 ||
+    program.length > 40 ||
+    (witnessVersion === 0 && program.length !== 20 && program.length !== 32)
+  ) {
+    return 'This is not a valid Bitcoin SegWit address';
+  }
+  return null;
+};
+
+const validateBitcoin = (address) => {
+  if (/^bc1/i.test(address)) return validateBitcoinSegwit(address);
+  if (!/^[13][1-9A-HJ-NP-Za-km-z]{25,34}$/.test(address)) {
+    return 'Bitcoin addresses start with 1, 3 or bc1';
+  }
+  const payload = base58CheckDecode(address);
+  if (!payload) return 'The address checksum does not match; check for a typo';
+  // Version 0x00 is pay-to-pubkey-hash, 0x05 is pay-to-script-hash
+  if (payload.length !== 21 || (payload[0] !== 0x00 && payload[0] !== 0x05)) {
+    return 'This is not a valid Bitcoin mainnet address';
+  }
+  return null;
+};
+
+const validateTron = (address) => {
+  if (!/^T[1-9A-HJ-NP-Za-km-z]{33}$/.test(address)) {
+    return 'TRON addresses start with T and are 34 characters long';
+  }
+  const payload = base58CheckDecode(address);
+  if (!payload) return 'The address checksum does not match; check for a typo';
+  if (payload.length !== 21 || payload[0] !== 0x41) {
+    return 'This is not a valid TRON address';
+  }
+  return null;
+};
+
+/**
+ * EIP-55 checksummed form of an EVM address
+ * @param {string} address - 0x-prefixed address in any case
+ */
+export const toChecksumAddress = (address) => {
+  const lower = address.slice(2).toLowerCase();
+  const hash = keccak256(Uint8Array.from(lower, (char) => char.charCodeAt(0)));
+  const checksummed = [...lower]
+    .map((char, i) => {
+      const nibble = i % 2 === 0 ? hash[i >> 1] >> 4 : hash[i >> 1] & 0x0f;
+      return nibble >= 8 ? char.toUpperCase() : char;
+    })
+    .join('');
+  return `0x${checksummed}`;
+};
+
+const validateEvm = (address) => {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return 'EVM addresses start with 0x followed by 40 hexadecimal characters';
+  }
+  const body = address.slice(2);
+  // All-lowercase or all-uppercase addresses carry no checksum
+  const hasChecksum = body !== body.toLowerCase() && body !== body.toUpperCase();
+  if (hasChecksum && toChecksumAddress(address) !== address) {
+    return 'The address checksum does not match; check for a typo';
+  }
+  return null;
+};
+
+const VALIDATORS = {
+  [CRYPTO_NETWORKS.BTC]: validateBitcoin,
+  [CRYPTO_NETWORKS.ERC20]: validateEvm,
+  [CRYPTO_NETWORKS.TRC20]: validateTron,
+  [CRYPTO_NETWORKS.BEP20]: validateEvm
+};
+
+/**
+ * Checks a payout address for a network
+ * @param {string} network - One of CRYPTO_NETWORKS
+ * @param {string} address - Address as entered
+ * @returns {Object} - { valid, error, address }; `address` is trimmed, and
+ *   EVM addresses are returned in their checksummed form
+ */
+export const validateCryptoAddress = (network, address) => {
+  const trimmed = (address || '').trim();
+  const validator = VALIDATORS[network];
+  if (!validator) {
+    return { valid: false, error: 'Choose a network', address: trimmed };
+  }
+  if (!trimmed) {
+    return { valid: false, error: 'Enter a wallet address', address: trimmed };
+  }
+
+  const error = validator(trimmed);
+  if (error) {
+    return { valid: false, error, address: trimmed };
+  }
+  const isEvm = network === CRYPTO_NETWORKS.ERC20 || network === CRYPTO_NETWORKS.BEP20;
+  return { valid: true, error: null, address: isEvm ? toChecksumAddress(trimmed) : trimmed };
+};
@@ -0,0 +1,121 @@
+import { CRYPTO_NETWORKS, toChecksumAddress, validateCryptoAddress } from './cryptoAddress';
+
+const { BTC, ERC20, TRC20, BEP20 } = CRYPTO_NETWORKS;
+
+const errorFor = (network, address) => validateCryptoAddress(network, address).error;
+
+describe('validateCryptoAddress', () => {
+  it('asks for a network and an address', () => {
+    expect(errorFor('DOGE', '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa')).toBe('Choose a network');
+    expect(errorFor(BTC, '   ')).toBe('Enter a wallet address');
+  });
+
+  describe('Bitcoin', () => {
+    it('accepts legacy, script, SegWit and Taproot addresses', () => {
+      [
+        '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
+        '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy',
+        'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4',
+        'BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4',
+        'bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3',
+        'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0'
+      ].forEach((address) => {
+        expect(validateCryptoAddress(BTC, address)).toEqual({ valid: true, error: null, address });
+      });
+    });
+
+    it('trims the address', () => {
+      expect(validateCryptoAddress(BTC, ' 1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa\n').address).toBe(
+        '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa'
+      );
+    });
+
+    it('catches a mistyped character through the Base58Check checksum', () => {
+      expect(errorFor(BTC, '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb')).toBe(
+        'The address checksum does not match; check for a typo'
+      );
+    });
+
+    it('catches a mistyped character through the Bech32 checksum', () => {
+      expect(errorFor(BTC, 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5')).toBe(
+        'The address checksum does not match; check for a typo'
+      );
+    });
+
+    it('refuses a Taproot address checksummed as Bech32 instead of Bech32m', () => {
+      // BIP-350 test vector: witness v1 with a Bech32 checksum
+      expect(errorFor(BTC, 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd')).toBe(
+        'The address checksum does not match; check for a typo'
+      );
+    });
+
+    it('refuses mixed case, other networks and unknown prefixes', () => {
+      expect(errorFor(BTC, 'bc1qW508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4')).toBe(
+        'A SegWit address cannot mix upper and lower case'
+      );
+      expect(errorFor(BTC, 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx')).toBe(
+        'Bitcoin addresses start with 1, 3 or bc1'
+      );
+      expect(errorFor(BTC, '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed')).toBe(
+        'Bitcoin addresses start with 1, 3 or bc1'
+      );
+    });
+  });
+
+  describe('TRON', () => {
+    it('accepts a valid address', () => {
+      expect(validateCryptoAddress(TRC20, 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t').valid).toBe(true);
+    });
+
+    it('catches a mistyped character', () => {
+      expect(errorFor(TRC20, 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6u')).toBe(
+        'The address checksum does not match; check for a typo'
+      );
+    });
+
+    it('refuses addresses of other networks', () => {
+      expect(errorFor(TRC20, '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa')).toBe(
+        'TRON addresses start with T and are 34 characters long'
+      );
+    });
+  });
+
+  describe('EVM', () => {
+    const checksummed = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+    it('accepts a checksummed address on both EVM networks', () => {
+      expect(validateCryptoAddress(ERC20, checksummed)).toEqual({ valid: true, error: null, address: checksummed });
+      expect(validateCryptoAddress(BEP20, checksummed).valid).toBe(true);
+    });
+
+    it('accepts an address without a checksum and returns it checksummed', () => {
+      expect(validateCryptoAddress(ERC20, checksummed.toLowerCase()).address).toBe(checksummed);
+      expect(validateCryptoAddress(ERC20, `0x${checksummed.slice(2).toUpperCase()}`).address).toBe(checksummed);
+    });
+
+    it('catches a wrong checksum', () => {
+      expect(errorFor(ERC20, '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD')).toBe(
+        'The address checksum does not match; check for a typo'
+      );
+    });
+
+    it('refuses malformed addresses', () => {
+      expect(errorFor(ERC20, '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeA')).toBe(
+        'EVM addresses start with 0x followed by 40 hexadecimal characters'
+      );
+    });
+  });
+});
+
+describe('toChecksumAddress', () => {
+  it('matches the EIP-55 examples', () => {
+    [
+      '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+      '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+      '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+      '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+    ].forEach((address) => {
+      expect(toChecksumAddress(address.toLowerCase())).toBe(address);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+import { db } from '../firebase';
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  getDocs,
+  addDoc,
+  doc,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+import { LEDGER_ACCOUNTS, recordSellerMovement } from './walletLedger';
+import { moneyFields, readMoney, roundMoney } from './money';
+
+/**
+ * Seller top-up requests. A seller sends money to the platform, then submits
+ * a request in `depositRequests` with the amount, method and a receipt.
+ * An admin reviews the receipt; approval credits the wallet through the
+ * ledger and links the request to the `transactions` record it created.
+ */
+
+export const DEPOSIT_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+export const DEPOSIT_METHODS = ['Bank', 'USDT', 'Bitcoin', 'Ethereum', 'PayPal'];
+
+const toDate = (value) => {
+  if (value && typeof value.toDate === 'function') return value.toDate();
+  return value ? new Date(value) : new Date();
+};
+
+const toRequest = (requestDoc) => {
+  const data = requestDoc.data();
+  return { id: requestDoc.id, ...data, timestamp: toDate(data.timestamp) };
+};
+
+/**
+ * Submits a top-up request for review
+ * @param {string} sellerId - Seller id
+ * @param {Object} sellerData - Seller profile, for the name and email shown to admins
+ * @param {Object} deposit - { amount, method, reference, receiptUrl, note }
+ * @returns {Promise<string>} - Id of the new request
+ */
+export const createDepositRequest = async (sellerId, sellerData, deposit) => {
+  const amount = roundMoney(deposit.amount);
+  if (!(amount > 0)) {
+    throw new Error('Please enter a valid deposit amount');
+  }
+  if (!DEPOSIT_METHODS.includes(deposit.method)) {
+    throw new Error('Choose how the money was sent');
+  }
+  if (!deposit.receiptUrl) {
+    throw new Error('Please upload the payment receipt');
+  }
+
+  const requestRef = await addDoc(collection(db, 'depositRequests'), {
+    sellerId,
+    sellerName: sellerData?.name || sellerData?.shopName || 'Unknown',
+    sellerEmail: sellerData?.email || '',
+    ...moneyFields({ amount }),
+    method: deposit.method,
+    reference: (deposit.reference || '').trim(),
+    receiptUrl: deposit.receiptUrl,
+    note: (deposit.note || '').trim(),
+    status: DEPOSIT_STATUSES.PENDING,
+    timestamp: serverTimestamp()
+  });
+  return requestRef.id;
+};
+
+/**
+ * Loads a seller's top-up requests, newest first
+ */
+export const getSellerDepositRequests = async (sellerId) => {
+  const snapshot = await getDocs(
+    query(collection(db, 'depositRequests'), where('sellerId', '==', sellerId))
+  );
+  return snapshot.docs.map(toRequest).sort((a, b) => b.timestamp - a.timestamp);
+};
+
+/**
+ * Loads every top-up request for the admin queue, newest first
+ */
+export const getAllDepositRequests = async () => {
+  const snapshot = await getDocs(query(collection(db, 'depositRequests'), orderBy('timestamp', 'desc')));
+  return snapshot.docs.map(toRequest);
+};
+
+const assertPending = (requestDoc) => {
+  if (!requestDoc.exists()) {
+    throw new Error('Deposit request not found');
+  }
+  if (requestDoc.data().status !== DEPOSIT_STATUSES.PENDING) {
+    throw new Error(`This request is already ${requestDoc.data().status}`);
+  }
+};
+
+/**
+ * Credits the seller's wallet and marks the request approved in one transaction
+ * @param {Object} request - Deposit request with its id
+ * @param {string} adminEmail - Admin approving the deposit
+ * @returns {Promise<Object>} - Result of the ledger posting
+ */
+export const approveDeposit = async (request, adminEmail) => {
+  const requestRef = doc(db, 'depositRequests', request.id);
+  const transactionRef = doc(collection(db, 'transactions'));
+
+  return recordSellerMovement(request.sellerId, async (sellerData, transaction) => {
+    const requestDoc = await transaction.get(requestRef);
+    assertPending(requestDoc);
+    const amount = readMoney(requestDoc.data(), 'amount');
+
+    transaction.update(requestRef, {
+      status: DEPOSIT_STATUSES.APPROVED,
+      approvedBy: adminEmail,
+      approvalDate: serverTimestamp(),
+      transactionId: transactionRef.id
+    });
+
+    return {
+      type: 'seller_deposit',
+      lines: [
+        { account: LEDGER_ACCOUNTS.WALLET, amount },
+        { account: LEDGER_ACCOUNTS.FUNDING, amount: -amount }
+      ],
+      description: `Top-up via ${request.method} approved by admin (${adminEmail})`,
+      processedBy: adminEmail,
+      transactionRef,
+      transactionFields: {
+        depositRequestId: request.id,
+        paymentMethod: request.method,
+        reference: request.reference || ''
+      }
+    };
+  });
+};
+
+/**
+ * Rejects a pending top-up request; the wallet is not touched
+ * @param {Object} request - Deposit request with its id
+ * @param {string} reason - Shown to the seller
+ * @param {string} adminEmail - Admin rejecting the deposit
+ */
+export const rejectDeposit = async (request, reason, adminEmail) => {
+  if (!reason || !reason.trim()) {
+    throw new Error('Please provide a reason for rejection');
+  }
+
+  const requestRef = doc(db, 'depositRequests', request.id);
+  await runTransaction(db, async (transaction) => {
+    assertPending(await transaction.get(requestRef));
+    transaction.update(requestRef, {
+      status: DEPOSIT_STATUSES.REJECTED,
+      rejectionReason: reason.trim(),
+      rejectedBy: adminEmail,
+      rejectionDate: serverTimestamp()
+    });
+  });
+};
@@ -1,5 +1,7 @@
 import { db } from '../firebase';
 import { collection, addDoc, getDocs, query, where } from 'firebase/firestore';
+import { buildVariantMatrix, summarizeVariants } from './productVariants';
+import { withPriceCents } from './money';
 
 const categories = {
   electronics: {
@@ -72,6 +74,24 @@ const generateRandomStock = () => {
   return Math.floor(Math.random() * 50) + 10; // Random stock between 10 and 60
 };
 
+// Clothing is generated with a size/color matrix
+const VARIANT_OPTIONS_BY_CATEGORY = {
+  menClothing: [{ name: 'Size', values: ['S', 'M', 'L', 'XL'] }, { name: 'Color', values: ['Black', 'Blue'] }],
+  womenClothing: [{ name: 'Size', values: ['XS', 'S', 'M', 'L'] }, { name: 'Color', values: ['Black', 'Red'] }],
+  childrenClothing: [{ name: 'Size', values: ['4Y', '6Y', '8Y', '10Y'] }]
+};
+
+const generateVariants = (category, item) => {
+  const variantOptions = VARIANT_OPTIONS_BY_CATEGORY[category];
+  if (!variantOptions) return {};
+
+  const variants = buildVariantMatrix(variantOptions, [], { price: item.price, imageUrl: item.image }).map((variant) => withPriceCents({
+    ...variant,
+    stock: Math.floor(Math.random() * 15)
+  }));
+  return { variantOptions, variants, ...summarizeVariants(variants) };
+};
+
 const generateRandomDiscount = () => {
   const discounts = [0, 0, 0, 5, 10, 15, 20]; // More zeros to make discounts less frequent
   return discounts[Math.floor(Math.random() * discounts.length)];
@@ -96,7 +116,7 @@ export const addDummyProducts = async () => {
         // Create multiple variations of each item
         for (let i = 1; i <= 5; i++) {
           const variation = i > 1 ? ` - Style ${i}` : '';
-          allProducts.push({
+          allProducts.push(withPriceCents({
             name: item.name + variation,
             price: item.price,
             description: generateDescription(item.name, category),
@@ -104,9 +124,10 @@ export const addDummyProducts = async () => {
             imageUrl: item.image,
             stock: generateRandomStock(),
             discount: generateRandomDiscount(),
+            ...generateVariants(category, item),
             createdAt: new Date(),
             isDummy: true // Flag to identify dummy products
-          });
+          }));
         }
       });
     });
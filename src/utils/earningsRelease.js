@@ -0,0 +1,303 @@
+import { db } from '../firebase';
+import {
+  collection,
+  query,
+  where,
+  getDocs,
+  getDoc,
+  setDoc,
+  doc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { REFUND_STATUS } from './refunds';
+import { LEGACY_PROFIT_RATE, getOrderProfit, getProfitMarginSettings } from './profitMargins';
+import { LEDGER_ACCOUNTS, recordSellerMovement, withBalancingLine } from './walletLedger';
+import { addMoney, divideMoney, moneyFields, readMoney, subtractMoney, sumLineItems } from './money';
+
+/**
+ * Scheduled release of order earnings. Completing an order no longer moves
+ * its earnings straight to the wallet: the order gets an `earningsReleaseAt`
+ * time after a configurable hold period, and a background worker moves the
+ * pending amount to the wallet once that time has passed. An open refund
+ * request holds the release until the refund is resolved.
+ */
+
+export const DEFAULT_EARNINGS_RELEASE_SETTINGS = {
+  holdHours: 72
+};
+
+const earningsReleaseSettingsRef = () => doc(db, 'settings', 'earningsRelease');
+
+/**
+ * Loads the release settings, falling back to the defaults for missing fields
+ */
+export const getEarningsReleaseSettings = async () => {
+  const settingsDoc = await getDoc(earningsReleaseSettingsRef());
+  return { ...DEFAULT_EARNINGS_RELEASE_SETTINGS, ...(settingsDoc.exists() ? settingsDoc.data() : {}) };
+};
+
+/**
+ * Validates and saves the release settings
+ * @param {Object} settings - { holdHours }
+ * @param {string} adminEmail - Admin saving the settings
+ */
+export const saveEarningsReleaseSettings = async (settings, adminEmail) => {
+  const holdHours = Number(settings.holdHours);
+  if (!Number.isFinite(holdHours) || holdHours < 0) {
+    throw new Error('The hold period must be zero or a positive number of hours');
+  }
+
+  await setDoc(earningsReleaseSettingsRef(), {
+    holdHours,
+    updatedBy: adminEmail,
+    updatedAt: serverTimestamp()
+  });
+};
+
+/**
+ * When the earnings of an order completed now become due
+ * @param {Object} settings - Release settings
+ * @param {Date} completedAt - Completion time
+ * @returns {string} - ISO timestamp, stored as the order's `earningsReleaseAt`
+ */
+export const getEarningsReleaseTime = (settings, completedAt = new Date()) =>
+  new Date(completedAt.getTime() + Number(settings.holdHours || 0) * 3600000).toISOString();
+
+/**
+ * Splits an order's earnings into the base amount and the seller margin.
+ * Uses the amounts stored when the order was picked where available.
+ * @param {Object} order - Order document data
+ * @param {Object} marginSettings - Profit margin settings, for orders without stored amounts
+ * @param {string} sellerTier - Seller tier, for orders without stored margin rates
+ * @returns {Object} - { baseAmount, profitAmount, grandTotal }
+ */
+export const calculateOrderEarnings = (order, marginSettings, sellerTier) => {
+  let baseAmount = 0;
+  let profitAmount = 0;
+  const pendingAdded = readMoney(order, 'pendingAdded');
+  const walletDeducted = readMoney(order, 'walletDeducted');
+
+  if (pendingAdded > 0) {
+    // Picked orders: pending holds the grand total, the wallet paid the base
+    baseAmount = walletDeducted > 0 ? walletDeducted : divideMoney(pendingAdded, 1 + LEGACY_PROFIT_RATE);
+    profitAmount = subtractMoney(pendingAdded, baseAmount);
+  } else if (walletDeducted > 0 && readMoney(order, 'additionalProfit')) {
+    baseAmount = walletDeducted;
+    profitAmount = readMoney(order, 'additionalProfit');
+  } else if (Array.isArray(order.items) && order.items.length > 0) {
+    baseAmount = sumLineItems(order.items);
+    profitAmount = getOrderProfit(order, marginSettings, sellerTier);
+  } else if (readMoney(order, 'total') || readMoney(order, 'totalAmount')) {
+    const totalValue = readMoney(order, 'total') || readMoney(order, 'totalAmount');
+    baseAmount = divideMoney(totalValue, 1 + LEGACY_PROFIT_RATE);
+    profitAmount = subtractMoney(totalValue, baseAmount);
+  }
+
+  baseAmount = Math.max(0, baseAmount);
+  profitAmount = Math.max(0, profitAmount);
+  return { baseAmount, profitAmount, grandTotal: addMoney(baseAmount, profitAmount) };
+};
+
+/**
+ * Why an order's earnings can't be released, or null when they can
+ * @param {Object} order - Order document data
+ * @returns {string|null}
+ */
+export const getReleaseBlocker = (order) => {
+  if (Number(order.pendingTransferred || 0) > 0 || order.earningsReleasedAt) {
+    return 'Earnings were already released';
+  }
+  if (order.refundStatus === REFUND_STATUS.REQUESTED || order.refundStatus === REFUND_STATUS.SELLER_RESPONDED) {
+    return 'A refund request is open';
+  }
+  if (order.status !== 'completed') {
+    return 'The order is not completed';
+  }
+  return null;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Release state of an order for display
+ * @param {Object} order - Order data
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { state: 'released' | 'on_hold' | 'due' | 'scheduled', releaseAt, remainingMs }
+ *   or null when the order has no scheduled release
+ */
+export const getEarningsReleaseState = (order, now = new Date()) => {
+  if (Number(order.pendingTransferred || 0) > 0) {
+    return { state: 'released', releaseAt: toDate(order.earningsReleasedAt || order.transferredAt) };
+  }
+
+  const releaseAt = toDate(order.earningsReleaseAt);
+  if (!releaseAt) return null;
+
+  if (order.refundStatus === REFUND_STATUS.REQUESTED || order.refundStatus === REFUND_STATUS.SELLER_RESPONDED) {
+    return { state: 'on_hold', releaseAt };
+  }
+
+  const remainingMs = releaseAt.getTime() - now.getTime();
+  return { state: remainingMs > 0 ? 'scheduled' : 'due', releaseAt, remainingMs: Math.max(0, remainingMs) };
+};
+
+/**
+ * Formats the time left until a release, e.g. "2d 5h" or "45m"
+ */
+export const formatReleaseCountdown = (remainingMs) => {
+  const totalMinutes = Math.ceil(remainingMs / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
+
+/**
+ * Moves one order's earnings from pending to the wallet. The order is
+ * re-checked inside the transaction, so a refund opened in the meantime or
+ * a release that already happened leaves the balances alone.
+ * @param {string} orderId - Order id
+ * @param {Object} options - { processedBy, marginSettings, force, now }; `force` ignores the release time
+ * @returns {Promise<Object|null>} - { orderId, baseAmount, profitAmount, grandTotal } or null when nothing was released
+ */
+export const releaseOrderEarnings = async (orderId, options = {}) => {
+  const { processedBy = 'system', force = false, now = new Date() } = options;
+  const orderRef = doc(db, 'orders', orderId);
+
+  const orderDoc = await getDoc(orderRef);
+  if (!orderDoc.exists()) {
+    throw new Error('Order not found');
+  }
+  const { sellerId } = orderDoc.data();
+  if (!sellerId) return null;
+
+  const marginSettings = options.marginSettings || await getProfitMarginSettings();
+  let earnings = null;
+
+  try {
+    await recordSellerMovement(sellerId, async (sellerData, transaction) => {
+      const currentDoc = await transaction.get(orderRef);
+      if (!currentDoc.exists()) {
+        throw new Error('Order not found');
+      }
+      const orderData = currentDoc.data();
+      const releaseAt = toDate(orderData.earningsReleaseAt);
+
+      if (getReleaseBlocker(orderData) || (!force && (!releaseAt || releaseAt > now))) {
+        // Nothing to post; abort the transaction without writing
+        const skipped = new Error('Earnings are not due for release');
+        skipped.code = 'release-skipped';
+        throw skipped;
+      }
+
+      earnings = calculateOrderEarnings(orderData, marginSettings, sellerData.tier);
+      const { baseAmount, profitAmount, grandTotal } = earnings;
+      const walletBalanceBefore = readMoney(sellerData, 'walletBalance');
+      const pendingAmountBefore = readMoney(sellerData, 'pendingAmount');
+      // Pending never goes below zero; the platform covers any shortfall
+      const pendingRemoved = Math.min(grandTotal, pendingAmountBefore);
+      const orderLabel = orderData.orderNumber || orderId.substring(0, 8);
+
+      transaction.update(orderRef, {
+        ...moneyFields({
+          pendingTransferred: grandTotal,
+          baseAmountTransferred: baseAmount,
+          profitAmountTransferred: profitAmount,
+          walletBalanceBefore,
+          walletBalanceAfter: addMoney(walletBalanceBefore, grandTotal),
+          pendingAmountBefore,
+          pendingAmountAfter: subtractMoney(pendingAmountBefore, pendingRemoved)
+        }),
+        transferredAt: serverTimestamp(),
+        earningsReleaseAt: null,
+        earningsReleasedAt: serverTimestamp()
+      });
+
+      // Keeps the order_completed type so reconciliation pairs it with the order
+      return {
+        type: 'order_completed',
+        orderId,
+        lines: withBalancingLine([
+          { account: LEDGER_ACCOUNTS.WALLET, amount: grandTotal },
+          { account: LEDGER_ACCOUNTS.PENDING, amount: -pendingRemoved }
+        ], LEDGER_ACCOUNTS.PLATFORM_REVENUE),
+        description: `Order #${orderLabel} earnings released. $${baseAmount.toFixed(2)} base + $${profitAmount.toFixed(2)} profit (total $${grandTotal.toFixed(2)}) transferred from pending to wallet.`,
+        processedBy,
+        transactionFields: moneyFields({ baseAmount, profitAmount })
+      };
+    });
+  } catch (error) {
+    if (error.code === 'release-skipped') return null;
+    throw error;
+  }
+
+  return { orderId, ...earnings };
+};
+
+/**
+ * Releases the earnings of every order whose hold period has ended
+ * @returns {Promise<Array>} - Released orders ({ orderId, baseAmount, profitAmount, grandTotal })
+ */
+export const releaseDueEarnings = async () => {
+  const now = new Date();
+  const dueOrders = await getDocs(
+    query(collection(db, 'orders'), where('earningsReleaseAt', '<=', now.toISOString()))
+  );
+  if (dueOrders.empty) return [];
+
+  const marginSettings = await getProfitMarginSettings();
+  const released = [];
+  for (const orderDoc of dueOrders.docs) {
+    if (getReleaseBlocker(orderDoc.data())) continue;
+
+    try {
+      const result = await releaseOrderEarnings(orderDoc.id, { marginSettings, now });
+      if (result) {
+        released.push(result);
+      }
+    } catch (error) {
+      console.error(`Failed to release earnings for order ${orderDoc.id}:`, error);
+    }
+  }
+
+  if (released.length > 0) {
+    console.log(`Earnings release completed: ${released.length} orders released to wallets`);
+  }
+  return released;
+};
+
+let releaseWorkerStarted = false;
+
+/**
+ * Creates a background worker that releases due earnings periodically.
+ * Safe to call more than once; only the first call starts the worker.
+ * Runs only while an admin has the dashboard open; see "Scheduled Jobs" in the README.
+ */
+export const initializeEarningsReleaseWorker = () => {
+  const RELEASE_CHECK_INTERVAL = 900000; // Run every 15 minutes (in milliseconds)
+
+  if (releaseWorkerStarted) return;
+  releaseWorkerStarted = true;
+
+  // Run once shortly after initialization
+  setTimeout(() => {
+    releaseDueEarnings()
+      .catch(err => console.error('Initial earnings release failed:', err));
+  }, 10000);
+
+  // Then run periodically
+  setInterval(() => {
+    releaseDueEarnings()
+      .catch(err => console.error('Scheduled earnings release failed:', err));
+  }, RELEASE_CHECK_INTERVAL);
+
+  console.log('Earnings release worker initialized');
+};
@@ -0,0 +1,228 @@
+import { db } from '../firebase';
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { hasVariants, summarizeVariants, formatVariantLabel } from './productVariants';
+
+/**
+ * Stock levels live on the product (`stock`), or on each variant for
+ * products sold in variants. Placing an order reserves its quantities in the
+ * same transaction that writes the order and marks it `stockReserved`;
+ * cancelling or refunding it puts them back once and marks it `stockRestored`.
+ * Products saved without a stock count are not tracked and never run out.
+ */
+
+export const INVENTORY_ERRORS = {
+  OUT_OF_STOCK: 'out-of-stock'
+};
+
+// Statuses that return an order's items to stock
+export const RESTOCK_STATUSES = ['cancelled', 'refunded'];
+
+export const DEFAULT_INVENTORY_SETTINGS = {
+  lowStockThreshold: 5
+};
+
+const inventorySettingsRef = () => doc(db, 'settings', 'inventory');
+
+/**
+ * Loads the inventory settings, falling back to the defaults for missing fields
+ */
+export const getInventorySettings = async () => {
+  const settingsDoc = await getDoc(inventorySettingsRef());
+  return { ...DEFAULT_INVENTORY_SETTINGS, ...(settingsDoc.exists() ? settingsDoc.data() : {}) };
+};
+
+/**
+ * Validates and saves the inventory settings
+ * @param {Object} settings - { lowStockThreshold }
+ * @param {string} adminEmail - Admin saving the settings
+ */
+export const saveInventorySettings = async (settings, adminEmail) => {
+  const lowStockThreshold = Number(settings.lowStockThreshold);
+  if (!Number.isInteger(lowStockThreshold) || lowStockThreshold < 0) {
+    throw new Error('The low stock threshold must be a whole number of 0 or more');
+  }
+
+  await setDoc(inventorySettingsRef(), {
+    lowStockThreshold,
+    updatedBy: adminEmail,
+    updatedAt: serverTimestamp()
+  });
+};
+
+/**
+ * Whether stock is counted for the product
+ */
+export const isStockTracked = (product) =>
+  hasVariants(product) || (product?.stock !== undefined && product?.stock !== null && product?.stock !== '');
+
+/**
+ * Units available for the product, or for one of its variants.
+ * Untracked products report Infinity.
+ */
+export const getAvailableStock = (product, variantId = null) => {
+  if (!isStockTracked(product)) return Infinity;
+  if (hasVariants(product)) {
+    if (!variantId) return summarizeVariants(product.variants).stock;
+    const variant = product.variants.find((entry) => entry.id === variantId);
+    return variant ? parseInt(variant.stock, 10) || 0 : 0;
+  }
+  return parseInt(product.stock, 10) || 0;
+};
+
+/**
+ * Whether none of the product (in any variant) can be bought
+ */
+export const isOutOfStock = (product) => getAvailableStock(product) <= 0;
+
+/**
+ * Lists products and variants at or below the low stock threshold
+ * @param {Array} products - Products ({ id, ...data })
+ * @param {number} threshold - Alert when stock is at or below this
+ * @returns {Array} - [{ productId, variantId, name, variantLabel, stock }], emptiest first
+ */
+export const getLowStockItems = (products = [], threshold = DEFAULT_INVENTORY_SETTINGS.lowStockThreshold) => {
+  const items = [];
+
+  products.filter(isStockTracked).forEach((product) => {
+    if (hasVariants(product)) {
+      product.variants.forEach((variant) => {
+        const stock = parseInt(variant.stock, 10) || 0;
+        if (stock <= threshold) {
+          items.push({
+            productId: product.id,
+            variantId: variant.id,
+            name: product.name,
+            variantLabel: formatVariantLabel(variant.options, product.variantOptions),
+            stock
+          });
+        }
+      });
+      return;
+    }
+
+    const stock = getAvailableStock(product);
+    if (stock <= threshold) {
+      items.push({ productId: product.id, variantId: null, name: product.name, variantLabel: '', stock });
+    }
+  });
+
+  return items.sort((a, b) => a.stock - b.stock || a.name.localeCompare(b.name));
+};
+
+/**
+ * Reads the products referenced by order or cart items inside a transaction.
+ * Call before any transaction writes.
+ * @returns {Promise<Map>} - productId → { ref, data } (data is null for deleted products)
+ */
+export const readItemProducts = async (transaction, items = []) => {
+  const productIds = Array.from(new Set(items.map((item) => item.id).filter(Boolean)));
+  const products = new Map();
+
+  for (const productId of productIds) {
+    const ref = doc(db, 'products', productId);
+    const snapshot = await transaction.get(ref);
+    products.set(productId, { ref, data: snapshot.exists() ? snapshot.data() : null });
+  }
+  return products;
+};
+
+const outOfStockError = (item, available) => {
+  const label = item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name;
+  const error = new Error(
+    available > 0 ? `Only ${available} of ${label} left in stock` : `${label} is out of stock`
+  );
+  error.code = INVENTORY_ERRORS.OUT_OF_STOCK;
+  error.productId = item.id;
+  error.variantId = item.variantId || null;
+  return error;
+};
+
+/**
+ * Adds (direction 1) or removes (direction -1) the items' quantities from
+ * the products read with readItemProducts. Removing more than is in stock
+ * throws an out-of-stock error before anything is written.
+ */
+const applyStockChange = (transaction, products, items, direction) => {
+  const drafts = new Map();
+
+  items.forEach((item) => {
+    const entry = products.get(item.id);
+    if (!entry || !entry.data || !isStockTracked(entry.data)) return;
+
+    if (!drafts.has(item.id)) {
+      drafts.set(item.id, {
+        ref: entry.ref,
+        stock: parseInt(entry.data.stock, 10) || 0,
+        variants: hasVariants(entry.data) ? entry.data.variants.map((variant) => ({ ...variant })) : null
+      });
+    }
+    const draft = drafts.get(item.id);
+    const quantity = Number(item.quantity || 1) * direction;
+
+    if (draft.variants) {
+      const variant = draft.variants.find((entryVariant) => entryVariant.id === item.variantId);
+      // Lines bought before the product had variants, or whose variant was removed
+      if (!variant) {
+        if (direction < 0) throw outOfStockError(item, 0);
+        return;
+      }
+      const available = parseInt(variant.stock, 10) || 0;
+      if (available + quantity < 0) throw outOfStockError(item, available);
+      variant.stock = available + quantity;
+      return;
+    }
+
+    if (draft.stock + quantity < 0) throw outOfStockError(item, draft.stock);
+    draft.stock += quantity;
+  });
+
+  drafts.forEach((draft) => {
+    transaction.update(
+      draft.ref,
+      draft.variants
+        ? { variants: draft.variants, stock: summarizeVariants(draft.variants).stock }
+        : { stock: draft.stock }
+    );
+  });
+};
+
+/**
+ * Takes the items' quantities out of stock inside a transaction
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Map} products - From readItemProducts
+ * @param {Array} items - Order items ({ id, variantId, quantity, name })
+ */
+export const reserveStock = (transaction, products, items) => applyStockChange(transaction, products, items, -1);
+
+/**
+ * Puts the items' quantities back in stock inside a transaction
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Map} products - From readItemProducts
+ * @param {Array} items - Order items ({ id, variantId, quantity })
+ */
+export const releaseStock = (transaction, products, items) => applyStockChange(transaction, products, items, 1);
+
+/**
+ * Whether the order still holds stock that has not been put back
+ */
+export const needsRestock = (order) => Boolean(order?.stockReserved) && !order.stockRestored;
+
+/**
+ * Reads what restockOrder needs, or returns null when the order holds no stock.
+ * Call before any transaction writes.
+ */
+export const readOrderRestock = async (transaction, orderData) =>
+  (needsRestock(orderData) ? readItemProducts(transaction, orderData.items || []) : null);
+
+/**
+ * Puts a cancelled or refunded order's items back in stock
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {DocumentReference} orderRef - Order being cancelled or refunded
+ * @param {Object} orderData - Order data read in the same transaction
+ * @param {Map|null} products - From readOrderRestock
+ */
+export const restockOrder = (transaction, orderRef, orderData, products) => {
+  if (!products) return;
+  releaseStock(transaction, products, orderData.items || []);
+  transaction.update(orderRef, { stockRestored: true, stockRestoredAt: new Date().toISOString() });
+};
@@ -0,0 +1,145 @@
+/**
+ * Money arithmetic in integer cents. Amounts are kept in documents and
+ * component state as dollar numbers, but every calculation here converts
+ * them to whole cents first, works on integers and converts back, so a
+ * result is always an exact number of cents and rounding errors cannot
+ * build up in balances.
+ *
+ * Rounding rule: amounts are rounded to the nearest cent, halves away from
+ * zero (1.005 → 1.01, -1.005 → -1.01). Rates and quantities are applied to
+ * the whole-cent amount and the product is rounded with the same rule.
+ *
+ * Documents store each amount in whole cents in a `<field>Cents` integer
+ * (`walletBalanceCents` next to `walletBalance`). The cents field is the one
+ * calculations read; the dollar field is written from it for the screens and
+ * reports that display it. Use moneyFields to write both and readMoney or
+ * readCents to read them; documents from before cents were stored fall back
+ * to the dollar field until moneyMigration fills in their cents.
+ */
+
+const roundHalfAwayFromZero = (value) => Math.sign(value) * Math.round(Math.abs(value));
+
+/**
+ * Converts a dollar amount to integer cents
+ * @param {number|string} amount - Dollar amount; invalid values count as 0
+ * @returns {number} - Whole cents
+ */
+export const toCents = (amount) => {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value === 0) return 0;
+
+  // Shift the decimal point in the string form so 1.005 becomes 100.5, not 100.49999…
+  const text = String(Math.abs(value));
+  const shifted = text.includes('e') ? Math.abs(value) * 100 : Number(`${text}e2`);
+  return Math.sign(value) * Math.round(shifted);
+};
+
+/**
+ * Converts integer cents back to a dollar amount
+ */
+export const fromCents = (cents) => Math.round(Number(cents) || 0) / 100;
+
+/**
+ * Rounds a dollar amount to whole cents
+ */
+export const roundMoney = (amount) => fromCents(toCents(amount));
+
+/**
+ * Adds dollar amounts exactly
+ */
+export const addMoney = (...amounts) => fromCents(amounts.reduce((total, amount) => total + toCents(amount), 0));
+
+/**
+ * Subtracts `amount` from `from` exactly
+ */
+export const subtractMoney = (from, amount) => fromCents(toCents(from) - toCents(amount));
+
+/**
+ * Multiplies an amount by a rate or quantity, rounding the result to whole cents
+ * @param {number} amount - Dollar amount
+ * @param {number} factor - Rate (0.23 = 23%) or quantity
+ */
+export const multiplyMoney = (amount, factor) => {
+  // Trim float noise from the product (e.g. 57.50000000000001) before rounding
+  const product = Number((toCents(amount) * Number(factor || 0)).toFixed(6));
+  return fromCents(roundHalfAwayFromZero(product));
+};
+
+/**
+ * Divides an amount by a factor, rounding the result to whole cents
+ */
+export const divideMoney = (amount, divisor) => {
+  const quotient = Number((toCents(amount) / Number(divisor)).toFixed(6));
+  return fromCents(roundHalfAwayFromZero(quotient));
+};
+
+/**
+ * Sums a list of amounts, or of `getAmount(item, index)` for each item
+ */
+export const sumMoney = (items = [], getAmount = (item) => item) =>
+  fromCents(items.reduce((total, item, index) => total + toCents(getAmount(item, index)), 0));
+
+/**
+ * Name of the cents field stored next to a dollar field
+ */
+export const centsField = (field) => `${field}Cents`;
+
+/**
+ * Reads a stored amount in whole cents, from the dollar field when the document has no cents yet
+ * @param {Object} data - Document data, line item or variant
+ * @param {string} field - Dollar field name, e.g. 'walletBalance'
+ */
+export const readCents = (data, field) => {
+  const cents = data?.[centsField(field)];
+  return Number.isInteger(cents) ? cents : toCents(data?.[field]);
+};
+
+/**
+ * Reads a stored amount as dollars, exact to the cent
+ */
+export const readMoney = (data, field) => fromCents(readCents(data, field));
+
+/**
+ * Fields to write for dollar amounts: each amount rounded to the cent, plus its cents field
+ * @param {Object} amounts - { field: dollar amount }
+ * @returns {Object} - e.g. { total: 10.3, totalCents: 1030 }
+ */
+export const moneyFields = (amounts) =>
+  Object.entries(amounts).reduce((fields, [field, amount]) => {
+    const cents = toCents(amount);
+    fields[field] = fromCents(cents);
+    fields[centsField(field)] = cents;
+    return fields;
+  }, {});
+
+/**
+ * A line item, product or variant about to be written, with `priceCents` set from its `price`
+ */
+export const withPriceCents = (item) => ({ ...item, ...moneyFields({ price: item.price }) });
+
+/**
+ * Price × quantity of one line item; a missing quantity counts as 1
+ */
+export const getLineTotal = (item) => multiplyMoney(readMoney(item, 'price'), Number(item.quantity || 1));
+
+/**
+ * Total price of a list of line items ({ price, quantity })
+ */
+export const sumLineItems = (items = []) => sumMoney(items, getLineTotal);
+
+/**
+ * Compares two amounts to the cent: negative, zero or positive like a sort comparator
+ */
+export const compareMoney = (a, b) => toCents(a) - toCents(b);
+
+/**
+ * Formats an amount as "$1,234.56" (or "-$1.50")
+ */
+export const formatMoney = (amount) => {
+  const cents = toCents(amount);
+  const formatted = (Math.abs(cents) / 100).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+  return `${cents < 0 ? '-' : ''}$${formatted}`;
+};
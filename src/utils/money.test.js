@@ -0,0 +1,125 @@
+import {
+  toCents,
+  fromCents,
+  roundMoney,
+  addMoney,
+  subtractMoney,
+  multiplyMoney,
+  divideMoney,
+  sumMoney,
+  getLineTotal,
+  sumLineItems,
+  compareMoney,
+  formatMoney,
+  readCents,
+  readMoney,
+  moneyFields,
+  withPriceCents
+} from './money';
+
+describe('toCents', () => {
+  it('rounds halves away from zero without float error', () => {
+    expect(toCents(1.005)).toBe(101);
+    expect(toCents(-1.005)).toBe(-101);
+    expect(toCents(10.299999999999999)).toBe(1030);
+    expect(toCents(19.999)).toBe(2000);
+  });
+
+  it('reads strings and treats invalid values as zero', () => {
+    expect(toCents('12.34')).toBe(1234);
+    expect(toCents('abc')).toBe(0);
+    expect(toCents(undefined)).toBe(0);
+    expect(toCents(Infinity)).toBe(0);
+  });
+
+  it('handles amounts written in exponent form', () => {
+    expect(toCents(1e-7)).toBe(0);
+    expect(toCents(1e21)).toBe(1e23);
+  });
+});
+
+describe('fromCents and roundMoney', () => {
+  it('converts whole cents back to dollars', () => {
+    expect(fromCents(1030)).toBe(10.3);
+    expect(fromCents(undefined)).toBe(0);
+  });
+
+  it('rounds to whole cents', () => {
+    expect(roundMoney(0.1 + 0.2)).toBe(0.3);
+    expect(roundMoney('2.675')).toBe(2.68);
+  });
+});
+
+describe('arithmetic', () => {
+  it('adds and subtracts exactly', () => {
+    expect(addMoney(0.1, 0.2)).toBe(0.3);
+    expect(addMoney(10.1, '5.05', undefined)).toBe(15.15);
+    expect(subtractMoney(0.3, 0.1)).toBe(0.2);
+    expect(subtractMoney(1, 1.01)).toBe(-0.01);
+  });
+
+  it('multiplies by rates and quantities', () => {
+    expect(multiplyMoney(50, 0.23)).toBe(11.5);
+    expect(multiplyMoney(19.99, 3)).toBe(59.97);
+    expect(multiplyMoney(0.05, 0.5)).toBe(0.03);
+    expect(multiplyMoney(10, undefined)).toBe(0);
+  });
+
+  it('divides with the same rounding rule', () => {
+    expect(divideMoney(10, 3)).toBe(3.33);
+    expect(divideMoney(123, 1.23)).toBe(100);
+    expect(divideMoney(-0.05, 2)).toBe(-0.03);
+  });
+
+  it('sums lists of amounts or items', () => {
+    expect(sumMoney([0.1, 0.2, 0.3])).toBe(0.6);
+    expect(sumMoney([{ amount: 1.1 }, { amount: 2.2 }], (item) => item.amount)).toBe(3.3);
+    expect(sumMoney()).toBe(0);
+  });
+
+  it('totals line items, counting a missing quantity as one', () => {
+    expect(getLineTotal({ price: 19.99 })).toBe(19.99);
+    expect(sumLineItems([{ price: 0.1, quantity: 3 }, { price: 4.5, quantity: 2 }])).toBe(9.3);
+  });
+});
+
+describe('stored amounts', () => {
+  it('reads the cents field, falling back to the dollar field', () => {
+    expect(readCents({ walletBalance: 12.499, walletBalanceCents: 1250 }, 'walletBalance')).toBe(1250);
+    expect(readCents({ walletBalance: '12.499' }, 'walletBalance')).toBe(1250);
+    expect(readCents({ walletBalance: 3, walletBalanceCents: 'x' }, 'walletBalance')).toBe(300);
+    expect(readMoney(undefined, 'walletBalance')).toBe(0);
+    expect(readMoney({ totalCents: 1030 }, 'total')).toBe(10.3);
+  });
+
+  it('writes each amount in dollars and cents', () => {
+    expect(moneyFields({ fee: 0.1 + 0.2, netAmount: '9.7' })).toEqual({
+      fee: 0.3,
+      feeCents: 30,
+      netAmount: 9.7,
+      netAmountCents: 970
+    });
+  });
+
+  it('sets the cents of an item from its current price', () => {
+    expect(withPriceCents({ id: 'v1', price: 7.005, priceCents: 100 })).toEqual({ id: 'v1', price: 7.01, priceCents: 701 });
+    expect(getLineTotal({ price: 1, priceCents: 250, quantity: 2 })).toBe(5);
+  });
+});
+
+describe('compareMoney', () => {
+  it('compares to the cent', () => {
+    expect(compareMoney(0.1 + 0.2, 0.3)).toBe(0);
+    expect(compareMoney(1, 1.01)).toBeLessThan(0);
+    expect([3, 1.5, 2].sort(compareMoney)).toEqual([1.5, 2, 3]);
+  });
+});
+
+describe('formatMoney', () => {
+  it('formats with a thousands separator and the sign in front', () => {
+    expect(formatMoney(1234.5)).toBe('$1,234.50');
+    expect(formatMoney(-1.5)).toBe('-$1.50');
+    expect(formatMoney(-0.001)).toBe('$0.00');
+    expect(formatMoney()).toBe('$0.00');
+  });
+});
@@ -0,0 +1,132 @@
+import { db } from '../firebase';
+import { collection, getDocs, runTransaction } from 'firebase/firestore';
+import { centsField, fromCents, moneyFields } from './money';
+
+/**
+ * One-off migration for amounts written before they were stored in cents.
+ * Every money field gets its `<field>Cents` integer, and the dollar field is
+ * rounded to match (10.299999999999999 → 10.3, 1030). Documents that already
+ * have the cents field keep it and only have the dollar field brought in
+ * line with it. Prices of order items and product variants are migrated the
+ * same way. The `transactions` and `ledgerEntries` history is left
+ * untouched; readers fall back to the dollar figures there.
+ *
+ * Seller balances only move by less than a cent here. Ledger lines are
+ * rounded to the cent as well, so the stored balances come closer to the
+ * ledger and no entry is posted for the change.
+ *
+ * Each document is migrated in its own transaction that re-reads it, so a
+ * balance that changed after the scan is converted from its current value
+ * instead of being overwritten with the scanned one.
+ */
+
+export const MONEY_FIELDS = {
+  sellers: ['walletBalance', 'pendingAmount', 'totalRevenue', 'totalSales', 'guaranteeMoney'],
+  orders: [
+    'subtotal',
+    'total',
+    'totalAmount',
+    'walletDeducted',
+    'pendingAdded',
+    'additionalProfit',
+    'pendingTransferred',
+    'baseAmountTransferred',
+    'profitAmountTransferred',
+    'walletBalanceBefore',
+    'walletBalanceAfter',
+    'pendingAmountBefore',
+    'pendingAmountAfter'
+  ],
+  orderGroups: ['subtotal', 'total'],
+  products: ['price'],
+  withdrawalRequests: ['amount', 'fee', 'netAmount'],
+  depositRequests: ['amount'],
+  refundRequests: ['amount']
+};
+
+// Lists whose entries carry their own price: order line items and product variants
+const PRICE_LISTS = {
+  orders: 'items',
+  orderGroups: 'items',
+  products: 'variants'
+};
+
+const isAmount = (value) =>
+  (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value));
+
+// Updates that give one field its cents, or bring the dollar field in line with the stored cents
+const getFieldUpdates = (data, field) => {
+  const cents = data[centsField(field)];
+  if (Number.isInteger(cents)) {
+    return data[field] === fromCents(cents) ? {} : { [field]: fromCents(cents) };
+  }
+  return isAmount(data[field]) ? moneyFields({ [field]: data[field] }) : {};
+};
+
+/**
+ * Works out the updates that store one document's money fields in cents
+ * @param {string} collectionName - Key of MONEY_FIELDS
+ * @param {Object} data - Document data
+ * @returns {Object|null} - Field updates, or null when the document is already migrated
+ */
+export const getMoneyFieldUpdates = (collectionName, data) => {
+  const updates = {};
+
+  (MONEY_FIELDS[collectionName] || []).forEach((field) => {
+    Object.assign(updates, getFieldUpdates(data, field));
+  });
+
+  const listField = PRICE_LISTS[collectionName];
+  const list = listField ? data[listField] : null;
+  if (Array.isArray(list)) {
+    let listChanged = false;
+    const migrated = list.map((entry) => {
+      const entryUpdates = entry && typeof entry === 'object' ? getFieldUpdates(entry, 'price') : {};
+      if (Object.keys(entryUpdates).length === 0) return entry;
+      listChanged = true;
+      return { ...entry, ...entryUpdates };
+    });
+    if (listChanged) updates[listField] = migrated;
+  }
+
+  return Object.keys(updates).length > 0 ? updates : null;
+};
+
+/**
+ * Stores every money field in cents
+ * @param {Object} options - { dryRun } to only count the documents that would change
+ * @returns {Promise<Object>} - { scanned, changed, byCollection: { [name]: count } }
+ */
+export const migrateMoneyFields = async ({ dryRun = false } = {}) => {
+  const result = { scanned: 0, changed: 0, byCollection: {} };
+
+  for (const collectionName of Object.keys(MONEY_FIELDS)) {
+    const snapshot = await getDocs(collection(db, collectionName));
+    let changed = 0;
+
+    for (const documentSnapshot of snapshot.docs) {
+      result.scanned += 1;
+      if (!getMoneyFieldUpdates(collectionName, documentSnapshot.data())) continue;
+
+      if (dryRun) {
+        changed += 1;
+        continue;
+      }
+
+      const migrated = await runTransaction(db, async (transaction) => {
+        const currentDoc = await transaction.get(documentSnapshot.ref);
+        const updates = currentDoc.exists() ? getMoneyFieldUpdates(collectionName, currentDoc.data()) : null;
+        if (!updates) return false;
+
+        transaction.update(documentSnapshot.ref, updates);
+        return true;
+      });
+      if (migrated) changed += 1;
+    }
+
+    result.byCollection[collectionName] = changed;
+    result.changed += changed;
+  }
+
+  return result;
+};
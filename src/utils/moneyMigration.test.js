@@ -0,0 +1,88 @@
+import { getMoneyFieldUpdates, migrateMoneyFields } from './moneyMigration';
+import { runTransaction } from 'firebase/firestore';
+import { mockFirestoreCollections, mockFirestoreDocuments } from '../testUtils/firestore';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore');
+
+// Serves the scanned data from getDocs and the current data from transactions
+const mockDocuments = (scanned, current) => {
+  mockFirestoreCollections(scanned);
+  return mockFirestoreDocuments(current);
+};
+
+describe('getMoneyFieldUpdates', () => {
+  it('stores the money fields and item prices in cents, rounding the dollars', () => {
+    expect(getMoneyFieldUpdates('orders', {
+      total: 10.299999999999999,
+      subtotal: 10,
+      status: 'pending',
+      items: [{ id: 'p1', price: 19.999 }, { id: 'p2', price: 5 }]
+    })).toEqual({
+      total: 10.3,
+      totalCents: 1030,
+      subtotal: 10,
+      subtotalCents: 1000,
+      items: [{ id: 'p1', price: 20, priceCents: 2000 }, { id: 'p2', price: 5, priceCents: 500 }]
+    });
+  });
+
+  it('migrates the variant prices of products and reads prices saved as text', () => {
+    expect(getMoneyFieldUpdates('products', {
+      price: '9.999',
+      variants: [{ id: 'v1', price: 4.5, priceCents: 450 }, { id: 'v2', price: 7.005 }]
+    })).toEqual({
+      price: 10,
+      priceCents: 1000,
+      variants: [{ id: 'v1', price: 4.5, priceCents: 450 }, { id: 'v2', price: 7.01, priceCents: 701 }]
+    });
+  });
+
+  it('keeps stored cents and brings the dollar field in line with them', () => {
+    expect(getMoneyFieldUpdates('sellers', { walletBalance: 12.499999, walletBalanceCents: 1250 })).toEqual({
+      walletBalance: 12.5
+    });
+  });
+
+  it('returns null for migrated documents and ignores other fields', () => {
+    expect(getMoneyFieldUpdates('sellers', { walletBalance: 12.5, walletBalanceCents: 1250, rating: 4.666 })).toBeNull();
+    expect(getMoneyFieldUpdates('products', { name: 'Lamp', price: 'free' })).toBeNull();
+  });
+});
+
+describe('migrateMoneyFields', () => {
+  it('only counts the documents on a dry run', async () => {
+    const writes = mockDocuments({ 'sellers/s1': { walletBalance: 0.30000000000000004 } }, {});
+
+    const result = await migrateMoneyFields({ dryRun: true });
+
+    expect(result.changed).toBe(1);
+    expect(result.byCollection.sellers).toBe(1);
+    expect(runTransaction).not.toHaveBeenCalled();
+    expect(writes).toEqual([]);
+  });
+
+  it('converts the current value, not the scanned one', async () => {
+    const writes = mockDocuments(
+      {
+        'sellers/s1': { walletBalance: 0.30000000000000004 },
+        'sellers/s2': { walletBalance: 1.0000001 },
+        'sellers/s3': { walletBalance: 2.0000001 }
+      },
+      {
+        // Paid out after the scan
+        'sellers/s1': { walletBalance: 50.30000000000001 },
+        // Already migrated by someone else; s3 was deleted
+        'sellers/s2': { walletBalance: 1, walletBalanceCents: 100 }
+      }
+    );
+
+    const result = await migrateMoneyFields();
+
+    expect(writes).toEqual([
+      { type: 'update', path: 'sellers/s1', data: { walletBalance: 50.3, walletBalanceCents: 5030 } }
+    ]);
+    expect(result).toMatchObject({ scanned: 3, changed: 1 });
+    expect(result.byCollection.sellers).toBe(1);
+  });
+});
@@ -0,0 +1,316 @@
+import { db } from '../firebase';
+import {
+  doc,
+  collection,
+  query,
+  where,
+  getDocs,
+  runTransaction,
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp
+} from 'firebase/firestore';
+import { applyStatusTransition, canTransition } from './orderLifecycle';
+import { calculatePickAmounts } from './orderPicking';
+
+/**
+ * Automatic order assignment. A strategy ranks the sellers that are allowed
+ * to take an order; the winner is assigned and the reason it was chosen is
+ * stored on the order's statusHistory entry.
+ */
+
+export const ASSIGNMENT_STRATEGIES = {
+  ROUND_ROBIN: 'round_robin',
+  STOCKS_PRODUCT: 'stocks_product',
+  BEST_COMPLETION_RATE: 'best_completion_rate'
+};
+
+export const ASSIGNMENT_STRATEGY_LABELS = {
+  [ASSIGNMENT_STRATEGIES.ROUND_ROBIN]: 'Round-robin',
+  [ASSIGNMENT_STRATEGIES.STOCKS_PRODUCT]: 'Seller stocking the product',
+  [ASSIGNMENT_STRATEGIES.BEST_COMPLETION_RATE]: 'Best completion rate'
+};
+
+// Statuses that end an order's life with a seller, used for completion rates
+const FINISHED_STATUSES = ['completed', 'cancelled', 'refunded'];
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? 0 : time;
+};
+
+const sellerLabel = (seller) => seller.name || seller.shopName || seller.email || seller.id;
+
+/**
+ * Returns why a seller cannot take the order, or null when the seller is eligible.
+ * Sellers need enough wallet balance to pay for the products when they pick the order.
+ */
+export const getSellerIneligibilityReason = (seller, order) => {
+  const status = (seller.status || '').toLowerCase();
+  if (status === 'frozen') {
+    return 'Seller account is frozen';
+  }
+  if (status !== 'active') {
+    return 'Seller account is not active';
+  }
+
+  const { totalProductPrice } = calculatePickAmounts(order.items);
+  const walletBalance = Number(seller.walletBalance || 0);
+  if (walletBalance < totalProductPrice) {
+    return `Wallet balance $${walletBalance.toFixed(2)} is below the order cost $${totalProductPrice.toFixed(2)}`;
+  }
+
+  return null;
+};
+
+/**
+ * Builds completion statistics per seller from finished orders
+ * @param {Array} orders - Orders with sellerId and status
+ * @returns {Object} - { [sellerId]: { completed, finished, rate } }
+ */
+export const calculateCompletionStats = (orders = []) => {
+  const stats = {};
+  orders.forEach((order) => {
+    if (!order.sellerId || !FINISHED_STATUSES.includes(order.status)) return;
+
+    const entry = stats[order.sellerId] || { completed: 0, finished: 0, rate: 0 };
+    entry.finished += 1;
+    if (order.status === 'completed') {
+      entry.completed += 1;
+    }
+    entry.rate = entry.completed / entry.finished;
+    stats[order.sellerId] = entry;
+  });
+  return stats;
+};
+
+const rankRoundRobin = (candidates) => {
+  const [seller] = [...candidates].sort(
+    (a, b) => toMillis(a.lastAutoAssignedAt) - toMillis(b.lastAutoAssignedAt) || a.id.localeCompare(b.id)
+  );
+  return {
+    seller,
+    reason: seller.lastAutoAssignedAt
+      ? `Round-robin: ${sellerLabel(seller)} had the longest wait since their last automatic assignment`
+      : `Round-robin: ${sellerLabel(seller)} had not received an automatic assignment yet`
+  };
+};
+
+const rankByStock = (candidates, order) => {
+  const productIds = (order.items || []).map((item) => item.id).filter(Boolean);
+  if (productIds.length === 0) {
+    return { seller: null, reason: 'Order has no product ids to match against seller stock' };
+  }
+
+  // Sub-orders from a split cart remember whose listing the items came from
+  const listingSeller = candidates.find((seller) => seller.id === order.listingSellerId);
+  if (listingSeller) {
+    return {
+      seller: listingSeller,
+      reason: `Stock match: the items were ordered from ${sellerLabel(listingSeller)}'s listing`
+    };
+  }
+
+  const ranked = candidates
+    .map((seller) => ({
+      seller,
+      stocked: productIds.filter((id) => (seller.products || []).includes(id)).length
+    }))
+    .filter((entry) => entry.stocked > 0)
+    .sort(
+      (a, b) =>
+        b.stocked - a.stocked ||
+        toMillis(a.seller.lastAutoAssignedAt) - toMillis(b.seller.lastAutoAssignedAt)
+    );
+
+  if (ranked.length === 0) {
+    return { seller: null, reason: 'No eligible seller stocks the products in this order' };
+  }
+
+  const { seller, stocked } = ranked[0];
+  return {
+    seller,
+    reason: `Stock match: ${sellerLabel(seller)} stocks ${stocked} of ${productIds.length} product(s) in the order`
+  };
+};
+
+const rankByCompletionRate = (candidates, completionStats) => {
+  const ranked = candidates
+    .map((seller) => ({ seller, stats: completionStats[seller.id] || { completed: 0, finished: 0, rate: 0 } }))
+    .sort(
+      (a, b) =>
+        b.stats.rate - a.stats.rate ||
+        b.stats.finished - a.stats.finished ||
+        toMillis(a.seller.lastAutoAssignedAt) - toMillis(b.seller.lastAutoAssignedAt)
+    );
+
+  const { seller, stats } = ranked[0];
+  return {
+    seller,
+    reason: stats.finished > 0
+      ? `Best completion rate: ${sellerLabel(seller)} completed ${stats.completed} of ${stats.finished} finished orders (${(stats.rate * 100).toFixed(0)}%)`
+      : `Best completion rate: no eligible seller has finished orders yet, ${sellerLabel(seller)} chosen first`
+  };
+};
+
+/**
+ * Chooses a seller for an order without writing anything
+ * @param {Object} order - Order with items
+ * @param {Array} sellers - Seller documents ({ id, ...data })
+ * @param {string} strategy - One of ASSIGNMENT_STRATEGIES
+ * @param {Object} context - { completionStats } required by the completion rate strategy
+ * @returns {Object} - { seller, reason, skipped } where seller is null if nobody qualifies
+ */
+export const selectSellerForOrder = (order, sellers, strategy, context = {}) => {
+  const skipped = [];
+  const candidates = sellers.filter((seller) => {
+    const reason = getSellerIneligibilityReason(seller, order);
+    if (reason) {
+      skipped.push({ sellerId: seller.id, reason });
+    }
+    return !reason;
+  });
+
+  if (candidates.length === 0) {
+    return { seller: null, reason: 'No active seller has enough wallet balance for this order', skipped };
+  }
+
+  let choice;
+  switch (strategy) {
+    case ASSIGNMENT_STRATEGIES.STOCKS_PRODUCT:
+      choice = rankByStock(candidates, order);
+      break;
+    case ASSIGNMENT_STRATEGIES.BEST_COMPLETION_RATE:
+      choice = rankByCompletionRate(candidates, context.completionStats || {});
+      break;
+    case ASSIGNMENT_STRATEGIES.ROUND_ROBIN:
+      choice = rankRoundRobin(candidates);
+      break;
+    default:
+      throw new Error(`Unknown assignment strategy: ${strategy}`);
+  }
+
+  return { ...choice, skipped };
+};
+
+/**
+ * Loads everything a strategy needs to rank sellers
+ * @param {string} strategy - One of ASSIGNMENT_STRATEGIES
+ * @returns {Promise<Object>} - { sellers, completionStats }
+ */
+export const loadAssignmentContext = async (strategy) => {
+  const sellerDocs = await getDocs(collection(db, 'sellers'));
+  const sellers = sellerDocs.docs.map((sellerDoc) => ({ id: sellerDoc.id, ...sellerDoc.data() }));
+
+  let completionStats = {};
+  if (strategy === ASSIGNMENT_STRATEGIES.BEST_COMPLETION_RATE) {
+    const finishedOrders = await getDocs(
+      query(collection(db, 'orders'), where('status', 'in', FINISHED_STATUSES))
+    );
+    completionStats = calculateCompletionStats(finishedOrders.docs.map((orderDoc) => orderDoc.data()));
+  }
+
+  return { sellers, completionStats };
+};
+
+/**
+ * Assigns one order using a strategy. The chosen seller is re-checked inside
+ * the transaction so a seller frozen or drained in the meantime is not used.
+ * @param {string} orderId - Order to assign
+ * @param {string} strategy - One of ASSIGNMENT_STRATEGIES
+ * @param {Object} context - Result of loadAssignmentContext; loaded when omitted
+ * @returns {Promise<Object>} - { sellerId, reason }
+ */
+export const autoAssignOrder = async (orderId, strategy, context) => {
+  const assignmentContext = context || (await loadAssignmentContext(strategy));
+  const orderRef = doc(db, 'orders', orderId);
+
+  return runTransaction(db, async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists()) {
+      throw new Error('Order not found');
+    }
+
+    const orderData = orderDoc.data();
+    if (!canTransition(orderData.status, 'assigned', 'system')) {
+      throw new Error(`Order cannot be assigned while it is ${orderData.status}`);
+    }
+
+    // Never hand the order back to the seller it is being taken from
+    const sellers = assignmentContext.sellers.filter((seller) => seller.id !== orderData.sellerId);
+    const { seller, reason } = selectSellerForOrder(
+      orderData,
+      sellers,
+      strategy,
+      assignmentContext
+    );
+    if (!seller) {
+      throw new Error(reason);
+    }
+
+    const sellerRef = doc(db, 'sellers', seller.id);
+    const sellerDoc = await transaction.get(sellerRef);
+    if (!sellerDoc.exists()) {
+      throw new Error('Seller data not found');
+    }
+    const latestIneligibility = getSellerIneligibilityReason({ id: seller.id, ...sellerDoc.data() }, orderData);
+    if (latestIneligibility) {
+      throw new Error(`${sellerLabel(seller)} can no longer take this order: ${latestIneligibility}`);
+    }
+
+    const previousSellerRef = orderData.sellerId ? doc(db, 'sellers', orderData.sellerId) : null;
+    const previousSellerDoc = previousSellerRef ? await transaction.get(previousSellerRef) : null;
+
+    applyStatusTransition(transaction, orderRef, orderData, 'assigned', {
+      role: 'system',
+      note: `Auto-assigned (${ASSIGNMENT_STRATEGY_LABELS[strategy]})`,
+      updates: {
+        sellerId: seller.id,
+        assignedAt: new Date(),
+        assignedBy: 'auto'
+      },
+      historyExtra: {
+        sellerId: seller.id,
+        assignmentStrategy: strategy,
+        assignmentReason: reason
+      }
+    });
+
+    if (previousSellerDoc && previousSellerDoc.exists()) {
+      transaction.update(previousSellerRef, { orders: arrayRemove(orderId) });
+    }
+    transaction.update(sellerRef, {
+      orders: arrayUnion(orderId),
+      lastAutoAssignedAt: serverTimestamp()
+    });
+
+    // Keep the shared context current so the next order in a batch rotates
+    seller.lastAutoAssignedAt = new Date();
+
+    return { sellerId: seller.id, reason };
+  });
+};
+
+/**
+ * Assigns several orders one after another with the same strategy
+ * @param {Array<string>} orderIds - Orders to assign
+ * @param {string} strategy - One of ASSIGNMENT_STRATEGIES
+ * @returns {Promise<Array>} - Per order { orderId, sellerId, reason } or { orderId, error }
+ */
+export const autoAssignOrders = async (orderIds, strategy) => {
+  const context = await loadAssignmentContext(strategy);
+  const results = [];
+
+  for (const orderId of orderIds) {
+    try {
+      const { sellerId, reason } = await autoAssignOrder(orderId, strategy, context);
+      results.push({ orderId, sellerId, reason });
+    } catch (error) {
+      results.push({ orderId, error: error.message });
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,209 @@
+import { getCarrierLabel, parseCalendarDate } from './shipments';
+import { formatMoney, getLineTotal, sumLineItems } from './money';
+
+/**
+ * Printable order documents (invoice and packing slip). They are rendered as
+ * print-optimized HTML in a new window, so the browser's print dialog can send
+ * them to a printer or save them as PDF.
+ */
+
+export const ORDER_DOCUMENT_TYPES = {
+  INVOICE: 'invoice',
+  PACKING_SLIP: 'packing_slip'
+};
+
+const DOCUMENT_TITLES = {
+  [ORDER_DOCUMENT_TYPES.INVOICE]: 'Invoice',
+  [ORDER_DOCUMENT_TYPES.PACKING_SLIP]: 'Packing Slip'
+};
+
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatDocumentDate = (value) => {
+  if (!value) return 'N/A';
+  // Order dates picked at checkout are yyyy-mm-dd days, not UTC instants
+  const date = typeof value.toDate === 'function' ? value.toDate() : parseCalendarDate(value);
+  return date ? date.toLocaleDateString() : 'N/A';
+};
+
+const getOrderLabel = (order) => order.orderNumber || order.id.substring(0, 8);
+
+const buildShippingBlock = (order) => {
+  const addressLines = [
+    order.shippingAddress,
+    [order.shippingCity, order.shippingPostalCode].filter(Boolean).join(' '),
+    order.shippingCountry
+  ].filter(Boolean);
+
+  return `
+    <div class="block">
+      <h3>Ship To</h3>
+      <p><strong>${escapeHtml(order.customerName || 'Customer')}</strong></p>
+      ${addressLines.map((line) => `<p>${escapeHtml(line)}</p>`).join('')}
+      <p>Phone: ${escapeHtml(order.customerPhone || 'N/A')}</p>
+    </div>`;
+};
+
+// Chosen size/color/material and SKU under the product name
+const formatItemVariant = (item) => {
+  const details = [item.variantLabel, item.sku ? `SKU ${item.sku}` : ''].filter(Boolean).join(' · ');
+  return details ? `<div class="variant">${escapeHtml(details)}</div>` : '';
+};
+
+const buildInvoiceBody = (order) => {
+  const items = order.items || [];
+  const rows = items
+    .map((item) => {
+      const quantity = Number(item.quantity || 1);
+      return `
+        <tr>
+          <td>${escapeHtml(item.name)}${formatItemVariant(item)}</td>
+          <td class="num">${quantity}</td>
+          <td class="num">${formatMoney(item.price)}</td>
+          <td class="num">${formatMoney(getLineTotal(item))}</td>
+        </tr>`;
+    })
+    .join('');
+  const subtotal = order.subtotal ?? sumLineItems(items);
+
+  return `
+    <div class="columns">
+      ${buildShippingBlock(order)}
+      <div class="block">
+        <h3>Bill To</h3>
+        <p>${escapeHtml(order.customerName || 'Customer')}</p>
+        <p>${escapeHtml(order.customerEmail || '')}</p>
+        <p>Payment: ${escapeHtml(order.paymentMethod || 'Not specified')}</p>
+      </div>
+    </div>
+    <table>
+      <thead>
+        <tr><th>Product</th><th class="num">Qty</th><th class="num">Unit Price</th><th class="num">Amount</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+      <tfoot>
+        <tr><td colspan="3" class="num">Subtotal</td><td class="num">${formatMoney(subtotal)}</td></tr>
+        ${order.shipping ? `<tr><td colspan="3" class="num">Shipping</td><td class="num">${formatMoney(order.shipping)}</td></tr>` : ''}
+        <tr class="total"><td colspan="3" class="num">Total</td><td class="num">${formatMoney(order.total ?? order.totalAmount)}</td></tr>
+      </tfoot>
+    </table>`;
+};
+
+// Packing slips list what goes in the box and leave prices out
+const buildPackingSlipBody = (order) => {
+  const rows = (order.items || [])
+    .map(
+      (item) => `
+        <tr>
+          <td class="check">&#9744;</td>
+          <td>${escapeHtml(item.name)}${formatItemVariant(item)}</td>
+          <td class="num">${Number(item.quantity || 1)}</td>
+        </tr>`
+    )
+    .join('');
+  const totalQuantity = (order.items || []).reduce((total, item) => total + Number(item.quantity || 1), 0);
+
+  return `
+    <div class="columns">
+      ${buildShippingBlock(order)}
+      ${order.shipment ? `
+      <div class="block">
+        <h3>Shipment</h3>
+        <p>Carrier: ${escapeHtml(getCarrierLabel(order.shipment.carrier))}</p>
+        <p>Tracking: ${escapeHtml(order.shipment.trackingNumber)}</p>
+      </div>` : ''}
+    </div>
+    <table>
+      <thead>
+        <tr><th class="check"></th><th>Product</th><th class="num">Qty</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+      <tfoot>
+        <tr class="total"><td></td><td class="num">Total items</td><td class="num">${totalQuantity}</td></tr>
+      </tfoot>
+    </table>`;
+};
+
+/**
+ * Builds the complete HTML page for an order document
+ * @param {Object} order - Order ({ id, ...data })
+ * @param {string} type - One of ORDER_DOCUMENT_TYPES
+ * @returns {string} - Standalone HTML document
+ */
+export const buildOrderDocumentHtml = (order, type) => {
+  const title = DOCUMENT_TITLES[type];
+  if (!title) {
+    throw new Error(`Unknown document type: ${type}`);
+  }
+
+  const body = type === ORDER_DOCUMENT_TYPES.INVOICE ? buildInvoiceBody(order) : buildPackingSlipBody(order);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${title} - Order #${escapeHtml(getOrderLabel(order))}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 32px; font-size: 13px; }
+    header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #222; padding-bottom: 12px; margin-bottom: 20px; }
+    header h1 { margin: 0; font-size: 26px; letter-spacing: 1px; text-transform: uppercase; }
+    header .meta p { margin: 2px 0; text-align: right; }
+    .columns { display: flex; gap: 32px; margin-bottom: 24px; }
+    .block { flex: 1; }
+    .block h3 { margin: 0 0 6px; font-size: 12px; text-transform: uppercase; color: #666; }
+    .block p { margin: 2px 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    th { background: #f3f3f3; font-size: 12px; text-transform: uppercase; }
+    .num { text-align: right; }
+    .check { width: 32px; font-size: 16px; }
+    .variant { font-size: 11px; color: #666; }
+    tfoot td { border-bottom: none; }
+    tr.total td { font-weight: bold; font-size: 15px; border-top: 2px solid #222; }
+    footer { margin-top: 32px; font-size: 11px; color: #777; text-align: center; }
+    @media print {
+      body { margin: 0; }
+      @page { margin: 16mm; }
+    }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${title}</h1>
+    <div class="meta">
+      <p><strong>Order #${escapeHtml(getOrderLabel(order))}</strong></p>
+      <p>Order ID: ${escapeHtml(order.id)}</p>
+      <p>Date: ${escapeHtml(formatDocumentDate(order.orderDate || order.createdAt))}</p>
+    </div>
+  </header>
+  ${body}
+  <footer>Printed ${escapeHtml(new Date().toLocaleString())}</footer>
+</body>
+</html>`;
+};
+
+/**
+ * Opens the document in a new window and starts printing
+ * @param {Object} order - Order ({ id, ...data })
+ * @param {string} type - One of ORDER_DOCUMENT_TYPES
+ */
+export const printOrderDocument = (order, type) => {
+  const printWindow = window.open('', '_blank', 'width=800,height=900');
+  if (!printWindow) {
+    throw new Error('Please allow pop-ups for this site to print order documents');
+  }
+
+  printWindow.document.open();
+  printWindow.document.write(buildOrderDocumentHtml(order, type));
+  printWindow.document.close();
+  printWindow.focus();
+  // Give the new window a moment to lay out before opening the print dialog
+  setTimeout(() => printWindow.print(), 500);
+};
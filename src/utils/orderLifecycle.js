@@ -0,0 +1,285 @@
+import { db } from '../firebase';
+import { doc, runTransaction, arrayUnion } from 'firebase/firestore';
+import { RESTOCK_STATUSES, readOrderRestock, restockOrder } from './inventory';
+import { LEDGER_ACCOUNTS, postSellerLedgerEntry, withBalancingLine } from './walletLedger';
+import { readMoney, formatMoney } from './money';
+
+/**
+ * Order lifecycle shared by the admin, seller and customer views.
+ * Every status change should go through this module so that illegal
+ * jumps (e.g. completed -> pending) are rejected and recorded consistently.
+ */
+
+export const ORDER_STATUS = {
+  PENDING: 'pending',
+  ASSIGNED: 'assigned',
+  PICKED: 'picked',
+  PROCESSING: 'processing',
+  ON_THE_WAY: 'on-the-way',
+  COMPLETION_REQUESTED: 'completion_requested',
+  COMPLETED: 'completed',
+  REFUND_REQUESTED: 'refund_requested',
+  REFUNDED: 'refunded',
+  CANCELLED: 'cancelled'
+};
+
+export const ORDER_ROLES = {
+  ADMIN: 'admin',
+  SELLER: 'seller',
+  CUSTOMER: 'customer',
+  SYSTEM: 'system'
+};
+
+// Display label and MUI chip color for each status
+const STATUS_META = {
+  pending: { label: 'Pending', color: 'default' },
+  assigned: { label: 'Assigned', color: 'primary' },
+  picked: { label: 'Picked', color: 'secondary' },
+  processing: { label: 'Processing', color: 'info' },
+  'on-the-way': { label: 'On the way', color: 'warning' },
+  completion_requested: { label: 'Completion requested', color: 'warning' },
+  completed: { label: 'Completed', color: 'success' },
+  refund_requested: { label: 'Refund requested', color: 'warning' },
+  refunded: { label: 'Refunded', color: 'error' },
+  cancelled: { label: 'Cancelled', color: 'error' },
+  // Legacy history-only value written by older versions of the assign flow
+  unassigned: { label: 'Unassigned', color: 'default' }
+};
+
+// Allowed transitions: current status -> next status -> roles allowed to make the move
+const TRANSITIONS = {
+  pending: {
+    assigned: ['admin', 'system'],
+    picked: ['seller'],
+    cancelled: ['admin', 'customer', 'system']
+  },
+  assigned: {
+    // Re-assigning to another seller keeps the order in "assigned"
+    assigned: ['admin', 'system'],
+    pending: ['admin', 'system'],
+    picked: ['seller'],
+    cancelled: ['admin', 'system']
+  },
+  picked: {
+    processing: ['seller', 'admin'],
+    'on-the-way': ['seller', 'admin'],
+    cancelled: ['admin', 'system']
+  },
+  processing: {
+    'on-the-way': ['seller', 'admin'],
+    completion_requested: ['seller'],
+    completed: ['admin'],
+    cancelled: ['admin', 'system']
+  },
+  'on-the-way': {
+    completion_requested: ['seller'],
+    completed: ['admin'],
+    cancelled: ['admin', 'system']
+  },
+  completion_requested: {
+    // Admin either approves the completion or sends the order back
+    completed: ['admin'],
+    processing: ['admin'],
+    cancelled: ['admin']
+  },
+  completed: {
+    refund_requested: ['customer']
+  },
+  refund_requested: {
+    // Admin approves the refund or rejects it, which returns the order to completed
+    refunded: ['admin'],
+    completed: ['admin']
+  },
+  refunded: {},
+  cancelled: {}
+};
+
+// Statuses an order only leaves through a dedicated flow: a refund request is
+// approved or rejected in refunds.js, which also moves the money and closes the
+// request, so a plain status change must never take the order out of it
+const REVIEW_ONLY_STATUSES = ['refund_requested'];
+
+// Assignment has its own flow too
+const FLOW_ONLY_NEXT_STATUSES = ['assigned', 'pending'];
+
+export const getOrderStatusLabel = (status) => STATUS_META[status]?.label || status || 'Unknown';
+
+export const getOrderStatusColor = (status) => STATUS_META[status]?.color || 'default';
+
+/**
+ * Statuses the given role may move an order to from its current status
+ * @param {string} currentStatus - Current order status
+ * @param {string} role - One of ORDER_ROLES
+ * @returns {string[]} - Allowed next statuses
+ */
+export const getAllowedTransitions = (currentStatus, role) => {
+  const next = TRANSITIONS[currentStatus || ORDER_STATUS.PENDING] || {};
+  return Object.keys(next).filter((status) => next[status].includes(role));
+};
+
+export const canTransition = (currentStatus, nextStatus, role) =>
+  getAllowedTransitions(currentStatus, role).includes(nextStatus);
+
+/**
+ * Whether the order is waiting on a review (e.g. a refund request) that has
+ * its own approve / reject flow instead of plain status changes
+ */
+export const isAwaitingReview = (status) => REVIEW_ONLY_STATUSES.includes(status);
+
+/**
+ * Statuses to offer in a generic "update status" control: the allowed moves
+ * minus those that belong to the assignment or review flows
+ * @param {string} currentStatus - Current order status
+ * @param {string} role - One of ORDER_ROLES
+ * @returns {string[]}
+ */
+export const getStatusUpdateOptions = (currentStatus, role) =>
+  (isAwaitingReview(currentStatus)
+    ? []
+    : getAllowedTransitions(currentStatus, role).filter((status) => !FLOW_ONLY_NEXT_STATUSES.includes(status)));
+
+/**
+ * Throws if the role is not allowed to move the order to the next status
+ */
+export const assertTransition = (currentStatus, nextStatus, role) => {
+  if (!canTransition(currentStatus, nextStatus, role)) {
+    throw new Error(
+      `Order cannot be moved from "${getOrderStatusLabel(currentStatus)}" to "${getOrderStatusLabel(nextStatus)}" by ${role}`
+    );
+  }
+};
+
+/**
+ * Builds a statusHistory entry. Firestore rejects undefined values, so the
+ * note is only included when provided.
+ */
+export const buildStatusHistoryEntry = (status, role, note, extra = {}) => {
+  const entry = {
+    status,
+    timestamp: new Date().toISOString(),
+    updatedBy: role,
+    ...extra
+  };
+  if (note) {
+    entry.note = note;
+  }
+  return entry;
+};
+
+/**
+ * Validates and applies a status change inside an existing Firestore transaction.
+ * Use this when the status change must be atomic with other writes (wallet, etc.).
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {DocumentReference} orderRef - Order document reference
+ * @param {Object} orderData - Order data read in the same transaction
+ * @param {string} nextStatus - Status to move to
+ * @param {Object} options - { role, note, updates, historyExtra }
+ * @returns {Object} - The statusHistory entry that was appended
+ */
+export const applyStatusTransition = (transaction, orderRef, orderData, nextStatus, options = {}) => {
+  const { role, note, updates = {}, historyExtra } = options;
+  assertTransition(orderData.status, nextStatus, role);
+
+  const entry = buildStatusHistoryEntry(nextStatus, role, note, historyExtra);
+  transaction.update(orderRef, {
+    ...updates,
+    status: nextStatus,
+    statusHistory: arrayUnion(entry)
+  });
+  return entry;
+};
+
+/**
+ * Reads the seller of a picked order so its money can be handed back when
+ * the order is cancelled. Must run before any write in the transaction.
+ * @returns {Promise<Object|null>} - { sellerRef, sellerData } or null when no money moved
+ */
+export const readCancelReversal = async (transaction, orderData) => {
+  if (!orderData.sellerId || !orderData.pickedAt) return null;
+  if (!(readMoney(orderData, 'walletDeducted') > 0) && !(readMoney(orderData, 'pendingAdded') > 0)) return null;
+
+  const sellerRef = doc(db, 'sellers', orderData.sellerId);
+  const sellerDoc = await transaction.get(sellerRef);
+  return sellerDoc.exists() ? { sellerRef, sellerData: sellerDoc.data() } : null;
+};
+
+/**
+ * Returns the pick deduction of a cancelled order to the seller's wallet and
+ * takes the order's amount back out of pending
+ * @param {Object} reversal - From readCancelReversal
+ * @param {Object} options - { processedBy, reason, sellerUpdates }
+ * @returns {Object|null} - { walletReturned, pendingRemoved } or null when nothing was reversed
+ */
+export const reverseCancelledOrder = (transaction, orderId, orderData, reversal, options = {}) => {
+  if (!reversal) return null;
+  const { processedBy, reason, sellerUpdates } = options;
+  const walletReturned = readMoney(orderData, 'walletDeducted');
+  const pendingRemoved = Math.min(readMoney(orderData, 'pendingAdded'), readMoney(reversal.sellerData, 'pendingAmount'));
+  const orderLabel = orderData.orderNumber || orderId.substring(0, 8);
+
+  postSellerLedgerEntry(transaction, reversal.sellerRef, reversal.sellerData, {
+    type: 'order_cancelled_reversal',
+    orderId,
+    lines: withBalancingLine([
+      { account: LEDGER_ACCOUNTS.WALLET, amount: walletReturned },
+      { account: LEDGER_ACCOUNTS.PENDING, amount: -pendingRemoved }
+    ], LEDGER_ACCOUNTS.PLATFORM_REVENUE),
+    description: `Order #${orderLabel} cancelled${reason ? ` (${reason})` : ''}. ${formatMoney(walletReturned)} returned to wallet and ${formatMoney(pendingRemoved)} removed from pending.`,
+    processedBy,
+    sellerUpdates
+  });
+  return { walletReturned, pendingRemoved };
+};
+
+/**
+ * Applies a status change inside an existing transaction together with the
+ * stock and seller money that move with it: cancelling or refunding an order
+ * puts its reserved stock back, and cancelling a picked order hands the
+ * seller's money back. Orders awaiting a refund review are refused;
+ * approveRefund / rejectRefund move them on. It reads documents, so call it
+ * before any other write in the transaction.
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {DocumentReference} orderRef - Order document reference
+ * @param {Object} orderData - Order data read in the same transaction
+ * @param {string} nextStatus - Status to move to
+ * @param {Object} options - { role, note, updates, historyExtra }
+ * @returns {Promise<Object>} - The statusHistory entry that was appended
+ */
+export const applyOrderStatusChange = async (transaction, orderRef, orderData, nextStatus, options = {}) => {
+  if (isAwaitingReview(orderData.status)) {
+    throw new Error('Refund requests can only be approved or rejected from the refund requests list');
+  }
+  assertTransition(orderData.status, nextStatus, options.role);
+
+  const restock = RESTOCK_STATUSES.includes(nextStatus) ? await readOrderRestock(transaction, orderData) : null;
+  const reversal = nextStatus === ORDER_STATUS.CANCELLED ? await readCancelReversal(transaction, orderData) : null;
+
+  const entry = applyStatusTransition(transaction, orderRef, orderData, nextStatus, options);
+  restockOrder(transaction, orderRef, orderData, restock);
+  reverseCancelledOrder(transaction, orderRef.id, orderData, reversal, { processedBy: options.role });
+  return entry;
+};
+
+/**
+ * Moves an order to a new status after checking the transition rules
+ * against the latest stored status, with the stock and money changes of
+ * applyOrderStatusChange in the same transaction
+ * @param {string} orderId - Order document id
+ * @param {string} nextStatus - Status to move to
+ * @param {Object} options - { role, note, updates, historyExtra }
+ * @returns {Promise<Object>} - The order data as it was before the update
+ */
+export const transitionOrderStatus = async (orderId, nextStatus, options = {}) => {
+  const orderRef = doc(db, 'orders', orderId);
+
+  return runTransaction(db, async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists()) {
+      throw new Error('Order not found');
+    }
+
+    const orderData = orderDoc.data();
+    await applyOrderStatusChange(transaction, orderRef, orderData, nextStatus, options);
+    return { id: orderDoc.id, ...orderData };
+  });
+};
@@ -0,0 +1,160 @@
+import {
+  ORDER_ROLES,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  buildStatusHistoryEntry,
+  getOrderStatusLabel,
+  getStatusUpdateOptions,
+  transitionOrderStatus
+} from './orderLifecycle';
+import { mockFirestoreDocuments, updatesOf } from '../testUtils/firestore';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore');
+
+describe('transition rules', () => {
+  it('lists the moves each role may make', () => {
+    expect(getAllowedTransitions('pending', ORDER_ROLES.SELLER)).toEqual(['picked']);
+    expect(getAllowedTransitions('pending', ORDER_ROLES.CUSTOMER)).toEqual(['cancelled']);
+    expect(getAllowedTransitions('completed', ORDER_ROLES.ADMIN)).toEqual([]);
+    expect(getAllowedTransitions('refunded', ORDER_ROLES.ADMIN)).toEqual([]);
+  });
+
+  it('treats a missing status as pending', () => {
+    expect(getAllowedTransitions(undefined, ORDER_ROLES.ADMIN)).toEqual(getAllowedTransitions('pending', ORDER_ROLES.ADMIN));
+  });
+
+  it('rejects moves backwards and moves by the wrong role', () => {
+    expect(canTransition('completed', 'pending', ORDER_ROLES.ADMIN)).toBe(false);
+    expect(canTransition('picked', 'cancelled', ORDER_ROLES.SELLER)).toBe(false);
+    expect(canTransition('picked', 'cancelled', ORDER_ROLES.ADMIN)).toBe(true);
+    expect(canTransition('unknown', 'pending', ORDER_ROLES.ADMIN)).toBe(false);
+  });
+
+  it('explains a rejected move', () => {
+    expect(() => assertTransition('completed', 'pending', 'admin')).toThrow(
+      'Order cannot be moved from "Completed" to "Pending" by admin'
+    );
+    expect(() => assertTransition('pending', 'assigned', 'admin')).not.toThrow();
+  });
+
+  it('falls back to the raw value for unknown status labels', () => {
+    expect(getOrderStatusLabel('on-the-way')).toBe('On the way');
+    expect(getOrderStatusLabel('mystery')).toBe('mystery');
+    expect(getOrderStatusLabel()).toBe('Unknown');
+  });
+});
+
+describe('getStatusUpdateOptions', () => {
+  it('leaves out the moves that belong to the assignment flow', () => {
+    expect(getStatusUpdateOptions('assigned', ORDER_ROLES.ADMIN)).toEqual(['cancelled']);
+    expect(getStatusUpdateOptions('picked', ORDER_ROLES.ADMIN)).toEqual(['processing', 'on-the-way', 'cancelled']);
+  });
+
+  it('offers nothing for an order awaiting a refund review', () => {
+    expect(canTransition('refund_requested', 'refunded', ORDER_ROLES.ADMIN)).toBe(true);
+    expect(getStatusUpdateOptions('refund_requested', ORDER_ROLES.ADMIN)).toEqual([]);
+  });
+});
+
+describe('buildStatusHistoryEntry', () => {
+  it('only includes the note when there is one', () => {
+    const entry = buildStatusHistoryEntry('picked', 'seller', '', { sellerId: 's1' });
+    expect(entry).toMatchObject({ status: 'picked', updatedBy: 'seller', sellerId: 's1' });
+    expect(entry).not.toHaveProperty('note');
+    expect(typeof entry.timestamp).toBe('string');
+
+    expect(buildStatusHistoryEntry('picked', 'seller', 'Packed').note).toBe('Packed');
+  });
+});
+
+describe('transitionOrderStatus', () => {
+  it('writes the status, history and extra updates together', async () => {
+    const writes = mockFirestoreDocuments({ 'orders/o1': { status: 'on-the-way' } });
+
+    const before = await transitionOrderStatus('o1', 'completed', {
+      role: 'admin',
+      note: 'Delivered',
+      updates: { earningsReleaseAt: '2026-01-02T00:00:00.000Z' }
+    });
+
+    expect(before).toEqual({ id: 'o1', status: 'on-the-way' });
+    const [update] = updatesOf(writes, 'orders/o1');
+    expect(update.status).toBe('completed');
+    expect(update.earningsReleaseAt).toBe('2026-01-02T00:00:00.000Z');
+    expect(update.statusHistory.arrayUnion[0]).toMatchObject({ status: 'completed', note: 'Delivered' });
+  });
+
+  it('refuses an illegal move without writing', async () => {
+    const writes = mockFirestoreDocuments({ 'orders/o1': { status: 'completed' } });
+
+    await expect(transitionOrderStatus('o1', 'pending', { role: 'admin' })).rejects.toThrow('cannot be moved');
+    expect(writes).toEqual([]);
+  });
+
+  it('refuses to settle a refund request outside the refund review', async () => {
+    const writes = mockFirestoreDocuments({ 'orders/o1': { status: 'refund_requested', refundStatus: 'requested' } });
+
+    await expect(transitionOrderStatus('o1', 'refunded', { role: 'admin' })).rejects.toThrow('refund requests list');
+    await expect(transitionOrderStatus('o1', 'completed', { role: 'admin' })).rejects.toThrow('refund requests list');
+    expect(writes).toEqual([]);
+  });
+
+  it('fails for a missing order', async () => {
+    mockFirestoreDocuments({});
+    await expect(transitionOrderStatus('missing', 'cancelled', { role: 'admin' })).rejects.toThrow('Order not found');
+  });
+
+  it('restocks and hands the money back when a picked order is cancelled', async () => {
+    const writes = mockFirestoreDocuments({
+      'orders/o1': {
+        status: 'picked',
+        sellerId: 's1',
+        pickedAt: '2026-01-01T00:00:00.000Z',
+        walletDeducted: 40,
+        pendingAdded: 46,
+        stockReserved: true,
+        items: [{ id: 'p1', quantity: 2, name: 'Lamp' }]
+      },
+      'products/p1': { stock: 3 },
+      'sellers/s1': { walletBalance: 60, pendingAmount: 46, ledgerOpenedAt: 'opened' }
+    });
+
+    await transitionOrderStatus('o1', 'cancelled', { role: 'admin' });
+
+    expect(updatesOf(writes, 'products/p1')).toEqual([{ stock: 5 }]);
+    expect(updatesOf(writes, 'orders/o1')[1]).toMatchObject({ stockRestored: true });
+
+    const [sellerUpdate] = updatesOf(writes, 'sellers/s1');
+    expect(sellerUpdate.walletBalance).toBe(100);
+    expect(sellerUpdate.pendingAmount).toBe(0);
+
+    const ledgerEntry = writes.find((write) => write.path.startsWith('ledgerEntries/'));
+    expect(ledgerEntry.data).toMatchObject({ type: 'order_cancelled_reversal', orderId: 'o1', processedBy: 'admin' });
+  });
+
+  it('never takes more out of pending than the seller has', async () => {
+    const writes = mockFirestoreDocuments({
+      'orders/o1': { status: 'processing', sellerId: 's1', pickedAt: 'x', walletDeducted: 40, pendingAdded: 46 },
+      'sellers/s1': { walletBalance: 0, pendingAmount: 10, ledgerOpenedAt: 'opened' }
+    });
+
+    await transitionOrderStatus('o1', 'cancelled', { role: 'admin' });
+
+    const [sellerUpdate] = updatesOf(writes, 'sellers/s1');
+    expect(sellerUpdate.walletBalance).toBe(40);
+    expect(sellerUpdate.pendingAmount).toBe(0);
+  });
+
+  it('leaves the seller alone when an order is cancelled before it is picked', async () => {
+    const writes = mockFirestoreDocuments({
+      'orders/o1': { status: 'assigned', sellerId: 's1' },
+      'sellers/s1': { walletBalance: 10, pendingAmount: 0 }
+    });
+
+    await transitionOrderStatus('o1', 'cancelled', { role: 'admin' });
+
+    expect(updatesOf(writes, 'sellers/s1')).toEqual([]);
+  });
+});
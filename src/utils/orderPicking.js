@@ -0,0 +1,162 @@
+import { db } from '../firebase';
+import { doc, collection, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { applyStatusTransition, canTransition } from './orderLifecycle';
+import { getProfitMarginSettings, getMarginRate, LEGACY_PROFIT_RATE } from './profitMargins';
+import { LEDGER_ACCOUNTS, postSellerLedgerEntry, withBalancingLine } from './walletLedger';
+import { addMoney, compareMoney, getLineTotal, moneyFields, multiplyMoney, readMoney, sumMoney } from './money';
+
+// Error codes thrown by pickOrder so callers can show a specific message
+export const PICK_ERRORS = {
+  ORDER_NOT_FOUND: 'order-not-found',
+  SELLER_NOT_FOUND: 'seller-not-found',
+  ALREADY_TAKEN: 'order-already-taken',
+  NOT_PICKABLE: 'order-not-pickable',
+  INSUFFICIENT_BALANCE: 'insufficient-balance',
+  BALANCE_CHANGED: 'balance-changed'
+};
+
+const pickError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Calculates the wallet deduction and pending credit for an order's items
+ * @param {Array} items - Order items with price and quantity
+ * @param {Array<number>} marginRates - Seller margin for each item, by index
+ * @returns {Object} - { totalProductPrice, totalAdditionalProfit, grandTotal }
+ */
+export const calculatePickAmounts = (items = [], marginRates = []) => {
+  const lines = Array.isArray(items) ? items : [];
+  const totalProductPrice = sumMoney(lines, getLineTotal);
+  // The margin is applied to each line total and rounded to the cent per line
+  const totalAdditionalProfit = sumMoney(lines, (item, index) =>
+    multiplyMoney(getLineTotal(item), marginRates[index] ?? LEGACY_PROFIT_RATE)
+  );
+
+  return {
+    totalProductPrice,
+    totalAdditionalProfit,
+    grandTotal: addMoney(totalProductPrice, totalAdditionalProfit)
+  };
+};
+
+/**
+ * Picks an order for a seller in a single Firestore transaction: the order
+ * status change, the wallet deduction, the pending credit and the
+ * `transactions` record either all happen or none of them do.
+ * @param {string} orderId - Order to pick
+ * @param {string} sellerId - Seller picking the order
+ * @param {Object} options - { expectedWalletBalance } balance the seller saw when picking;
+ *   if it no longer matches the stored balance the pick is rejected
+ * @returns {Promise<Object>} - Amounts applied and the seller's new balances
+ */
+export const pickOrder = async (orderId, sellerId, options = {}) => {
+  const { expectedWalletBalance } = options;
+  const orderRef = doc(db, 'orders', orderId);
+  const sellerRef = doc(db, 'sellers', sellerId);
+  const transactionRef = doc(collection(db, 'transactions'));
+  const marginSettings = await getProfitMarginSettings();
+
+  return runTransaction(db, async (transaction) => {
+    // All reads must happen before any writes in a Firestore transaction
+    const orderDoc = await transaction.get(orderRef);
+    const sellerDoc = await transaction.get(sellerRef);
+
+    if (!orderDoc.exists()) {
+      throw pickError(PICK_ERRORS.ORDER_NOT_FOUND, 'Order not found');
+    }
+    if (!sellerDoc.exists()) {
+      throw pickError(PICK_ERRORS.SELLER_NOT_FOUND, 'Seller data not found');
+    }
+
+    const orderData = orderDoc.data();
+    const sellerData = sellerDoc.data();
+
+    // Margin rules can depend on the product category, so look up each item's product
+    const items = Array.isArray(orderData.items) ? orderData.items : [];
+    const productDocs = await Promise.all(
+      items.map((item) => (item.id ? transaction.get(doc(db, 'products', item.id)) : null))
+    );
+
+    if (orderData.pickedAt || orderData.status === 'picked') {
+      throw pickError(PICK_ERRORS.ALREADY_TAKEN, 'This order has already been picked');
+    }
+    if (orderData.sellerId && orderData.sellerId !== sellerId) {
+      throw pickError(PICK_ERRORS.ALREADY_TAKEN, 'This order has been assigned to another seller');
+    }
+    if (!canTransition(orderData.status, 'picked', 'seller')) {
+      throw pickError(PICK_ERRORS.NOT_PICKABLE, `This order cannot be picked while it is ${orderData.status}`);
+    }
+
+    const currentWalletBalance = readMoney(sellerData, 'walletBalance');
+
+    if (
+      expectedWalletBalance !== undefined &&
+      expectedWalletBalance !== null &&
+      compareMoney(expectedWalletBalance, currentWalletBalance) !== 0
+    ) {
+      throw pickError(
+        PICK_ERRORS.BALANCE_CHANGED,
+        `Your wallet balance changed to $${currentWalletBalance.toFixed(2)} since this page was loaded. Please review and try again.`
+      );
+    }
+
+    // The rates that apply now are stored on the order so later rule changes never alter it
+    const pickedAt = new Date();
+    const marginRates = items.map((item, index) => {
+      const productDoc = productDocs[index];
+      const category = item.category || (productDoc && productDoc.exists() ? productDoc.data().category : '');
+      return getMarginRate(marginSettings, { category, sellerTier: sellerData.tier, date: pickedAt });
+    });
+    const { totalProductPrice, totalAdditionalProfit, grandTotal } = calculatePickAmounts(items, marginRates);
+
+    if (compareMoney(currentWalletBalance, totalProductPrice) < 0) {
+      throw pickError(PICK_ERRORS.INSUFFICIENT_BALANCE, 'Insufficient wallet balance to pick this order');
+    }
+
+    const orderLabel = orderData.orderNumber || orderId.substring(0, 8);
+    const posted = postSellerLedgerEntry(transaction, sellerRef, sellerData, {
+      type: 'order_picked',
+      orderId,
+      // The seller pays the product cost; the platform funds the profit share
+      lines: withBalancingLine([
+        { account: LEDGER_ACCOUNTS.WALLET, amount: -totalProductPrice },
+        { account: LEDGER_ACCOUNTS.PENDING, amount: grandTotal }
+      ], LEDGER_ACCOUNTS.PLATFORM_REVENUE),
+      description: `Order #${orderLabel} picked. $${totalProductPrice.toFixed(2)} deducted from wallet and $${grandTotal.toFixed(2)} added to pending.`,
+      processedBy: 'seller',
+      transactionRef,
+      transactionFields: {
+        ...moneyFields({ profitAmount: totalAdditionalProfit }),
+        affectsRevenue: true
+      }
+    });
+
+    applyStatusTransition(transaction, orderRef, orderData, 'picked', {
+      role: 'seller',
+      updates: {
+        pickedAt: serverTimestamp(),
+        ...moneyFields({
+          walletDeducted: totalProductPrice,
+          pendingAdded: grandTotal,
+          additionalProfit: totalAdditionalProfit
+        }),
+        marginRates,
+        pickTransactionId: transactionRef.id,
+        // A missed pick deadline no longer applies once the order is picked
+        slaBreach: null
+      }
+    });
+
+    return {
+      previousStatus: orderData.status,
+      totalProductPrice,
+      totalAdditionalProfit,
+      grandTotal,
+      walletBalance: posted.walletBalanceAfter,
+      pendingAmount: posted.pendingAmountAfter
+    };
+  });
+};
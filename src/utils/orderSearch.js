@@ -0,0 +1,231 @@
+import { db } from '../firebase';
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  getDocs,
+  documentId,
+  updateDoc
+} from 'firebase/firestore';
+import { roundMoney } from './money';
+
+/**
+ * Order search backed by Firestore queries. Every filter becomes a `where`
+ * clause so only matching orders are downloaded. Filters are kept in the URL
+ * query string so a filtered view can be bookmarked or shared.
+ *
+ * Equality filters combined with the createdAt/total/id ranges need composite
+ * indexes on `orders`; the first time a combination runs, Firestore's error
+ * message contains a link that creates the missing index.
+ *
+ * The filters read the fields checkout writes: `customerEmail` in lower
+ * case, `total`, and `createdAt` as an ISO string. Every order writer has to
+ * store them; backfillOrderSearchFields adds them to older orders.
+ */
+
+export const EMPTY_ORDER_FILTERS = {
+  status: '',
+  from: '',
+  to: '',
+  seller: '',
+  customer: '',
+  minAmount: '',
+  maxAmount: '',
+  orderId: ''
+};
+
+const FILTER_KEYS = Object.keys(EMPTY_ORDER_FILTERS);
+
+/**
+ * Reads order filters from URL search params, ignoring unrelated params
+ * @param {URLSearchParams} searchParams - Current URL search params
+ * @returns {Object} - Filters with every key of EMPTY_ORDER_FILTERS
+ */
+export const parseOrderFilters = (searchParams) => {
+  const filters = { ...EMPTY_ORDER_FILTERS };
+  FILTER_KEYS.forEach((key) => {
+    filters[key] = searchParams.get(key) || '';
+  });
+  return filters;
+};
+
+/**
+ * Writes order filters into a copy of the URL search params; empty filters are
+ * removed and other params (e.g. the dashboard tab) are kept
+ */
+export const applyOrderFiltersToParams = (searchParams, filters) => {
+  const params = new URLSearchParams(searchParams);
+  FILTER_KEYS.forEach((key) => {
+    const value = String(filters[key] ?? '').trim();
+    if (value) {
+      params.set(key, value);
+    } else {
+      params.delete(key);
+    }
+  });
+  return params;
+};
+
+export const hasActiveOrderFilters = (filters) =>
+  FILTER_KEYS.some((key) => String(filters[key] ?? '').trim() !== '');
+
+/**
+ * Validates filter values before they are sent to Firestore
+ * @returns {string|null} - Error message, or null if the filters are usable
+ */
+export const validateOrderFilters = (filters) => {
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return 'The start date must be before the end date';
+  }
+  if (filters.minAmount && Number.isNaN(Number(filters.minAmount))) {
+    return 'Minimum amount must be a number';
+  }
+  if (filters.maxAmount && Number.isNaN(Number(filters.maxAmount))) {
+    return 'Maximum amount must be a number';
+  }
+  if (filters.minAmount && filters.maxAmount && Number(filters.minAmount) > Number(filters.maxAmount)) {
+    return 'Minimum amount must be less than the maximum amount';
+  }
+  return null;
+};
+
+const endOfDayIso = (date) => {
+  const end = new Date(`${date}T00:00:00`);
+  end.setDate(end.getDate() + 1);
+  return end.toISOString();
+};
+
+/**
+ * Builds the Firestore query for a set of filters
+ * @param {Object} filters - Order filters
+ * @param {Object} scope - { sellerId } restricts results to one seller's orders
+ * @returns {Query} - Firestore query
+ */
+export const buildOrdersQuery = (filters, scope = {}) => {
+  const constraints = [];
+  const sellerId = scope.sellerId || filters.seller;
+
+  if (filters.status) {
+    constraints.push(where('status', '==', filters.status));
+  }
+  if (sellerId) {
+    constraints.push(where('sellerId', '==', sellerId));
+  }
+
+  const customer = (filters.customer || '').trim();
+  if (customer) {
+    constraints.push(
+      customer.includes('@')
+        ? where('customerEmail', '==', customer.toLowerCase())
+        : where('customerPhone', '==', customer)
+    );
+  }
+
+  // Order ids are matched by prefix with a range on the document id
+  const orderIdPrefix = (filters.orderId || '').trim();
+  if (orderIdPrefix) {
+    constraints.push(where(documentId(), '>=', orderIdPrefix));
+    constraints.push(where(documentId(), '<', `${orderIdPrefix}\uf8ff`));
+  }
+
+  // Orders store createdAt as an ISO string, so date ranges compare strings
+  if (filters.from) {
+    constraints.push(where('createdAt', '>=', new Date(`${filters.from}T00:00:00`).toISOString()));
+  }
+  if (filters.to) {
+    constraints.push(where('createdAt', '<', endOfDayIso(filters.to)));
+  }
+
+  if (filters.minAmount) {
+    constraints.push(where('total', '>=', Number(filters.minAmount)));
+  }
+  if (filters.maxAmount) {
+    constraints.push(where('total', '<=', Number(filters.maxAmount)));
+  }
+
+  // Range filters decide the ordering Firestore can serve from an index;
+  // results are re-sorted by date after loading
+  const hasDateRange = filters.from || filters.to;
+  const hasAmountRange = filters.minAmount || filters.maxAmount;
+  if (orderIdPrefix) {
+    constraints.push(orderBy(documentId()));
+  } else if (hasAmountRange && !hasDateRange) {
+    constraints.push(orderBy('total'));
+  } else {
+    constraints.push(orderBy('createdAt', 'desc'));
+  }
+
+  return query(collection(db, 'orders'), ...constraints);
+};
+
+const toCreatedAtDate = (value) => {
+  if (value && typeof value.toDate === 'function') return value.toDate();
+  return value ? new Date(value) : new Date();
+};
+
+/**
+ * Runs an order search
+ * @param {Object} filters - Order filters
+ * @param {Object} scope - { sellerId } restricts results to one seller's orders
+ * @returns {Promise<Array>} - Matching orders, newest first
+ */
+export const searchOrders = async (filters, scope = {}) => {
+  const validationError = validateOrderFilters(filters);
+  if (validationError) {
+    throw new Error(validationError);
+  }
+
+  const snapshot = await getDocs(buildOrdersQuery(filters, scope));
+  return snapshot.docs
+    .map((orderDoc) => {
+      const data = orderDoc.data();
+      return { id: orderDoc.id, ...data, createdAt: toCreatedAtDate(data.createdAt) };
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Search fields an order is missing. Orders created from the admin dashboard
+ * used to store only `customerInfo.email`, `totalAmount` and a server
+ * timestamp, which no filter or amount sort matches.
+ * @param {Object} order - Order document data
+ * @returns {Object|null} - Field updates, or null when the order is searchable
+ */
+export const getOrderSearchFieldUpdates = (order) => {
+  const updates = {};
+
+  const email = order.customerEmail || order.customerInfo?.email;
+  if (!order.customerEmail && email) {
+    updates.customerEmail = email.toLowerCase();
+  }
+  if (typeof order.total !== 'number' && order.totalAmount !== undefined) {
+    updates.total = roundMoney(order.totalAmount);
+  }
+  if (order.createdAt && typeof order.createdAt.toDate === 'function') {
+    updates.createdAt = order.createdAt.toDate().toISOString();
+  }
+
+  return Object.keys(updates).length > 0 ? updates : null;
+};
+
+/**
+ * Adds the search fields to orders written without them
+ * @param {Object} options - { dryRun } to only count the orders that would change
+ * @returns {Promise<Object>} - { scanned, changed }
+ */
+export const backfillOrderSearchFields = async ({ dryRun = false } = {}) => {
+  const snapshot = await getDocs(collection(db, 'orders'));
+  let changed = 0;
+
+  for (const orderDoc of snapshot.docs) {
+    const updates = getOrderSearchFieldUpdates(orderDoc.data());
+    if (!updates) continue;
+
+    changed += 1;
+    if (!dryRun) {
+      await updateDoc(orderDoc.ref, updates);
+    }
+  }
+  return { scanned: snapshot.size, changed };
+};
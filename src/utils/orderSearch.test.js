@@ -0,0 +1,36 @@
+import { getOrderSearchFieldUpdates, validateOrderFilters } from './orderSearch';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+// What the admin dashboard used to write when an admin created an order
+const adminOrder = {
+  customerInfo: { name: 'Admin Order', email: 'Admin@Example.com' },
+  totalAmount: 45.5,
+  createdAt: { toDate: () => new Date('2026-03-01T10:00:00.000Z') },
+  source: 'admin'
+};
+
+describe('getOrderSearchFieldUpdates', () => {
+  it('adds the checkout search fields to an admin-created order', () => {
+    expect(getOrderSearchFieldUpdates(adminOrder)).toEqual({
+      customerEmail: 'admin@example.com',
+      total: 45.5,
+      createdAt: '2026-03-01T10:00:00.000Z'
+    });
+  });
+
+  it('leaves checkout orders and already updated admin orders alone', () => {
+    const checkoutOrder = { customerEmail: 'a@b.com', total: 10, createdAt: '2026-03-01T10:00:00.000Z' };
+    expect(getOrderSearchFieldUpdates(checkoutOrder)).toBeNull();
+    expect(getOrderSearchFieldUpdates({ ...adminOrder, ...getOrderSearchFieldUpdates(adminOrder) })).toBeNull();
+  });
+});
+
+describe('validateOrderFilters', () => {
+  it('rejects reversed ranges and non-numeric amounts', () => {
+    expect(validateOrderFilters({ from: '2026-03-02', to: '2026-03-01' })).toBe('The start date must be before the end date');
+    expect(validateOrderFilters({ minAmount: 'ten' })).toBe('Minimum amount must be a number');
+    expect(validateOrderFilters({ minAmount: '20', maxAmount: '10' })).toBe('Minimum amount must be less than the maximum amount');
+    expect(validateOrderFilters({ from: '2026-03-01', minAmount: '5' })).toBeNull();
+  });
+});
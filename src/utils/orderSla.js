@@ -0,0 +1,301 @@
+import { db } from '../firebase';
+import {
+  collection,
+  query,
+  where,
+  getDocs,
+  getDoc,
+  setDoc,
+  doc,
+  runTransaction,
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp
+} from 'firebase/firestore';
+import {
+  applyStatusTransition,
+  buildStatusHistoryEntry,
+  readCancelReversal,
+  reverseCancelledOrder
+} from './orderLifecycle';
+import { readOrderRestock, restockOrder } from './inventory';
+
+/**
+ * Order SLA (service level) deadlines. Assigned orders must be picked, and
+ * picked orders must be shipped, within a configurable number of hours.
+ * Orders that miss a deadline are unassigned, flagged to the admin or
+ * cancelled, and every action is written to the order's statusHistory.
+ */
+
+export const SLA_ACTIONS = {
+  UNASSIGN: 'unassign',
+  FLAG: 'flag',
+  CANCEL: 'cancel'
+};
+
+export const SLA_ACTION_LABELS = {
+  [SLA_ACTIONS.UNASSIGN]: 'Unassign back to pending',
+  [SLA_ACTIONS.FLAG]: 'Flag to admin',
+  [SLA_ACTIONS.CANCEL]: 'Cancel the order'
+};
+
+export const SLA_STAGES = {
+  // Assigned by the admin but not picked by the seller yet
+  PICK: 'pick',
+  // Picked (or processing) but not handed to a carrier yet
+  SHIP: 'ship'
+};
+
+// Picked orders already moved money, so they can only be flagged or cancelled
+export const SLA_STAGE_ACTIONS = {
+  [SLA_STAGES.PICK]: [SLA_ACTIONS.UNASSIGN, SLA_ACTIONS.FLAG, SLA_ACTIONS.CANCEL],
+  [SLA_STAGES.SHIP]: [SLA_ACTIONS.FLAG, SLA_ACTIONS.CANCEL]
+};
+
+export const DEFAULT_SLA_SETTINGS = {
+  enabled: true,
+  pickDeadlineHours: 24,
+  pickAction: SLA_ACTIONS.UNASSIGN,
+  shipDeadlineHours: 72,
+  shipAction: SLA_ACTIONS.FLAG
+};
+
+const slaSettingsRef = () => doc(db, 'settings', 'orderSla');
+
+/**
+ * Loads the SLA settings, falling back to the defaults for missing fields
+ */
+export const getSlaSettings = async () => {
+  const settingsDoc = await getDoc(slaSettingsRef());
+  return { ...DEFAULT_SLA_SETTINGS, ...(settingsDoc.exists() ? settingsDoc.data() : {}) };
+};
+
+/**
+ * Validates and saves the SLA settings
+ * @param {Object} settings - { enabled, pickDeadlineHours, pickAction, shipDeadlineHours, shipAction }
+ * @param {string} adminEmail - Admin saving the settings
+ */
+export const saveSlaSettings = async (settings, adminEmail) => {
+  const pickDeadlineHours = Number(settings.pickDeadlineHours);
+  const shipDeadlineHours = Number(settings.shipDeadlineHours);
+
+  if (!(pickDeadlineHours > 0) || !(shipDeadlineHours > 0)) {
+    throw new Error('Deadlines must be a positive number of hours');
+  }
+  if (!SLA_STAGE_ACTIONS[SLA_STAGES.PICK].includes(settings.pickAction)) {
+    throw new Error('Invalid action for orders that are not picked in time');
+  }
+  if (!SLA_STAGE_ACTIONS[SLA_STAGES.SHIP].includes(settings.shipAction)) {
+    throw new Error('Invalid action for orders that are not shipped in time');
+  }
+
+  await setDoc(slaSettingsRef(), {
+    enabled: !!settings.enabled,
+    pickDeadlineHours,
+    pickAction: settings.pickAction,
+    shipDeadlineHours,
+    shipAction: settings.shipAction,
+    updatedBy: adminEmail,
+    updatedAt: serverTimestamp()
+  });
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Works out whether an order has missed its current SLA deadline
+ * @param {Object} order - Order document data
+ * @param {Object} settings - SLA settings
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { stage, deadline, action } or null when on time
+ */
+export const findSlaBreach = (order, settings, now = new Date()) => {
+  let stage;
+  let startedAt;
+  let hours;
+  let action;
+
+  if (order.status === 'assigned') {
+    stage = SLA_STAGES.PICK;
+    startedAt = toDate(order.assignedAt);
+    hours = settings.pickDeadlineHours;
+    action = settings.pickAction;
+  } else if (order.status === 'picked' || order.status === 'processing') {
+    stage = SLA_STAGES.SHIP;
+    startedAt = toDate(order.pickedAt);
+    hours = settings.shipDeadlineHours;
+    action = settings.shipAction;
+  } else {
+    return null;
+  }
+
+  if (!startedAt) return null;
+
+  const deadline = new Date(startedAt.getTime() + Number(hours) * 3600000);
+  if (deadline > now) return null;
+
+  // A flagged order stays flagged until its stage changes; don't flag it again
+  if (action === SLA_ACTIONS.FLAG && order.slaBreach?.stage === stage) return null;
+
+  return { stage, deadline, action };
+};
+
+const describeBreach = (breach, settings) => {
+  const hours = breach.stage === SLA_STAGES.PICK ? settings.pickDeadlineHours : settings.shipDeadlineHours;
+  return breach.stage === SLA_STAGES.PICK
+    ? `Not picked within ${hours} hours of assignment`
+    : `Not shipped within ${hours} hours of being picked`;
+};
+
+/**
+ * Applies the configured action to one overdue order. The breach is
+ * re-checked inside the transaction so an order picked or shipped in the
+ * meantime is left alone.
+ * @returns {Promise<Object|null>} - { orderId, stage, action } or null when nothing was done
+ */
+export const applySlaAction = async (orderId, settings, now = new Date()) => {
+  const orderRef = doc(db, 'orders', orderId);
+
+  return runTransaction(db, async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists()) return null;
+
+    const orderData = orderDoc.data();
+    const breach = findSlaBreach(orderData, settings, now);
+    if (!breach) return null;
+
+    const reason = describeBreach(breach, settings);
+    const historyExtra = {
+      slaAction: breach.action,
+      slaStage: breach.stage,
+      slaDeadline: breach.deadline.toISOString()
+    };
+    const sellerRef = orderData.sellerId ? doc(db, 'sellers', orderData.sellerId) : null;
+    const orderLabel = orderData.orderNumber || orderId.substring(0, 8);
+
+    if (breach.action === SLA_ACTIONS.UNASSIGN) {
+      applyStatusTransition(transaction, orderRef, orderData, 'pending', {
+        role: 'system',
+        note: `SLA: ${reason}, unassigned from seller`,
+        updates: { sellerId: null, assignedAt: null, assignedBy: null, slaBreach: null },
+        historyExtra: { ...historyExtra, previousSellerId: orderData.sellerId || null }
+      });
+      if (sellerRef) {
+        transaction.update(sellerRef, { orders: arrayRemove(orderId) });
+      }
+    } else if (breach.action === SLA_ACTIONS.CANCEL) {
+      // Picked orders already moved money; reverse it before cancelling
+      const reversal = await readCancelReversal(transaction, orderData);
+      const restock = await readOrderRestock(transaction, orderData);
+
+      applyStatusTransition(transaction, orderRef, orderData, 'cancelled', {
+        role: 'system',
+        note: `SLA: ${reason}, order cancelled`,
+        updates: { cancelledAt: serverTimestamp(), slaBreach: null },
+        historyExtra
+      });
+      restockOrder(transaction, orderRef, orderData, restock);
+
+      if (reversal) {
+        reverseCancelledOrder(transaction, orderId, orderData, reversal, {
+          processedBy: 'system',
+          reason: 'SLA',
+          sellerUpdates: { orders: arrayRemove(orderId) }
+        });
+      } else if (sellerRef) {
+        transaction.update(sellerRef, { orders: arrayRemove(orderId) });
+      }
+    } else {
+      transaction.update(orderRef, {
+        slaBreach: {
+          stage: breach.stage,
+          deadline: breach.deadline.toISOString(),
+          flaggedAt: now.toISOString()
+        },
+        statusHistory: arrayUnion(
+          buildStatusHistoryEntry(orderData.status, 'system', `SLA: ${reason}, flagged to admin`, historyExtra)
+        )
+      });
+    }
+
+    transaction.set(doc(collection(db, 'notifications')), {
+      type: 'sla_breach',
+      orderId,
+      sellerId: orderData.sellerId || null,
+      createdAt: serverTimestamp(),
+      read: false,
+      message: `Order #${orderLabel}: ${reason}. Action taken: ${SLA_ACTION_LABELS[breach.action]}.`,
+      priority: 'high'
+    });
+
+    return { orderId, stage: breach.stage, action: breach.action };
+  });
+};
+
+/**
+ * Checks every assigned, picked and processing order against the SLA settings
+ * @returns {Promise<Array>} - Actions taken ({ orderId, stage, action })
+ */
+export const enforceOrderSla = async () => {
+  const settings = await getSlaSettings();
+  if (!settings.enabled) {
+    return [];
+  }
+
+  const now = new Date();
+  const openOrders = await getDocs(
+    query(collection(db, 'orders'), where('status', 'in', ['assigned', 'picked', 'processing']))
+  );
+
+  const actions = [];
+  for (const orderDoc of openOrders.docs) {
+    if (!findSlaBreach(orderDoc.data(), settings, now)) continue;
+
+    try {
+      const result = await applySlaAction(orderDoc.id, settings, now);
+      if (result) {
+        actions.push(result);
+      }
+    } catch (error) {
+      console.error(`Failed to apply SLA action to order ${orderDoc.id}:`, error);
+    }
+  }
+
+  if (actions.length > 0) {
+    console.log(`Order SLA check completed: ${actions.length} overdue orders handled`);
+  }
+  return actions;
+};
+
+let slaWorkerStarted = false;
+
+/**
+ * Creates a background worker that enforces order SLAs periodically.
+ * Safe to call more than once; only the first call starts the worker.
+ * Runs only while an admin has the dashboard open; see "Scheduled Jobs" in the README.
+ */
+export const initializeOrderSlaWorker = () => {
+  const SLA_CHECK_INTERVAL = 900000; // Run every 15 minutes (in milliseconds)
+
+  if (slaWorkerStarted) return;
+  slaWorkerStarted = true;
+
+  // Run once shortly after initialization
+  setTimeout(() => {
+    enforceOrderSla()
+      .catch(err => console.error('Initial order SLA check failed:', err));
+  }, 10000);
+
+  // Then run periodically
+  setInterval(() => {
+    enforceOrderSla()
+      .catch(err => console.error('Scheduled order SLA check failed:', err));
+  }, SLA_CHECK_INTERVAL);
+
+  console.log('Order SLA worker initialized');
+};
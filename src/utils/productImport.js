@@ -0,0 +1,450 @@
+import { db } from '../firebase';
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  orderBy,
+  limit,
+  writeBatch,
+  runTransaction,
+  addDoc,
+  setDoc,
+  updateDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { roundMoney, withPriceCents } from './money';
+import { summarizeVariants } from './productVariants';
+import { DEFAULT_CATEGORIES, matchCategory } from './categories';
+
+/**
+ * Bulk product import and catalog export. Both use the same columns, so an
+ * exported catalog can be edited in a spreadsheet and imported again: rows
+ * with the ID of an existing product update it, rows without an ID create a
+ * new product. Variants travel as JSON in the variantOptions and variants
+ * columns. Every run is saved in `productImports` with a result per row.
+ */
+
+export const PRODUCT_IMPORT_FIELDS = [
+  { key: 'id', label: 'Product ID', aliases: ['productid'] },
+  { key: 'name', label: 'Name', required: true, aliases: ['productname', 'title'] },
+  { key: 'description', label: 'Description', aliases: ['details'] },
+  { key: 'category', label: 'Category', aliases: ['type'] },
+  { key: 'price', label: 'Price', required: true, aliases: ['unitprice'] },
+  { key: 'stock', label: 'Stock', aliases: ['quantity', 'qty', 'inventory'] },
+  { key: 'discount', label: 'Discount (%)', aliases: ['discountpercent'] },
+  { key: 'imageUrl', label: 'Image URL', aliases: ['image', 'imagelink', 'photo'] },
+  { key: 'variantOptions', label: 'Variant options (JSON)', aliases: ['options'] },
+  { key: 'variants', label: 'Variants (JSON)', aliases: [] }
+];
+
+export const MAX_IMPORT_ROWS = 2000;
+
+export const IMPORT_ROW_STATUS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  FAILED: 'failed'
+};
+
+// Stay well below Firestore's 500 writes per batch
+const BATCH_SIZE = 400;
+
+// Stock counts of a product: the product stock and each variant's stock by id
+const getStockSnapshot = (product) => ({
+  stock: parseInt(product?.stock, 10) || 0,
+  variants: new Map((product?.variants || []).map((variant) => [variant.id, parseInt(variant.stock, 10) || 0]))
+});
+
+/**
+ * Imported stock counts with the changes made since the rows were validated
+ * carried over, so orders placed (or cancelled) in the meantime still count
+ * against the new figures. Variants are matched by id.
+ * @param {Object} data - Imported product fields
+ * @param {Object} before - Stock snapshot taken when the rows were validated
+ * @param {Object} current - Product data read when writing
+ * @returns {Object} - Fields to write
+ */
+export const carryOverStockChanges = (data, before, current) => {
+  const now = getStockSnapshot(current);
+  const next = { ...data };
+
+  if (data.variants) {
+    next.variants = data.variants.map((variant) => {
+      if (!before.variants.has(variant.id) || !now.variants.has(variant.id)) return variant;
+      const change = now.variants.get(variant.id) - before.variants.get(variant.id);
+      return { ...variant, stock: Math.max(0, variant.stock + change) };
+    });
+    Object.assign(next, summarizeVariants(next.variants));
+  } else if (data.stock !== undefined) {
+    next.stock = Math.max(0, data.stock + now.stock - before.stock);
+  }
+  return next;
+};
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Matches file headers to product fields by name
+ * @param {Array<string>} headers - First row of the file
+ * @returns {Object} - { [fieldKey]: columnIndex } for the fields that were found
+ */
+export const guessColumnMapping = (headers = []) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+
+  PRODUCT_IMPORT_FIELDS.forEach((field) => {
+    const names = [normalizeHeader(field.key), normalizeHeader(field.label), ...field.aliases];
+    const index = normalized.findIndex((header) => header && names.includes(header));
+    if (index !== -1 && !Object.values(mapping).includes(index)) {
+      mapping[field.key] = index;
+    }
+  });
+  return mapping;
+};
+
+const isMapped = (mapping, key) => mapping[key] !== undefined && mapping[key] !== null && mapping[key] !== '';
+
+const parseJsonCell = (text, label, errors) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    errors.push(`${label} is not valid JSON`);
+    return null;
+  }
+};
+
+const parseVariants = (variantsText, optionsText, errors) => {
+  const variants = parseJsonCell(variantsText, 'Variants', errors);
+  if (!variants) return null;
+  if (!Array.isArray(variants) || variants.some((variant) => !variant || typeof variant.options !== 'object')) {
+    errors.push('Variants must be a list of { options, sku, price, stock, imageUrl }');
+    return null;
+  }
+
+  const normalizedVariants = variants.map((variant, index) => {
+    const price = Number(variant.price);
+    const stock = Number(variant.stock ?? 0);
+    if (!Number.isFinite(price) || price < 0) {
+      errors.push(`Variant ${index + 1} needs a price of 0 or more`);
+    }
+    if (!Number.isInteger(stock) || stock < 0) {
+      errors.push(`Variant ${index + 1} needs a whole stock count of 0 or more`);
+    }
+    return withPriceCents({
+      id: variant.id || `v_${Date.now().toString(36)}${index}`,
+      options: variant.options,
+      sku: variant.sku ? String(variant.sku) : '',
+      price: roundMoney(price || 0),
+      stock: stock || 0,
+      imageUrl: variant.imageUrl ? String(variant.imageUrl) : ''
+    });
+  });
+
+  let variantOptions;
+  if (optionsText) {
+    variantOptions = parseJsonCell(optionsText, 'Variant options', errors);
+    if (variantOptions && (!Array.isArray(variantOptions) || variantOptions.some((option) => !option?.name || !Array.isArray(option.values)))) {
+      errors.push('Variant options must be a list of { name, values }');
+    }
+  } else {
+    // Rebuild the option list from the variants themselves
+    const values = new Map();
+    normalizedVariants.forEach((variant) => {
+      Object.entries(variant.options).forEach(([name, value]) => {
+        if (!values.has(name)) values.set(name, new Set());
+        values.get(name).add(String(value));
+      });
+    });
+    variantOptions = Array.from(values.entries()).map(([name, set]) => ({ name, values: Array.from(set) }));
+  }
+
+  return { variants: normalizedVariants, variantOptions: variantOptions || [] };
+};
+
+/**
+ * Validates the file rows against the column mapping
+ * @param {Array<Array>} rows - File rows, header first
+ * @param {Object} mapping - { [fieldKey]: columnIndex }
+ * @param {Map} existingProducts - productId → product data
+ * @param {Array} categories - Category taxonomy; categories are given by name,
+ *   slug or alias and stored as the slug
+ * @returns {Array} - [{ rowNumber, action: 'create'|'update', productId, data, stockBefore, errors }]
+ */
+export const validateImportRows = (rows = [], mapping = {}, existingProducts = new Map(), categories = DEFAULT_CATEGORIES) => {
+  const missing = PRODUCT_IMPORT_FIELDS.filter((field) => field.required && !isMapped(mapping, field.key));
+  if (missing.length > 0) {
+    throw new Error(`Map a column to ${missing.map((field) => field.label).join(', ')}`);
+  }
+
+  const dataRows = rows
+    .slice(1)
+    .map((cells, index) => ({ cells, rowNumber: index + 2 }))
+    .filter(({ cells }) => cells.some((cell) => String(cell ?? '').trim() !== ''));
+
+  if (dataRows.length === 0) {
+    throw new Error('The file has no product rows');
+  }
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Import at most ${MAX_IMPORT_ROWS} products at a time`);
+  }
+
+  const seenIds = new Set();
+
+  return dataRows.map(({ cells, rowNumber }) => {
+    const errors = [];
+    const data = {};
+    const cell = (key) => (isMapped(mapping, key) ? String(cells[mapping[key]] ?? '').trim() : '');
+
+    const productId = cell('id');
+    const existing = productId ? existingProducts.get(productId) : null;
+    if (productId) {
+      if (!existing) errors.push(`No product with ID ${productId}`);
+      if (seenIds.has(productId)) errors.push(`Product ID ${productId} appears more than once`);
+      seenIds.add(productId);
+    }
+
+    const name = cell('name');
+    if (!name) errors.push('Name is required');
+    data.name = name;
+
+    ['description', 'imageUrl'].forEach((key) => {
+      if (isMapped(mapping, key)) data[key] = cell(key);
+    });
+
+    if (isMapped(mapping, 'category')) {
+      const categoryText = cell('category');
+      const category = matchCategory(categories, categoryText);
+      if (categoryText && !category) errors.push(`Unknown category "${categoryText}"`);
+      data.category = category ? category.id : categoryText;
+    }
+
+    const variantsText = cell('variants');
+    const parsedVariants = variantsText ? parseVariants(variantsText, cell('variantOptions'), errors) : null;
+
+    const priceText = cell('price');
+    const price = Number(priceText);
+    if (!parsedVariants && (priceText === '' || !Number.isFinite(price) || price < 0)) {
+      errors.push('Price must be a number of 0 or more');
+    }
+    data.price = roundMoney(price || 0);
+
+    if (isMapped(mapping, 'stock') && cell('stock') !== '') {
+      const stock = Number(cell('stock'));
+      if (!Number.isInteger(stock) || stock < 0) {
+        errors.push('Stock must be a whole number of 0 or more');
+      } else if (!parsedVariants && existing?.variants?.length > 0) {
+        errors.push('Stock of a product with variants is set per variant');
+      }
+      data.stock = stock;
+    }
+
+    if (isMapped(mapping, 'discount') && cell('discount') !== '') {
+      const discount = Number(cell('discount'));
+      if (!Number.isInteger(discount) || discount < 0 || discount > 100) {
+        errors.push('Discount must be a whole percentage from 0 to 100');
+      }
+      data.discount = discount;
+    }
+
+    if (parsedVariants) {
+      data.variantOptions = parsedVariants.variantOptions;
+      data.variants = parsedVariants.variants;
+      // Listings show the lowest variant price and the total variant stock
+      Object.assign(data, summarizeVariants(parsedVariants.variants));
+    }
+
+    return {
+      rowNumber,
+      action: existing ? 'update' : 'create',
+      productId: existing ? productId : null,
+      data: withPriceCents(data),
+      // Stock the admin saw, so sales made before the import is written are not lost
+      stockBefore: existing ? getStockSnapshot(existing) : null,
+      errors
+    };
+  });
+};
+
+const touchesStock = (row) => row.action === 'update' && (row.data.stock !== undefined || Boolean(row.data.variants));
+
+// Stock is also changed by orders, so updates that set it re-read the product in a transaction
+const writeStockUpdate = (row) => {
+  const productRef = doc(db, 'products', row.productId);
+
+  return runTransaction(db, async (transaction) => {
+    const productDoc = await transaction.get(productRef);
+    if (!productDoc.exists()) {
+      throw new Error('The product was deleted');
+    }
+    transaction.update(productRef, {
+      ...carryOverStockChanges(row.data, row.stockBefore, productDoc.data()),
+      updatedAt: serverTimestamp()
+    });
+  });
+};
+
+// The product write for a row that leaves stock alone: an update, or a new product with the defaults
+const getRowWrite = (row) => {
+  if (row.action === 'update') {
+    return { ref: doc(db, 'products', row.productId), data: { ...row.data, updatedAt: serverTimestamp() } };
+  }
+  return {
+    ref: doc(collection(db, 'products')),
+    data: {
+      description: '',
+      category: '',
+      imageUrl: '',
+      discount: 0,
+      variantOptions: [],
+      variants: [],
+      ...row.data,
+      isDummy: false,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    }
+  };
+};
+
+const markWritten = (row, result, ref) => {
+  result.status = row.action === 'update' ? IMPORT_ROW_STATUS.UPDATED : IMPORT_ROW_STATUS.CREATED;
+  result.productId = ref.id;
+};
+
+/**
+ * Writes the valid rows and records the run as an import job. New products
+ * and updates that leave stock alone are written in batches; a batch that
+ * fails is retried row by row, so only the rows at fault (such as a product
+ * deleted since the file was checked) are marked failed. Updates that set
+ * stock are written one at a time with carryOverStockChanges.
+ * Rows with validation errors are recorded as failed and not written.
+ * @param {Array} validatedRows - From validateImportRows
+ * @param {Object} details - { fileName, mapping, adminEmail }
+ * @returns {Promise<Object>} - The saved job ({ id, totals, results, ... })
+ */
+export const runProductImport = async (validatedRows, { fileName, mapping, adminEmail }) => {
+  const results = validatedRows.map((row) => ({
+    rowNumber: row.rowNumber,
+    name: row.data.name || '',
+    productId: row.productId,
+    status: row.errors.length > 0 ? IMPORT_ROW_STATUS.FAILED : null,
+    error: row.errors.join('; ')
+  }));
+  const valid = validatedRows
+    .map((row, index) => ({ row, result: results[index] }))
+    .filter(({ row }) => row.errors.length === 0);
+  const stockUpdates = valid.filter(({ row }) => touchesStock(row));
+  const pending = valid.filter(({ row }) => !touchesStock(row));
+
+  for (const { row, result } of stockUpdates) {
+    try {
+      await writeStockUpdate(row);
+      result.status = IMPORT_ROW_STATUS.UPDATED;
+    } catch (error) {
+      console.error(`Error importing row ${row.rowNumber}:`, error);
+      result.status = IMPORT_ROW_STATUS.FAILED;
+      result.error = error.message;
+    }
+  }
+
+  for (let start = 0; start < pending.length; start += BATCH_SIZE) {
+    const chunk = pending.slice(start, start + BATCH_SIZE);
+    const writes = chunk.map(({ row }) => getRowWrite(row));
+    const batch = writeBatch(db);
+
+    chunk.forEach(({ row }, index) => {
+      const { ref, data } = writes[index];
+      if (row.action === 'update') {
+        batch.update(ref, data);
+      } else {
+        batch.set(ref, data);
+      }
+    });
+
+    try {
+      await batch.commit();
+      chunk.forEach(({ row, result }, index) => markWritten(row, result, writes[index].ref));
+    } catch (error) {
+      console.error('Error writing product import batch, retrying row by row:', error);
+      for (const [index, { row, result }] of chunk.entries()) {
+        const { ref, data } = writes[index];
+        try {
+          if (row.action === 'update') {
+            await updateDoc(ref, data);
+          } else {
+            await setDoc(ref, data);
+          }
+          markWritten(row, result, ref);
+        } catch (rowError) {
+          console.error(`Error importing row ${row.rowNumber}:`, rowError);
+          result.status = IMPORT_ROW_STATUS.FAILED;
+          result.error = rowError.code === 'not-found' ? 'The product was deleted' : rowError.message;
+        }
+      }
+    }
+  }
+
+  const countStatus = (status) => results.filter((result) => result.status === status).length;
+  const totals = {
+    rows: results.length,
+    created: countStatus(IMPORT_ROW_STATUS.CREATED),
+    updated: countStatus(IMPORT_ROW_STATUS.UPDATED),
+    failed: countStatus(IMPORT_ROW_STATUS.FAILED)
+  };
+  const job = {
+    fileName,
+    mapping,
+    totals,
+    results,
+    status: totals.failed > 0 ? 'completed_with_errors' : 'completed',
+    createdBy: adminEmail || null,
+    createdAt: serverTimestamp()
+  };
+
+  const jobRef = await addDoc(collection(db, 'productImports'), job);
+  return { id: jobRef.id, ...job, createdAt: new Date() };
+};
+
+/**
+ * Loads the most recent import jobs, newest first
+ */
+export const getRecentImportJobs = async (count = 10) => {
+  const snapshot = await getDocs(query(collection(db, 'productImports'), orderBy('createdAt', 'desc'), limit(count)));
+  return snapshot.docs.map((jobDoc) => ({ id: jobDoc.id, ...jobDoc.data() }));
+};
+
+/**
+ * Rows of an import job's per-row results, header first
+ */
+export const buildImportResultRows = (job) => [
+  ['Row', 'Name', 'Product ID', 'Result', 'Error'],
+  ...(job.results || []).map((result) => [
+    result.rowNumber,
+    result.name,
+    result.productId || '',
+    result.status,
+    result.error || ''
+  ])
+];
+
+/**
+ * Rows of the catalog in the import format, header first
+ * @param {Array} products - Products ({ id, ...data })
+ */
+export const buildCatalogRows = (products = []) => [
+  PRODUCT_IMPORT_FIELDS.map((field) => field.key),
+  ...products.map((product) => {
+    const withVariants = Array.isArray(product.variants) && product.variants.length > 0;
+    return [
+      product.id,
+      product.name || '',
+      product.description || '',
+      product.category || '',
+      roundMoney(parseFloat(product.price) || 0),
+      product.stock ?? '',
+      product.discount || 0,
+      product.imageUrl || '',
+      withVariants ? JSON.stringify(product.variantOptions || []) : '',
+      withVariants ? JSON.stringify(product.variants) : ''
+    ];
+  })
+];
@@ -0,0 +1,146 @@
+import { guessColumnMapping, validateImportRows, carryOverStockChanges, runProductImport } from './productImport';
+import { addDoc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore');
+
+describe('guessColumnMapping', () => {
+  it('matches headers by key, label or alias', () => {
+    expect(guessColumnMapping(['Product ID', 'Title', 'Unit Price', 'Qty', 'Foo'])).toEqual({
+      id: 0,
+      name: 1,
+      price: 2,
+      stock: 3
+    });
+  });
+});
+
+describe('validateImportRows', () => {
+  const mapping = { id: 0, name: 1, price: 2, stock: 3 };
+
+  it('requires the name and price columns', () => {
+    expect(() => validateImportRows([['Name']], { name: 0 })).toThrow('Map a column to Price');
+  });
+
+  it('creates rows without an ID and updates rows with a known one', () => {
+    const existing = new Map([['p1', { name: 'Lamp', stock: 4 }]]);
+    const [created, updated, unknown] = validateImportRows(
+      [
+        ['ID', 'Name', 'Price', 'Stock'],
+        ['', 'Chair', '10.005', '3'],
+        ['p1', 'Lamp', '12', '8'],
+        ['p9', 'Desk', '-1', '1.5']
+      ],
+      mapping,
+      existing
+    );
+
+    expect(created).toMatchObject({ rowNumber: 2, action: 'create', data: { name: 'Chair', price: 10.01, stock: 3 }, errors: [] });
+    expect(updated).toMatchObject({ action: 'update', productId: 'p1', errors: [] });
+    expect(updated.stockBefore.stock).toBe(4);
+    expect(unknown.errors).toEqual([
+      'No product with ID p9',
+      'Price must be a number of 0 or more',
+      'Stock must be a whole number of 0 or more'
+    ]);
+  });
+
+  it('stores categories as their slug and refuses unknown ones', () => {
+    const [byName, byAlias, empty, unknown] = validateImportRows(
+      [
+        ['Name', 'Price', 'Category'],
+        ['Lamp', '1', 'Home & Garden'],
+        ['Shirt', '1', 'menClothing'],
+        ['Pen', '1', ''],
+        ['Rock', '1', 'Minerals']
+      ],
+      { name: 0, price: 1, category: 2 }
+    );
+
+    expect(byName.data.category).toBe('home');
+    expect(byAlias.data.category).toBe('men-clothing');
+    expect(empty).toMatchObject({ data: { category: '' }, errors: [] });
+    expect(unknown.errors).toEqual(['Unknown category "Minerals"']);
+  });
+});
+
+describe('carryOverStockChanges', () => {
+  const snapshot = (product) => validateImportRows(
+    [['ID', 'Name', 'Price'], ['p1', 'Lamp', '1']],
+    { id: 0, name: 1, price: 2 },
+    new Map([['p1', product]])
+  )[0].stockBefore;
+
+  it('keeps the orders placed since the file was checked', () => {
+    const before = snapshot({ stock: 10 });
+    expect(carryOverStockChanges({ name: 'Lamp', stock: 20 }, before, { stock: 7 })).toEqual({ name: 'Lamp', stock: 17 });
+    expect(carryOverStockChanges({ stock: 2 }, before, { stock: 5 }).stock).toBe(0);
+  });
+
+  it('carries over variant stock by variant id and updates the total', () => {
+    const before = snapshot({ variants: [{ id: 'v1', stock: 5 }, { id: 'v2', stock: 5 }] });
+    const result = carryOverStockChanges(
+      {
+        variants: [
+          { id: 'v1', price: 3, stock: 10 },
+          { id: 'v2', price: 4, stock: 10 },
+          { id: 'v3', price: 5, stock: 1 }
+        ]
+      },
+      before,
+      { variants: [{ id: 'v1', stock: 3 }, { id: 'v2', stock: 5 }] }
+    );
+
+    expect(result.variants.map((variant) => variant.stock)).toEqual([8, 10, 1]);
+    expect(result.stock).toBe(19);
+    expect(result.price).toBe(3);
+  });
+});
+
+describe('runProductImport', () => {
+  const importRows = () => validateImportRows(
+    [
+      ['ID', 'Name', 'Price'],
+      ['p1', 'Lamp', '12'],
+      ['gone', 'Desk', '40'],
+      ['', 'Chair', '10']
+    ],
+    { id: 0, name: 1, price: 2 },
+    new Map([['p1', { name: 'Lamp' }], ['gone', { name: 'Desk' }]])
+  );
+
+  beforeEach(() => {
+    addDoc.mockResolvedValue({ id: 'job1' });
+  });
+
+  it('writes the rows in one batch', async () => {
+    const batch = { update: jest.fn(), set: jest.fn(), commit: jest.fn().mockResolvedValue() };
+    writeBatch.mockReturnValue(batch);
+
+    const job = await runProductImport(importRows(), { fileName: 'products.csv', mapping: {} });
+
+    expect(batch.update).toHaveBeenCalledTimes(2);
+    expect(batch.set).toHaveBeenCalledTimes(1);
+    expect(job.totals).toEqual({ rows: 3, created: 1, updated: 2, failed: 0 });
+    expect(updateDoc).not.toHaveBeenCalled();
+  });
+
+  it('retries a failed batch row by row so only the deleted product fails', async () => {
+    writeBatch.mockReturnValue({
+      update: jest.fn(),
+      set: jest.fn(),
+      commit: jest.fn().mockRejectedValue(new Error('No document to update'))
+    });
+    updateDoc.mockImplementation(async (ref) => {
+      if (ref.id === 'gone') throw Object.assign(new Error('No document to update'), { code: 'not-found' });
+    });
+    setDoc.mockResolvedValue();
+
+    const job = await runProductImport(importRows(), { fileName: 'products.csv', mapping: {} });
+
+    expect(job.totals).toEqual({ rows: 3, created: 1, updated: 1, failed: 1 });
+    expect(job.status).toBe('completed_with_errors');
+    expect(job.results[1]).toMatchObject({ productId: 'gone', status: 'failed', error: 'The product was deleted' });
+    expect(job.results[2].productId).toMatch(/^generated-/);
+  });
+});
@@ -0,0 +1,269 @@
+import { db } from '../firebase';
+import { collection, getDocs } from 'firebase/firestore';
+import { getCategories, getCategoryLabel } from './categories';
+
+/**
+ * Client-side product search. The catalog is tokenized into an inverted
+ * index (term → product → weighted score) so queries are ranked by relevance
+ * instead of filtered by substring. Each query word may match a term exactly,
+ * as the start of a longer term ("head" → "headphones"), or with a typo or
+ * two ("hedphones" → "headphones"); every query word has to match somewhere.
+ * Matches in the name count more than matches in the category, seller or
+ * description.
+ */
+
+export const SEARCH_FIELD_WEIGHTS = {
+  name: 4,
+  category: 2,
+  seller: 1.5,
+  description: 1
+};
+
+// How much a match counts, depending on how it matched the query word
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.7;
+const TYPO_MATCH = 0.45;
+
+// Query words shorter than this only match exactly or as a prefix
+const MIN_TYPO_LENGTH = 4;
+
+// Catalog index used by the Navbar is rebuilt after this long
+const CATALOG_INDEX_TTL = 5 * 60 * 1000;
+
+/**
+ * Lowercases, strips accents and splits text into words
+ * @returns {Array<string>}
+ */
+export const tokenize = (text) =>
+  String(text ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Typos allowed for a query word of this length
+const maxTypos = (length) => (length < MIN_TYPO_LENGTH ? 0 : length < 8 ? 1 : 2);
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * neighbouring letters. Stops early and returns max + 1 once it exceeds max.
+ */
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+const getFieldTexts = (product, categoryLabel) => ({
+  name: product.name,
+  category: [product.category, categoryLabel ? categoryLabel(product.category) : ''].join(' '),
+  seller: product.seller?.shopName || product.sellerName || '',
+  description: product.description
+});
+
+/**
+ * Builds the search index of a product list
+ * @param {Array} products - Products ({ id, name, description, category, seller })
+ * @param {Object} options - { categoryLabel(value) } to also index category names
+ * @returns {Object} - Index for searchProducts, getSuggestions and getDidYouMean
+ */
+export const buildSearchIndex = (products = [], { categoryLabel } = {}) => {
+  const postings = new Map();
+
+  products.forEach((product, docIndex) => {
+    if (!product) return;
+    const fields = getFieldTexts(product, categoryLabel);
+
+    Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+      const tokens = tokenize(fields[field]);
+      // Long descriptions should not outweigh a short name that says the same thing
+      const fieldWeight = weight / Math.sqrt(Math.max(1, tokens.length / 4));
+      tokens.forEach((token) => {
+        if (!postings.has(token)) postings.set(token, new Map());
+        const docs = postings.get(token);
+        docs.set(docIndex, Math.max(docs.get(docIndex) || 0, fieldWeight));
+      });
+    });
+  });
+
+  return {
+    products,
+    postings,
+    // Sorted so prefix matches are a contiguous range
+    terms: Array.from(postings.keys()).sort()
+  };
+};
+
+// First position in the sorted terms not before the prefix
+const lowerBound = (terms, prefix) => {
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (terms[middle] < prefix) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+/**
+ * Terms of the index matching one query word, with how strongly they match
+ * @returns {Array} - [{ term, quality }]
+ */
+const matchTerms = (index, word) => {
+  const matches = [];
+  if (index.postings.has(word)) {
+    matches.push({ term: word, quality: EXACT_MATCH });
+  }
+
+  for (let position = lowerBound(index.terms, word); position < index.terms.length; position += 1) {
+    const term = index.terms[position];
+    if (!term.startsWith(word)) break;
+    if (term !== word) matches.push({ term, quality: PREFIX_MATCH });
+  }
+
+  const typos = maxTypos(word.length);
+  if (typos > 0) {
+    index.terms.forEach((term) => {
+      if (term === word || term.startsWith(word) || Math.abs(term.length - word.length) > typos) return;
+      const distance = editDistance(word, term, typos);
+      if (distance <= typos) {
+        matches.push({ term, quality: TYPO_MATCH / distance });
+      }
+    });
+  }
+  return matches;
+};
+
+/**
+ * Ranks the indexed products against a query
+ * @param {Object} index - From buildSearchIndex
+ * @param {string} queryText - What the customer typed
+ * @param {Object} options - { limit }
+ * @returns {Array} - [{ product, score }], best first; empty for a blank query
+ */
+export const searchProducts = (index, queryText, { limit = Infinity } = {}) => {
+  const words = Array.from(new Set(tokenize(queryText)));
+  if (!index || words.length === 0) return [];
+
+  let scores = null;
+  for (const word of words) {
+    const wordScores = new Map();
+    matchTerms(index, word).forEach(({ term, quality }) => {
+      index.postings.get(term).forEach((weight, docIndex) => {
+        wordScores.set(docIndex, Math.max(wordScores.get(docIndex) || 0, weight * quality));
+      });
+    });
+
+    // Every query word has to match
+    if (scores === null) {
+      scores = wordScores;
+    } else {
+      const combined = new Map();
+      scores.forEach((score, docIndex) => {
+        if (wordScores.has(docIndex)) combined.set(docIndex, score + wordScores.get(docIndex));
+      });
+      scores = combined;
+    }
+    if (scores.size === 0) return [];
+  }
+
+  const phrase = words.join(' ');
+  return Array.from(scores.entries())
+    .map(([docIndex, score]) => {
+      const product = index.products[docIndex];
+      const name = tokenize(product.name).join(' ');
+      // Names that start with, or contain, the whole query rank first
+      const bonus = name.startsWith(phrase) ? 2 : name.includes(phrase) ? 1 : 0;
+      return { product, score: score + bonus };
+    })
+    .sort((a, b) => b.score - a.score || (a.product.name || '').localeCompare(b.product.name || ''))
+    .slice(0, limit);
+};
+
+/**
+ * Autocomplete suggestions for a partly typed query
+ * @returns {Array} - Up to `limit` products, best first
+ */
+export const getSuggestions = (index, queryText, limit = 6) =>
+  searchProducts(index, queryText, { limit }).map((result) => result.product);
+
+/**
+ * A corrected query for one that matches nothing, built from the closest
+ * indexed word to each misspelt query word
+ * @returns {string|null} - The suggestion, or null when there is nothing better
+ */
+export const getDidYouMean = (index, queryText) => {
+  const words = tokenize(queryText);
+  if (!index || words.length === 0) return null;
+
+  let changed = false;
+  const corrected = words.map((word) => {
+    if (index.postings.has(word)) return word;
+
+    let best = null;
+    const limit = Math.max(2, maxTypos(word.length) + 1);
+    index.terms.forEach((term) => {
+      const distance = editDistance(word, term, limit);
+      if (distance > limit) return;
+      const frequency = index.postings.get(term).size;
+      if (!best || distance < best.distance || (distance === best.distance && frequency > best.frequency)) {
+        best = { term, distance, frequency };
+      }
+    });
+
+    if (!best) return word;
+    changed = true;
+    return best.term;
+  });
+
+  if (!changed) return null;
+  const suggestion = corrected.join(' ');
+  return searchProducts(index, suggestion, { limit: 1 }).length > 0 ? suggestion : null;
+};
+
+let catalogIndexCache = null;
+
+/**
+ * Search index of the whole catalog, with category names from the taxonomy,
+ * shared by every caller and rebuilt once it is a few minutes old
+ * @returns {Promise<Object>}
+ */
+export const getCatalogSearchIndex = () => {
+  if (!catalogIndexCache || Date.now() - catalogIndexCache.builtAt > CATALOG_INDEX_TTL) {
+    const promise = Promise.all([getDocs(collection(db, 'products')), getCategories()]).then(
+      ([snapshot, categories]) =>
+        buildSearchIndex(
+          snapshot.docs
+            .map((productDoc) => ({ id: productDoc.id, ...productDoc.data() }))
+            .filter((product) => product.name && !product.hidden),
+          { categoryLabel: (value) => getCategoryLabel(categories, value) }
+        )
+    );
+    catalogIndexCache = { builtAt: Date.now(), promise };
+    // Let the next caller try again rather than keeping a failed load
+    promise.catch(() => {
+      catalogIndexCache = null;
+    });
+  }
+  return catalogIndexCache.promise;
+};
@@ -0,0 +1,130 @@
+import {
+  tokenize,
+  editDistance,
+  buildSearchIndex,
+  searchProducts,
+  getSuggestions,
+  getDidYouMean,
+  getCatalogSearchIndex
+} from './productSearch';
+import { mockFirestoreCollections } from '../testUtils/firestore';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore');
+
+const products = [
+  { id: 'p1', name: 'Wireless Headphones', category: 'electronics', description: 'Over-ear, with noise cancelling' },
+  { id: 'p2', name: "Men's Jeans", category: 'menClothing', description: 'Slim fit denim' },
+  { id: 'p3', name: 'Café Table', category: 'home', description: 'Round oak table' },
+  { id: 'p4', name: 'Bluetooth Speaker', category: 'electronics', seller: { shopName: 'Sound Shop' } },
+  { id: 'p5', name: 'Headphone Stand', category: 'electronics', description: 'Holds any headphones' },
+  { id: 'p6', name: 'Desk Lamp', category: 'home', description: 'Works great beside wireless headphones on a desk' }
+];
+
+const index = buildSearchIndex(products, {
+  categoryLabel: (value) => ({ electronics: 'Computers, Cameras & Accessories' }[value] || '')
+});
+
+const ids = (results) => results.map((result) => result.product.id);
+
+describe('tokenize', () => {
+  it('lowercases, strips accents and splits on anything but letters and digits', () => {
+    expect(tokenize("Café-Table, Men's 2XL!")).toEqual(['cafe', 'table', 'men', 's', '2xl']);
+  });
+
+  it('returns no words for empty values', () => {
+    expect(tokenize(undefined)).toEqual([]);
+    expect(tokenize('  --  ')).toEqual([]);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('', 'abc')).toBe(3);
+    expect(editDistance('same', 'same')).toBe(0);
+  });
+
+  it('counts a swap of neighbouring letters as one edit', () => {
+    expect(editDistance('ab', 'ba')).toBe(1);
+    expect(editDistance('haedphones', 'headphones')).toBe(1);
+  });
+
+  it('stops at max + 1', () => {
+    expect(editDistance('abcdef', 'zzzzzz', 1)).toBe(2);
+    expect(editDistance('a', 'abcdef', 2)).toBe(3);
+  });
+});
+
+describe('searchProducts', () => {
+  it('finds products despite a typo', () => {
+    expect(ids(searchProducts(index, 'hedphones'))[0]).toBe('p1');
+    expect(ids(searchProducts(index, 'jeens'))).toEqual(['p2']);
+  });
+
+  it('matches the start of a word', () => {
+    expect(ids(searchProducts(index, 'head'))).toEqual(expect.arrayContaining(['p1', 'p5']));
+  });
+
+  it('ignores accents', () => {
+    expect(ids(searchProducts(index, 'cafe'))).toEqual(['p3']);
+    expect(ids(searchProducts(index, 'CAFÉ'))).toEqual(['p3']);
+  });
+
+  it('requires every query word to match', () => {
+    expect(ids(searchProducts(index, 'wireless headphones'))).toEqual(['p1', 'p6']);
+    expect(searchProducts(index, 'wireless jeans')).toEqual([]);
+  });
+
+  it('ranks name matches above description matches', () => {
+    const [first, second] = searchProducts(index, 'headphones');
+    expect([first.product.id, second.product.id]).not.toContain('p6');
+    expect(ids(searchProducts(index, 'headphones')).pop()).toBe('p6');
+  });
+
+  it('searches category names and sellers', () => {
+    expect(ids(searchProducts(index, 'cameras'))).toEqual(expect.arrayContaining(['p1', 'p4', 'p5']));
+    expect(ids(searchProducts(index, 'sound shop'))).toEqual(['p4']);
+  });
+
+  it('does not allow typos in short words', () => {
+    expect(searchProducts(index, 'oat')).toEqual([]);
+  });
+
+  it('returns nothing for a blank query and honours the limit', () => {
+    expect(searchProducts(index, '  ')).toEqual([]);
+    expect(searchProducts(null, 'lamp')).toEqual([]);
+    expect(searchProducts(index, 'head', { limit: 1 })).toHaveLength(1);
+    expect(getSuggestions(index, 'desk', 6).map((product) => product.id)).toEqual(['p6']);
+  });
+});
+
+describe('getDidYouMean', () => {
+  it('corrects each misspelt word', () => {
+    expect(getDidYouMean(index, 'blutooth speker')).toBe('bluetooth speaker');
+  });
+
+  it('returns null when the query is already right or nothing is close', () => {
+    expect(getDidYouMean(index, 'bluetooth speaker')).toBeNull();
+    expect(getDidYouMean(index, 'qqqqqq')).toBeNull();
+    expect(getDidYouMean(index, '')).toBeNull();
+  });
+
+  it('returns null when the corrected words match no single product', () => {
+    expect(getDidYouMean(index, 'jeens lamb')).toBeNull();
+  });
+});
+
+describe('getCatalogSearchIndex', () => {
+  it('searches the category names of the saved taxonomy', async () => {
+    mockFirestoreCollections({
+      'products/p1': { name: 'Wireless Headphones', category: 'audio' },
+      'products/p2': { name: 'Hidden Speaker', category: 'audio', hidden: true },
+      'categories/audio': { name: 'Sound & Audio' }
+    });
+
+    const catalogIndex = await getCatalogSearchIndex();
+
+    expect(ids(searchProducts(catalogIndex, 'sound'))).toEqual(['p1']);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Product variants. A product with variants lists the options customers pick
+ * from and one entry per combination of option values:
+ *
+ *   variantOptions: [{ name: 'Size', values: ['30', '32'] }, { name: 'Color', values: ['Blue'] }]
+ *   variants: [{ id, options: { Size: '32', Color: 'Blue' }, sku, price, stock, imageUrl }]
+ *
+ * The product's own `price` and `stock` are kept as the lowest variant price
+ * and the total variant stock, so listings that ignore variants still show
+ * sensible figures.
+ */
+
+export const VARIANT_OPTION_NAMES = ['Size', 'Color', 'Material'];
+
+/**
+ * Whether the product is sold in variants
+ */
+export const hasVariants = (product) => Array.isArray(product?.variants) && product.variants.length > 0;
+
+/**
+ * Stable key of an option combination, independent of option order
+ */
+export const getVariantKey = (options = {}) =>
+  Object.keys(options)
+    .sort()
+    .map((name) => `${name}=${options[name]}`)
+    .join('|');
+
+/**
+ * Short label of a variant's options, e.g. "32 / Blue"
+ */
+export const formatVariantLabel = (options = {}, variantOptions = []) => {
+  const names = variantOptions.length > 0 ? variantOptions.map((option) => option.name) : Object.keys(options);
+  return names
+    .filter((name) => options[name])
+    .map((name) => options[name])
+    .join(' / ');
+};
+
+/**
+ * Splits a comma-separated list of option values, dropping blanks and duplicates
+ */
+export const parseOptionValues = (text = '') =>
+  Array.from(new Set(String(text).split(',').map((value) => value.trim()).filter(Boolean)));
+
+const createVariantId = () => `v_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Builds one variant per combination of option values. Combinations that
+ * already exist keep their id, SKU, price, stock and image.
+ * @param {Array} variantOptions - [{ name, values }]
+ * @param {Array} existingVariants - Current variants of the product
+ * @param {Object} defaults - { price, stock, imageUrl, sku } for new combinations
+ * @returns {Array} - Variants in option order
+ */
+export const buildVariantMatrix = (variantOptions = [], existingVariants = [], defaults = {}) => {
+  const options = variantOptions.filter((option) => option.name && option.values?.length > 0);
+  if (options.length === 0) return [];
+
+  const combinations = options.reduce(
+    (partial, option) => partial.flatMap((combination) =>
+      option.values.map((value) => ({ ...combination, [option.name]: value }))
+    ),
+    [{}]
+  );
+  const existing = new Map(existingVariants.map((variant) => [getVariantKey(variant.options), variant]));
+
+  return combinations.map((combination) => {
+    const current = existing.get(getVariantKey(combination));
+    if (current) return { ...current, options: combination };
+
+    const suffix = options.map((option) => combination[option.name]).join('-').toUpperCase().replace(/\s+/g, '');
+    return {
+      id: createVariantId(),
+      options: combination,
+      sku: defaults.sku ? `${defaults.sku}-${suffix}` : '',
+      price: Number(defaults.price) || 0,
+      stock: Number(defaults.stock) || 0,
+      imageUrl: defaults.imageUrl || ''
+    };
+  });
+};
+
+/**
+ * Finds the variant matching a full selection of option values
+ * @param {Object} product - Product with variants
+ * @param {Object} selection - { [optionName]: value }
+ * @returns {Object|null}
+ */
+export const findVariant = (product, selection = {}) => {
+  if (!hasVariants(product)) return null;
+  const key = getVariantKey(selection);
+  return product.variants.find((variant) => getVariantKey(variant.options) === key) || null;
+};
+
+/**
+ * Whether any in-stock variant has `value` for `optionName` given the other
+ * options already selected. Used to grey out combinations that can't be bought.
+ */
+export const isOptionValueAvailable = (product, selection, optionName, value) => {
+  if (!hasVariants(product)) return false;
+  const wanted = { ...selection, [optionName]: value };
+  return product.variants.some((variant) =>
+    Number(variant.stock) > 0 &&
+    Object.entries(wanted).every(([name, selected]) => !selected || variant.options?.[name] === selected)
+  );
+};
+
+/**
+ * Product-level price and stock derived from the variants
+ * @returns {Object} - { price, stock } — lowest variant price and total stock
+ */
+export const summarizeVariants = (variants = []) => ({
+  price: variants.length > 0 ? Math.min(...variants.map((variant) => Number(variant.price) || 0)) : 0,
+  stock: variants.reduce((total, variant) => total + (parseInt(variant.stock, 10) || 0), 0)
+});
+
+/**
+ * Lowest and highest variant price, or the product price when it has no variants
+ */
+export const getPriceRange = (product) => {
+  if (!hasVariants(product)) {
+    const price = Number(product?.price) || 0;
+    return { min: price, max: price };
+  }
+  const prices = product.variants.map((variant) => Number(variant.price) || 0);
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+};
+
+/**
+ * Identifies a cart line: the same product in two variants is two lines
+ */
+export const getCartItemKey = (item) => (item.variantId ? `${item.id}:${item.variantId}` : item.id);
+
+/**
+ * Builds the cart line for a product, or for one of its variants
+ * @param {Object} product - Product ({ id, ...data })
+ * @param {Object} variant - Chosen variant, if the product has variants
+ * @param {string} fallbackImage - Image used when neither has one
+ */
+export const buildCartItem = (product, variant = null, fallbackImage = '') => {
+  const item = {
+    id: product.id,
+    name: product.name,
+    price: product.price || 0,
+    imageUrl: product.imageUrl || fallbackImage,
+    quantity: 1,
+    seller: product.seller || null
+  };
+
+  if (variant) {
+    item.variantId = variant.id;
+    item.variantOptions = variant.options;
+    item.variantLabel = formatVariantLabel(variant.options, product.variantOptions);
+    item.sku = variant.sku || '';
+    item.price = Number(variant.price) || 0;
+    item.imageUrl = variant.imageUrl || item.imageUrl;
+  }
+
+  return item;
+};
+
+/**
+ * Adds a line to the cart, increasing the quantity when the same product
+ * and variant is already there
+ * @returns {Array} - Updated cart
+ */
+export const addItemToCart = (cart = [], cartItem, quantity = 1) => {
+  const key = getCartItemKey(cartItem);
+  if (cart.some((item) => getCartItemKey(item) === key)) {
+    return cart.map((item) => (getCartItemKey(item) === key ? { ...item, quantity: item.quantity + quantity } : item));
+  }
+  return [...cart, { ...cartItem, quantity }];
+};
+
@@ -0,0 +1,158 @@
+import { db } from '../firebase';
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { getLineTotal, multiplyMoney, sumMoney } from './money';
+import { DEFAULT_CATEGORIES, getCategories, getCategoryPath, getCategoryValues, matchCategory } from './categories';
+
+/**
+ * Seller profit margin rules. The margin is the share of an item's price the
+ * seller earns on top of the price when picking an order. Rules live in the
+ * `settings/profitMargins` document and can target a product category, a
+ * seller tier and a date range; the most specific matching rule wins and the
+ * default rate applies when none match. A category rule also covers the
+ * category's subcategories and aliases, and a rule for a subcategory is more
+ * specific than one for its parent. Picked orders store the rate of each
+ * item in `marginRates`, so later rule changes never alter them.
+ */
+
+export const SELLER_TIERS = ['standard', 'silver', 'gold'];
+
+export const DEFAULT_SELLER_TIER = 'standard';
+
+// Margin used before rules existed; picked orders without marginRates were priced with it
+export const LEGACY_PROFIT_RATE = 0.23;
+
+export const DEFAULT_PROFIT_MARGIN_SETTINGS = {
+  defaultRate: LEGACY_PROFIT_RATE,
+  rules: []
+};
+
+const profitMarginsRef = () => doc(db, 'settings', 'profitMargins');
+
+/**
+ * Loads the margin settings, falling back to the defaults for missing fields.
+ * The category taxonomy is loaded along with them as `categories`, which the
+ * rules are matched against (the built-in categories when it is missing).
+ */
+export const getProfitMarginSettings = async () => {
+  const [settingsDoc, categories] = await Promise.all([getDoc(profitMarginsRef()), getCategories()]);
+  return { ...DEFAULT_PROFIT_MARGIN_SETTINGS, ...(settingsDoc.exists() ? settingsDoc.data() : {}), categories };
+};
+
+const isValidRate = (rate) => Number.isFinite(rate) && rate >= 0 && rate <= 1;
+
+/**
+ * Validates and saves the margin settings
+ * @param {Object} settings - { defaultRate, rules: [{ category, sellerTier, startDate, endDate, rate }] }
+ * @param {string} adminEmail - Admin saving the settings
+ */
+export const saveProfitMarginSettings = async (settings, adminEmail) => {
+  const defaultRate = Number(settings.defaultRate);
+  if (!isValidRate(defaultRate)) {
+    throw new Error('The default margin must be between 0% and 100%');
+  }
+
+  const rules = (settings.rules || []).map((rule, index) => {
+    const rate = Number(rule.rate);
+    if (!isValidRate(rate)) {
+      throw new Error(`Rule ${index + 1}: the margin must be between 0% and 100%`);
+    }
+    if (rule.startDate && rule.endDate && rule.startDate > rule.endDate) {
+      throw new Error(`Rule ${index + 1}: the start date must be before the end date`);
+    }
+    if (rule.sellerTier && !SELLER_TIERS.includes(rule.sellerTier)) {
+      throw new Error(`Rule ${index + 1}: unknown seller tier "${rule.sellerTier}"`);
+    }
+    return {
+      category: (rule.category || '').trim(),
+      sellerTier: rule.sellerTier || '',
+      startDate: rule.startDate || '',
+      endDate: rule.endDate || '',
+      rate
+    };
+  });
+
+  await setDoc(profitMarginsRef(), {
+    defaultRate,
+    rules,
+    updatedBy: adminEmail,
+    updatedAt: serverTimestamp()
+  });
+};
+
+const toDateKey = (date) => {
+  const value = date instanceof Date ? date : new Date(date || Date.now());
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+};
+
+// Rules saved before the category picker may hold a name or an old value
+const getRuleCategoryValues = (rule, categories) => {
+  const ruleCategory = matchCategory(categories, rule.category);
+  return ruleCategory ? getCategoryValues(categories, ruleCategory.id) : [rule.category];
+};
+
+const ruleMatches = (rule, { category, sellerTier, dateKey, categories }) => {
+  if (rule.category && !getRuleCategoryValues(rule, categories).includes(category)) return false;
+  if (rule.sellerTier && rule.sellerTier !== (sellerTier || DEFAULT_SELLER_TIER)) return false;
+  if (rule.startDate && dateKey < rule.startDate) return false;
+  if (rule.endDate && dateKey > rule.endDate) return false;
+  return true;
+};
+
+// A category outweighs tier and dates together, and each level down outweighs its parent
+const ruleSpecificity = (rule, categories) => {
+  const categoryDepth = rule.category
+    ? Math.max(1, getCategoryPath(categories, matchCategory(categories, rule.category)?.id).length)
+    : 0;
+  return categoryDepth * 4 + (rule.sellerTier ? 2 : 0) + (rule.startDate || rule.endDate ? 1 : 0);
+};
+
+/**
+ * Margin rate for one item
+ * @param {Object} settings - Margin settings
+ * @param {Object} context - { category, sellerTier, date }
+ * @returns {number} - Rate as a fraction of the price (0.23 = 23%)
+ */
+export const getMarginRate = (settings, context = {}) => {
+  const current = settings || DEFAULT_PROFIT_MARGIN_SETTINGS;
+  const categories = current.categories || DEFAULT_CATEGORIES;
+  const matchContext = { ...context, dateKey: toDateKey(context.date), categories };
+
+  // Most specific rule first; among equals the one listed last wins
+  const match = (current.rules || [])
+    .map((rule, index) => ({ rule, index, specificity: ruleSpecificity(rule, categories) }))
+    .filter(({ rule }) => ruleMatches(rule, matchContext))
+    .sort((a, b) => b.specificity - a.specificity || b.index - a.index)[0];
+
+  return match ? Number(match.rule.rate) : Number(current.defaultRate);
+};
+
+/**
+ * Profit on a catalog product at today's rules
+ */
+export const getProductProfit = (settings, product, sellerTier) =>
+  multiplyMoney(product.price, getMarginRate(settings, { category: product.category, sellerTier }));
+
+/**
+ * Margin rate of one order item: the rate stored at pick time, the legacy
+ * rate for orders picked before rules existed, or today's rule otherwise
+ */
+export const getOrderItemRate = (order, index, settings, sellerTier) => {
+  const storedRate = order.marginRates?.[index];
+  if (storedRate !== undefined && storedRate !== null) return Number(storedRate);
+  if (order.pickedAt) return LEGACY_PROFIT_RATE;
+
+  const item = order.items?.[index] || {};
+  return getMarginRate(settings, { category: item.category, sellerTier });
+};
+
+/**
+ * Seller profit on an order, item by item
+ */
+export const getOrderProfit = (order, settings, sellerTier) =>
+  sumMoney(order?.items || [], (item, index) =>
+    multiplyMoney(getLineTotal(item), getOrderItemRate(order, index, settings, sellerTier))
+  );
+
+export const formatMarginRate = (rate) => `${Math.round(Number(rate) * 10000) / 100}%`;
@@ -0,0 +1,76 @@
+import { getMarginRate, getOrderProfit } from './profitMargins';
+import { DEFAULT_CATEGORIES } from './categories';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+const settings = (rules) => ({ defaultRate: 0.2, rules, categories: DEFAULT_CATEGORIES });
+
+const rule = (fields) => ({ category: '', sellerTier: '', startDate: '', endDate: '', ...fields });
+
+describe('getMarginRate', () => {
+  it('uses the default rate when no rule matches', () => {
+    expect(getMarginRate(settings([rule({ category: 'books', rate: 0.3 })]), { category: 'toys' })).toBe(0.2);
+  });
+
+  it('applies a category rule to its subcategories and aliases', () => {
+    const current = settings([rule({ category: 'kids-toys', rate: 0.3 })]);
+
+    expect(getMarginRate(current, { category: 'kids-toys' })).toBe(0.3);
+    expect(getMarginRate(current, { category: 'toys' })).toBe(0.3);
+    expect(getMarginRate(current, { category: 'childrenClothing' })).toBe(0.3);
+  });
+
+  it('prefers the rule of the deeper category, even over a tier rule on the parent', () => {
+    const current = settings([
+      rule({ category: 'toys', rate: 0.4 }),
+      rule({ category: 'kids-toys', sellerTier: 'gold', rate: 0.3 })
+    ]);
+
+    expect(getMarginRate(current, { category: 'toys', sellerTier: 'gold' })).toBe(0.4);
+    expect(getMarginRate(current, { category: 'children-clothing', sellerTier: 'gold' })).toBe(0.3);
+  });
+
+  it('matches rules saved with a category name or an old value', () => {
+    const current = settings([
+      rule({ category: 'Men Clothing & Fashion', rate: 0.25 }),
+      rule({ category: 'Gadgets', rate: 0.35 })
+    ]);
+
+    expect(getMarginRate(current, { category: 'menClothing' })).toBe(0.25);
+    expect(getMarginRate(current, { category: 'Gadgets' })).toBe(0.35);
+  });
+
+  it('falls back to the built-in categories before the taxonomy is loaded', () => {
+    const current = { defaultRate: 0.2, rules: [rule({ category: 'kids-toys', rate: 0.3 })] };
+    expect(getMarginRate(current, { category: 'toys' })).toBe(0.3);
+  });
+
+  it('honours the tier and date range', () => {
+    const current = settings([rule({ sellerTier: 'gold', startDate: '2026-01-01', endDate: '2026-01-31', rate: 0.5 })]);
+
+    expect(getMarginRate(current, { sellerTier: 'gold', date: new Date(2026, 0, 15) })).toBe(0.5);
+    expect(getMarginRate(current, { sellerTier: 'gold', date: new Date(2026, 1, 1) })).toBe(0.2);
+    expect(getMarginRate(current, { date: new Date(2026, 0, 15) })).toBe(0.2);
+  });
+});
+
+describe('getOrderProfit', () => {
+  it('keeps the rates stored at pick time', () => {
+    const order = {
+      pickedAt: 'picked',
+      marginRates: [0.1],
+      items: [{ price: 10, quantity: 2, category: 'toys' }]
+    };
+    expect(getOrderProfit(order, settings([rule({ category: 'toys', rate: 0.5 })]))).toBe(2);
+  });
+
+  it('prices unpicked orders item by item with the current rules', () => {
+    const order = {
+      items: [
+        { price: 10, quantity: 1, category: 'toys' },
+        { price: 10, quantity: 1, category: 'books' }
+      ]
+    };
+    expect(getOrderProfit(order, settings([rule({ category: 'kids-toys', rate: 0.5 })]))).toBe(7);
+  });
+});
@@ -0,0 +1,290 @@
+import { db } from '../firebase';
+import {
+  doc,
+  collection,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+import { applyStatusTransition, canTransition } from './orderLifecycle';
+import { LEDGER_ACCOUNTS, postSellerLedgerEntry, withBalancingLine } from './walletLedger';
+import { moneyFields, readMoney } from './money';
+import { readOrderRestock, restockOrder } from './inventory';
+
+/**
+ * Refund workflow: the customer requests a refund for a completed order,
+ * the seller responds, and the admin approves or rejects. Approval reverses
+ * the seller's wallet and pending entries created when the order was picked
+ * and completed.
+ */
+
+export const REFUND_STATUS = {
+  REQUESTED: 'requested',
+  SELLER_RESPONDED: 'seller_responded',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+export const getRefundStatusColor = (status) => {
+  switch (status) {
+    case REFUND_STATUS.APPROVED:
+      return 'success';
+    case REFUND_STATUS.REJECTED:
+      return 'error';
+    case REFUND_STATUS.SELLER_RESPONDED:
+      return 'info';
+    case REFUND_STATUS.REQUESTED:
+    default:
+      return 'warning';
+  }
+};
+
+export const getRefundStatusLabel = (status) => {
+  switch (status) {
+    case REFUND_STATUS.SELLER_RESPONDED:
+      return 'Seller responded';
+    case REFUND_STATUS.APPROVED:
+      return 'Approved';
+    case REFUND_STATUS.REJECTED:
+      return 'Rejected';
+    case REFUND_STATUS.REQUESTED:
+    default:
+      return 'Requested';
+  }
+};
+
+// Each order gets a single refund request; a rejected request cannot be reopened
+export const canRequestRefund = (order) =>
+  !!order &&
+  !order.refundStatus &&
+  canTransition(order.status, 'refund_requested', 'customer');
+
+/**
+ * Creates a refund request for a delivered order and moves the order to refund_requested
+ * @param {Object} order - Order being refunded (must include id)
+ * @param {Object} request - { reason, photoUrls, customerId, customerEmail }
+ * @returns {Promise<string>} - Id of the new refund request
+ */
+export const createRefundRequest = async (order, request) => {
+  const { reason, photoUrls = [], customerId, customerEmail } = request;
+
+  if (!reason || !reason.trim()) {
+    throw new Error('Please describe why you want a refund');
+  }
+
+  const orderRef = doc(db, 'orders', order.id);
+  const refundRef = doc(collection(db, 'refundRequests'));
+
+  await runTransaction(db, async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists()) {
+      throw new Error('Order not found');
+    }
+
+    const orderData = orderDoc.data();
+    if (orderData.customerId && customerId && orderData.customerId !== customerId) {
+      throw new Error('You can only request refunds for your own orders');
+    }
+    if (orderData.refundStatus) {
+      throw new Error('A refund has already been requested for this order');
+    }
+
+    applyStatusTransition(transaction, orderRef, orderData, 'refund_requested', {
+      role: 'customer',
+      note: `Refund requested: ${reason.trim()}`,
+      updates: {
+        refundRequestId: refundRef.id,
+        refundStatus: REFUND_STATUS.REQUESTED
+      }
+    });
+
+    transaction.set(refundRef, {
+      orderId: order.id,
+      orderNumber: orderData.orderNumber || order.id.substring(0, 8),
+      sellerId: orderData.sellerId || null,
+      customerId: customerId || orderData.customerId || null,
+      customerEmail: customerEmail || orderData.customerEmail || null,
+      ...moneyFields({ amount: readMoney(orderData, 'total') || readMoney(orderData, 'totalAmount') }),
+      reason: reason.trim(),
+      photoUrls,
+      status: REFUND_STATUS.REQUESTED,
+      timestamp: serverTimestamp()
+    });
+  });
+
+  return refundRef.id;
+};
+
+/**
+ * Records the seller's response to a refund request
+ * @param {string} refundId - Refund request id
+ * @param {string} sellerId - Responding seller
+ * @param {Object} response - { accepted, note }
+ */
+export const respondToRefund = async (refundId, sellerId, response) => {
+  const { accepted, note } = response;
+  const refundRef = doc(db, 'refundRequests', refundId);
+
+  await runTransaction(db, async (transaction) => {
+    const refundDoc = await transaction.get(refundRef);
+    if (!refundDoc.exists()) {
+      throw new Error('Refund request not found');
+    }
+
+    const refundData = refundDoc.data();
+    if (refundData.sellerId !== sellerId) {
+      throw new Error('This refund request belongs to another seller');
+    }
+    if (refundData.status !== REFUND_STATUS.REQUESTED) {
+      throw new Error('This refund request has already been answered');
+    }
+
+    transaction.update(refundRef, {
+      status: REFUND_STATUS.SELLER_RESPONDED,
+      sellerAccepted: !!accepted,
+      sellerResponse: note || '',
+      sellerRespondedAt: serverTimestamp()
+    });
+  });
+};
+
+/**
+ * Approves a refund: the order becomes refunded and the seller's wallet and
+ * pending entries for the order are reversed, each with its own `transactions` record.
+ * @param {string} refundId - Refund request id
+ * @param {string} adminEmail - Admin approving the refund
+ * @returns {Promise<Object>} - Wallet and pending changes applied to the seller
+ */
+export const approveRefund = async (refundId, adminEmail) => {
+  const refundRef = doc(db, 'refundRequests', refundId);
+
+  return runTransaction(db, async (transaction) => {
+    const refundDoc = await transaction.get(refundRef);
+    if (!refundDoc.exists()) {
+      throw new Error('Refund request not found');
+    }
+
+    const refundData = refundDoc.data();
+    if (refundData.status === REFUND_STATUS.APPROVED || refundData.status === REFUND_STATUS.REJECTED) {
+      throw new Error('This refund request has already been processed');
+    }
+
+    const orderRef = doc(db, 'orders', refundData.orderId);
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists()) {
+      throw new Error('Order not found');
+    }
+    const orderData = orderDoc.data();
+
+    const sellerRef = orderData.sellerId ? doc(db, 'sellers', orderData.sellerId) : null;
+    const sellerDoc = sellerRef ? await transaction.get(sellerRef) : null;
+    const restock = await readOrderRestock(transaction, orderData);
+
+    let walletChange = 0;
+    let pendingChange = 0;
+
+    if (sellerDoc && sellerDoc.exists()) {
+      const sellerData = sellerDoc.data();
+      const pendingBefore = readMoney(sellerData, 'pendingAmount');
+      const orderLabel = orderData.orderNumber || refundData.orderId.substring(0, 8);
+      const lines = [];
+      const notes = [];
+
+      // Undo the wallet debit made when the seller picked the order
+      const walletDeducted = readMoney(orderData, 'walletDeducted');
+      if (walletDeducted > 0) {
+        lines.push({ account: LEDGER_ACCOUNTS.WALLET, amount: walletDeducted });
+        notes.push(`$${walletDeducted.toFixed(2)} pick deduction returned to wallet`);
+      }
+
+      // Undo the earnings: either still in pending, or already moved to the wallet on completion
+      const pendingTransferred = readMoney(orderData, 'pendingTransferred');
+      const pendingAdded = readMoney(orderData, 'pendingAdded');
+      if (pendingTransferred > 0) {
+        lines.push({ account: LEDGER_ACCOUNTS.WALLET, amount: -pendingTransferred });
+        notes.push(`$${pendingTransferred.toFixed(2)} completion payout reversed from wallet`);
+      } else if (pendingAdded > 0) {
+        const pendingRemoved = Math.min(pendingAdded, pendingBefore);
+        lines.push({ account: LEDGER_ACCOUNTS.PENDING, amount: -pendingRemoved });
+        notes.push(`$${pendingRemoved.toFixed(2)} removed from pending`);
+      }
+
+      if (lines.length > 0) {
+        const posted = postSellerLedgerEntry(transaction, sellerRef, sellerData, {
+          type: 'refund_reversal',
+          orderId: refundData.orderId,
+          lines: withBalancingLine(lines, LEDGER_ACCOUNTS.PLATFORM_REVENUE),
+          description: `Refund for order #${orderLabel}: ${notes.join(', ')}.`,
+          processedBy: adminEmail,
+          transactionFields: { refundId }
+        });
+        walletChange = posted.walletChange;
+        pendingChange = posted.pendingChange;
+      }
+    }
+
+    applyStatusTransition(transaction, orderRef, orderData, 'refunded', {
+      role: 'admin',
+      note: `Refund approved by ${adminEmail}`,
+      historyExtra: { customerNote: 'Refund approved' },
+      updates: {
+        refundStatus: REFUND_STATUS.APPROVED,
+        refundedAt: serverTimestamp(),
+        // The earnings were reversed above; nothing is left to release
+        earningsReleaseAt: null
+      }
+    });
+    restockOrder(transaction, orderRef, orderData, restock);
+
+    transaction.update(refundRef, {
+      status: REFUND_STATUS.APPROVED,
+      approvedBy: adminEmail,
+      approvalDate: serverTimestamp(),
+      walletChange,
+      pendingChange
+    });
+
+    return { walletChange, pendingChange };
+  });
+};
+
+/**
+ * Rejects a refund and returns the order to completed
+ * @param {string} refundId - Refund request id
+ * @param {string} adminEmail - Admin rejecting the refund
+ * @param {string} reason - Reason shown to the customer and seller
+ */
+export const rejectRefund = async (refundId, adminEmail, reason) => {
+  const refundRef = doc(db, 'refundRequests', refundId);
+
+  await runTransaction(db, async (transaction) => {
+    const refundDoc = await transaction.get(refundRef);
+    if (!refundDoc.exists()) {
+      throw new Error('Refund request not found');
+    }
+
+    const refundData = refundDoc.data();
+    if (refundData.status === REFUND_STATUS.APPROVED || refundData.status === REFUND_STATUS.REJECTED) {
+      throw new Error('This refund request has already been processed');
+    }
+
+    const orderRef = doc(db, 'orders', refundData.orderId);
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists()) {
+      throw new Error('Order not found');
+    }
+
+    applyStatusTransition(transaction, orderRef, orderDoc.data(), 'completed', {
+      role: 'admin',
+      note: `Refund rejected by ${adminEmail}: ${reason}`,
+      historyExtra: { customerNote: `Refund rejected: ${reason}` },
+      updates: { refundStatus: REFUND_STATUS.REJECTED }
+    });
+
+    transaction.update(refundRef, {
+      status: REFUND_STATUS.REJECTED,
+      rejectionReason: reason,
+      rejectedBy: adminEmail,
+      rejectionDate: serverTimestamp()
+    });
+  });
+};
@@ -0,0 +1,415 @@
+import { db } from '../firebase';
+import { collection, query, where, getDocs, getDoc, doc } from 'firebase/firestore';
+import { formatMoney, readMoney, roundMoney, subtractMoney, sumMoney } from './money';
+import {
+  RECONCILIATION_ADJUSTMENT,
+  applyHistoryEvent,
+  getTransactionEffect,
+  replaySellerHistory
+} from './walletReconciliation';
+import { escapeHtml } from './orderDocuments';
+import { buildCsv, downloadFile } from './spreadsheet';
+
+/**
+ * Monthly seller statements. A statement is rebuilt from the seller's
+ * `orders` and `transactions` with the same replay the wallet reconciliation
+ * uses, so the opening and closing balances are the replayed balances at the
+ * start and end of the month. Statements can be downloaded as CSV or printed
+ * (and saved as PDF) from the browser.
+ */
+
+export const STATEMENT_CATEGORIES = {
+  ORDERS: 'orders',
+  EARNINGS: 'earnings',
+  WITHDRAWALS: 'withdrawals',
+  DEPOSITS: 'deposits',
+  REFUNDS: 'refunds',
+  ADJUSTMENTS: 'adjustments'
+};
+
+export const STATEMENT_CATEGORY_LABELS = {
+  [STATEMENT_CATEGORIES.ORDERS]: 'Orders picked',
+  [STATEMENT_CATEGORIES.EARNINGS]: 'Earnings released',
+  [STATEMENT_CATEGORIES.WITHDRAWALS]: 'Withdrawals',
+  [STATEMENT_CATEGORIES.DEPOSITS]: 'Deposits',
+  [STATEMENT_CATEGORIES.REFUNDS]: 'Refunds and cancellations',
+  [STATEMENT_CATEGORIES.ADJUSTMENTS]: 'Admin adjustments'
+};
+
+const TYPE_CATEGORIES = {
+  order_picked: STATEMENT_CATEGORIES.ORDERS,
+  order_completed: STATEMENT_CATEGORIES.EARNINGS,
+  withdrawal: STATEMENT_CATEGORIES.WITHDRAWALS,
+  withdrawal_reversal: STATEMENT_CATEGORIES.WITHDRAWALS,
+  seller_deposit: STATEMENT_CATEGORIES.DEPOSITS,
+  admin_deposit: STATEMENT_CATEGORIES.DEPOSITS,
+  refund_reversal: STATEMENT_CATEGORIES.REFUNDS,
+  order_cancelled_reversal: STATEMENT_CATEGORIES.REFUNDS
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const getOrderLabel = (order) => order.orderNumber || order.id.substring(0, 8);
+
+/**
+ * Start (inclusive) and end (exclusive) of a calendar month in local time
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1-12
+ */
+export const getStatementPeriod = (year, month) => {
+  const start = new Date(year, month - 1, 1);
+  const end = new Date(year, month, 1);
+  return {
+    year,
+    month,
+    start,
+    end,
+    label: start.toLocaleDateString(undefined, { year: 'numeric', month: 'long' })
+  };
+};
+
+/**
+ * Builds a statement from already loaded records
+ * @param {Object} seller - { id, name, email }
+ * @param {Array} transactions - The seller's transaction records ({ id, ...data })
+ * @param {Array} orders - The seller's orders ({ id, ...data })
+ * @param {Object} period - Result of getStatementPeriod
+ * @returns {Object} - Statement
+ */
+export const buildStatement = (seller, transactions, orders, period) => {
+  const startTime = period.start.getTime();
+  const endTime = period.end.getTime();
+  const recordsById = new Map(transactions.map((record) => [record.id, record]));
+  const ordersById = new Map(orders.map((order) => [order.id, order]));
+
+  // The reconciliation replay leaves adjustments out because it checks them;
+  // on a statement they are movements like any other
+  const adjustmentEvents = transactions
+    .filter((record) => record.type === RECONCILIATION_ADJUSTMENT)
+    .map((record) => ({
+      time: toDate(record.timestamp)?.getTime() || 0,
+      source: 'transaction',
+      id: record.id,
+      ...getTransactionEffect(record)
+    }));
+  const events = [...replaySellerHistory(transactions, orders).events, ...adjustmentEvents]
+    .sort((a, b) => a.time - b.time);
+
+  let balances = { walletBalance: 0, pendingAmount: 0 };
+  let openingBalance = null;
+  const activity = [];
+
+  events.forEach((event) => {
+    if (event.time >= endTime) return;
+    if (event.time >= startTime && !openingBalance) {
+      openingBalance = balances;
+    }
+    const before = balances;
+    balances = applyHistoryEvent(balances, event);
+    if (event.time < startTime) return;
+
+    const record = event.source === 'transaction' ? recordsById.get(event.id) : null;
+    const order = record ? ordersById.get(record.orderId) : ordersById.get(event.id);
+    let type;
+    let description;
+    if (record) {
+      type = record.type || 'unknown';
+      description = record.description || '';
+    } else if (event.source === 'order_pick') {
+      type = 'order_picked';
+      description = `Order #${getOrderLabel(order)} picked`;
+    } else {
+      type = 'order_completed';
+      description = `Order #${getOrderLabel(order)} completed`;
+    }
+
+    let profitAmount = 0;
+    if (type === 'order_completed') {
+      profitAmount = record?.profitAmount !== undefined ? readMoney(record, 'profitAmount') : readMoney(order, 'profitAmountTransferred');
+    }
+
+    activity.push({
+      id: event.id,
+      date: new Date(event.time),
+      type,
+      category: TYPE_CATEGORIES[type] || STATEMENT_CATEGORIES.ADJUSTMENTS,
+      description,
+      walletChange: roundMoney(event.wallet),
+      // Taken from the balances, so pending resets and the zero floor show as they applied
+      pendingChange: subtractMoney(balances.pendingAmount, before.pendingAmount),
+      profitAmount: roundMoney(profitAmount),
+      walletBalance: roundMoney(balances.walletBalance),
+      pendingAmount: roundMoney(balances.pendingAmount)
+    });
+  });
+
+  openingBalance = openingBalance || balances;
+
+  const categoryTotals = Object.values(STATEMENT_CATEGORIES).reduce((totals, category) => {
+    const entries = activity.filter((entry) => entry.category === category);
+    totals[category] = {
+      count: entries.length,
+      wallet: sumMoney(entries, (entry) => entry.walletChange),
+      pending: sumMoney(entries, (entry) => entry.pendingChange)
+    };
+    return totals;
+  }, {});
+
+  const ordersPicked = orders
+    .map((order) => ({ order, pickedAt: toDate(order.pickedAt) }))
+    .filter(({ order, pickedAt }) =>
+      pickedAt && pickedAt.getTime() >= startTime && pickedAt.getTime() < endTime && readMoney(order, 'walletDeducted') > 0
+    )
+    .sort((a, b) => a.pickedAt - b.pickedAt)
+    .map(({ order, pickedAt }) => {
+      const baseAmount = readMoney(order, 'walletDeducted');
+      const total = readMoney(order, 'pendingAdded');
+      return {
+        orderId: order.id,
+        orderNumber: getOrderLabel(order),
+        pickedAt,
+        status: order.status || '',
+        baseAmount,
+        profitAmount: Math.max(0, subtractMoney(total, baseAmount)),
+        total
+      };
+    });
+
+  return {
+    seller,
+    period,
+    openingBalance: {
+      walletBalance: roundMoney(openingBalance.walletBalance),
+      pendingAmount: roundMoney(openingBalance.pendingAmount)
+    },
+    closingBalance: {
+      walletBalance: roundMoney(balances.walletBalance),
+      pendingAmount: roundMoney(balances.pendingAmount)
+    },
+    ordersPicked,
+    profitEarned: sumMoney(activity, (entry) => entry.profitAmount),
+    categoryTotals,
+    activity,
+    generatedAt: new Date()
+  };
+};
+
+/**
+ * Loads a seller's records and builds the statement for one month
+ * @param {string} sellerId - Seller id
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1-12
+ * @returns {Promise<Object>} - Statement
+ */
+export const generateSellerStatement = async (sellerId, year, month) => {
+  const [sellerDoc, transactionsSnapshot, ordersSnapshot] = await Promise.all([
+    getDoc(doc(db, 'sellers', sellerId)),
+    getDocs(query(collection(db, 'transactions'), where('sellerId', '==', sellerId))),
+    getDocs(query(collection(db, 'orders'), where('sellerId', '==', sellerId)))
+  ]);
+  if (!sellerDoc.exists()) {
+    throw new Error('Seller not found');
+  }
+
+  const sellerData = sellerDoc.data();
+  return buildStatement(
+    {
+      id: sellerId,
+      name: sellerData.name || sellerData.shopName || 'Unnamed Seller',
+      email: sellerData.email || ''
+    },
+    transactionsSnapshot.docs.map((transactionDoc) => ({ id: transactionDoc.id, ...transactionDoc.data() })),
+    ordersSnapshot.docs.map((orderDoc) => ({ id: orderDoc.id, ...orderDoc.data() })),
+    getStatementPeriod(year, month)
+  );
+};
+
+const getStatementFileName = (statement, extension) => {
+  const { year, month } = statement.period;
+  return `statement-${statement.seller.id}-${year}-${String(month).padStart(2, '0')}.${extension}`;
+};
+
+/**
+ * Statement as CSV: a summary block followed by the picked orders and every movement
+ */
+export const buildStatementCsv = (statement) => {
+  const rows = [
+    ['Seller Statement', statement.period.label],
+    ['Seller', statement.seller.name],
+    ['Email', statement.seller.email],
+    ['Generated', statement.generatedAt.toLocaleString()],
+    [],
+    ['Summary', 'Wallet', 'Pending'],
+    ['Opening balance', formatMoney(statement.openingBalance.walletBalance), formatMoney(statement.openingBalance.pendingAmount)],
+    ...Object.values(STATEMENT_CATEGORIES).map((category) => [
+      STATEMENT_CATEGORY_LABELS[category],
+      formatMoney(statement.categoryTotals[category].wallet),
+      formatMoney(statement.categoryTotals[category].pending)
+    ]),
+    ['Closing balance', formatMoney(statement.closingBalance.walletBalance), formatMoney(statement.closingBalance.pendingAmount)],
+    ['Profit earned', formatMoney(statement.profitEarned)],
+    [],
+    ['Orders Picked'],
+    ['Order', 'Picked', 'Status', 'Base Amount', 'Profit', 'Total'],
+    ...statement.ordersPicked.map((order) => [
+      order.orderNumber,
+      order.pickedAt.toLocaleString(),
+      order.status,
+      formatMoney(order.baseAmount),
+      formatMoney(order.profitAmount),
+      formatMoney(order.total)
+    ]),
+    [],
+    ['Activity'],
+    ['Date', 'Category', 'Type', 'Description', 'Wallet Change', 'Pending Change', 'Wallet Balance', 'Pending Balance'],
+    ...statement.activity.map((entry) => [
+      entry.date.toLocaleString(),
+      STATEMENT_CATEGORY_LABELS[entry.category],
+      entry.type,
+      entry.description,
+      formatMoney(entry.walletChange),
+      formatMoney(entry.pendingChange),
+      formatMoney(entry.walletBalance),
+      formatMoney(entry.pendingAmount)
+    ])
+  ];
+
+  return buildCsv(rows);
+};
+
+/**
+ * Downloads the statement as a CSV file
+ */
+export const downloadStatementCsv = (statement) => {
+  downloadFile(buildStatementCsv(statement), getStatementFileName(statement, 'csv'));
+};
+
+/**
+ * Statement as a standalone, print-optimized HTML page
+ */
+export const buildStatementHtml = (statement) => {
+  const summaryRows = Object.values(STATEMENT_CATEGORIES)
+    .map((category) => `
+      <tr>
+        <td>${STATEMENT_CATEGORY_LABELS[category]} (${statement.categoryTotals[category].count})</td>
+        <td class="num">${formatMoney(statement.categoryTotals[category].wallet)}</td>
+        <td class="num">${formatMoney(statement.categoryTotals[category].pending)}</td>
+      </tr>`)
+    .join('');
+  const orderRows = statement.ordersPicked
+    .map((order) => `
+      <tr>
+        <td>#${escapeHtml(order.orderNumber)}</td>
+        <td>${escapeHtml(order.pickedAt.toLocaleDateString())}</td>
+        <td>${escapeHtml(order.status)}</td>
+        <td class="num">${formatMoney(order.baseAmount)}</td>
+        <td class="num">${formatMoney(order.profitAmount)}</td>
+        <td class="num">${formatMoney(order.total)}</td>
+      </tr>`)
+    .join('');
+  const activityRows = statement.activity
+    .map((entry) => `
+      <tr>
+        <td>${escapeHtml(entry.date.toLocaleDateString())}</td>
+        <td>${escapeHtml(STATEMENT_CATEGORY_LABELS[entry.category])}</td>
+        <td>${escapeHtml(entry.description)}</td>
+        <td class="num">${formatMoney(entry.walletChange)}</td>
+        <td class="num">${formatMoney(entry.pendingChange)}</td>
+        <td class="num">${formatMoney(entry.walletBalance)}</td>
+      </tr>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>Statement ${escapeHtml(statement.period.label)} - ${escapeHtml(statement.seller.name)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 32px; font-size: 12px; }
+    header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #222; padding-bottom: 12px; margin-bottom: 20px; }
+    header h1 { margin: 0; font-size: 24px; letter-spacing: 1px; text-transform: uppercase; }
+    header .meta p { margin: 2px 0; text-align: right; }
+    h2 { font-size: 14px; text-transform: uppercase; color: #444; margin: 24px 0 8px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    th { background: #f3f3f3; font-size: 11px; text-transform: uppercase; }
+    .num { text-align: right; }
+    tr.total td { font-weight: bold; border-top: 2px solid #222; }
+    .empty { color: #777; }
+    footer { margin-top: 32px; font-size: 11px; color: #777; text-align: center; }
+    @media print {
+      body { margin: 0; }
+      @page { margin: 14mm; }
+    }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>Seller Statement</h1>
+    <div class="meta">
+      <p><strong>${escapeHtml(statement.period.label)}</strong></p>
+      <p>${escapeHtml(statement.seller.name)}</p>
+      <p>${escapeHtml(statement.seller.email)}</p>
+    </div>
+  </header>
+
+  <h2>Summary</h2>
+  <table>
+    <thead><tr><th></th><th class="num">Wallet</th><th class="num">Pending</th></tr></thead>
+    <tbody>
+      <tr>
+        <td>Opening balance</td>
+        <td class="num">${formatMoney(statement.openingBalance.walletBalance)}</td>
+        <td class="num">${formatMoney(statement.openingBalance.pendingAmount)}</td>
+      </tr>
+      ${summaryRows}
+      <tr class="total">
+        <td>Closing balance</td>
+        <td class="num">${formatMoney(statement.closingBalance.walletBalance)}</td>
+        <td class="num">${formatMoney(statement.closingBalance.pendingAmount)}</td>
+      </tr>
+    </tbody>
+  </table>
+  <p>Profit earned this month: <strong>${formatMoney(statement.profitEarned)}</strong></p>
+
+  <h2>Orders Picked</h2>
+  ${statement.ordersPicked.length > 0 ? `
+  <table>
+    <thead><tr><th>Order</th><th>Picked</th><th>Status</th><th class="num">Base</th><th class="num">Profit</th><th class="num">Total</th></tr></thead>
+    <tbody>${orderRows}</tbody>
+  </table>` : '<p class="empty">No orders picked this month.</p>'}
+
+  <h2>Activity</h2>
+  ${statement.activity.length > 0 ? `
+  <table>
+    <thead><tr><th>Date</th><th>Category</th><th>Description</th><th class="num">Wallet</th><th class="num">Pending</th><th class="num">Balance</th></tr></thead>
+    <tbody>${activityRows}</tbody>
+  </table>` : '<p class="empty">No wallet activity this month.</p>'}
+
+  <footer>Generated ${escapeHtml(statement.generatedAt.toLocaleString())}</footer>
+</body>
+</html>`;
+};
+
+/**
+ * Opens the statement in a new window and starts printing; choose "Save as PDF" to keep a copy
+ */
+export const printSellerStatement = (statement) => {
+  const printWindow = window.open('', '_blank', 'width=900,height=900');
+  if (!printWindow) {
+    throw new Error('Please allow pop-ups for this site to download statements');
+  }
+
+  printWindow.document.open();
+  printWindow.document.write(buildStatementHtml(statement));
+  printWindow.document.close();
+  printWindow.focus();
+  // Give the new window a moment to lay out before opening the print dialog
+  setTimeout(() => printWindow.print(), 500);
+};
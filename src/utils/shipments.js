@@ -0,0 +1,163 @@
+import { db } from '../firebase';
+import { doc, runTransaction } from 'firebase/firestore';
+import { applyStatusTransition } from './orderLifecycle';
+
+/**
+ * Shipment details recorded by the seller when an order goes out for delivery,
+ * plus helpers for showing the order's delivery timeline to the customer.
+ */
+
+export const CARRIERS = [
+  { value: 'ups', label: 'UPS', trackingUrl: 'https://www.ups.com/track?tracknum=' },
+  { value: 'fedex', label: 'FedEx', trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr=' },
+  { value: 'dhl', label: 'DHL', trackingUrl: 'https://www.dhl.com/en/express/tracking.html?AWB=' },
+  { value: 'usps', label: 'USPS', trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=' },
+  { value: 'other', label: 'Other', trackingUrl: null }
+];
+
+export const getCarrierLabel = (carrier) =>
+  CARRIERS.find((option) => option.value === carrier)?.label || carrier || 'Unknown carrier';
+
+/**
+ * Returns the carrier's public tracking page for a shipment, or null if the carrier has none
+ */
+export const getTrackingUrl = (shipment) => {
+  if (!shipment?.trackingNumber) return null;
+  const carrier = CARRIERS.find((option) => option.value === shipment.carrier);
+  return carrier?.trackingUrl ? carrier.trackingUrl + encodeURIComponent(shipment.trackingNumber) : null;
+};
+
+/**
+ * Parses a yyyy-mm-dd calendar date as local midnight. `new Date('yyyy-mm-dd')`
+ * reads it as UTC midnight, which is the previous day west of UTC.
+ * @returns {Date|null} - null when the value is not a valid date
+ */
+export const parseCalendarDate = (value) => {
+  if (!value) return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Formats a shipment's estimated delivery date for display
+ */
+export const formatEstimatedDelivery = (value) => parseCalendarDate(value)?.toLocaleDateString() || '';
+
+/**
+ * Validates and normalises shipment details entered by the seller
+ * @param {Object} details - { carrier, trackingNumber, estimatedDelivery } (date as yyyy-mm-dd)
+ * @returns {Object} - Shipment object ready to store on the order
+ */
+export const normalizeShipment = (details) => {
+  const carrier = (details.carrier || '').trim();
+  const trackingNumber = (details.trackingNumber || '').trim();
+  const estimatedDelivery = details.estimatedDelivery || null;
+
+  if (!carrier) {
+    throw new Error('Please select a carrier');
+  }
+  if (!trackingNumber) {
+    throw new Error('Please enter a tracking number');
+  }
+  if (estimatedDelivery && !parseCalendarDate(estimatedDelivery)) {
+    throw new Error('Estimated delivery date is not valid');
+  }
+
+  return {
+    carrier,
+    trackingNumber,
+    estimatedDelivery,
+    updatedAt: new Date().toISOString()
+  };
+};
+
+export const describeShipment = (shipment) => {
+  let description = `Shipped with ${getCarrierLabel(shipment.carrier)}, tracking number ${shipment.trackingNumber}`;
+  if (shipment.estimatedDelivery) {
+    description += `, estimated delivery ${formatEstimatedDelivery(shipment.estimatedDelivery)}`;
+  }
+  return description;
+};
+
+/**
+ * Saves shipment details for the seller's order. When the order is not yet
+ * on its way it is moved to on-the-way in the same transaction; otherwise only
+ * the stored details are replaced.
+ * @param {string} orderId - Order document id
+ * @param {string} sellerId - Seller who owns the order
+ * @param {Object} details - { carrier, trackingNumber, estimatedDelivery }
+ * @returns {Promise<Object>} - The stored shipment
+ */
+export const saveShipmentDetails = async (orderId, sellerId, details) => {
+  const shipment = normalizeShipment(details);
+  const orderRef = doc(db, 'orders', orderId);
+
+  await runTransaction(db, async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists()) {
+      throw new Error('Order not found');
+    }
+
+    const orderData = orderDoc.data();
+    if (orderData.sellerId !== sellerId) {
+      throw new Error('You can only ship your own orders');
+    }
+
+    if (orderData.status === 'on-the-way') {
+      transaction.update(orderRef, { shipment });
+      return;
+    }
+
+    applyStatusTransition(transaction, orderRef, orderData, 'on-the-way', {
+      role: 'seller',
+      note: describeShipment(shipment),
+      updates: { shipment, shippedAt: new Date(), slaBreach: null }
+    });
+  });
+
+  return shipment;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Notes written by admins and the system are internal (they name the admin,
+// SLA rules, ...); such entries may carry a separate customerNote instead
+const CUSTOMER_VISIBLE_NOTE_ROLES = ['seller', 'customer'];
+
+const getCustomerNote = (entry) => {
+  if (entry.customerNote) return entry.customerNote;
+  return CUSTOMER_VISIBLE_NOTE_ROLES.includes(entry.updatedBy) ? entry.note || '' : '';
+};
+
+/**
+ * Builds the customer-facing delivery timeline from the order's statusHistory,
+ * oldest step first. Orders created before statusHistory existed get a single
+ * "placed" step from createdAt.
+ * @param {Object} order - Order document data
+ * @returns {Array} - [{ status, date, note }]
+ */
+export const getOrderTimeline = (order) => {
+  const history = Array.isArray(order?.statusHistory) ? order.statusHistory : [];
+
+  const steps = history
+    .map((entry) => ({
+      status: entry.status,
+      date: toDate(entry.timestamp),
+      note: getCustomerNote(entry)
+    }))
+    // Re-assignments between sellers are internal and not shown to customers
+    .filter((step) => step.status !== 'assigned' && step.status !== 'unassigned')
+    .sort((a, b) => (a.date?.getTime() || 0) - (b.date?.getTime() || 0));
+
+  if (steps.length === 0 || steps[0].status !== 'pending') {
+    steps.unshift({ status: 'pending', date: toDate(order?.createdAt), note: 'Order placed' });
+  }
+
+  return steps;
+};
@@ -0,0 +1,64 @@
+import { parseCalendarDate, getOrderTimeline, describeShipment } from './shipments';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+describe('parseCalendarDate', () => {
+  it('reads yyyy-mm-dd as that day in local time', () => {
+    const date = parseCalendarDate('2026-03-15');
+    expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2026, 2, 15, 0]);
+  });
+
+  it('returns null for empty or invalid values', () => {
+    expect(parseCalendarDate('')).toBeNull();
+    expect(parseCalendarDate('not a date')).toBeNull();
+  });
+
+  it('shows the same day in shipment descriptions', () => {
+    const description = describeShipment({ carrier: 'ups', trackingNumber: '1Z', estimatedDelivery: '2026-03-15' });
+    expect(description).toContain(new Date(2026, 2, 15).toLocaleDateString());
+  });
+});
+
+describe('getOrderTimeline', () => {
+  const order = {
+    createdAt: '2026-03-01T10:00:00.000Z',
+    statusHistory: [
+      { status: 'pending', timestamp: '2026-03-01T10:00:00.000Z', updatedBy: 'customer', note: 'Order placed' },
+      { status: 'assigned', timestamp: '2026-03-01T11:00:00.000Z', updatedBy: 'admin', note: 'Assigned to seller' },
+      { status: 'on-the-way', timestamp: '2026-03-02T09:00:00.000Z', updatedBy: 'seller', note: 'Shipped with UPS' },
+      { status: 'completed', timestamp: '2026-03-03T09:00:00.000Z', updatedBy: 'admin', note: 'Status updated to completed by admin' },
+      { status: 'refund_requested', timestamp: '2026-03-04T09:00:00.000Z', updatedBy: 'customer', note: 'Broken' },
+      {
+        status: 'completed',
+        timestamp: '2026-03-05T09:00:00.000Z',
+        updatedBy: 'admin',
+        note: 'Refund rejected by admin@example.com: Used item',
+        customerNote: 'Refund rejected: Used item'
+      }
+    ]
+  };
+
+  it('hides internal steps and notes written by admins', () => {
+    const timeline = getOrderTimeline(order);
+    expect(timeline.map((step) => step.status)).toEqual([
+      'pending',
+      'on-the-way',
+      'completed',
+      'refund_requested',
+      'completed'
+    ]);
+    expect(timeline.map((step) => step.note)).toEqual([
+      'Order placed',
+      'Shipped with UPS',
+      '',
+      'Broken',
+      'Refund rejected: Used item'
+    ]);
+    expect(JSON.stringify(timeline)).not.toContain('admin@example.com');
+  });
+
+  it('adds a placed step for orders without history', () => {
+    const [step] = getOrderTimeline({ createdAt: '2026-03-01T10:00:00.000Z' });
+    expect(step).toMatchObject({ status: 'pending', note: 'Order placed' });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * CSV and XLSX reading and writing for imports and exports. Rows are arrays
+ * of cell values; the first row is usually the header.
+ *
+ * XLSX workbooks are read and written with ExcelJS, loaded on first use so
+ * it stays out of the main bundle. Only the first worksheet is read and only
+ * cell values are kept (no formatting; formulas give their cached result).
+ *
+ * Exported text that a spreadsheet application would run as a formula
+ * (starting with =, +, - or @) is written with a leading apostrophe, and
+ * the apostrophe is dropped again when such a file is read back.
+ */
+
+const CSV_MIME = 'text/csv;charset=utf-8';
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// ----- Formula injection -----
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMBER_TEXT = /^[+-]?\d+(\.\d+)?$/;
+
+// Text cells that would start a formula get an apostrophe; numbers stay as they are
+const escapeFormula = (value) =>
+  (typeof value === 'string' && FORMULA_PREFIX.test(value) && !NUMBER_TEXT.test(value) ? `'${value}` : value);
+
+const unescapeFormula = (text) =>
+  (text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text);
+
+// ----- CSV -----
+
+const toCsvValue = (value) => {
+  const text = String(escapeFormula(value) ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Joins rows into CSV text
+ */
+export const buildCsv = (rows) => rows.map((row) => row.map(toCsvValue).join(',')).join('\n');
+
+/**
+ * Splits CSV text into rows, honouring quoted cells with commas, quotes and line breaks
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.map((cells) => cells.map(unescapeFormula));
+};
+
+// ----- XLSX -----
+
+const loadExcelJs = async () => (await import('exceljs')).default;
+
+// Control characters other than tab and line breaks are not allowed in XML
+const stripControlCharacters = (text) =>
+  Array.from(text)
+    .filter((char) => {
+      const code = char.charCodeAt(0);
+      return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+    })
+    .join('');
+
+/**
+ * Builds a single-sheet XLSX workbook
+ * @param {Array<Array>} rows - Cell values; numbers are stored as numbers
+ * @param {string} sheetName - Worksheet name
+ * @returns {Promise<Blob>}
+ */
+export const buildXlsx = async (rows, sheetName = 'Sheet1') => {
+  const ExcelJS = await loadExcelJs();
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName.slice(0, 31));
+
+  rows.forEach((values, rowIndex) => {
+    const row = sheet.getRow(rowIndex + 1);
+    values.forEach((value, cellIndex) => {
+      if (value === null || value === undefined || value === '') return;
+      row.getCell(cellIndex + 1).value = typeof value === 'number' && Number.isFinite(value)
+        ? value
+        : stripControlCharacters(escapeFormula(String(value)));
+    });
+  });
+
+  return new Blob([await workbook.xlsx.writeBuffer()], { type: XLSX_MIME });
+};
+
+const cellText = (cell) => {
+  const value = cell.result !== undefined ? cell.result : cell.value;
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'object' && value.error) return '';
+  return unescapeFormula(cell.text);
+};
+
+/**
+ * Reads the first worksheet of an XLSX workbook
+ * @param {ArrayBuffer} buffer - Workbook content
+ * @returns {Promise<Array<Array<string>>>} - Rows of cell text
+ */
+export const parseXlsx = async (buffer) => {
+  const ExcelJS = await loadExcelJs();
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new Error('The file is not a valid XLSX workbook');
+  }
+
+  const [sheet] = workbook.worksheets;
+  if (!sheet) {
+    throw new Error('The workbook has no readable worksheet');
+  }
+
+  const rows = [];
+  for (let rowNumber = 1; rowNumber <= sheet.rowCount; rowNumber += 1) {
+    const row = sheet.getRow(rowNumber);
+    rows.push(Array.from({ length: row.cellCount }, (_, index) => cellText(row.getCell(index + 1))));
+  }
+  return rows;
+};
+
+// ----- Files -----
+
+/**
+ * Reads an uploaded .csv or .xlsx file into rows
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Array<Array<string>>>}
+ */
+export const readSpreadsheetFile = async (file) => {
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.xlsx')) {
+    return parseXlsx(await file.arrayBuffer());
+  }
+  if (name.endsWith('.csv') || file.type === 'text/csv') {
+    return parseCsv(await file.text());
+  }
+  throw new Error('Please upload a .csv or .xlsx file');
+};
+
+/**
+ * Saves a Blob or text as a download
+ */
+export const downloadFile = (content, fileName, type = CSV_MIME) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Downloads rows as CSV or XLSX
+ * @param {Array<Array>} rows - Rows including the header
+ * @param {string} baseName - File name without extension
+ * @param {string} format - 'csv' or 'xlsx'
+ */
+export const downloadRows = async (rows, baseName, format = 'csv') => {
+  if (format === 'xlsx') {
+    downloadFile(await buildXlsx(rows), `${baseName}.xlsx`);
+  } else {
+    downloadFile(buildCsv(rows), `${baseName}.csv`);
+  }
+};
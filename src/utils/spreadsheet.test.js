@@ -0,0 +1,116 @@
+import { TextEncoder, TextDecoder } from 'util';
+import ExcelJS from 'exceljs';
+import { buildCsv, parseCsv, buildXlsx, parseXlsx, readSpreadsheetFile } from './spreadsheet';
+
+// jsdom leaves out the encoders every browser has
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const readBlob = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+
+describe('CSV', () => {
+  it('quotes cells with commas, quotes and line breaks', () => {
+    expect(buildCsv([['Name', 'Note'], ['Lamp, desk', 'Say "hi"\nthen go'], [12.5, null]])).toBe(
+      'Name,Note\n"Lamp, desk","Say ""hi""\nthen go"\n12.5,'
+    );
+  });
+
+  it('parses quoted cells, CRLF line ends and a byte order mark', () => {
+    expect(parseCsv('\uFEFFa,"b,c"\r\n"d ""e""","f\r\ng"\r\n,')).toEqual([
+      ['a', 'b,c'],
+      ['d "e"', 'f\r\ng'],
+      ['', '']
+    ]);
+  });
+
+  it('does not add a row for a trailing line break', () => {
+    expect(parseCsv('a,b\n')).toEqual([['a', 'b']]);
+    expect(parseCsv('')).toEqual([]);
+  });
+
+  it('round trips any cell text', () => {
+    const rows = [['ID', 'Name', 'Description'], ['p1', 'Mug "XL"', 'Line one\nLine two, with comma'], ['p2', '', 'Café']];
+    expect(parseCsv(buildCsv(rows))).toEqual(rows);
+  });
+
+  it('keeps text that would run as a formula from being a formula', () => {
+    const csv = buildCsv([['=HYPERLINK("http://x","y")', '+1 555 0100', '-2+3', '@SUM(A1)', -5, '-5', 'a=b']]);
+
+    expect(csv).toBe('"\'=HYPERLINK(""http://x"",""y"")",\'+1 555 0100,\'-2+3,\'@SUM(A1),-5,-5,a=b');
+    expect(parseCsv(csv)).toEqual([['=HYPERLINK("http://x","y")', '+1 555 0100', '-2+3', '@SUM(A1)', '-5', '-5', 'a=b']]);
+  });
+});
+
+describe('XLSX', () => {
+  const xlsxRows = async (rows, sheetName) => parseXlsx(await readBlob(await buildXlsx(rows, sheetName)));
+
+  it('writes a workbook that reads back the same cells', async () => {
+    const rows = [
+      ['ID', 'Name', 'Price'],
+      ['p1', 'Tea & <Cakes> "Deluxe"', 4.5],
+      ['p2', 'Ünïcødé ✓', 0],
+      ['p3', '', 12]
+    ];
+
+    expect(await xlsxRows(rows, 'Catalog')).toEqual([
+      ['ID', 'Name', 'Price'],
+      ['p1', 'Tea & <Cakes> "Deluxe"', '4.5'],
+      ['p2', 'Ünïcødé ✓', '0'],
+      ['p3', '', '12']
+    ]);
+  });
+
+  it('places cells by their reference beyond column Z', async () => {
+    const row = Array.from({ length: 30 }, (_, index) => (index % 7 === 0 ? `c${index}` : null));
+    const [parsed] = await xlsxRows([row]);
+
+    expect(parsed).toHaveLength(29);
+    expect(parsed[28]).toBe('c28');
+    expect(parsed[1]).toBe('');
+  });
+
+  it('drops characters XML cannot hold but keeps tabs and line breaks', async () => {
+    expect(await xlsxRows([['a\u0000b\u0007c', 'd\te\nf']])).toEqual([['abc', 'd\te\nf']]);
+  });
+
+  it('stores text that would run as a formula with an apostrophe', async () => {
+    const buffer = await readBlob(await buildXlsx([['=1+1', -3]]));
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const [stored] = workbook.worksheets;
+
+    expect(stored.getCell('A1').value).toBe("'=1+1");
+    expect(stored.getCell('B1').value).toBe(-3);
+    expect(await parseXlsx(buffer)).toEqual([['=1+1', '-3']]);
+  });
+
+  it('reads the cached result of formulas, dates and booleans', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Catalog');
+    sheet.addRow([{ formula: 'A2*2', result: 8 }, new Date(Date.UTC(2026, 0, 2)), true, { richText: [{ text: 'Mu' }, { text: 'g' }] }]);
+
+    expect(await parseXlsx(await workbook.xlsx.writeBuffer())).toEqual([
+      ['8', '2026-01-02T00:00:00.000Z', 'TRUE', 'Mug']
+    ]);
+  });
+
+  it('rejects files that are not zip archives', async () => {
+    await expect(parseXlsx(new TextEncoder().encode('not a workbook').buffer)).rejects.toThrow(
+      'The file is not a valid XLSX workbook'
+    );
+  });
+});
+
+describe('readSpreadsheetFile', () => {
+  it('refuses other file types', async () => {
+    await expect(readSpreadsheetFile({ name: 'products.pdf', type: 'application/pdf' })).rejects.toThrow(
+      'Please upload a .csv or .xlsx file'
+    );
+  });
+});
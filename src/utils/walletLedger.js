@@ -0,0 +1,275 @@
+import { db } from '../firebase';
+import {
+  collection,
+  query,
+  where,
+  getDocs,
+  doc,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+import { addMoney, moneyFields, readMoney, roundMoney, subtractMoney, sumMoney, toCents } from './money';
+
+export { roundMoney };
+
+/**
+ * Double-entry ledger for seller money. Every movement is a journal entry in
+ * `ledgerEntries` made of signed lines, one per account, that always sum to
+ * zero. The seller's wallet and pending lines are the source of the stored
+ * `walletBalance` / `pendingAmount`, so both figures can be rebuilt (and
+ * checked) from the entries. A matching `transactions` record is still
+ * written for the existing history views. Balances and line amounts are
+ * stored with their cents fields (see money.js).
+ *
+ * Sellers that had balances before the ledger existed get an `opening_balance`
+ * entry, funded from the platform, the first time money moves for them.
+ */
+
+export const LEDGER_ACCOUNTS = {
+  // Seller accounts
+  WALLET: 'wallet',
+  PENDING: 'pending',
+  // Platform accounts
+  PLATFORM_REVENUE: 'platform_revenue',
+  PAYOUTS: 'payouts',
+  FUNDING: 'funding',
+  ADJUSTMENTS: 'adjustments'
+};
+
+export const LEDGER_ACCOUNT_LABELS = {
+  [LEDGER_ACCOUNTS.WALLET]: 'Wallet',
+  [LEDGER_ACCOUNTS.PENDING]: 'Pending',
+  [LEDGER_ACCOUNTS.PLATFORM_REVENUE]: 'Platform Revenue',
+  [LEDGER_ACCOUNTS.PAYOUTS]: 'Payouts',
+  [LEDGER_ACCOUNTS.FUNDING]: 'Funding',
+  [LEDGER_ACCOUNTS.ADJUSTMENTS]: 'Adjustments'
+};
+
+const sumLines = (lines) => sumMoney(lines, (line) => readMoney(line, 'amount'));
+
+/**
+ * Total change an entry makes to one account
+ * @param {Array} lines - Entry lines
+ * @param {string} account - One of LEDGER_ACCOUNTS
+ * @returns {number} - Signed change
+ */
+export const getAccountChange = (lines, account) =>
+  sumLines(lines.filter((line) => line.account === account));
+
+/**
+ * Adds a line to `account` that brings the entry back to zero. Used where the
+ * seller side of a movement is clamped and the platform absorbs the rest.
+ */
+export const withBalancingLine = (lines, account) => {
+  const remainder = -sumLines(lines);
+  return toCents(remainder) === 0 ? lines : [...lines, { account, amount: remainder }];
+};
+
+const assertBalanced = (lines) => {
+  // An entry with no lines records that nothing moved; a single line can never balance
+  if (lines.length === 1) {
+    throw new Error('A ledger entry needs at least two lines');
+  }
+  lines.forEach((line) => {
+    if (!Object.values(LEDGER_ACCOUNTS).includes(line.account)) {
+      throw new Error(`Unknown ledger account "${line.account}"`);
+    }
+  });
+  if (toCents(sumLines(lines)) !== 0) {
+    throw new Error(`Ledger entry is not balanced (off by $${sumLines(lines).toFixed(2)})`);
+  }
+};
+
+// A line as stored: the amount rounded to the cent, with its cents field
+const toStoredLine = (line) => ({ account: line.account, ...moneyFields({ amount: line.amount }) });
+
+const postOpeningBalance = (writer, sellerRef, sellerData) => {
+  const walletBalance = readMoney(sellerData, 'walletBalance');
+  const pendingAmount = readMoney(sellerData, 'pendingAmount');
+  if (walletBalance === 0 && pendingAmount === 0) return;
+
+  writer.set(doc(collection(db, 'ledgerEntries')), {
+    type: 'opening_balance',
+    sellerId: sellerRef.id,
+    orderId: null,
+    lines: [
+      { account: LEDGER_ACCOUNTS.WALLET, amount: walletBalance },
+      { account: LEDGER_ACCOUNTS.PENDING, amount: pendingAmount },
+      { account: LEDGER_ACCOUNTS.FUNDING, amount: -addMoney(walletBalance, pendingAmount) }
+    ].filter((line) => line.amount !== 0).map(toStoredLine),
+    description: `Opening balance: $${walletBalance.toFixed(2)} wallet, $${pendingAmount.toFixed(2)} pending`,
+    processedBy: 'system',
+    transactionId: null,
+    createdAt: serverTimestamp()
+  });
+};
+
+/**
+ * Posts a journal entry for one seller inside a Firestore transaction or batch:
+ * updates the seller's balances, writes the ledger entry and its transaction record
+ * @param {Transaction|WriteBatch} writer - Transaction or batch to write with
+ * @param {DocumentReference} sellerRef - Seller document
+ * @param {Object} sellerData - Seller data the balances are computed from
+ * @param {Object} entry - { type, lines, description, processedBy, orderId, transactionRef, transactionFields, sellerUpdates }
+ * @returns {Object} - Balances before and after, plus the written ids
+ */
+export const postSellerLedgerEntry = (writer, sellerRef, sellerData, entry) => {
+  if (!sellerData.ledgerOpenedAt) {
+    postOpeningBalance(writer, sellerRef, sellerData);
+  }
+
+  const lines = entry.lines
+    .map(toStoredLine)
+    .filter((line) => line.amountCents !== 0);
+  assertBalanced(lines);
+
+  const walletChange = getAccountChange(lines, LEDGER_ACCOUNTS.WALLET);
+  const pendingChange = getAccountChange(lines, LEDGER_ACCOUNTS.PENDING);
+  const walletBalanceBefore = readMoney(sellerData, 'walletBalance');
+  const pendingAmountBefore = readMoney(sellerData, 'pendingAmount');
+  const walletBalanceAfter = addMoney(walletBalanceBefore, walletChange);
+  const pendingAmountAfter = addMoney(pendingAmountBefore, pendingChange);
+
+  const ledgerRef = doc(collection(db, 'ledgerEntries'));
+  const transactionRef = entry.transactionRef || doc(collection(db, 'transactions'));
+
+  writer.update(sellerRef, {
+    ...(entry.sellerUpdates || {}),
+    ...(sellerData.ledgerOpenedAt ? {} : { ledgerOpenedAt: serverTimestamp() }),
+    ...moneyFields({ walletBalance: walletBalanceAfter, pendingAmount: pendingAmountAfter }),
+    lastUpdated: serverTimestamp()
+  });
+
+  writer.set(ledgerRef, {
+    type: entry.type,
+    sellerId: sellerRef.id,
+    orderId: entry.orderId || null,
+    lines,
+    description: entry.description || '',
+    processedBy: entry.processedBy || 'system',
+    transactionId: transactionRef.id,
+    createdAt: serverTimestamp()
+  });
+
+  writer.set(transactionRef, {
+    sellerId: sellerRef.id,
+    ...(entry.orderId ? { orderId: entry.orderId } : {}),
+    ...moneyFields({
+      amount: walletChange,
+      pendingAmount: pendingChange,
+      walletBalanceBefore,
+      walletBalanceAfter,
+      pendingAmountBefore,
+      pendingAmountAfter
+    }),
+    type: entry.type,
+    timestamp: serverTimestamp(),
+    description: entry.description || '',
+    processedBy: entry.processedBy || 'system',
+    ledgerEntryId: ledgerRef.id,
+    ...(entry.transactionFields || {})
+  });
+
+  return {
+    walletBalanceBefore,
+    walletBalanceAfter,
+    pendingAmountBefore,
+    pendingAmountAfter,
+    walletChange,
+    pendingChange,
+    ledgerEntryId: ledgerRef.id,
+    transactionId: transactionRef.id
+  };
+};
+
+/**
+ * Reads the seller and posts one entry in its own transaction
+ * @param {string} sellerId - Seller id
+ * @param {Object|Function} buildEntry - Entry, or (sellerData, transaction) => entry;
+ *   the builder may be async, may read other documents before adding its own
+ *   writes to the transaction, and may throw to abort
+ * @returns {Promise<Object>} - Result of postSellerLedgerEntry
+ */
+export const recordSellerMovement = async (sellerId, buildEntry) => {
+  const sellerRef = doc(db, 'sellers', sellerId);
+
+  return runTransaction(db, async (transaction) => {
+    const sellerDoc = await transaction.get(sellerRef);
+    if (!sellerDoc.exists()) {
+      throw new Error('Seller not found');
+    }
+
+    const sellerData = sellerDoc.data();
+    const entry = typeof buildEntry === 'function' ? await buildEntry(sellerData, transaction) : buildEntry;
+    return postSellerLedgerEntry(transaction, sellerRef, sellerData, entry);
+  });
+};
+
+const toDate = (value) => {
+  if (value && typeof value.toDate === 'function') return value.toDate();
+  return value ? new Date(value) : new Date();
+};
+
+/**
+ * Loads a seller's ledger entries, oldest first
+ * @param {string} sellerId - Seller id
+ * @returns {Promise<Array>} - Entries with their wallet/pending change and running balances
+ */
+export const getSellerLedger = async (sellerId) => {
+  const snapshot = await getDocs(
+    query(collection(db, 'ledgerEntries'), where('sellerId', '==', sellerId))
+  );
+
+  const entries = snapshot.docs
+    .map((entryDoc) => ({ id: entryDoc.id, ...entryDoc.data() }))
+    .map((entry) => ({ ...entry, createdAt: toDate(entry.createdAt) }))
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  let walletBalance = 0;
+  let pendingAmount = 0;
+  return entries.map((entry) => {
+    const walletChange = getAccountChange(entry.lines || [], LEDGER_ACCOUNTS.WALLET);
+    const pendingChange = getAccountChange(entry.lines || [], LEDGER_ACCOUNTS.PENDING);
+    walletBalance = addMoney(walletBalance, walletChange);
+    pendingAmount = addMoney(pendingAmount, pendingChange);
+    return { ...entry, walletChange, pendingChange, walletBalance, pendingAmount };
+  });
+};
+
+/**
+ * Compares a seller's stored balances with the balances derived from the ledger
+ * @param {Array} entries - Result of getSellerLedger
+ * @param {Object} sellerData - Seller document data
+ * @returns {Object} - { ledger, stored, walletDrift, pendingDrift, inSync, opened }
+ */
+export const compareWithLedger = (entries, sellerData) => {
+  // Sellers whose money has not moved since the ledger started have nothing to compare yet
+  if (entries.length === 0 && !sellerData.ledgerOpenedAt) {
+    const stored = {
+      walletBalance: readMoney(sellerData, 'walletBalance'),
+      pendingAmount: readMoney(sellerData, 'pendingAmount')
+    };
+    return { ledger: stored, stored, walletDrift: 0, pendingDrift: 0, inSync: true, opened: false };
+  }
+
+  const last = entries[entries.length - 1];
+  const ledger = {
+    walletBalance: last ? last.walletBalance : 0,
+    pendingAmount: last ? last.pendingAmount : 0
+  };
+  const stored = {
+    walletBalance: readMoney(sellerData, 'walletBalance'),
+    pendingAmount: readMoney(sellerData, 'pendingAmount')
+  };
+  const walletDrift = subtractMoney(stored.walletBalance, ledger.walletBalance);
+  const pendingDrift = subtractMoney(stored.pendingAmount, ledger.pendingAmount);
+
+  return {
+    ledger,
+    stored,
+    walletDrift,
+    pendingDrift,
+    inSync: walletDrift === 0 && pendingDrift === 0,
+    opened: true
+  };
+};
@@ -0,0 +1,227 @@
+import { db } from '../firebase';
+import { collection, query, where, getDocs, serverTimestamp } from 'firebase/firestore';
+import { LEDGER_ACCOUNTS, recordSellerMovement, roundMoney, withBalancingLine } from './walletLedger';
+import { addMoney, subtractMoney, formatMoney, readMoney } from './money';
+
+/**
+ * Wallet reconciliation. Replays each seller's `transactions` history, plus
+ * order picks and completions that never got a transaction record, and
+ * compares the result with the stored `walletBalance` / `pendingAmount`.
+ */
+
+export const RECONCILIATION_ADJUSTMENT = 'reconciliation_adjustment';
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (typeof value.toDate === 'function') return value.toDate().getTime();
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? 0 : time;
+};
+
+/**
+ * Wallet and pending change of one transaction record. Records written by the
+ * ledger carry both deltas; older records are interpreted by type.
+ * @returns {Object} - { wallet, pending, resetPending }
+ */
+export const getTransactionEffect = (record) => {
+  const amount = readMoney(record, 'amount');
+  const hasPendingSnapshot =
+    record.pendingAmountBefore !== undefined && record.pendingAmountAfter !== undefined;
+  const pendingSnapshotChange = hasPendingSnapshot
+    ? subtractMoney(readMoney(record, 'pendingAmountAfter'), readMoney(record, 'pendingAmountBefore'))
+    : 0;
+
+  if (record.ledgerEntryId) {
+    return { wallet: amount, pending: readMoney(record, 'pendingAmount') };
+  }
+
+  switch (record.type) {
+    case 'order_picked':
+      return { wallet: amount, pending: readMoney(record, 'pendingAmount') };
+    case 'order_completed':
+      return { wallet: amount, pending: hasPendingSnapshot ? pendingSnapshotChange : -amount };
+    case 'pending_reset':
+      return { wallet: 0, pending: 0, resetPending: true };
+    case 'refund_pick_reversal':
+    case 'refund_completion_reversal':
+      // Refund records share one balance snapshot, so only `amount` is theirs
+      return { wallet: amount, pending: 0 };
+    case 'refund_pending_reversal':
+      return { wallet: 0, pending: amount };
+    default:
+      return { wallet: amount, pending: pendingSnapshotChange };
+  }
+};
+
+/**
+ * Applies one replayed event to running balances; pending never goes below zero
+ * @param {Object} balances - { walletBalance, pendingAmount }
+ * @param {Object} event - { wallet, pending, resetPending }
+ * @returns {Object} - New { walletBalance, pendingAmount }
+ */
+export const applyHistoryEvent = (balances, event) => ({
+  walletBalance: addMoney(balances.walletBalance, event.wallet),
+  pendingAmount: event.resetPending ? 0 : Math.max(0, addMoney(balances.pendingAmount, event.pending))
+});
+
+/**
+ * Replays a seller's money history
+ * @param {Array} transactions - The seller's transaction records
+ * @param {Array} orders - The seller's orders that moved money
+ * @returns {Object} - { walletBalance, pendingAmount, events }
+ */
+export const replaySellerHistory = (transactions, orders) => {
+  const events = [];
+  const recorded = new Set(
+    transactions.filter((record) => record.orderId).map((record) => `${record.type}:${record.orderId}`)
+  );
+
+  transactions.forEach((record) => {
+    // Adjustments bring the stored balance in line with this replay, so they are not movements
+    if (record.type === RECONCILIATION_ADJUSTMENT) return;
+    events.push({ time: toMillis(record.timestamp), source: 'transaction', id: record.id, ...getTransactionEffect(record) });
+  });
+
+  // Picks and completions made before transaction records were reliable
+  orders.forEach((order) => {
+    const walletDeducted = readMoney(order, 'walletDeducted');
+    if (walletDeducted > 0 && !recorded.has(`order_picked:${order.id}`)) {
+      events.push({
+        time: toMillis(order.pickedAt),
+        source: 'order_pick',
+        id: order.id,
+        wallet: -walletDeducted,
+        pending: readMoney(order, 'pendingAdded')
+      });
+    }
+    const pendingTransferred = readMoney(order, 'pendingTransferred');
+    if (pendingTransferred > 0 && !recorded.has(`order_completed:${order.id}`)) {
+      events.push({
+        time: toMillis(order.transferredAt),
+        source: 'order_completion',
+        id: order.id,
+        wallet: pendingTransferred,
+        pending: -pendingTransferred
+      });
+    }
+  });
+
+  events.sort((a, b) => a.time - b.time);
+
+  const balances = events.reduce(applyHistoryEvent, { walletBalance: 0, pendingAmount: 0 });
+
+  return {
+    walletBalance: roundMoney(balances.walletBalance),
+    pendingAmount: roundMoney(balances.pendingAmount),
+    events
+  };
+};
+
+const groupBySeller = (records) => {
+  const groups = new Map();
+  records.forEach((record) => {
+    if (!record.sellerId) return;
+    if (!groups.has(record.sellerId)) groups.set(record.sellerId, []);
+    groups.get(record.sellerId).push(record);
+  });
+  return groups;
+};
+
+/**
+ * Builds the reconciliation report for every seller
+ * @returns {Promise<Array>} - One row per seller, mismatches first
+ */
+export const buildReconciliationReport = async () => {
+  const [sellersSnapshot, transactionsSnapshot, ordersSnapshot] = await Promise.all([
+    getDocs(collection(db, 'sellers')),
+    getDocs(collection(db, 'transactions')),
+    getDocs(query(collection(db, 'orders'), where('walletDeducted', '>', 0)))
+  ]);
+
+  const transactionsBySeller = groupBySeller(
+    transactionsSnapshot.docs.map((transactionDoc) => ({ id: transactionDoc.id, ...transactionDoc.data() }))
+  );
+  const ordersBySeller = groupBySeller(
+    ordersSnapshot.docs.map((orderDoc) => ({ id: orderDoc.id, ...orderDoc.data() }))
+  );
+
+  const rows = sellersSnapshot.docs.map((sellerDoc) => {
+    const seller = sellerDoc.data();
+    const replay = replaySellerHistory(
+      transactionsBySeller.get(sellerDoc.id) || [],
+      ordersBySeller.get(sellerDoc.id) || []
+    );
+    const storedWallet = readMoney(seller, 'walletBalance');
+    const storedPending = readMoney(seller, 'pendingAmount');
+    const walletDrift = subtractMoney(storedWallet, replay.walletBalance);
+    const pendingDrift = subtractMoney(storedPending, replay.pendingAmount);
+
+    return {
+      sellerId: sellerDoc.id,
+      name: seller.name || seller.shopName || 'Unnamed Seller',
+      email: seller.email || '',
+      storedWallet,
+      storedPending,
+      expectedWallet: replay.walletBalance,
+      expectedPending: replay.pendingAmount,
+      walletDrift,
+      pendingDrift,
+      eventCount: replay.events.length,
+      lastReconciliationAt: toMillis(seller.lastReconciliationAt),
+      mismatch: walletDrift !== 0 || pendingDrift !== 0
+    };
+  });
+
+  return rows.sort((a, b) =>
+    Number(b.mismatch) - Number(a.mismatch) ||
+    Math.abs(b.walletDrift) + Math.abs(b.pendingDrift) - (Math.abs(a.walletDrift) + Math.abs(a.pendingDrift))
+  );
+};
+
+const formatChange = (amount) => `${amount >= 0 ? '+' : ''}${formatMoney(amount)}`;
+
+/**
+ * Removes the drift a report row measured with a ledger adjustment. The drift
+ * is applied rather than a target balance: money that moves after the report
+ * was built changes the stored balance and the replay alike, so the drift
+ * stays the same, while a target balance would undo that movement. A seller
+ * reconciled by someone else since the report was built is refused.
+ * @param {string} sellerId - Seller id
+ * @param {Object} row - Report row ({ walletDrift, pendingDrift, lastReconciliationAt })
+ * @param {string} adminEmail - Admin making the correction
+ * @param {string} note - Reason recorded with the adjustment
+ * @returns {Promise<Object>} - Result of the ledger posting
+ */
+export const applyReconciliationAdjustment = async (sellerId, row, adminEmail, note) => {
+  if (!adminEmail) {
+    throw new Error('Adjustments must be recorded with the admin email');
+  }
+
+  const walletChange = subtractMoney(0, row.walletDrift);
+  const pendingChange = subtractMoney(0, row.pendingDrift);
+  if (walletChange === 0 && pendingChange === 0) {
+    throw new Error('Balances already match the replayed history');
+  }
+
+  return recordSellerMovement(sellerId, (sellerData) => {
+    if (toMillis(sellerData.lastReconciliationAt) !== (row.lastReconciliationAt || 0)) {
+      throw new Error('This seller was reconciled after the report was built. Refresh the report and try again');
+    }
+
+    return {
+      type: RECONCILIATION_ADJUSTMENT,
+      lines: withBalancingLine([
+        { account: LEDGER_ACCOUNTS.WALLET, amount: walletChange },
+        { account: LEDGER_ACCOUNTS.PENDING, amount: pendingChange }
+      ], LEDGER_ACCOUNTS.ADJUSTMENTS),
+      description: `Reconciliation adjustment by ${adminEmail}: wallet ${formatChange(walletChange)}, pending ${formatChange(pendingChange)}${note ? ` (${note})` : ''}`,
+      processedBy: adminEmail,
+      sellerUpdates: { lastReconciliationAt: serverTimestamp() },
+      transactionFields: {
+        adjustedBy: adminEmail,
+        note: note || ''
+      }
+    };
+  });
+};
@@ -0,0 +1,57 @@
+import { replaySellerHistory, applyReconciliationAdjustment, RECONCILIATION_ADJUSTMENT } from './walletReconciliation';
+import { mockFirestoreDocuments } from '../testUtils/firestore';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore');
+
+const runWithSeller = (sellerData) => mockFirestoreDocuments({ 'sellers/s1': sellerData });
+
+describe('replaySellerHistory', () => {
+  it('replays transactions and untracked order picks in time order', () => {
+    const replay = replaySellerHistory(
+      [
+        { id: 't1', type: 'deposit', amount: 100, timestamp: '2026-01-01T00:00:00Z' },
+        { id: 't2', type: 'order_completed', orderId: 'o1', amount: 30, timestamp: '2026-01-03T00:00:00Z' },
+        { id: 't3', type: RECONCILIATION_ADJUSTMENT, amount: 999, timestamp: '2026-01-04T00:00:00Z' }
+      ],
+      [{ id: 'o1', walletDeducted: 25, pendingAdded: 30, pickedAt: '2026-01-02T00:00:00Z' }]
+    );
+
+    expect(replay.walletBalance).toBe(105);
+    expect(replay.pendingAmount).toBe(0);
+    expect(replay.events.map((event) => event.source)).toEqual(['transaction', 'order_pick', 'transaction']);
+  });
+});
+
+describe('applyReconciliationAdjustment', () => {
+  const row = { walletDrift: 10, pendingDrift: -2.5, lastReconciliationAt: 0 };
+
+  it('applies the measured drift, keeping money that moved since the report', async () => {
+    // The report saw a wallet of 110 against 100 expected; a 40 sale has landed since
+    const writes = runWithSeller({ walletBalance: 150, pendingAmount: 7.5, ledgerOpenedAt: 'opened' });
+
+    await applyReconciliationAdjustment('s1', row, 'admin@example.com', 'Duplicate deposit');
+
+    expect(writes[0]).toMatchObject({
+      path: 'sellers/s1',
+      data: { walletBalance: 140, pendingAmount: 10, lastReconciliationAt: 'serverTimestamp' }
+    });
+    expect(writes[1].data.description).toBe(
+      'Reconciliation adjustment by admin@example.com: wallet -$10.00, pending +$2.50 (Duplicate deposit)'
+    );
+  });
+
+  it('refuses a seller reconciled after the report was built', async () => {
+    const writes = runWithSeller({ walletBalance: 100, pendingAmount: 10, lastReconciliationAt: '2026-02-01T00:00:00Z' });
+
+    await expect(applyReconciliationAdjustment('s1', row, 'admin@example.com', '')).rejects.toThrow('Refresh the report');
+    expect(writes).toEqual([]);
+  });
+
+  it('needs an admin and a difference to correct', async () => {
+    await expect(applyReconciliationAdjustment('s1', row, '', '')).rejects.toThrow('admin email');
+    await expect(
+      applyReconciliationAdjustment('s1', { walletDrift: 0, pendingDrift: 0 }, 'admin@example.com', '')
+    ).rejects.toThrow('already match');
+  });
+});
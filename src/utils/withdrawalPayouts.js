@@ -0,0 +1,191 @@
+import { db } from '../firebase';
+import { doc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { LEDGER_ACCOUNTS, postSellerLedgerEntry, recordSellerMovement, withBalancingLine } from './walletLedger';
+import { assertWithdrawalAllowed } from './withdrawalPolicy';
+import { centsField, compareMoney, formatMoney, moneyFields, readMoney, subtractMoney } from './money';
+
+/**
+ * Payout stages of a withdrawal request: `pending` → `processing` (approved,
+ * wallet debited) → `paid` (admin attached proof of payment). A payout that
+ * fails while processing is marked `failed` and the wallet debit is reversed.
+ * Requests approved before these stages existed keep the `approved` status.
+ */
+
+export const WITHDRAWAL_STATUSES = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  PAID: 'paid',
+  FAILED: 'failed',
+  REJECTED: 'rejected',
+  APPROVED: 'approved'
+};
+
+export const PAYOUT_PROOF_TYPES = {
+  BANK_REFERENCE: 'bank_reference',
+  TX_HASH: 'tx_hash',
+  RECEIPT: 'receipt'
+};
+
+export const PAYOUT_PROOF_LABELS = {
+  [PAYOUT_PROOF_TYPES.BANK_REFERENCE]: 'Bank reference',
+  [PAYOUT_PROOF_TYPES.TX_HASH]: 'Transaction hash',
+  [PAYOUT_PROOF_TYPES.RECEIPT]: 'Receipt'
+};
+
+// Whether the request stores this amount, in dollars or cents
+const hasAmount = (request, field) => request[field] !== undefined || Number.isInteger(request[centsField(field)]);
+
+const getRequestAmounts = (request) => {
+  const amount = readMoney(request, 'amount');
+  const fee = readMoney(request, 'fee');
+  const netAmount = hasAmount(request, 'netAmount') ? readMoney(request, 'netAmount') : subtractMoney(amount, fee);
+  return { amount, fee, netAmount };
+};
+
+const assertStatus = (requestDoc, status) => {
+  if (!requestDoc.exists()) {
+    throw new Error('Withdrawal request not found');
+  }
+  if (requestDoc.data().status !== status) {
+    throw new Error(`This request is already ${requestDoc.data().status}`);
+  }
+};
+
+/**
+ * Approves a pending request: re-checks the policy, debits the wallet and
+ * moves the request to `processing`
+ * @param {Object} request - Withdrawal request with its id
+ * @param {string} adminEmail - Admin approving the request
+ * @returns {Promise<Object>} - { fee, netAmount }
+ */
+export const approveWithdrawal = async (request, adminEmail) => {
+  const requestRef = doc(db, 'withdrawalRequests', request.id);
+  // Older requests may store the amount as a string
+  const amount = readMoney(request, 'amount');
+
+  // Re-check the current policy; this request must not count against its own limits
+  const policyCheck = await assertWithdrawalAllowed(request.sellerId, amount, {
+    excludeRequestId: request.id
+  });
+  // The seller agreed to the fee shown when submitting; older requests use today's fee
+  const fee = hasAmount(request, 'fee') ? readMoney(request, 'fee') : policyCheck.fee;
+  const netAmount = hasAmount(request, 'netAmount') ? readMoney(request, 'netAmount') : policyCheck.netAmount;
+
+  await recordSellerMovement(request.sellerId, async (sellerData, transaction) => {
+    assertStatus(await transaction.get(requestRef), WITHDRAWAL_STATUSES.PENDING);
+
+    const currentBalance = readMoney(sellerData, 'walletBalance');
+    if (compareMoney(currentBalance, amount) < 0) {
+      throw new Error(`Seller has insufficient balance. Available: ${formatMoney(currentBalance)}, Requested: ${formatMoney(amount)}`);
+    }
+
+    transaction.update(requestRef, {
+      status: WITHDRAWAL_STATUSES.PROCESSING,
+      approvedBy: adminEmail,
+      approvalDate: serverTimestamp(),
+      ...moneyFields({ fee, netAmount })
+    });
+
+    return {
+      type: 'withdrawal',
+      lines: withBalancingLine([
+        { account: LEDGER_ACCOUNTS.WALLET, amount: -amount },
+        { account: LEDGER_ACCOUNTS.PAYOUTS, amount: netAmount }
+      ], LEDGER_ACCOUNTS.PLATFORM_REVENUE),
+      description: `Withdrawal approved by admin (${adminEmail})${fee > 0 ? `, fee $${fee.toFixed(2)}` : ''}`,
+      processedBy: adminEmail,
+      transactionFields: {
+        status: 'completed',
+        withdrawalRequestId: request.id,
+        ...moneyFields({ fee, netAmount })
+      }
+    };
+  });
+
+  return { fee, netAmount };
+};
+
+/**
+ * Marks a processing payout as paid with proof of payment
+ * @param {Object} request - Withdrawal request with its id
+ * @param {Object} proof - { type, reference, receiptUrl }
+ * @param {string} adminEmail - Admin confirming the payout
+ */
+export const markWithdrawalPaid = async (request, proof, adminEmail) => {
+  if (!Object.values(PAYOUT_PROOF_TYPES).includes(proof.type)) {
+    throw new Error('Choose the kind of proof of payment');
+  }
+  const reference = (proof.reference || '').trim();
+  if (proof.type === PAYOUT_PROOF_TYPES.RECEIPT ? !proof.receiptUrl : !reference) {
+    throw new Error(
+      proof.type === PAYOUT_PROOF_TYPES.RECEIPT
+        ? 'Attach the payment receipt'
+        : `Enter the ${PAYOUT_PROOF_LABELS[proof.type].toLowerCase()}`
+    );
+  }
+
+  const requestRef = doc(db, 'withdrawalRequests', request.id);
+  await runTransaction(db, async (transaction) => {
+    assertStatus(await transaction.get(requestRef), WITHDRAWAL_STATUSES.PROCESSING);
+    transaction.update(requestRef, {
+      status: WITHDRAWAL_STATUSES.PAID,
+      payoutProof: {
+        type: proof.type,
+        reference,
+        receiptUrl: proof.receiptUrl || null
+      },
+      paidBy: adminEmail,
+      paidAt: serverTimestamp()
+    });
+  });
+};
+
+/**
+ * Marks a processing payout as failed and returns the debited amount to the
+ * wallet. The seller and amounts are taken from the request as stored, not
+ * from the copy the admin has on screen.
+ * @param {Object} request - Withdrawal request with its id
+ * @param {string} reason - Why the payout failed, shown to the seller
+ * @param {string} adminEmail - Admin recording the failure
+ */
+export const failWithdrawalPayout = async (request, reason, adminEmail) => {
+  if (!reason || !reason.trim()) {
+    throw new Error('Please describe why the payout failed');
+  }
+
+  const requestRef = doc(db, 'withdrawalRequests', request.id);
+
+  return runTransaction(db, async (transaction) => {
+    const requestDoc = await transaction.get(requestRef);
+    assertStatus(requestDoc, WITHDRAWAL_STATUSES.PROCESSING);
+    const storedRequest = requestDoc.data();
+    const { amount, netAmount } = getRequestAmounts(storedRequest);
+
+    const sellerRef = doc(db, 'sellers', storedRequest.sellerId);
+    const sellerDoc = await transaction.get(sellerRef);
+    if (!sellerDoc.exists()) {
+      throw new Error('Seller not found');
+    }
+
+    transaction.update(requestRef, {
+      status: WITHDRAWAL_STATUSES.FAILED,
+      failureReason: reason.trim(),
+      failedBy: adminEmail,
+      failedAt: serverTimestamp()
+    });
+
+    // Reverse the approval entry, fee included
+    return postSellerLedgerEntry(transaction, sellerRef, sellerDoc.data(), {
+      type: 'withdrawal_reversal',
+      lines: withBalancingLine([
+        { account: LEDGER_ACCOUNTS.WALLET, amount },
+        { account: LEDGER_ACCOUNTS.PAYOUTS, amount: -netAmount }
+      ], LEDGER_ACCOUNTS.PLATFORM_REVENUE),
+      description: `Payout failed, ${formatMoney(amount)} returned to wallet (${reason.trim()})`,
+      processedBy: adminEmail,
+      transactionFields: {
+        withdrawalRequestId: request.id
+      }
+    });
+  });
+};
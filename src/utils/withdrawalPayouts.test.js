@@ -0,0 +1,76 @@
+import { approveWithdrawal, failWithdrawalPayout } from './withdrawalPayouts';
+import { assertWithdrawalAllowed } from './withdrawalPolicy';
+import { mockFirestoreDocuments } from '../testUtils/firestore';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('./withdrawalPolicy', () => ({ assertWithdrawalAllowed: jest.fn() }));
+jest.mock('firebase/firestore');
+
+describe('approveWithdrawal', () => {
+  beforeEach(() => {
+    assertWithdrawalAllowed.mockResolvedValue({ fee: 1, netAmount: 24 });
+  });
+
+  it('accepts amounts stored as strings', async () => {
+    const writes = mockFirestoreDocuments({
+      'withdrawalRequests/w1': { status: 'pending' },
+      'sellers/s1': { walletBalance: 30, pendingAmount: 0, ledgerOpenedAt: 'opened' }
+    });
+
+    await approveWithdrawal({ id: 'w1', sellerId: 's1', amount: '25.00' }, 'admin@example.com');
+
+    expect(assertWithdrawalAllowed).toHaveBeenCalledWith('s1', 25, { excludeRequestId: 'w1' });
+    expect(writes.find((write) => write.path === 'sellers/s1').data.walletBalance).toBe(5);
+    expect(writes.find((write) => write.path === 'withdrawalRequests/w1').data).toMatchObject({
+      status: 'processing',
+      fee: 1,
+      netAmount: 24
+    });
+  });
+
+  it('explains an insufficient balance', async () => {
+    mockFirestoreDocuments({
+      'withdrawalRequests/w1': { status: 'pending' },
+      'sellers/s1': { walletBalance: 10, pendingAmount: 0 }
+    });
+
+    await expect(
+      approveWithdrawal({ id: 'w1', sellerId: 's1', amount: '25' }, 'admin@example.com')
+    ).rejects.toThrow('Available: $10.00, Requested: $25.00');
+  });
+});
+
+describe('failWithdrawalPayout', () => {
+  it('reverses the amounts stored on the request, not the ones passed in', async () => {
+    const writes = mockFirestoreDocuments({
+      'withdrawalRequests/w1': { status: 'processing', sellerId: 's1', amount: 25, fee: 1, netAmount: 24 },
+      'sellers/s1': { walletBalance: 5, pendingAmount: 0, ledgerOpenedAt: 'opened' }
+    });
+
+    await failWithdrawalPayout(
+      { id: 'w1', sellerId: 's2', amount: 500, netAmount: 500 },
+      'Bank rejected the transfer',
+      'admin@example.com'
+    );
+
+    expect(writes.find((write) => write.path === 'sellers/s1').data).toMatchObject({ walletBalance: 30, walletBalanceCents: 3000 });
+    expect(writes.some((write) => write.path === 'sellers/s2')).toBe(false);
+    expect(writes.find((write) => write.path === 'withdrawalRequests/w1').data).toMatchObject({
+      status: 'failed',
+      failureReason: 'Bank rejected the transfer'
+    });
+    const ledgerEntry = writes.find((write) => write.path.startsWith('ledgerEntries/'));
+    expect(ledgerEntry.data.lines).toEqual([
+      { account: 'wallet', amount: 25, amountCents: 2500 },
+      { account: 'payouts', amount: -24, amountCents: -2400 },
+      { account: 'platform_revenue', amount: -1, amountCents: -100 }
+    ]);
+  });
+
+  it('refuses a request that is not processing', async () => {
+    const writes = mockFirestoreDocuments({ 'withdrawalRequests/w1': { status: 'paid', sellerId: 's1', amount: 25 } });
+
+    await expect(failWithdrawalPayout({ id: 'w1' }, 'Oops', 'admin@example.com')).rejects.toThrow('already paid');
+    expect(writes).toEqual([]);
+  });
+});
@@ -0,0 +1,251 @@
+import { db } from '../firebase';
+import {
+  collection,
+  query,
+  where,
+  getDocs,
+  getDoc,
+  setDoc,
+  doc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { addMoney, compareMoney, formatMoney, multiplyMoney, readMoney, roundMoney, subtractMoney } from './money';
+
+/**
+ * Withdrawal policy: minimum and maximum per request, a percentage or flat
+ * fee, a daily or weekly limit, one open request at a time and a cooldown
+ * after the seller changes account details. The same checks run when the
+ * seller submits a request and again when an admin approves it.
+ */
+
+export const FEE_TYPES = {
+  NONE: 'none',
+  PERCENT: 'percent',
+  FLAT: 'flat'
+};
+
+export const LIMIT_PERIODS = {
+  NONE: 'none',
+  DAILY: 'daily',
+  WEEKLY: 'weekly'
+};
+
+const LIMIT_PERIOD_MS = {
+  [LIMIT_PERIODS.DAILY]: 24 * 60 * 60 * 1000,
+  [LIMIT_PERIODS.WEEKLY]: 7 * 24 * 60 * 60 * 1000
+};
+
+// Requests that still count against limits; rejected and failed ones gave the money back
+export const OPEN_WITHDRAWAL_STATUSES = ['pending', 'processing'];
+const COUNTED_WITHDRAWAL_STATUSES = ['pending', 'processing', 'paid', 'approved'];
+
+// Seller profile fields whose change starts the withdrawal cooldown
+export const ACCOUNT_CHANGE_FIELDS = [
+  'email',
+  'phone',
+  'bankName',
+  'bankAccountName',
+  'bankAccountNumber',
+  'ifscCode',
+  'usdtAddress',
+  'usdtLink'
+];
+
+export const DEFAULT_WITHDRAWAL_POLICY = {
+  minAmount: 10,
+  maxAmount: 0,
+  feeType: FEE_TYPES.NONE,
+  feeValue: 0,
+  limitPeriod: LIMIT_PERIODS.NONE,
+  limitAmount: 0,
+  oneOpenRequest: true,
+  accountChangeCooldownHours: 24
+};
+
+export const WITHDRAWAL_POLICY_ERROR = 'withdrawal-policy';
+
+const policyError = (message) => {
+  const error = new Error(message);
+  error.code = WITHDRAWAL_POLICY_ERROR;
+  return error;
+};
+
+const withdrawalPolicyRef = () => doc(db, 'settings', 'withdrawalPolicy');
+
+/**
+ * Loads the withdrawal policy, falling back to the defaults for missing fields
+ */
+export const getWithdrawalPolicy = async () => {
+  const policyDoc = await getDoc(withdrawalPolicyRef());
+  return { ...DEFAULT_WITHDRAWAL_POLICY, ...(policyDoc.exists() ? policyDoc.data() : {}) };
+};
+
+/**
+ * Validates and saves the withdrawal policy
+ * @param {Object} policy - Fields of DEFAULT_WITHDRAWAL_POLICY
+ * @param {string} adminEmail - Admin saving the policy
+ */
+export const saveWithdrawalPolicy = async (policy, adminEmail) => {
+  const numbers = {
+    minAmount: Number(policy.minAmount || 0),
+    maxAmount: Number(policy.maxAmount || 0),
+    feeValue: Number(policy.feeValue || 0),
+    limitAmount: Number(policy.limitAmount || 0),
+    accountChangeCooldownHours: Number(policy.accountChangeCooldownHours || 0)
+  };
+
+  if (Object.values(numbers).some((value) => !Number.isFinite(value) || value < 0)) {
+    throw new Error('Amounts, fees and cooldowns cannot be negative');
+  }
+  if (numbers.maxAmount > 0 && numbers.minAmount > numbers.maxAmount) {
+    throw new Error('The minimum withdrawal must be less than the maximum');
+  }
+  if (policy.feeType === FEE_TYPES.PERCENT && numbers.feeValue >= 100) {
+    throw new Error('A percentage fee must be below 100%');
+  }
+  if (!Object.values(FEE_TYPES).includes(policy.feeType)) {
+    throw new Error('Invalid fee type');
+  }
+  if (!Object.values(LIMIT_PERIODS).includes(policy.limitPeriod)) {
+    throw new Error('Invalid limit period');
+  }
+  if (policy.limitPeriod !== LIMIT_PERIODS.NONE && !(numbers.limitAmount > 0)) {
+    throw new Error('Set a limit amount for the selected period');
+  }
+
+  await setDoc(withdrawalPolicyRef(), {
+    ...numbers,
+    feeType: policy.feeType,
+    limitPeriod: policy.limitPeriod,
+    oneOpenRequest: !!policy.oneOpenRequest,
+    updatedBy: adminEmail,
+    updatedAt: serverTimestamp()
+  });
+};
+
+/**
+ * Fee charged on a withdrawal; the seller receives the amount minus the fee
+ * @returns {Object} - { fee, netAmount }
+ */
+export const calculateWithdrawalFee = (policy, amount) => {
+  const value = roundMoney(amount);
+  let fee = 0;
+  if (policy.feeType === FEE_TYPES.PERCENT) {
+    fee = multiplyMoney(value, Number(policy.feeValue || 0) / 100);
+  } else if (policy.feeType === FEE_TYPES.FLAT) {
+    fee = roundMoney(policy.feeValue);
+  }
+  fee = Math.min(fee, value);
+  return { fee, netAmount: subtractMoney(value, fee) };
+};
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (typeof value.toDate === 'function') return value.toDate().getTime();
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? 0 : time;
+};
+
+/**
+ * Time of the seller's last account change (profile details or password)
+ */
+export const getLastAccountChange = (sellerData) =>
+  Math.max(toMillis(sellerData.accountChangedAt), toMillis(sellerData.passwordResetAt));
+
+/**
+ * Checks a withdrawal against the policy
+ * @param {Object} policy - Withdrawal policy
+ * @param {Object} params - { amount, sellerData, requests, excludeRequestId, now }
+ *   `requests` are the seller's withdrawal requests; `excludeRequestId` is the
+ *   request being approved, which must not count against itself
+ * @returns {string|null} - The first rule broken, or null when allowed
+ */
+export const findPolicyViolation = (policy, { amount, sellerData, requests = [], excludeRequestId, now = new Date() }) => {
+  const value = roundMoney(amount);
+  const others = requests.filter((request) => request.id !== excludeRequestId);
+
+  if (!(value > 0)) {
+    return 'Please enter a valid withdrawal amount';
+  }
+  if (compareMoney(value, policy.minAmount) < 0) {
+    return `The minimum withdrawal is $${Number(policy.minAmount).toFixed(2)}`;
+  }
+  if (Number(policy.maxAmount) > 0 && compareMoney(value, policy.maxAmount) > 0) {
+    return `The maximum withdrawal is $${Number(policy.maxAmount).toFixed(2)} per request`;
+  }
+  if (compareMoney(value, readMoney(sellerData, 'walletBalance')) > 0) {
+    return `Insufficient balance. Available: ${formatMoney(readMoney(sellerData, 'walletBalance'))}`;
+  }
+
+  if (policy.oneOpenRequest && others.some((request) => OPEN_WITHDRAWAL_STATUSES.includes(request.status))) {
+    return 'There is already an open withdrawal request; wait until it is processed';
+  }
+
+  const periodMs = LIMIT_PERIOD_MS[policy.limitPeriod];
+  if (periodMs && Number(policy.limitAmount) > 0) {
+    const windowStart = now.getTime() - periodMs;
+    const used = others
+      .filter((request) => COUNTED_WITHDRAWAL_STATUSES.includes(request.status))
+      .filter((request) => toMillis(request.timestamp) >= windowStart)
+      .reduce((total, request) => addMoney(total, readMoney(request, 'amount')), 0);
+    if (compareMoney(addMoney(used, value), policy.limitAmount) > 0) {
+      const remaining = Math.max(0, subtractMoney(policy.limitAmount, used));
+      return `This exceeds the ${policy.limitPeriod} limit of $${Number(policy.limitAmount).toFixed(2)}; $${remaining.toFixed(2)} is still available`;
+    }
+  }
+
+  const cooldownMs = Number(policy.accountChangeCooldownHours || 0) * 60 * 60 * 1000;
+  const lastChange = getLastAccountChange(sellerData);
+  if (cooldownMs > 0 && lastChange > 0 && now.getTime() - lastChange < cooldownMs) {
+    const availableAt = new Date(lastChange + cooldownMs);
+    return `Withdrawals are paused after account changes until ${availableAt.toLocaleString()}`;
+  }
+
+  return null;
+};
+
+/**
+ * Loads a seller's withdrawal requests
+ * @param {string} sellerId - Seller id
+ * @returns {Promise<Array>} - Requests with their ids
+ */
+export const getSellerWithdrawalRequests = async (sellerId) => {
+  const snapshot = await getDocs(
+    query(collection(db, 'withdrawalRequests'), where('sellerId', '==', sellerId))
+  );
+  return snapshot.docs.map((requestDoc) => ({ id: requestDoc.id, ...requestDoc.data() }));
+};
+
+/**
+ * Loads the policy and the seller's history, then checks a withdrawal
+ * @param {string} sellerId - Seller id
+ * @param {number} amount - Requested amount
+ * @param {Object} options - { excludeRequestId, sellerData }
+ * @returns {Promise<Object>} - { policy, fee, netAmount }; throws a policy error when not allowed
+ */
+export const assertWithdrawalAllowed = async (sellerId, amount, options = {}) => {
+  const [policy, requests, sellerData] = await Promise.all([
+    getWithdrawalPolicy(),
+    getSellerWithdrawalRequests(sellerId),
+    options.sellerData
+      ? Promise.resolve(options.sellerData)
+      : getDoc(doc(db, 'sellers', sellerId)).then((sellerDoc) => (sellerDoc.exists() ? sellerDoc.data() : null))
+  ]);
+
+  if (!sellerData) {
+    throw new Error('Seller not found');
+  }
+
+  const violation = findPolicyViolation(policy, {
+    amount,
+    sellerData,
+    requests,
+    excludeRequestId: options.excludeRequestId
+  });
+  if (violation) {
+    throw policyError(violation);
+  }
+
+  return { policy, ...calculateWithdrawalFee(policy, amount) };
+};